@@ -1,49 +1,210 @@
+const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
+const {
+  CURVE_ORDER,
+  signData,
+  verifySignature,
+  signECDSA,
+  verifyECDSA,
+  recoverPublicKey,
+  encodeDER,
+  decodeDER,
+  encodeCompact,
+  encodeRecoverable,
+  decodeRecoverable,
+  getXOnlyPublicKey,
+  signSchnorr,
+  verifySchnorr,
+  tweakPublicKey,
+  tweakPrivateKey,
+  WORDLIST,
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  HDKey,
+  HDWallet,
+  p2pkhAddress,
+  p2wpkhAddress,
+  p2trAddress,
+  decodeAddress,
+  fromWIF
+} = require('../core');
 
-// Generate a new EC key pair. 'secp256k1' is the curve used by Bitcoin.
-const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
-  namedCurve: 'secp256k1',
-  publicKeyEncoding: { type: 'spki', format: 'pem' },
-  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
-});
+// The BIP39 test mnemonic; any BIP44/84 wallet derives the same addresses from it
+const TEST_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
 
-console.log('--- Keys ---');
-console.log('Private Key:', privateKey);
-console.log('Public Key:', publicKey);
+// Check our BIP340 code against the official test vectors (test-vectors.csv
+// from the BIP, rows 0-14, kept with the tests). Rows with a secret key must
+// also sign to the exact signature given.
+function checkSchnorrVectors() {
+  const rows = fs.readFileSync(path.join(__dirname, '..', 'test', 'vectors', 'bip340-test-vectors.csv'), 'utf8')
+    .trim().split('\n').slice(1);
+  let passed = 0;
+  for (const row of rows) {
+    const fields = row.split(',');
+    const [secretKey, publicKey, auxRand, message, signature] = fields.slice(1, 6).map(field => Buffer.from(field, 'hex'));
+    let ok = verifySchnorr(message, publicKey, signature) === (fields[6] === 'TRUE');
+    if (secretKey.length > 0) {
+      ok = ok && getXOnlyPublicKey(secretKey).equals(publicKey) && signSchnorr(message, secretKey, auxRand).equals(signature);
+    }
+    if (ok) passed++;
+  }
+  return { passed, total: rows.length };
+}
 
-// --- Create and Sign a Message ---
+function demonstrateKeysAndSignatures() {
+  // --- Mnemonic and Seed ---
 
-// This represents the data you want to prove ownership of (e.g., a transaction).
-const message = 'This is a secret message representing a transaction';
+  // 128 bits of randomness become 12 words; the last word carries a checksum.
+  const mnemonic = generateMnemonic();
+  console.log('--- Mnemonic (BIP39) ---');
+  console.log('Mnemonic:', mnemonic);
+  console.log('Valid:', validateMnemonic(mnemonic));
 
-// Create a signature for the message.
-const sign = crypto.createSign('SHA256');
-sign.update(message);
-sign.end();
-const signature = sign.sign(privateKey, 'hex');
+  // The 4-bit checksum catches about 15 in 16 typos
+  const words = mnemonic.split(' ');
+  const typos = WORDLIST.filter(word => word !== words[0])
+    .map(word => [word, ...words.slice(1)].join(' '));
+  const undetected = typos.filter(validateMnemonic).length;
+  console.log(`Typos in the first word caught by the checksum: ${typos.length - undetected} of ${typos.length}`);
 
-console.log('\n--- Signature ---');
-console.log('Signature:', signature);
+  const seed = mnemonicToSeed(mnemonic);
+  console.log('Seed:', seed.toString('hex').substring(0, 32) + '...');
 
-// --- Verify the Signature ---
+  // --- Master Key ---
 
-// To verify, you need the original message, the signature, and the public key.
-const verify = crypto.createVerify('SHA256');
-verify.update(message);
-verify.end();
-const isVerified = verify.verify(publicKey, signature, 'hex');
+  // The seed is hashed into a master private key and a chain code. Every
+  // other key in the wallet is derived from these two.
+  const master = HDKey.fromSeed(seed);
+  console.log('\n--- Master Key (BIP32) ---');
+  console.log('xprv:', master.extendedPrivateKey);
+  console.log('xpub:', master.extendedPublicKey);
 
-console.log('\n--- Verification ---');
-console.log('Is the signature valid?', isVerified);
+  // --- Addresses ---
 
-// --- Tamper with the message and try to verify again ---
+  // BIP44 paths: m / purpose' / coin' / account' / change / index
+  const wallet = new HDWallet(seed, { mnemonic });
+  console.log('\n--- Addresses (BIP44 / BIP84) ---');
+  for (let i = 0; i < 3; i++) {
+    const { address, path } = wallet.getNewAddress();
+    console.log(`${path.padEnd(18)} ${address}`);
+  }
+  for (let i = 0; i < 3; i++) {
+    const { address, path } = wallet.getNewAddress({ type: 'p2wpkh' });
+    console.log(`${path.padEnd(18)} ${address}`);
+  }
+  const change = wallet.getChangeAddress();
+  console.log(`${change.path.padEnd(18)} ${change.address} (change)`);
 
-const tamperedMessage = 'This is a DIFFERENT message';
+  // The account xpub derives the same receive addresses without any private key
+  const accountXpub = wallet.getAccountExtendedPublicKey();
+  const watchOnly = HDKey.fromExtendedKey(accountXpub);
+  const watched = p2pkhAddress(watchOnly.derive('0/0').publicKey);
+  console.log('\nAccount xpub:', accountXpub);
+  console.log('Watch-only m/.../0/0:', watched, '(matches:', `${wallet.isMine(watched)})`);
+  try {
+    watchOnly.derive("0'");
+  } catch (error) {
+    console.log('Hardened child from the xpub:', error.message);
+  }
 
-const verifyTampered = crypto.createVerify('SHA256');
-verifyTampered.update(tamperedMessage);
-verifyTampered.end();
-const isTamperedVerified = verifyTampered.verify(publicKey, signature, 'hex');
+  // Any wallet restoring the test mnemonic gets the same first addresses
+  const restored = HDWallet.fromMnemonic(TEST_MNEMONIC);
+  console.log('\nTest mnemonic, first P2PKH address: ', restored.getNewAddress().address);
+  console.log('Test mnemonic, first P2WPKH address:', restored.getNewAddress({ type: 'p2wpkh' }).address);
 
-console.log('\n--- Tampering Test ---');
-console.log('Is the signature valid for a tampered message?', isTamperedVerified);
+  // --- Keys ---
+
+  const [address] = wallet.addresses.keys();
+  const key = wallet.getKey(address);
+  const wif = key.toWIF();
+  console.log('\n--- Keys ---');
+  console.log('Address:', address, `(${decodeAddress(address).type}, hash160 of the public key)`);
+  console.log('Private Key (WIF):', wif);
+  console.log('Public Key (compressed):', key.publicKey.toString('hex'));
+  console.log('WIF round-trips:', fromWIF(wif).privateKey.equals(key.privateKey));
+  console.log('Bech32 address of the same key:', p2wpkhAddress(key.publicKey));
+
+  // --- Create and Sign a Message ---
+
+  // This represents the data you want to prove ownership of (e.g., a transaction).
+  const message = 'This is a secret message representing a transaction';
+  const privateKey = key.privateKey;
+  const publicKey = key.publicKey;
+
+  // The nonce is derived from the key and message (RFC6979), so signing
+  // twice gives the same signature
+  const signature = signData(message, privateKey);
+  console.log('\n--- Signature (ECDSA) ---');
+  console.log('Signature (DER):', signature);
+  console.log('Same signature when signed again:', signData(message, privateKey) === signature);
+
+  // --- Verify the Signature ---
+
+  // To verify, you need the original message, the signature, and the public key.
+  const isVerified = verifySignature(message, signature, publicKey);
+  console.log('\n--- Verification ---');
+  console.log('Is the signature valid?', isVerified);
+
+  // --- Tamper with the message and try to verify again ---
+
+  const tamperedMessage = 'This is a DIFFERENT message';
+  const isTamperedVerified = verifySignature(tamperedMessage, signature, publicKey);
+  console.log('\n--- Tampering Test ---');
+  console.log('Is the signature valid for a tampered message?', isTamperedVerified);
+
+  // --- Malleability and Other Encodings ---
+
+  // (r, n - s) is just as valid mathematically, so anyone could flip S and
+  // change a txid. Only the low-S form is accepted.
+  const { r, s } = decodeDER(Buffer.from(signature, 'hex'));
+  const flipped = encodeDER({ r, s: CURVE_ORDER - s }).toString('hex');
+  console.log('\n--- Low-S ---');
+  console.log('Flipped S valid?', verifySignature(message, flipped, publicKey));
+
+  // The public key can be recovered from a signature plus a 2-bit recovery
+  // id, which is how Bitcoin's signed messages work without sending the key
+  const hash = crypto.createHash('sha256').update(message).digest();
+  const recoverable = encodeRecoverable(signECDSA(hash, privateKey));
+  const decoded = decodeRecoverable(recoverable);
+  const recovered = recoverPublicKey(hash, decoded, decoded.recovery, decoded.compressed);
+  console.log('\n--- Compact and Recoverable Signatures ---');
+  console.log(`DER ${signature.length / 2} bytes, compact ${encodeCompact(decoded).length} bytes, recoverable ${recoverable.length} bytes`);
+  console.log('Recovered address:', p2pkhAddress(recovered), `(matches: ${recovered.equals(publicKey)})`);
+  console.log('ECDSA on the raw hash valid?', verifyECDSA(hash, decoded, publicKey));
+
+  // --- Schnorr (BIP340) ---
+
+  const vectors = checkSchnorrVectors();
+  const xOnlyKey = getXOnlyPublicKey(privateKey);
+  const schnorrSignature = signSchnorr(hash, privateKey);
+  console.log('\n--- Schnorr (BIP340) ---');
+  console.log(`Official test vectors passed: ${vectors.passed} of ${vectors.total}`);
+  console.log('x-only public key (32 bytes):', xOnlyKey.toString('hex'));
+  console.log('Signature (64 bytes):', schnorrSignature.toString('hex'));
+  console.log('Valid?', verifySchnorr(hash, xOnlyKey, schnorrSignature));
+  console.log('Valid for a tampered message?', verifySchnorr(Buffer.alloc(32), xOnlyKey, schnorrSignature));
+
+  // --- Taproot Key Path (BIP86) ---
+
+  // The output key is the internal key tweaked by a hash of itself. The
+  // tweaked private key signs for it directly: a key-path spend.
+  const taprootKey = restored.master.derive("m/86'/0'/0'/0/0");
+  const internalKey = getXOnlyPublicKey(taprootKey.privateKey);
+  const { outputKey } = tweakPublicKey(internalKey);
+  const keyPathSignature = signSchnorr(hash, tweakPrivateKey(taprootKey.privateKey));
+  console.log('\n--- Taproot Key Path (BIP86) ---');
+  console.log('Test mnemonic m/86\'/0\'/0\'/0/0:', p2trAddress(outputKey));
+  console.log('Internal key:', internalKey.toString('hex'));
+  console.log('Output key:  ', outputKey.toString('hex'));
+  console.log('Key-path signature valid for the output key?', verifySchnorr(hash, outputKey, keyPathSignature));
+}
+
+module.exports = {
+  demonstrateKeysAndSignatures
+};
+
+if (require.main === module) {
+  demonstrateKeysAndSignatures();
+}
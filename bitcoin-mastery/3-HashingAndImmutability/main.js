@@ -1,4 +1,9 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { HASH_FORMAT, auditBlocks, verifyExport } = require('./verify-chain');
 
 // Helper function to create a SHA-256 hash
 function sha256(data) {
@@ -11,141 +16,288 @@ class Block {
     this.timestamp = Date.now();
     this.data = data;
     this.previousHash = previousHash;
+    this.nonce = 0;
     this.hash = this.calculateHash();
   }
 
   calculateHash() {
     return sha256(
-      this.previousHash + 
-      this.timestamp + 
-      JSON.stringify(this.data)
+      this.previousHash +
+      this.timestamp +
+      JSON.stringify(this.data) +
+      this.nonce
     );
   }
+
+  // Try nonces until the hash starts with `difficulty` zeros; returns the
+  // number of attempts
+  mineBlock(difficulty) {
+    const target = '0'.repeat(difficulty);
+    let attempts = 1;
+    this.nonce = 0;
+    this.hash = this.calculateHash();
+    while (!this.hash.startsWith(target)) {
+      this.nonce++;
+      this.hash = this.calculateHash();
+      attempts++;
+    }
+    return attempts;
+  }
 }
 
 // Simple blockchain
 class Blockchain {
-  constructor() {
+  constructor(difficulty = 2) {
+    this.difficulty = difficulty;
     this.chain = [this.createGenesisBlock()];
   }
 
   createGenesisBlock() {
-    return new Block('Genesis Block', '0');
+    const genesis = new Block('Genesis Block', '0');
+    genesis.mineBlock(this.difficulty);
+    return genesis;
   }
 
   getLatestBlock() {
     return this.chain[this.chain.length - 1];
   }
 
+  // Links and mines the block. A block edited since it was created, one
+  // already in the chain, or an invalid chain is refused, so tampered data
+  // cannot be laundered by re-adding it.
   addBlock(newBlock) {
+    if (this.chain.includes(newBlock)) {
+      throw new Error('Block is already in the chain');
+    }
+    if (newBlock.hash !== newBlock.calculateHash()) {
+      throw new Error('Block was modified after it was created');
+    }
+    const report = this.validateChain();
+    if (!report.valid) {
+      throw new Error(`Cannot extend an invalid chain: ${report.errors[0].message} at block ${report.firstInvalidHeight}`);
+    }
+
     newBlock.previousHash = this.getLatestBlock().hash;
-    newBlock.hash = newBlock.calculateHash();
+    newBlock.mineBlock(this.difficulty);
     this.chain.push(newBlock);
   }
 
+  // Full audit: { valid, firstInvalidHeight, errors: [{ height, check,
+  // message }], blocksToRemine, ... } (see auditBlocks in verify-chain.js)
+  validateChain() {
+    return auditBlocks(this.chain, {
+      difficulty: this.difficulty,
+      calculateHash: block => block.calculateHash()
+    });
+  }
+
   isChainValid() {
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+    return this.validateChain().valid;
+  }
 
-      // Check if current block's hash is valid
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
-        return false;
-      }
+  // Make the chain valid again, either as an honest node would, by
+  // dropping everything from the first invalid block ('truncate'), or as
+  // an attacker must, by re-linking and re-mining every block from there to
+  // the tip ('remine'). Returns { strategy, fromHeight, blocks, attempts }.
+  repairChain(strategy = 'truncate') {
+    const { firstInvalidHeight } = this.validateChain();
+    const result = { strategy, fromHeight: firstInvalidHeight, blocks: 0, attempts: 0 };
+    if (firstInvalidHeight === null) return result;
 
-      // Check if current block points to previous block
-      if (currentBlock.previousHash !== previousBlock.hash) {
-        return false;
+    if (strategy === 'truncate') {
+      if (firstInvalidHeight === 0) throw new Error('Cannot truncate an invalid genesis block');
+      result.blocks = this.chain.splice(firstInvalidHeight).length;
+    } else if (strategy === 'remine') {
+      for (let height = firstInvalidHeight; height < this.chain.length; height++) {
+        const block = this.chain[height];
+        block.previousHash = height === 0 ? '0' : this.chain[height - 1].hash;
+        result.attempts += block.mineBlock(this.difficulty);
+        result.blocks++;
       }
+    } else {
+      throw new Error(`Unknown repair strategy: ${strategy}`);
     }
-    return true;
+    return result;
   }
+
+  // Plain JSON that verify-chain.js can check in another process
+  exportChain() {
+    return {
+      format: HASH_FORMAT,
+      difficulty: this.difficulty,
+      tipHash: this.getLatestBlock().hash,
+      blocks: this.chain.map(({ timestamp, data, previousHash, nonce, hash }) => ({
+        timestamp,
+        data,
+        previousHash,
+        nonce,
+        hash
+      }))
+    };
+  }
+}
+
+function printReport(report) {
+  if (report.valid) return;
+  console.log(`   First invalid height: ${report.firstInvalidHeight}`);
+  report.errors.forEach(error => console.log(`   Block ${error.height} [${error.check}]: ${error.message}`));
+  console.log(`   Blocks to re-mine: ${report.blocksToRemine.join(', ')} (~${report.expectedRemineAttempts} hashes)`);
 }
 
-console.log('=== Hashing & Immutability Demo ===\n');
+function demonstrateHashingAndImmutability() {
+  console.log('=== Hashing & Immutability Demo ===\n');
 
-// --- Part 1: Understanding Hash Properties ---
-console.log('🔗 Part 1: Hash Properties\n');
+  // --- Part 1: Understanding Hash Properties ---
+  console.log('🔗 Part 1: Hash Properties\n');
 
-const message1 = 'Hello, Bitcoin!';
-const message2 = 'Hello, Bitcoin.'; // Just added a period
-const message3 = 'Hello, Bitcoin!'; // Exact same as message1
+  const message1 = 'Hello, Bitcoin!';
+  const message2 = 'Hello, Bitcoin.'; // Just added a period
+  const message3 = 'Hello, Bitcoin!'; // Exact same as message1
 
-console.log('Original message:', message1);
-console.log('Hash:', sha256(message1));
-console.log();
+  console.log('Original message:', message1);
+  console.log('Hash:', sha256(message1));
+  console.log();
 
-console.log('Slightly modified message:', message2);
-console.log('Hash:', sha256(message2));
-console.log();
+  console.log('Slightly modified message:', message2);
+  console.log('Hash:', sha256(message2));
+  console.log();
 
-console.log('Same message again:', message3);
-console.log('Hash:', sha256(message3));
-console.log();
+  console.log('Same message again:', message3);
+  console.log('Hash:', sha256(message3));
+  console.log();
 
-console.log('📝 Observations:');
-console.log('- Same input always produces same hash (deterministic)');
-console.log('- Tiny change produces completely different hash (avalanche effect)');
-console.log('- Hash is fixed length regardless of input size\n');
+  console.log('📝 Observations:');
+  console.log('- Same input always produces same hash (deterministic)');
+  console.log('- Tiny change produces completely different hash (avalanche effect)');
+  console.log('- Hash is fixed length regardless of input size\n');
 
-// --- Part 2: Creating a Simple Blockchain ---
-console.log('⛓️  Part 2: Building a Blockchain\n');
+  // --- Part 2: Creating a Simple Blockchain ---
+  console.log('⛓️  Part 2: Building a Blockchain\n');
 
-const myBlockchain = new Blockchain();
+  const myBlockchain = new Blockchain();
 
-console.log('Creating blockchain with genesis block...');
-console.log('Genesis Block Hash:', myBlockchain.chain[0].hash);
-console.log();
+  console.log('Creating blockchain with genesis block...');
+  console.log('Genesis Block Hash:', myBlockchain.chain[0].hash);
+  console.log();
 
-// Add some blocks
-myBlockchain.addBlock(new Block({ transaction: 'Alice sends 10 coins to Bob' }));
-myBlockchain.addBlock(new Block({ transaction: 'Bob sends 5 coins to Charlie' }));
-myBlockchain.addBlock(new Block({ transaction: 'Charlie sends 3 coins to Dave' }));
+  // Add some blocks
+  myBlockchain.addBlock(new Block({ transaction: 'Alice sends 10 coins to Bob' }));
+  myBlockchain.addBlock(new Block({ transaction: 'Bob sends 5 coins to Charlie' }));
+  myBlockchain.addBlock(new Block({ transaction: 'Charlie sends 3 coins to Dave' }));
 
-console.log('📦 Blockchain Contents:');
-myBlockchain.chain.forEach((block, index) => {
-  console.log(`Block ${index}:`);
-  console.log(`  Data: ${JSON.stringify(block.data)}`);
-  console.log(`  Hash: ${block.hash}`);
-  console.log(`  Previous Hash: ${block.previousHash}`);
-  console.log(`  Timestamp: ${new Date(block.timestamp).toLocaleString()}`);
+  console.log('📦 Blockchain Contents:');
+  myBlockchain.chain.forEach((block, index) => {
+    console.log(`Block ${index}:`);
+    console.log(`  Data: ${JSON.stringify(block.data)}`);
+    console.log(`  Hash: ${block.hash}`);
+    console.log(`  Previous Hash: ${block.previousHash}`);
+    console.log(`  Nonce: ${block.nonce}`);
+    console.log(`  Timestamp: ${new Date(block.timestamp).toLocaleString()}`);
+    console.log();
+  });
+
+  console.log('✅ Is blockchain valid?', myBlockchain.isChainValid());
   console.log();
-});
 
-console.log('✅ Is blockchain valid?', myBlockchain.isChainValid());
-console.log();
+  // --- Part 3: Attempting to Tamper with the Blockchain ---
+  console.log('🚨 Part 3: Tampering Attempt\n');
+
+  console.log('Attempting to change data in Block 1...');
+  const originalData = myBlockchain.chain[1].data;
+  const originalHash = myBlockchain.chain[1].hash;
+
+  // Tamper with the data
+  myBlockchain.chain[1].data = { transaction: 'Alice sends 1000 coins to Bob' }; // Changed amount!
+
+  console.log('Original data:', JSON.stringify(originalData));
+  console.log('Tampered data:', JSON.stringify(myBlockchain.chain[1].data));
+  console.log('Original hash:', originalHash);
+  console.log('Current hash (unchanged):', myBlockchain.chain[1].hash);
+  console.log();
 
-// --- Part 3: Attempting to Tamper with the Blockchain ---
-console.log('🚨 Part 3: Tampering Attempt\n');
+  const tamperedReport = myBlockchain.validateChain();
+  console.log('✅ Is blockchain still valid?', tamperedReport.valid);
+  printReport(tamperedReport);
 
-console.log('Attempting to change data in Block 1...');
-const originalData = myBlockchain.chain[1].data;
-const originalHash = myBlockchain.chain[1].hash;
+  // Re-adding the tampered block used to recompute its hash and accept it
+  try {
+    myBlockchain.addBlock(myBlockchain.chain[1]);
+  } catch (error) {
+    console.log('Re-adding the tampered block:', error.message);
+  }
+  console.log();
 
-// Tamper with the data
-myBlockchain.chain[1].data = { transaction: 'Alice sends 1000 coins to Bob' }; // Changed amount!
+  console.log('🔧 What would an attacker need to do?');
+  console.log('1. Recalculate hash for the tampered block');
+  console.log('2. Update all subsequent blocks to point to new hash');
+  console.log('3. Recalculate hashes for ALL subsequent blocks');
+  console.log('4. Do this faster than the honest network (in real Bitcoin)');
+  console.log();
 
-console.log('Original data:', JSON.stringify(originalData));
-console.log('Tampered data:', JSON.stringify(myBlockchain.chain[1].data));
-console.log('Original hash:', originalHash);
-console.log('Current hash (unchanged):', myBlockchain.chain[1].hash);
-console.log();
+  // Show what recalculating would look like
+  myBlockchain.chain[1].hash = myBlockchain.chain[1].calculateHash();
+  console.log('After recalculating Block 1 hash:', myBlockchain.chain[1].hash);
+  const recalculatedReport = myBlockchain.validateChain();
+  console.log('✅ Is blockchain valid now?', recalculatedReport.valid);
+  console.log('❌ Still invalid! Block 2 still points to old hash (and block 1 was never mined).');
+  printReport(recalculatedReport);
+  console.log();
 
-console.log('✅ Is blockchain still valid?', myBlockchain.isChainValid());
-console.log();
+  // --- Part 4: Independent Verification ---
+  console.log('🔍 Part 4: Verifying an Export in Another Process\n');
 
-console.log('🔧 What would an attacker need to do?');
-console.log('1. Recalculate hash for the tampered block');
-console.log('2. Update all subsequent blocks to point to new hash');
-console.log('3. Recalculate hashes for ALL subsequent blocks');
-console.log('4. Do this faster than the honest network (in real Bitcoin)');
-console.log();
+  // The export carries the hash rule, so verify-chain.js can check it
+  // without this process's Block class
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-'));
+  const file = path.join(dir, 'chain.json');
+  fs.writeFileSync(file, JSON.stringify(myBlockchain.exportChain(), null, 2));
+  const verifier = path.join(__dirname, 'verify-chain.js');
+  const verifyInChildProcess = () => {
+    try {
+      return JSON.parse(execFileSync(process.execPath, [verifier, file], { encoding: 'utf8' }));
+    } catch (error) {
+      return JSON.parse(error.stdout); // Exit code 1: invalid chain
+    }
+  };
 
-// Show what recalculating would look like
-myBlockchain.chain[1].hash = myBlockchain.chain[1].calculateHash();
-console.log('After recalculating Block 1 hash:', myBlockchain.chain[1].hash);
-console.log('✅ Is blockchain valid now?', myBlockchain.isChainValid());
-console.log('❌ Still invalid! Block 2 still points to old hash.');
+  let external = verifyInChildProcess();
+  console.log(`Exported ${external.length} blocks to ${file}`);
+  console.log('Verifier process says valid?', external.valid, `(first invalid height: ${external.firstInvalidHeight})`);
 
-console.log('\n💡 Key Insight:');
-console.log('The chain of hashes makes tampering detectable and expensive!');
+  // --- Part 5: Repair ---
+  console.log('\n🛠️  Part 5: Repairing the Chain\n');
+
+  // Re-mining keeps the tampered data but costs work for every later block
+  const repair = myBlockchain.repairChain('remine');
+  console.log(`Re-mined ${repair.blocks} blocks from height ${repair.fromHeight} in ${repair.attempts} attempts`);
+  console.log('✅ Is blockchain valid now?', myBlockchain.isChainValid());
+
+  fs.writeFileSync(file, JSON.stringify(myBlockchain.exportChain(), null, 2));
+  external = verifyInChildProcess();
+  console.log('Verifier process says valid?', external.valid);
+
+  // Editing the exported JSON is caught the same way
+  const exported = myBlockchain.exportChain();
+  exported.blocks[2].data = { transaction: 'Bob sends 500 coins to Charlie' };
+  console.log('Edited export valid?', verifyExport(exported).valid);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // An honest node would instead drop everything after the last valid block
+  myBlockchain.chain[3].data = { transaction: 'Charlie sends 300 coins to Dave' };
+  const truncated = myBlockchain.repairChain('truncate');
+  console.log(`Truncated ${truncated.blocks} block(s) from height ${truncated.fromHeight}; chain length ${myBlockchain.chain.length}, valid: ${myBlockchain.isChainValid()}`);
+
+  console.log('\n💡 Key Insight:');
+  console.log('The chain of hashes makes tampering detectable and expensive!');
+}
+
+module.exports = {
+  sha256,
+  Block,
+  Blockchain,
+  demonstrateHashingAndImmutability
+};
+
+if (require.main === module) {
+  demonstrateHashingAndImmutability();
+}
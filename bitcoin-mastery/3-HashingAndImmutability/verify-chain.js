@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Re-verifies a chain exported by Blockchain.exportChain() using nothing
+// but the hash rule written into the export, so the check does not trust
+// the code (or the process) that produced it:
+//
+//   node verify-chain.js chain.json
+//
+// Exits 0 if the chain is valid and prints the audit report as JSON.
+
+const HASH_FORMAT = 'sha256(previousHash + timestamp + JSON.stringify(data) + nonce)';
+
+function hashBlockFields({ previousHash, timestamp, data, nonce }) {
+  return crypto.createHash('sha256')
+    .update(previousHash + timestamp + JSON.stringify(data) + nonce)
+    .digest('hex');
+}
+
+// Audit every block, not just up to the first failure. Checks:
+//   data-hash      the stored hash is not the hash of the block's contents
+//   link           previousHash is not the hash of the block before it
+//   proof-of-work  the hash does not start with `difficulty` zeros
+// Anything from the first invalid height to the tip would have to be
+// re-mined to make the chain valid again.
+function auditBlocks(blocks, { difficulty, calculateHash = hashBlockFields }) {
+  const target = '0'.repeat(difficulty);
+  const errors = [];
+
+  blocks.forEach((block, height) => {
+    const expectedPrevious = height === 0 ? '0' : blocks[height - 1].hash;
+    const recomputed = calculateHash(block);
+
+    if (block.hash !== recomputed) {
+      errors.push({
+        height,
+        check: 'data-hash',
+        message: `Stored hash ${block.hash} does not match contents (${recomputed})`
+      });
+    }
+    if (block.previousHash !== expectedPrevious) {
+      errors.push({
+        height,
+        check: 'link',
+        message: height === 0
+          ? `Genesis previousHash is ${block.previousHash}, not 0`
+          : `previousHash ${block.previousHash} does not match block ${height - 1} (${expectedPrevious})`
+      });
+    }
+    if (!block.hash.startsWith(target)) {
+      errors.push({
+        height,
+        check: 'proof-of-work',
+        message: `Hash ${block.hash} does not start with ${difficulty} zeros`
+      });
+    }
+  });
+
+  const firstInvalidHeight = errors.length > 0 ? errors[0].height : null;
+  const blocksToRemine = firstInvalidHeight === null
+    ? []
+    : blocks.map((block, height) => height).slice(firstInvalidHeight);
+
+  return {
+    valid: errors.length === 0,
+    length: blocks.length,
+    difficulty,
+    firstInvalidHeight,
+    errors,
+    blocksToRemine,
+    // Each block takes 16^difficulty hashes on average
+    expectedRemineAttempts: blocksToRemine.length * 16 ** difficulty
+  };
+}
+
+// Checks an export's own claims (format, length, tip) on top of the blocks
+function verifyExport(exported) {
+  if (exported.format !== HASH_FORMAT) throw new Error(`Unsupported hash format: ${exported.format}`);
+  const report = auditBlocks(exported.blocks, { difficulty: exported.difficulty });
+
+  const tip = exported.blocks[exported.blocks.length - 1];
+  if (!tip || tip.hash !== exported.tipHash) {
+    report.valid = false;
+    report.errors.push({
+      height: exported.blocks.length - 1,
+      check: 'tip',
+      message: `Tip hash does not match the exported tipHash ${exported.tipHash}`
+    });
+  }
+  return report;
+}
+
+module.exports = {
+  HASH_FORMAT,
+  hashBlockFields,
+  auditBlocks,
+  verifyExport
+};
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node verify-chain.js <chain.json>');
+    process.exit(2);
+  }
+  const report = verifyExport(JSON.parse(fs.readFileSync(file, 'utf8')));
+  console.log(JSON.stringify(report, null, 2));
+  process.exitCode = report.valid ? 0 : 1;
+}
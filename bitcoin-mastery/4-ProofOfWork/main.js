@@ -1,42 +1,67 @@
 const crypto = require('crypto');
+const os = require('os');
+const {
+  POW_LIMIT_BITS,
+  compactToTarget,
+  hashToNumber,
+  checkProofOfWork,
+  getDifficulty,
+  getNextWorkRequired,
+  getChainWork,
+  ParallelMiner,
+  BlockStore
+} = require('../core');
 
 function sha256(data) {
   return crypto.createHash('sha256').update(data).digest('hex');
 }
 
 class Block {
-  constructor(timestamp, transactions, previousHash = '') {
+  constructor(timestamp, transactions, previousHash = '', bits = POW_LIMIT_BITS) {
     this.timestamp = timestamp;
     this.transactions = transactions;
     this.previousHash = previousHash;
+    this.bits = bits; // Compact 256-bit target (nBits)
     this.nonce = 0;
     this.hash = this.calculateHash();
   }
 
+  // Everything hashed before the nonce
+  getHashPrefix() {
+    return this.previousHash + this.timestamp + JSON.stringify(this.transactions) + this.bits;
+  }
+
   calculateHash() {
-    return sha256(
-      this.previousHash +
-      this.timestamp +
-      JSON.stringify(this.transactions) +
-      this.nonce
-    );
+    return sha256(this.getHashPrefix() + this.nonce);
   }
 
-  // This is the mining process - finding a hash with the required difficulty
-  mineBlock(difficulty) {
-    const target = Array(difficulty + 1).join('0'); // Create string of zeros
+  // Roll an extra nonce stored in the mining reward transaction, so the
+  // block's contents (and hash prefix) change once the nonces run out
+  setExtraNonce(extraNonce) {
+    const reward = Array.isArray(this.transactions) && this.transactions.find(tx => tx.fromAddress === null);
+    if (!reward) {
+      throw new Error('Block has no mining reward transaction to hold an extra nonce');
+    }
+    reward.extraNonce = extraNonce;
+    this.hash = this.calculateHash();
+  }
+
+  // This is the mining process - finding a hash that, read as a 256-bit
+  // number, is at most the target encoded in this.bits
+  mineBlock(verbose = true) {
+    const target = compactToTarget(this.bits);
     const startTime = Date.now();
     let attempts = 0;
 
-    console.log(`⛏️  Mining block with difficulty ${difficulty}...`);
+    if (verbose) console.log(`⛏️  Mining block with bits 0x${this.bits.toString(16)} (difficulty ${getDifficulty(this.bits)})...`);
     
-    while (this.hash.substring(0, difficulty) !== target) {
+    while (hashToNumber(this.hash) > target) {
       this.nonce++;
       this.hash = this.calculateHash();
       attempts++;
 
       // Progress indicator
-      if (attempts % 100000 === 0) {
+      if (verbose && attempts % 100000 === 0) {
         const elapsed = (Date.now() - startTime) / 1000;
         const rate = attempts / elapsed;
         console.log(`   ${attempts} attempts in ${elapsed.toFixed(1)}s (${rate.toFixed(0)} attempts/s)`);
@@ -44,24 +69,82 @@ class Block {
     }
 
     const totalTime = (Date.now() - startTime) / 1000;
-    console.log(`✅ Block mined in ${totalTime.toFixed(2)} seconds!`);
-    console.log(`   Hash: ${this.hash}`);
-    console.log(`   Nonce: ${this.nonce}`);
-    console.log(`   Attempts: ${attempts}\n`);
+    if (verbose) {
+      console.log(`✅ Block mined in ${totalTime.toFixed(2)} seconds!`);
+      console.log(`   Hash: ${this.hash}`);
+      console.log(`   Nonce: ${this.nonce}`);
+      console.log(`   Attempts: ${attempts}\n`);
+    }
+    return { attempts, elapsed: totalTime };
+  }
+
+  hasValidProofOfWork() {
+    return checkProofOfWork(this.hash, this.bits);
+  }
+
+  toJSON() {
+    return { ...this };
+  }
+
+  // The stored hash is kept, so isChainValid catches a block edited on disk
+  static fromJSON(data) {
+    const block = new Block(data.timestamp, data.transactions, data.previousHash, data.bits);
+    block.nonce = data.nonce;
+    block.hash = data.hash;
+    return block;
   }
 }
 
+// retargetInterval: blocks between difficulty adjustments
+// targetBlockTime: milliseconds a block should take on average
+// dataDir: keep mined blocks in block files there and reload them on startup
 class Blockchain {
-  constructor() {
-    this.chain = [this.createGenesisBlock()];
-    this.difficulty = 2; // Start with 2 leading zeros
+  constructor({ retargetInterval = 2016, targetBlockTime = 10 * 60 * 1000, dataDir = null } = {}) {
+    this.retargetInterval = retargetInterval; // Must be set before mining genesis
+    this.targetBlockTime = targetBlockTime;
+    this.blockStore = dataDir ? new BlockStore(dataDir) : null;
     this.pendingTransactions = [];
     this.miningReward = 100;
+
+    if (this.blockStore && this.blockStore.size > 0) {
+      this.chain = this.loadChain();
+    } else {
+      this.chain = [this.createGenesisBlock()];
+      this.saveBlock(this.chain[0], 0);
+    }
+  }
+
+  saveBlock(block, height) {
+    if (this.blockStore && !this.blockStore.has(block.hash)) {
+      this.blockStore.writeBlock(block, height);
+    }
+  }
+
+  // Every stored block is a candidate tip: the chain ending at it is
+  // adopted through replaceChain, so only a valid chain with the most
+  // work survives the reload
+  loadChain() {
+    const blocks = new Map();
+    for (const data of this.blockStore.readBlocks()) {
+      const block = Block.fromJSON(data);
+      blocks.set(block.hash, block);
+    }
+
+    const [genesis] = blocks.values();
+    this.chain = [genesis];
+    for (const tip of blocks.values()) {
+      const branch = [];
+      for (let block = tip; block; block = blocks.get(block.previousHash)) {
+        branch.unshift(block);
+      }
+      this.replaceChain(branch);
+    }
+    return this.chain;
   }
 
   createGenesisBlock() {
-    const genesisBlock = new Block(Date.now(), 'Genesis Block', '0');
-    genesisBlock.mineBlock(this.difficulty);
+    const genesisBlock = new Block(Date.now(), 'Genesis Block', '0', POW_LIMIT_BITS);
+    genesisBlock.mineBlock();
     return genesisBlock;
   }
 
@@ -69,25 +152,53 @@ class Blockchain {
     return this.chain[this.chain.length - 1];
   }
 
-  minePendingTransactions(miningRewardAddress) {
-    // Add mining reward transaction
+  // The target the block at `height` must meet. Every retargetInterval
+  // blocks it is scaled by how long the last interval really took.
+  getNextWorkRequired(height = this.chain.length, chain = this.chain) {
+    return getNextWorkRequired(chain.slice(0, height), this);
+  }
+
+  // Total expected hashes spent on the chain
+  getChainWork(chain = this.chain) {
+    return getChainWork(chain);
+  }
+
+  // Next block: pending transactions plus the mining reward
+  createPendingBlock(miningRewardAddress) {
     this.pendingTransactions.push({
       fromAddress: null,
       toAddress: miningRewardAddress,
       amount: this.miningReward
     });
 
-    const block = new Block(
+    return new Block(
       Date.now(),
       this.pendingTransactions,
-      this.getLatestBlock().hash
+      this.getLatestBlock().hash,
+      this.getNextWorkRequired()
     );
+  }
+
+  minePendingTransactions(miningRewardAddress, { verbose = true } = {}) {
+    const block = this.createPendingBlock(miningRewardAddress);
+    block.mineBlock(verbose);
     
-    block.mineBlock(this.difficulty);
-    
-    console.log('🎉 Block successfully mined and added to chain!');
+    if (verbose) console.log('🎉 Block successfully mined and added to chain!');
+    this.chain.push(block);
+    this.saveBlock(block, this.chain.length - 1);
+    this.pendingTransactions = [];
+    return block;
+  }
+
+  // Same as minePendingTransactions, but the nonce search is split across
+  // worker threads by a ParallelMiner; resolves to the miner's stats
+  async minePendingTransactionsParallel(miningRewardAddress, miner) {
+    const block = this.createPendingBlock(miningRewardAddress);
+    const stats = await miner.mineBlock(block);
     this.chain.push(block);
+    this.saveBlock(block, this.chain.length - 1);
     this.pendingTransactions = [];
+    return stats;
   }
 
   createTransaction(transaction) {
@@ -114,10 +225,10 @@ class Blockchain {
     return balance;
   }
 
-  isChainValid() {
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+  isChainValid(chain = this.chain) {
+    for (let i = 1; i < chain.length; i++) {
+      const currentBlock = chain[i];
+      const previousBlock = chain[i - 1];
 
       if (currentBlock.hash !== currentBlock.calculateHash()) {
         return false;
@@ -127,82 +238,168 @@ class Blockchain {
         return false;
       }
 
-      // Check if block was properly mined
-      if (currentBlock.hash.substring(0, this.difficulty) !== Array(this.difficulty + 1).join('0')) {
+      // The block must use the target the retarget rule gives its height...
+      if (currentBlock.bits !== this.getNextWorkRequired(i, chain)) {
+        return false;
+      }
+
+      // ...and have been properly mined against it
+      if (!currentBlock.hasValidProofOfWork()) {
         return false;
       }
     }
 
     return true;
   }
+
+  // Adopt a competing chain from the same genesis if it is valid and has
+  // more cumulative work. A longer chain of easy blocks does not win.
+  replaceChain(newChain) {
+    if (newChain[0].hash !== this.chain[0].hash || !this.isChainValid(newChain)) {
+      return false;
+    }
+    if (this.getChainWork(newChain) <= this.getChainWork()) {
+      return false;
+    }
+    this.chain = newChain;
+    newChain.forEach((block, height) => this.saveBlock(block, height));
+    return true;
+  }
 }
 
 // --- Demonstration ---
 
-console.log('=== Proof-of-Work Mining Demo ===\n');
-
-const myCoin = new Blockchain();
-
-// Create some addresses (in real Bitcoin, these would be public keys)
-const address1 = 'address1-alice-' + Math.random().toString(36).substring(7);
-const address2 = 'address2-bob-' + Math.random().toString(36).substring(7);
-const address3 = 'address3-charlie-' + Math.random().toString(36).substring(7);
-
-console.log('👥 Participants:');
-console.log('Alice:', address1);
-console.log('Bob:', address2);
-console.log('Charlie:', address3);
-console.log();
-
-// Start mining
-console.log('🚀 Starting mining simulation...\n');
-
-// Mine first block (Alice gets the reward)
-console.log('=== Mining Block 1 ===');
-myCoin.minePendingTransactions(address1);
-
-// Add some transactions
-console.log('=== Adding Transactions ===');
-myCoin.createTransaction({ fromAddress: address1, toAddress: address2, amount: 30 });
-myCoin.createTransaction({ fromAddress: address1, toAddress: address3, amount: 20 });
-console.log();
-
-// Mine second block (Bob gets the reward)
-console.log('=== Mining Block 2 ===');
-myCoin.minePendingTransactions(address2);
-
-// Add more transactions
-console.log('=== Adding More Transactions ===');
-myCoin.createTransaction({ fromAddress: address2, toAddress: address3, amount: 25 });
-myCoin.createTransaction({ fromAddress: address3, toAddress: address1, amount: 15 });
-console.log();
-
-// Mine third block (Charlie gets the reward)
-console.log('=== Mining Block 3 ===');
-myCoin.minePendingTransactions(address3);
-
-// Show final results
-console.log('=== Final Results ===');
-console.log(`💰 Alice's balance: ${myCoin.getBalance(address1)} coins`);
-console.log(`💰 Bob's balance: ${myCoin.getBalance(address2)} coins`);
-console.log(`💰 Charlie's balance: ${myCoin.getBalance(address3)} coins`);
-console.log();
-
-console.log('⛓️  Blockchain validation:', myCoin.isChainValid() ? '✅ Valid' : '❌ Invalid');
-console.log('📊 Total blocks in chain:', myCoin.chain.length);
-
-console.log('\n🔍 Blockchain Structure:');
-myCoin.chain.forEach((block, index) => {
-  console.log(`Block ${index}:`);
-  console.log(`  Hash: ${block.hash}`);
-  console.log(`  Previous Hash: ${block.previousHash}`);
-  console.log(`  Nonce: ${block.nonce}`);
-  console.log(`  Transactions: ${Array.isArray(block.transactions) ? block.transactions.length : 'Genesis'}`);
+async function demonstrateProofOfWork() {
+  console.log('=== Proof-of-Work Mining Demo ===\n');
+
+  const myCoin = new Blockchain();
+
+  // Create some addresses (in real Bitcoin, these would be public keys)
+  const address1 = 'address1-alice-' + Math.random().toString(36).substring(7);
+  const address2 = 'address2-bob-' + Math.random().toString(36).substring(7);
+  const address3 = 'address3-charlie-' + Math.random().toString(36).substring(7);
+
+  console.log('👥 Participants:');
+  console.log('Alice:', address1);
+  console.log('Bob:', address2);
+  console.log('Charlie:', address3);
+  console.log();
+
+  // Start mining
+  console.log('🚀 Starting mining simulation...\n');
+
+  // Mine first block (Alice gets the reward)
+  console.log('=== Mining Block 1 ===');
+  myCoin.minePendingTransactions(address1);
+
+  // Add some transactions
+  console.log('=== Adding Transactions ===');
+  myCoin.createTransaction({ fromAddress: address1, toAddress: address2, amount: 30 });
+  myCoin.createTransaction({ fromAddress: address1, toAddress: address3, amount: 20 });
+  console.log();
+
+  // Mine second block (Bob gets the reward)
+  console.log('=== Mining Block 2 ===');
+  myCoin.minePendingTransactions(address2);
+
+  // Add more transactions
+  console.log('=== Adding More Transactions ===');
+  myCoin.createTransaction({ fromAddress: address2, toAddress: address3, amount: 25 });
+  myCoin.createTransaction({ fromAddress: address3, toAddress: address1, amount: 15 });
+  console.log();
+
+  // Mine third block (Charlie gets the reward)
+  console.log('=== Mining Block 3 ===');
+  myCoin.minePendingTransactions(address3);
+
+  // Show final results
+  console.log('=== Final Results ===');
+  console.log(`💰 Alice's balance: ${myCoin.getBalance(address1)} coins`);
+  console.log(`💰 Bob's balance: ${myCoin.getBalance(address2)} coins`);
+  console.log(`💰 Charlie's balance: ${myCoin.getBalance(address3)} coins`);
+  console.log();
+
+  console.log('⛓️  Blockchain validation:', myCoin.isChainValid() ? '✅ Valid' : '❌ Invalid');
+  console.log('📊 Total blocks in chain:', myCoin.chain.length);
+
+  console.log('\n🔍 Blockchain Structure:');
+  myCoin.chain.forEach((block, index) => {
+    console.log(`Block ${index}:`);
+    console.log(`  Hash: ${block.hash}`);
+    console.log(`  Previous Hash: ${block.previousHash}`);
+    console.log(`  Bits: 0x${block.bits.toString(16)}`);
+    console.log(`  Nonce: ${block.nonce}`);
+    console.log(`  Transactions: ${Array.isArray(block.transactions) ? block.transactions.length : 'Genesis'}`);
+    console.log();
+  });
+
+  // Difficulty adjusts so blocks keep coming at the target rate
+  console.log('=== Difficulty Retargeting (every 4 blocks, aiming for 50ms per block) ===');
+  const fastCoin = new Blockchain({ retargetInterval: 4, targetBlockTime: 50 });
+  for (let height = 1; height <= 8; height++) {
+    const block = fastCoin.minePendingTransactions(address1, { verbose: false });
+    const blockTime = block.timestamp - fastCoin.chain[height - 1].timestamp;
+    console.log(`Block ${height}: bits 0x${block.bits.toString(16)}, difficulty ${getDifficulty(block.bits)}, ${blockTime}ms after its parent`);
+  }
+  console.log('Blocks came faster than 50ms, so each retarget made mining harder (by at most 4x)');
+  console.log();
+
+  // A competing chain from the same genesis whose timestamps claim every
+  // block took a minute, so its difficulty never rises
+  console.log('=== Fork Choice: Most Work, Not Most Blocks ===');
+  const fork = [fastCoin.chain[0]];
+  for (let height = 1; height <= 10; height++) {
+    const parent = fork[height - 1];
+    const block = new Block(
+      parent.timestamp + 60 * 1000,
+      [{ fromAddress: null, toAddress: address2, amount: fastCoin.miningReward }],
+      parent.hash,
+      fastCoin.getNextWorkRequired(height, fork)
+    );
+    block.mineBlock(false);
+    fork.push(block);
+  }
+  console.log(`Honest chain: ${fastCoin.chain.length} blocks, chainwork ${fastCoin.getChainWork()}`);
+  console.log(`Fork:         ${fork.length} blocks, chainwork ${fastCoin.getChainWork(fork)}`);
+  console.log(`Fork adopted: ${fastCoin.replaceChain(fork) ? 'yes' : 'no - it has more blocks but less work'}`);
+  console.log();
+
+  // Split the nonce space across worker threads. A small nonce space per
+  // round makes the extra nonce in the reward transaction roll over.
+  const workers = Math.max(2, os.availableParallelism());
+  console.log(`=== Parallel Mining (${workers} worker threads, 16384 nonces per extra nonce) ===`);
+  const miner = new ParallelMiner({ workers, maxNonce: 0x3fff });
+  // A block template 256x harder than the minimum
+  const harder = new Block(
+    Date.now(),
+    [{ fromAddress: null, toAddress: address3, amount: myCoin.miningReward }],
+    myCoin.getLatestBlock().hash,
+    0x1f00ffff
+  );
+  const stats = await miner.mineBlock(harder);
+  console.log(`Nonce ${stats.nonce} found at extra nonce ${stats.extraNonce}`);
+  console.log(`Hash: ${stats.hash}`);
+  console.log(`${stats.attempts} hashes in ${stats.elapsed.toFixed(2)}s: ${stats.hashRate.toFixed(0)} H/s across all workers`);
+  console.log(`Meets target: ${harder.hasValidProofOfWork()}`);
   console.log();
-});
 
-console.log('💡 Key Insights:');
-console.log('- Each block required computational work to mine');
-console.log('- Miners are rewarded for their work');
-console.log('- The chain is cryptographically linked and verifiable');
-console.log('- Changing any past block would require re-mining all subsequent blocks');
+  console.log('💡 Key Insights:');
+  console.log('- Each block required computational work to mine');
+  console.log('- Miners are rewarded for their work');
+  console.log('- The chain is cryptographically linked and verifiable');
+  console.log('- Changing any past block would require re-mining all subsequent blocks');
+  console.log('- A block is valid when its hash, as a number, is at most the target in its bits');
+  console.log('- Retargeting keeps block times steady as hash power changes');
+  console.log('- Nodes follow the chain with the most cumulative work, not the longest one');
+}
+
+module.exports = {
+  sha256,
+  Block,
+  Blockchain,
+  demonstrateProofOfWork
+};
+
+if (require.main === module) {
+  demonstrateProofOfWork().catch(console.error);
+}
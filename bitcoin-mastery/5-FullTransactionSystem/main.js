@@ -1,364 +1,433 @@
 const crypto = require('crypto');
-
-function sha256(data) {
-  return crypto.createHash('sha256').update(data).digest('hex');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  HDWallet,
+  OPS,
+  compileScript,
+  hash160,
+  multisigScript,
+  htlcScript,
+  csvScript,
+  relativeLockSequence,
+  nullDataScript,
+  scriptToAsm,
+  compareStrategies,
+  TX_OVERHEAD_SIZE,
+  P2PKH_OUTPUT_SIZE,
+  COIN,
+  TransactionOutput,
+  Transaction,
+  Blockchain
+} = require('../core');
+
+// Each user holds an HD wallet and receives at its first address, P2PKH
+// unless `type` is 'p2wpkh'
+function createUser(type = 'p2pkh') {
+  const wallet = HDWallet.generate();
+  const { address, publicKey } = wallet.getNewAddress({ type });
+  return { wallet, address, publicKey, privateKey: wallet.getPrivateKey(address) };
 }
 
-// Generate key pair
-function generateKeyPair() {
-  return crypto.generateKeyPairSync('ec', {
-    namedCurve: 'secp256k1',
-    publicKeyEncoding: { type: 'spki', format: 'pem' },
-    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
-  });
+// Coins the user can spend in the next block: recent mining rewards are
+// still maturing
+function spendableUTXOs(blockchain, address) {
+  return blockchain.getUTXOsForAddress(address).filter(utxo => blockchain.isMature(utxo));
 }
 
-// Sign data
-function signData(data, privateKey) {
-  const sign = crypto.createSign('SHA256');
-  sign.update(data);
-  sign.end();
-  return sign.sign(privateKey, 'hex');
+// Pay `amount` from the user's first spendable coin into a custom script,
+// with the rest back as change
+function lockCoins(blockchain, user, script, amount) {
+  const [utxo] = spendableUTXOs(blockchain, user.address).filter(coin => coin.output.amount > amount + 1000);
+  return blockchain.buildTransaction([utxo], [
+    TransactionOutput.fromScript(script, amount),
+    new TransactionOutput(user.address, utxo.output.amount - amount - 1000)
+  ], [user.privateKey]);
 }
 
-// Verify signature
-function verifySignature(data, signature, publicKey) {
-  const verify = crypto.createVerify('SHA256');
-  verify.update(data);
-  verify.end();
-  return verify.verify(publicKey, signature, 'hex');
+// Send a custom-script coin to the user. The transaction is built
+// unsigned, then gets a scriptSig of <sig> <pubKey> followed by `unlock`.
+function spendLockedCoin(blockchain, utxo, user, unlock, options) {
+  const tx = blockchain.buildTransaction([utxo], [
+    new TransactionOutput(user.address, utxo.output.amount - 1000)
+  ], [null], options);
+  const signature = tx.createSignature(0, utxo.output.scriptPubKey, user.privateKey);
+  tx.setScriptSig(0, compileScript([signature, user.publicKey, ...unlock]));
+  return tx;
 }
 
-// Transaction Input - references a previous transaction output
-class TransactionInput {
-  constructor(txHash, outputIndex, signature = null) {
-    this.txHash = txHash; // Hash of the transaction being spent
-    this.outputIndex = outputIndex; // Which output of that transaction
-    this.signature = signature; // Signature proving ownership
-  }
-}
-
-// Transaction Output - specifies new owner and amount
-class TransactionOutput {
-  constructor(address, amount) {
-    this.address = address; // Public key of the recipient
-    this.amount = amount; // Amount being sent
-  }
+// Mine through the library and print what the old inline miner used to log
+function mineAndReport(blockchain, transactions, minerAddress) {
+  const block = blockchain.mineBlock(transactions, minerAddress);
+  console.log(`⛏️  Block #${blockchain.chain.length - 1} mined with ${block.transactions.length} transactions (bits 0x${block.bits.toString(16)})`);
+  console.log(`✅ Hash: ${block.hash}\n`);
+  return block;
 }
 
-// Full Transaction
-class Transaction {
-  constructor(inputs = [], outputs = []) {
-    this.inputs = inputs;
-    this.outputs = outputs;
-    this.timestamp = Date.now();
-    this.hash = this.calculateHash();
-  }
+// --- Demonstration ---
 
-  calculateHash() {
-    return sha256(
-      JSON.stringify(this.inputs) +
-      JSON.stringify(this.outputs) +
-      this.timestamp
-    );
+function demonstrateFullTransactionSystem() {
+  console.log('=== Full Bitcoin Transaction System ===\n');
+
+  // Create blockchain
+  const blockchain = new Blockchain();
+
+  // Create users
+  const alice = createUser();
+  const bob = createUser();
+  const charlie = createUser();
+  const miner = createUser();
+
+  console.log('👥 Users created:');
+  console.log('Alice:', alice.address);
+  console.log('Bob:', bob.address);
+  console.log(`Charlie: ${charlie.address}\n`);
+
+  // Mine initial blocks to give users some coins
+  console.log('=== Initial Mining ===');
+  mineAndReport(blockchain, [], alice.address); // Alice gets 50 coins
+  mineAndReport(blockchain, [], bob.address);   // Bob gets 50 coins
+
+  // Coinbase outputs can only be spent 100 blocks later, so a reorg cannot
+  // wipe out coins that others have already been paid with
+  console.log('=== Coinbase Maturity ===');
+  const reward = blockchain.getUTXOsForAddress(alice.address)[0];
+  try {
+    blockchain.submitTransaction(blockchain.buildTransaction([reward], [
+      new TransactionOutput(charlie.address, reward.output.amount - 1000)
+    ], [alice.privateKey]));
+  } catch (error) {
+    console.log(`❌ Spending the block 1 reward now (${error.code}): ${error.message}`);
   }
-
-  // Sign all inputs with the corresponding private keys
-  signInputs(privateKeys) {
-    for (let i = 0; i < this.inputs.length; i++) {
-      const input = this.inputs[i];
-      const dataToSign = this.hash + i; // Include input index in signature
-      input.signature = signData(dataToSign, privateKeys[i]);
-    }
-    // Recalculate hash after signing
-    this.hash = this.calculateHash();
+  const emptyBlocks = blockchain.coinbaseMaturity;
+  for (let i = 0; i < emptyBlocks; i++) blockchain.mineBlock([], miner.address);
+  console.log(`⛏️  A miner added ${emptyBlocks} empty blocks; the rewards are mature: ${blockchain.isMature(reward)}\n`);
+
+  console.log('💰 Initial Balances:');
+  console.log(`Alice: ${blockchain.getBalance(alice.address) / COIN} coins`);
+  console.log(`Bob: ${blockchain.getBalance(bob.address) / COIN} coins`);
+  console.log(`Charlie: ${blockchain.getBalance(charlie.address) / COIN} coins\n`);
+
+  // Alice sends 30 coins to Charlie
+  console.log('=== Transaction 1: Alice → Charlie (30 coins) ===');
+  try {
+    const tx1 = blockchain.createTransaction(alice.address, charlie.address, 30 * COIN, alice.privateKey);
+    console.log('✅ Transaction created and signed');
+    console.log('Transaction hash:', tx1.hash);
+    console.log('Serialized size:', tx1.getSize(), 'bytes');
+    console.log('Round-trips through hex:', Transaction.fromHex(tx1.toHex()).hash === tx1.hash);
+    console.log('Valid:', blockchain.validateTransaction(tx1));
+
+    // Mine the transaction
+    mineAndReport(blockchain, [tx1], bob.address); // Bob mines and gets reward
+    console.log('✅ Transaction mined into blockchain\n');
+  } catch (error) {
+    console.log('❌ Transaction failed:', error.message);
   }
 
-  // Create a coinbase transaction (mining reward)
-  static createCoinbaseTransaction(minerAddress, amount) {
-    const output = new TransactionOutput(minerAddress, amount);
-    const tx = new Transaction([], [output]);
-    return tx;
+  // Bob sends 25 coins to Charlie
+  console.log('=== Transaction 2: Bob → Charlie (25 coins) ===');
+  try {
+    const tx2 = blockchain.createTransaction(bob.address, charlie.address, 25 * COIN, bob.privateKey);
+    console.log('✅ Transaction created and signed');
+    console.log('Valid:', blockchain.validateTransaction(tx2));
+
+    mineAndReport(blockchain, [tx2], alice.address); // Alice mines and gets reward
+    console.log('✅ Transaction mined into blockchain\n');
+  } catch (error) {
+    console.log('❌ Transaction failed:', error.message);
   }
-}
 
-// Block containing transactions
-class Block {
-  constructor(transactions, previousHash = '') {
-    this.timestamp = Date.now();
-    this.transactions = transactions;
-    this.previousHash = previousHash;
-    this.nonce = 0;
-    this.hash = this.calculateHash();
+  // Charlie sends 40 coins to Alice
+  console.log('=== Transaction 3: Charlie → Alice (40 coins) ===');
+  try {
+    const tx3 = blockchain.createTransaction(charlie.address, alice.address, 40 * COIN, charlie.privateKey);
+    console.log('✅ Transaction created and signed');
+    console.log('Valid:', blockchain.validateTransaction(tx3));
+
+    mineAndReport(blockchain, [tx3], charlie.address); // Charlie mines and gets reward
+    console.log('✅ Transaction mined into blockchain\n');
+  } catch (error) {
+    console.log('❌ Transaction failed:', error.message);
   }
 
-  calculateHash() {
-    return sha256(
-      this.previousHash +
-      this.timestamp +
-      JSON.stringify(this.transactions.map(tx => tx.hash)) +
-      this.nonce
-    );
+  // Lock coins in a 2-of-3 multisig output, with an OP_RETURN memo
+  console.log('=== Transaction 4: Alice → 2-of-3 Multisig (20 coins) ===');
+  try {
+    const multisig = multisigScript(2, [alice, bob, charlie].map(user => user.publicKey));
+    const aliceUTXO = spendableUTXOs(blockchain, alice.address).find(utxo => utxo.output.amount >= 20 * COIN);
+    const tx4 = blockchain.buildTransaction([aliceUTXO], [
+      TransactionOutput.fromScript(multisig, 20 * COIN),
+      TransactionOutput.fromScript(nullDataScript('escrow #1'), 0),
+      new TransactionOutput(alice.address, aliceUTXO.output.amount - 20 * COIN)
+    ], [alice.privateKey]);
+    console.log('Locking script:', scriptToAsm(multisig).substring(0, 60) + '...');
+    console.log('Memo script:', scriptToAsm(tx4.outputs[1].scriptPubKey));
+    console.log('Valid:', blockchain.validateTransaction(tx4));
+    mineAndReport(blockchain, [tx4], bob.address);
+
+    // Spending needs any two of the three signatures
+    const [escrowUTXO] = blockchain.getUTXOsForAddress(multisig);
+    const onlyBob = blockchain.buildTransaction([escrowUTXO], [
+      new TransactionOutput(bob.address, 20 * COIN)
+    ], [[bob.privateKey]]);
+    console.log('Spend with 1 signature valid:', blockchain.validateTransaction(onlyBob));
+
+    const tx5 = blockchain.buildTransaction([escrowUTXO], [
+      new TransactionOutput(bob.address, 20 * COIN)
+    ], [[bob.privateKey, charlie.privateKey]]);
+    console.log('Spend with 2 signatures valid:', blockchain.validateTransaction(tx5));
+    mineAndReport(blockchain, [tx5], charlie.address);
+  } catch (error) {
+    console.log('❌ Transaction failed:', error.message);
   }
 
-  mineBlock(difficulty) {
-    const target = Array(difficulty + 1).join('0');
-    const startTime = Date.now();
-    let attempts = 0;
-
-    console.log(`⛏️  Mining block with ${this.transactions.length} transactions (difficulty ${difficulty})...`);
-    
-    while (this.hash.substring(0, difficulty) !== target) {
-      this.nonce++;
-      this.hash = this.calculateHash();
-      attempts++;
-
-      if (attempts % 50000 === 0) {
-        const elapsed = (Date.now() - startTime) / 1000;
-        console.log(`   ${attempts} attempts in ${elapsed.toFixed(1)}s`);
-      }
+  // Payment channels are built from transactions that cannot confirm yet
+  console.log('=== Time Locks: nLockTime, an HTLC and a relative lock ===');
+  try {
+    // nLockTime: valid only in a block higher than the lock height
+    const unlockHeight = blockchain.chain.length + 1;
+    const postDated = blockchain.createTransaction(alice.address, bob.address, 1 * COIN, alice.privateKey, {
+      feeRate: 2,
+      lockTime: unlockHeight
+    });
+    try {
+      blockchain.submitTransaction(postDated);
+    } catch (error) {
+      console.log(`❌ Post-dated payment at height ${blockchain.chain.length} (${error.code}): ${error.message}`);
     }
-
-    const totalTime = (Date.now() - startTime) / 1000;
-    console.log(`✅ Block mined in ${totalTime.toFixed(2)} seconds! Hash: ${this.hash}\n`);
-  }
-}
-
-// Full Blockchain with UTXO tracking
-class Blockchain {
-  constructor() {
-    this.chain = [];
-    this.difficulty = 2;
-    this.miningReward = 50;
-    this.utxos = new Map(); // Track unspent transaction outputs
-    
-    // Create genesis block
-    this.createGenesisBlock();
-  }
-
-  createGenesisBlock() {
-    const genesisTx = Transaction.createCoinbaseTransaction('genesis', 0);
-    const genesisBlock = new Block([genesisTx], '0');
-    genesisBlock.mineBlock(this.difficulty);
-    
-    this.chain.push(genesisBlock);
-    this.updateUTXOs(genesisBlock);
-  }
-
-  getLatestBlock() {
-    return this.chain[this.chain.length - 1];
-  }
-
-  // Update UTXO set when a new block is added
-  updateUTXOs(block) {
-    for (const tx of block.transactions) {
-      // Remove spent UTXOs
-      for (const input of tx.inputs) {
-        const utxoKey = `${input.txHash}:${input.outputIndex}`;
-        this.utxos.delete(utxoKey);
-      }
-
-      // Add new UTXOs
-      for (let i = 0; i < tx.outputs.length; i++) {
-        const utxoKey = `${tx.hash}:${i}`;
-        this.utxos.set(utxoKey, {
-          txHash: tx.hash,
-          outputIndex: i,
-          output: tx.outputs[i]
-        });
-      }
+    mineAndReport(blockchain, [], miner.address);
+    mineAndReport(blockchain, [], miner.address);
+    blockchain.submitTransaction(postDated);
+    console.log(`✅ Accepted into the mempool once the next block is above height ${unlockHeight}`);
+    mineAndReport(blockchain, blockchain.mempool.getTransactions(), miner.address);
+
+    // HTLC: Bob can claim with the secret, Alice can refund after a timeout
+    const preimage = crypto.randomBytes(32);
+    const refundHeight = blockchain.chain.length + 10;
+    const htlc = htlcScript({
+      paymentHash: crypto.createHash('sha256').update(preimage).digest(),
+      recipientPubKeyHash: hash160(bob.publicKey),
+      refundPubKeyHash: hash160(alice.publicKey),
+      lockTime: refundHeight
+    });
+    mineAndReport(blockchain, [lockCoins(blockchain, alice, htlc, 5 * COIN)], miner.address);
+    const [htlcUTXO] = blockchain.getUTXOsForAddress(htlc);
+
+    const earlyRefund = spendLockedCoin(blockchain, htlcUTXO, alice, [OPS.OP_0], { lockTime: blockchain.chain.length - 1 });
+    try {
+      blockchain.checkTransaction(earlyRefund);
+    } catch (error) {
+      console.log(`❌ Alice refunding before height ${refundHeight} (${error.code}): ${error.message}`);
     }
-  }
 
-  // Get balance for an address
-  getBalance(address) {
-    let balance = 0;
-    for (const utxo of this.utxos.values()) {
-      if (utxo.output.address === address) {
-        balance += utxo.output.amount;
-      }
+    const claim = spendLockedCoin(blockchain, htlcUTXO, bob, [preimage, OPS.OP_1]);
+    console.log('Bob claiming with the preimage valid:', blockchain.validateTransaction(claim));
+    mineAndReport(blockchain, [claim], miner.address);
+
+    // CSV: coins Charlie can only move 3 blocks after they confirm, like
+    // the delayed output of a channel's commitment transaction
+    const delay = relativeLockSequence({ blocks: 3 });
+    const delayed = csvScript(delay, hash160(charlie.publicKey));
+    mineAndReport(blockchain, [lockCoins(blockchain, charlie, delayed, 2 * COIN)], miner.address);
+    const [delayedUTXO] = blockchain.getUTXOsForAddress(delayed);
+    const sweep = spendLockedCoin(blockchain, delayedUTXO, charlie, [], { sequence: delay });
+
+    let waited = 0;
+    while (!blockchain.validateTransaction(sweep)) {
+      blockchain.mineBlock([], miner.address);
+      waited++;
     }
-    return balance;
+    console.log(`✅ Charlie's sweep became valid after ${waited} more blocks (nSequence ${delay})`);
+    mineAndReport(blockchain, [sweep], miner.address);
+  } catch (error) {
+    console.log('❌ Time lock demo failed:', error.message);
   }
 
-  // Get UTXOs for an address
-  getUTXOsForAddress(address) {
-    const addressUTXOs = [];
-    for (const utxo of this.utxos.values()) {
-      if (utxo.output.address === address) {
-        addressUTXOs.push(utxo);
-      }
+  // Segwit moves signatures out of the part of a transaction the txid covers
+  console.log('=== Segregated Witness: txid vs wtxid, weight and fees ===');
+  try {
+    const dave = createUser('p2wpkh');
+    console.log('Dave (native segwit):', dave.address);
+    const toDave = blockchain.createTransaction(alice.address, dave.address, 10 * COIN, alice.privateKey, { feeRate: 2 });
+    mineAndReport(blockchain, [toDave], miner.address);
+
+    // The same payment from a legacy and a segwit coin at the same fee rate:
+    // witness bytes weigh a quarter, so the segwit one pays less
+    const fromLegacy = blockchain.createTransaction(alice.address, bob.address, 1 * COIN, alice.privateKey, { feeRate: 10 });
+    const fromSegwit = blockchain.createTransaction(dave.address, bob.address, 1 * COIN, dave.privateKey, { feeRate: 10 });
+    console.table([['P2PKH', fromLegacy], ['P2WPKH', fromSegwit]].map(([input, tx]) => ({
+      input,
+      bytes: tx.getSize(),
+      weight: tx.getWeight(),
+      vbytes: tx.getVirtualSize(),
+      fee: blockchain.checkTransaction(tx)
+    })));
+    console.log(`Segwit txid  ${fromSegwit.hash}`);
+    console.log(`Segwit wtxid ${fromSegwit.getWitnessHash()}`);
+
+    // Malleability: anyone relaying a legacy transaction can pad its
+    // scriptSig with an extra push. It stays valid under a new txid, which
+    // breaks any child already signed against the old one.
+    const padded = Transaction.fromHex(fromLegacy.toHex());
+    padded.setScriptSig(0, Buffer.concat([compileScript([OPS.OP_1]), padded.inputs[0].scriptSig]));
+    console.log(`Legacy with a padded scriptSig: valid ${blockchain.validateTransaction(padded)}, same txid ${padded.hash === fromLegacy.hash}`);
+
+    const paddedSegwit = Transaction.fromHex(fromSegwit.toHex());
+    paddedSegwit.setScriptSig(0, compileScript([OPS.OP_1]));
+    try {
+      blockchain.checkTransaction(paddedSegwit);
+    } catch (error) {
+      console.log(`❌ Segwit with a padded scriptSig (${error.code}): ${error.message}`);
     }
-    return addressUTXOs;
+    const stripped = Transaction.fromHex(fromSegwit.serialize({ witness: false }).toString('hex'));
+    console.log(`Segwit with its witness stripped: same txid ${stripped.hash === fromSegwit.hash}`);
+
+    // The block commits to the witnesses from its coinbase
+    blockchain.submitTransaction(fromLegacy);
+    blockchain.submitTransaction(fromSegwit);
+    const block = blockchain.minePendingTransactions(miner.address);
+    console.log(`⛏️  Block #${blockchain.chain.length - 1} weighs ${block.getWeight()} of ${blockchain.maxBlockWeight} units ` +
+      `(${block.getSize()} bytes, ${block.getBaseSize()} without witnesses)`);
+    console.log(`✅ Witness commitment in the coinbase: ${block.getWitnessCommitment().toString('hex').substring(0, 32)}...\n`);
+  } catch (error) {
+    console.log('❌ Segwit demo failed:', error.message);
   }
 
-  // Create a transaction
-  createTransaction(fromAddress, toAddress, amount, privateKey) {
-    const utxos = this.getUTXOsForAddress(fromAddress);
-    
-    // Calculate total available
-    let totalAvailable = 0;
-    for (const utxo of utxos) {
-      totalAvailable += utxo.output.amount;
-    }
-
-    if (totalAvailable < amount) {
-      throw new Error('Insufficient balance');
-    }
-
-    // Select UTXOs to spend
-    let totalInput = 0;
-    const inputs = [];
-    for (const utxo of utxos) {
-      inputs.push(new TransactionInput(utxo.txHash, utxo.outputIndex));
-      totalInput += utxo.output.amount;
-      if (totalInput >= amount) break;
-    }
-
-    // Create outputs
-    const outputs = [];
-    outputs.push(new TransactionOutput(toAddress, amount));
-
-    // Add change output if necessary
-    if (totalInput > amount) {
-      const change = totalInput - amount;
-      outputs.push(new TransactionOutput(fromAddress, change));
+  // Transactions normally wait in the mempool; miners pick them by fee rate
+  console.log('=== Mempool: fees, replace-by-fee and block templates ===');
+  try {
+    const lowFee = blockchain.createTransaction(alice.address, bob.address, 5 * COIN, alice.privateKey, { feeRate: 2 });
+    const highFee = blockchain.createTransaction(bob.address, charlie.address, 5 * COIN, bob.privateKey, { feeRate: 20 });
+    blockchain.submitTransaction(lowFee);
+    blockchain.submitTransaction(highFee);
+    console.log(`Mempool holds ${blockchain.mempool.size} transactions`);
+    for (const tx of blockchain.mempool.buildBlockTemplate(blockchain.maxBlockWeight).transactions) {
+      const entry = blockchain.mempool.entries.get(tx.hash);
+      console.log(`  ${tx.hash.substring(0, 16)}... fee ${entry.fee} sat (${entry.feeRate.toFixed(1)} sat/vB)`);
     }
 
-    // Create and sign transaction
-    const tx = new Transaction(inputs, outputs);
-    const privateKeys = inputs.map(() => privateKey); // Same key for all inputs in this simple example
-    tx.signInputs(privateKeys);
-
-    return tx;
+    // Charlie signals RBF, then bumps the fee on the same payment
+    const [charlieUTXO] = spendableUTXOs(blockchain, charlie.address);
+    const pay = fee => blockchain.buildTransaction([charlieUTXO], [
+      new TransactionOutput(alice.address, 10 * COIN),
+      new TransactionOutput(charlie.address, charlieUTXO.output.amount - 10 * COIN - fee)
+    ], [charlie.privateKey], { replaceable: true });
+    blockchain.submitTransaction(pay(400));
+    const { replaced } = blockchain.submitTransaction(pay(10000));
+    console.log(`RBF: fee bumped from 400 to 10000 sat, replaced ${replaced.length} transaction`);
+
+    const block = blockchain.minePendingTransactions(alice.address);
+    const fees = block.transactions[0].outputs[0].amount - blockchain.miningReward;
+    console.log(`⛏️  Block #${blockchain.chain.length - 1} mined from the mempool with ${block.transactions.length - 1} transactions`);
+    console.log(`✅ Coinbase claims subsidy + ${fees} sat in fees; mempool now holds ${blockchain.mempool.size}\n`);
+  } catch (error) {
+    console.log('❌ Mempool demo failed:', error.message);
   }
 
-  // Mine a block with transactions
-  mineBlock(transactions, minerAddress) {
-    // Add coinbase transaction for miner reward
-    const coinbaseTx = Transaction.createCoinbaseTransaction(minerAddress, this.miningReward);
-    const allTransactions = [coinbaseTx, ...transactions];
-
-    const block = new Block(allTransactions, this.getLatestBlock().hash);
-    block.mineBlock(this.difficulty);
-    
-    this.chain.push(block);
-    this.updateUTXOs(block);
-    
-    return block;
+  // A block spending the same output twice is rejected before any mining
+  console.log('=== Double-Spend Attempt: Charlie pays Alice and Bob with the same coins ===');
+  try {
+    const [charlieUTXO] = spendableUTXOs(blockchain, charlie.address);
+    const toAlice = blockchain.buildTransaction([charlieUTXO], [
+      new TransactionOutput(alice.address, charlieUTXO.output.amount)
+    ], [charlie.privateKey]);
+    const toBob = blockchain.buildTransaction([charlieUTXO], [
+      new TransactionOutput(bob.address, charlieUTXO.output.amount)
+    ], [charlie.privateKey]);
+    console.log('Each valid on its own:', blockchain.validateTransaction(toAlice), blockchain.validateTransaction(toBob));
+    mineAndReport(blockchain, [toAlice, toBob], charlie.address);
+  } catch (error) {
+    console.log(`❌ Block rejected (${error.code}): ${error.message.substring(0, 60)}...\n`);
   }
 
-  // Validate a transaction
-  validateTransaction(tx, blockchain) {
-    // Skip validation for coinbase transactions
-    if (tx.inputs.length === 0) return true;
-
-    for (let i = 0; i < tx.inputs.length; i++) {
-      const input = tx.inputs[i];
-      const utxoKey = `${input.txHash}:${input.outputIndex}`;
-      const utxo = this.utxos.get(utxoKey);
-
-      if (!utxo) {
-        console.log('❌ UTXO not found:', utxoKey);
-        return false;
-      }
-
-      // Verify signature
-      const dataToSign = tx.hash + i;
-      if (!verifySignature(dataToSign, input.signature, utxo.output.address)) {
-        console.log('❌ Invalid signature for input', i);
-        return false;
-      }
-    }
-
-    return true;
+  // A second node with the same history mines a longer branch in private
+  console.log('=== Fork and Reorg: a rival miner overtakes the chain ===');
+  const rival = new Blockchain();
+  for (const block of blockchain.chain.slice(1)) rival.addBlock(block);
+
+  const payment = blockchain.createTransaction(alice.address, charlie.address, 3 * COIN, alice.privateKey, { feeRate: 2 });
+  blockchain.submitTransaction(payment);
+  mineAndReport(blockchain, blockchain.mempool.getTransactions(), alice.address);
+  console.log(`Payment to Charlie confirmed at height ${blockchain.chain.length - 1}`);
+
+  rival.mineBlock([], bob.address);
+  rival.mineBlock([], bob.address);
+  console.log(`Rival branch: 2 blocks, chainwork ${rival.getChainWork()} vs ours ${blockchain.getChainWork()}`);
+
+  for (const block of rival.chain.slice(-2)) blockchain.addBlock(block);
+  console.log(`Reorganized to the rival tip ${blockchain.getLatestBlock().hash.substring(0, 16)}... at height ${blockchain.chain.length - 1}`);
+  console.log('Chain tips:');
+  for (const tip of blockchain.getChainTips()) {
+    console.log(`  ${tip.status.padEnd(12)} height ${tip.height}, branch length ${tip.branchLength}`);
+  }
+  console.log(`Payment back in the mempool: ${blockchain.mempool.has(payment.hash)}`);
+  mineAndReport(blockchain, blockchain.mempool.getTransactions(), charlie.address);
+
+  // Different coin selection strategies fund the same payment differently
+  console.log('=== Coin Selection: Bob pays 12 coins at 10 sat/vB ===');
+  const bobUTXOs = blockchain.getUTXOsForAddress(bob.address);
+  console.log(`Bob's wallet: ${bobUTXOs.map(utxo => utxo.output.amount / COIN).join(', ')} coins`);
+  console.table(compareStrategies(bobUTXOs, {
+    target: 12 * COIN,
+    feeRate: 10,
+    baseSize: TX_OVERHEAD_SIZE + P2PKH_OUTPUT_SIZE,
+    changeSize: P2PKH_OUTPUT_SIZE
+  }));
+  console.log();
+
+  // Blocks and the UTXO set survive a restart when kept in a data directory
+  console.log('=== Persistence: block files and the UTXO database ===');
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitcoin-mastery-'));
+  try {
+    const node = new Blockchain({ dataDir });
+    for (const block of blockchain.chain.slice(1)) node.addBlock(block);
+    node.flush();
+    console.log(`Stored ${node.blockStore.size} blocks and ${node.utxos.size} coins in ${dataDir}`);
+
+    const restarted = new Blockchain({ dataDir });
+    console.log(`Restarted node replayed and verified ${restarted.chain.length} blocks`);
+    console.log(`Same tip: ${restarted.getLatestBlock().hash === blockchain.getLatestBlock().hash}, ` +
+      `Charlie's balance: ${restarted.getBalance(charlie.address) / COIN} coins\n`);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
   }
-}
-
-// --- Demonstration ---
 
-console.log('=== Full Bitcoin Transaction System ===\n');
-
-// Create blockchain
-const blockchain = new Blockchain();
-
-// Create users
-const alice = generateKeyPair();
-const bob = generateKeyPair();
-const charlie = generateKeyPair();
-
-console.log('👥 Users created:');
-console.log('Alice:', alice.publicKey.substring(27, 47) + '...');
-console.log('Bob:', bob.publicKey.substring(27, 47) + '...');
-console.log('Charlie:', charlie.publicKey.substring(27, 47) + '...\n');
-
-// Mine initial blocks to give users some coins
-console.log('=== Initial Mining ===');
-blockchain.mineBlock([], alice.publicKey); // Alice gets 50 coins
-blockchain.mineBlock([], bob.publicKey);   // Bob gets 50 coins
-
-console.log('💰 Initial Balances:');
-console.log(`Alice: ${blockchain.getBalance(alice.publicKey)} coins`);
-console.log(`Bob: ${blockchain.getBalance(bob.publicKey)} coins`);
-console.log(`Charlie: ${blockchain.getBalance(charlie.publicKey)} coins\n`);
-
-// Alice sends 30 coins to Charlie
-console.log('=== Transaction 1: Alice → Charlie (30 coins) ===');
-try {
-  const tx1 = blockchain.createTransaction(alice.publicKey, charlie.publicKey, 30, alice.privateKey);
-  console.log('✅ Transaction created and signed');
-  console.log('Transaction hash:', tx1.hash);
-  console.log('Valid:', blockchain.validateTransaction(tx1));
-  
-  // Mine the transaction
-  blockchain.mineBlock([tx1], bob.publicKey); // Bob mines and gets reward
-  console.log('✅ Transaction mined into blockchain\n');
-} catch (error) {
-  console.log('❌ Transaction failed:', error.message);
+  // Final balances
+  console.log('=== Final Results ===');
+  console.log('💰 Final Balances:');
+  console.log(`Alice: ${blockchain.getBalance(alice.address) / COIN} coins`);
+  console.log(`Bob: ${blockchain.getBalance(bob.address) / COIN} coins`);
+  console.log(`Charlie: ${blockchain.getBalance(charlie.address) / COIN} coins\n`);
+
+  console.log('📊 Blockchain Stats:');
+  console.log(`Total blocks: ${blockchain.chain.length}`);
+  console.log(`Total UTXOs: ${blockchain.utxos.size}`);
+  console.log(`Difficulty: ${blockchain.getDifficulty()} (bits 0x${blockchain.getLatestBlock().bits.toString(16)})`);
+  console.log(`Chainwork: ${blockchain.getChainWork()} expected hashes`);
+  console.log(`Chain valid (replayed from genesis): ${blockchain.isChainValid()}`);
+
+  console.log('\n💡 Key Features Demonstrated:');
+  console.log('✅ UTXO-based transaction model');
+  console.log('✅ Digital signatures for authentication');
+  console.log('✅ Mining rewards and incentives');
+  console.log('✅ Transaction and block validation (double-spends rejected)');
+  console.log('✅ Script locking: P2PKH, bare multisig and OP_RETURN data');
+  console.log('✅ Change outputs (automatic)');
+  console.log('✅ Time locks: nLockTime, CLTV/CSV scripts, HTLCs and coinbase maturity');
+  console.log('✅ Segregated witness: wtxids, witness commitments and weight-limited blocks');
+  console.log('✅ Mempool with fee-rate block templates and replace-by-fee');
+  console.log('✅ Block tree with most-work chain selection and reorgs');
+  console.log('✅ Pluggable coin selection (largest-first, branch-and-bound, knapsack, random-improve)');
+  console.log('✅ Block files and a UTXO database that reload and re-verify on startup');
+  console.log('✅ Complete blockchain integrity');
 }
 
-// Bob sends 25 coins to Charlie
-console.log('=== Transaction 2: Bob → Charlie (25 coins) ===');
-try {
-  const tx2 = blockchain.createTransaction(bob.publicKey, charlie.publicKey, 25, bob.privateKey);
-  console.log('✅ Transaction created and signed');
-  console.log('Valid:', blockchain.validateTransaction(tx2));
-  
-  blockchain.mineBlock([tx2], alice.publicKey); // Alice mines and gets reward
-  console.log('✅ Transaction mined into blockchain\n');
-} catch (error) {
-  console.log('❌ Transaction failed:', error.message);
-}
+module.exports = {
+  demonstrateFullTransactionSystem
+};
 
-// Charlie sends 40 coins to Alice
-console.log('=== Transaction 3: Charlie → Alice (40 coins) ===');
-try {
-  const tx3 = blockchain.createTransaction(charlie.publicKey, alice.publicKey, 40, charlie.privateKey);
-  console.log('✅ Transaction created and signed');
-  console.log('Valid:', blockchain.validateTransaction(tx3));
-  
-  blockchain.mineBlock([tx3], charlie.publicKey); // Charlie mines and gets reward
-  console.log('✅ Transaction mined into blockchain\n');
-} catch (error) {
-  console.log('❌ Transaction failed:', error.message);
+if (require.main === module) {
+  demonstrateFullTransactionSystem();
 }
-
-// Final balances
-console.log('=== Final Results ===');
-console.log('💰 Final Balances:');
-console.log(`Alice: ${blockchain.getBalance(alice.publicKey)} coins`);
-console.log(`Bob: ${blockchain.getBalance(bob.publicKey)} coins`);
-console.log(`Charlie: ${blockchain.getBalance(charlie.publicKey)} coins\n`);
-
-console.log('📊 Blockchain Stats:');
-console.log(`Total blocks: ${blockchain.chain.length}`);
-console.log(`Total UTXOs: ${blockchain.utxos.size}`);
-console.log(`Difficulty: ${blockchain.difficulty}`);
-
-console.log('\n💡 Key Features Demonstrated:');
-console.log('✅ UTXO-based transaction model');
-console.log('✅ Digital signatures for authentication');
-console.log('✅ Mining rewards and incentives');
-console.log('✅ Transaction validation');
-console.log('✅ Change outputs (automatic)');
-console.log('✅ Complete blockchain integrity');
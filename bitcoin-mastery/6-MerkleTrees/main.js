@@ -1,291 +1,211 @@
-const crypto = require('crypto');
-
-function sha256(data) {
-  return crypto.createHash('sha256').update(data).digest('hex');
-}
-
-// Merkle Tree Node
-class MerkleNode {
-  constructor(data, left = null, right = null) {
-    this.left = left;
-    this.right = right;
-    
-    if (left && right) {
-      // Internal node: hash of left + right
-      this.hash = sha256(left.hash + right.hash);
-      this.data = null;
-    } else {
-      // Leaf node: hash of data
-      this.hash = sha256(data);
-      this.data = data;
-    }
-  }
-}
-
-// Merkle Tree implementation
-class MerkleTree {
-  constructor(transactions) {
-    this.transactions = transactions;
-    this.root = this.buildTree(transactions);
-  }
-
-  buildTree(transactions) {
-    if (transactions.length === 0) {
-      return null;
-    }
-
-    // Create leaf nodes
-    let nodes = transactions.map(tx => new MerkleNode(tx));
-
-    // Build tree bottom-up
-    while (nodes.length > 1) {
-      const nextLevel = [];
-
-      for (let i = 0; i < nodes.length; i += 2) {
-        const left = nodes[i];
-        const right = nodes[i + 1] || nodes[i]; // Duplicate last node if odd number
-
-        nextLevel.push(new MerkleNode(null, left, right));
-      }
-
-      nodes = nextLevel;
-    }
-
-    return nodes[0];
-  }
-
-  // Get the Merkle root hash
-  getRootHash() {
-    return this.root ? this.root.hash : null;
-  }
-
-  // Generate a Merkle proof for a specific transaction
-  generateProof(targetTx) {
-    const proof = [];
-    
-    function findPath(node, target, currentProof) {
-      if (!node) return false;
-
-      // If this is a leaf node
-      if (node.data !== null) {
-        return node.data === target;
-      }
-
-      // Check left subtree
-      if (findPath(node.left, target, currentProof)) {
-        if (node.right) {
-          currentProof.push({ hash: node.right.hash, position: 'right' });
-        }
-        return true;
-      }
-
-      // Check right subtree
-      if (findPath(node.right, target, currentProof)) {
-        if (node.left) {
-          currentProof.push({ hash: node.left.hash, position: 'left' });
-        }
-        return true;
-      }
-
-      return false;
-    }
-
-    findPath(this.root, targetTx, proof);
-    return proof.reverse(); // Reverse to get path from leaf to root
-  }
-
-  // Verify a Merkle proof
-  static verifyProof(transaction, proof, rootHash) {
-    let currentHash = sha256(transaction);
-
-    for (const step of proof) {
-      if (step.position === 'left') {
-        currentHash = sha256(step.hash + currentHash);
-      } else {
-        currentHash = sha256(currentHash + step.hash);
-      }
-    }
-
-    return currentHash === rootHash;
-  }
-
-  // Visualize the tree structure
-  printTree(node = this.root, prefix = '', isLeft = true) {
-    if (!node) return;
-
-    console.log(prefix + (isLeft ? '├── ' : '└── ') + 
-                (node.data ? `LEAF: ${node.data}` : `NODE: ${node.hash.substring(0, 16)}...`));
-
-    if (node.left || node.right) {
-      if (node.left) {
-        this.printTree(node.left, prefix + (isLeft ? '│   ' : '    '), true);
-      }
-      if (node.right) {
-        this.printTree(node.right, prefix + (isLeft ? '│   ' : '    '), false);
-      }
-    }
-  }
+const {
+  MerkleTree,
+  PartialMerkleTree,
+  Block,
+  LightClient,
+  transactionId
+} = require('../core');
+
+// Bitcoin block 100000: its four txids and the Merkle root in its header
+const BLOCK_100000_TXIDS = [
+  '8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87',
+  'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4',
+  '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+  'e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d'
+];
+const BLOCK_100000_MERKLE_ROOT = 'f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766';
+
+// Mine a block on `parent`. Its timestamp must be later than the median of
+// the last 11 headers, which blocks mined in the same millisecond are not.
+function mineBlockOn(parent, transactions) {
+  const block = new Block(transactions, parent.hash);
+  block.timestamp = Math.max(block.timestamp, parent.timestamp + 1);
+  block.mineBlock();
+  return block;
 }
 
-// Block with Merkle Tree
-class Block {
-  constructor(transactions, previousHash = '') {
-    this.timestamp = Date.now();
-    this.transactions = transactions;
-    this.previousHash = previousHash;
-    this.merkleTree = new MerkleTree(transactions);
-    this.merkleRoot = this.merkleTree.getRootHash();
-    this.nonce = 0;
-    this.hash = this.calculateHash();
-  }
+// --- Demonstration ---
 
-  calculateHash() {
-    return sha256(
-      this.previousHash +
-      this.timestamp +
-      this.merkleRoot +
-      this.nonce
-    );
+function demonstrateMerkleTrees() {
+  console.log('=== Merkle Trees & SPV Demo ===\n');
+
+  // Create some sample transactions
+  const transactions = [
+    'Alice → Bob: 10 BTC',
+    'Bob → Charlie: 5 BTC',
+    'Charlie → Dave: 3 BTC',
+    'Dave → Eve: 2 BTC',
+    'Eve → Frank: 1 BTC',
+    'Frank → Alice: 0.5 BTC',
+    'Alice → Charlie: 7 BTC',
+    'Bob → Dave: 4 BTC'
+  ];
+
+  console.log('📝 Sample Transactions:');
+  transactions.forEach((tx, i) => {
+    console.log(`${i + 1}. ${tx}`);
+  });
+  console.log();
+
+  // Create Merkle tree
+  console.log('🌳 Building Merkle Tree...');
+  const merkleTree = new MerkleTree(transactions);
+  console.log('✅ Merkle tree built successfully');
+  console.log('🔗 Merkle Root:', merkleTree.getRootHash());
+  console.log();
+
+  // Visualize the tree
+  console.log('🌲 Tree Structure:');
+  merkleTree.printTree();
+  console.log();
+
+  // Create a block with these transactions on top of a genesis block, both
+  // mined so a light client will accept their headers
+  const genesis = new Block(['Genesis'], '0');
+  genesis.mineBlock();
+  const block = mineBlockOn(genesis, transactions);
+  console.log('📦 Block created with Merkle root:', block.merkleRoot);
+  console.log('   (blocks build Bitcoin\'s tree: double SHA-256 over each transaction\'s id)');
+  console.log();
+
+  // Test Merkle proofs
+  console.log('=== Merkle Proof Demo ===');
+  const targetTransaction = 'Charlie → Dave: 3 BTC';
+  console.log(`🎯 Proving transaction: "${targetTransaction}"`);
+
+  const targetIndex = transactions.indexOf(targetTransaction);
+  const proof = block.createTransactionProof(targetIndex);
+  console.log(`   txid ${transactionId(targetTransaction)} at index ${targetIndex}`);
+  console.log('📄 Merkle Proof:');
+  proof.forEach((step, i) => {
+    console.log(`  ${i + 1}. Hash: ${step.hash.substring(0, 16)}... (${step.position})`);
+  });
+  console.log();
+
+  // Verify the proof
+  const isValid = block.verifyTransactionProof(targetTransaction, proof);
+  console.log('✅ Proof verification:', isValid ? 'VALID' : 'INVALID');
+  console.log();
+
+  // Test with invalid transaction
+  console.log('=== Invalid Transaction Test ===');
+  const fakeTransaction = 'Hacker → Victim: 1000 BTC';
+  const fakeProof = block.createTransactionProof(fakeTransaction);
+  const fakeIsValid = block.verifyTransactionProof(fakeTransaction, fakeProof);
+  console.log(`🎯 Testing fake transaction: "${fakeTransaction}"`);
+  console.log('✅ Proof verification:', fakeIsValid ? 'VALID' : 'INVALID');
+  console.log();
+
+  // The same construction reproduces a real block's Merkle root
+  console.log('=== Bitcoin Mode: Block 100000 ===');
+  const bitcoinTree = new MerkleTree(BLOCK_100000_TXIDS, { mode: 'bitcoin' });
+  console.log('🔗 Computed root: ', bitcoinTree.getRootHash());
+  console.log('🔗 Header root:   ', BLOCK_100000_MERKLE_ROOT);
+  console.log('✅ Matches mainnet:', bitcoinTree.getRootHash() === BLOCK_100000_MERKLE_ROOT ? 'YES' : 'NO');
+  const indexProof = bitcoinTree.generateProof(2);
+  const indexValid = MerkleTree.verifyProof(BLOCK_100000_TXIDS[2], indexProof, BLOCK_100000_MERKLE_ROOT, { mode: 'bitcoin' });
+  console.log(`✅ Proof for transaction #2 (${indexProof.length} hashes):`, indexValid ? 'VALID' : 'INVALID');
+  console.log();
+
+  // One BIP37 partial tree proves several transactions at once
+  console.log('=== Partial Merkle Tree (BIP37 merkleblock) ===');
+  const partial = PartialMerkleTree.fromTxids(BLOCK_100000_TXIDS, [false, true, false, true]);
+  const encoded = partial.serialize();
+  console.log(`📄 Proving transactions #1 and #3: ${partial.hashes.length} hashes, flag bits ${partial.flags.map(Number).join('')}`);
+  console.log(`📦 Encoded in ${encoded.length} bytes: ${encoded.toString('hex').substring(0, 48)}...`);
+  const extracted = PartialMerkleTree.deserialize(encoded).extractMatches();
+  console.log('✅ Root rebuilt from the partial tree:', extracted.root === BLOCK_100000_MERKLE_ROOT ? 'VALID' : 'INVALID');
+  extracted.matches.forEach(match => {
+    console.log(`   matched #${match.index}: ${match.txid.substring(0, 16)}...`);
+  });
+  console.log();
+
+  // CVE-2012-2459: an odd level duplicates its last hash, so repeating the
+  // last transaction gives a different list with the same root
+  console.log('=== Duplicate-Leaf Mutation (CVE-2012-2459) ===');
+  const three = BLOCK_100000_TXIDS.slice(0, 3);
+  const mutated = [...three, three[2]];
+  const honestTree = new MerkleTree(three, { mode: 'bitcoin' });
+  const mutatedTree = new MerkleTree(mutated, { mode: 'bitcoin' });
+  console.log('⚠️  3 transactions and the same 3 with the last repeated share a root:',
+    honestTree.getRootHash() === mutatedTree.getRootHash());
+  console.log('🛡️  Mutation detected in the repeated list:', mutatedTree.mutated, '(blocks like this are rejected)');
+  const mutatedPartial = PartialMerkleTree.fromTxids(mutated, [false, false, false, true]);
+  console.log('🛡️  Partial tree over the repeated list:', mutatedPartial.extractMatches() ? 'ACCEPTED' : 'REJECTED');
+  console.log();
+
+  // SPV (Simplified Payment Verification) Demo
+  console.log('=== SPV Light Client Demo ===');
+  const lightClient = new LightClient();
+
+  // Light client only downloads block headers, checking each one's proof of
+  // work and link to its parent
+  lightClient.addBlockHeader(genesis);
+  lightClient.addBlockHeader(block);
+  console.log(`📱 Light client downloaded ${lightClient.blockHeaders.length} block headers (not full blocks)`);
+  console.log('💾 Storage saved: ~99.9% (only header vs full block with all transactions)');
+  console.log();
+
+  // Someone sends the light client a proof
+  console.log('🔍 Light client verifying transaction with just header + proof...');
+  const spvResult = lightClient.verifyTransaction(targetTransaction, block.hash, proof);
+  console.log('✅ SPV verification:', spvResult ? 'VALID' : 'INVALID');
+
+  // Each block mined on top buries the transaction under more work
+  let parent = block;
+  for (let i = 1; i <= 2; i++) {
+    parent = mineBlockOn(parent, [`Block ${i + 1}`]);
+    lightClient.addBlockHeader(parent);
   }
-
-  // Create a proof that a transaction is in this block
-  createTransactionProof(transaction) {
-    return this.merkleTree.generateProof(transaction);
+  console.log(`⛓️  Confirmations after 2 more headers: ${lightClient.getTransactionConfirmations(targetTransaction, block.hash, proof)}`);
+  console.log('   (one confirmation needs a few hundred hashes here, but ~10^23 on mainnet)');
+
+  // A header claiming a low hash it does not actually have is refused
+  const forged = { ...block.getHeader(), merkleRoot: transactionId(fakeTransaction), hash: '0'.repeat(64) };
+  try {
+    lightClient.addBlockHeader(forged);
+  } catch (error) {
+    console.log(`🛡️  Forged header rejected: ${error.code}`);
   }
 
-  // Verify a transaction proof against this block
-  verifyTransactionProof(transaction, proof) {
-    return MerkleTree.verifyProof(transaction, proof, this.merkleRoot);
+  // A competing branch with more work replaces the active header chain
+  let rival = genesis;
+  for (let i = 1; i <= 4; i++) {
+    rival = mineBlockOn(rival, [`Rival block ${i}`]);
+    lightClient.addBlockHeader(rival);
   }
+  console.log(`🔀 A 4-block rival branch from genesis outweighs ours; the tip is now ${lightClient.getTip().hash.substring(0, 16)}...`);
+  console.log(`   Confirmations of the transaction: ${lightClient.getTransactionConfirmations(targetTransaction, block.hash, proof)} (its block left the most-work chain)`);
+  console.log();
+
+  // Show efficiency comparison
+  console.log('=== Efficiency Comparison ===');
+  const fullBlockSize = JSON.stringify(transactions).length;
+  const headerSize = JSON.stringify({
+    hash: block.hash,
+    merkleRoot: block.merkleRoot,
+    timestamp: block.timestamp
+  }).length;
+  const proofSize = JSON.stringify(proof).length;
+
+  console.log(`📊 Full block size: ${fullBlockSize} bytes`);
+  console.log(`📊 Header + proof size: ${headerSize + proofSize} bytes`);
+  console.log(`📊 Space savings: ${(((fullBlockSize - headerSize - proofSize) / fullBlockSize) * 100).toFixed(1)}%`);
+  console.log();
+
+  console.log('💡 Key Benefits of Merkle Trees:');
+  console.log('✅ Efficient transaction verification without downloading full blocks');
+  console.log('✅ Tamper-evident: any change in transactions changes the root');
+  console.log('✅ Logarithmic proof size: O(log n) vs O(n) for n transactions');
+  console.log('✅ Enables lightweight SPV clients (mobile wallets)');
+  console.log('✅ Partial trees prove many transactions with one set of hashes');
+  console.log('✅ Scalability: massive blocks with tiny proofs');
 }
 
-// Light client that only stores block headers
-class LightClient {
-  constructor() {
-    this.blockHeaders = []; // Only store headers, not full blocks
-  }
+module.exports = {
+  demonstrateMerkleTrees
+};
 
-  addBlockHeader(block) {
-    const header = {
-      hash: block.hash,
-      previousHash: block.previousHash,
-      merkleRoot: block.merkleRoot,
-      timestamp: block.timestamp
-    };
-    this.blockHeaders.push(header);
-  }
-
-  // Verify a transaction using SPV
-  verifyTransaction(transaction, blockIndex, proof) {
-    const header = this.blockHeaders[blockIndex];
-    if (!header) {
-      console.log('❌ Block header not found');
-      return false;
-    }
-
-    return MerkleTree.verifyProof(transaction, proof, header.merkleRoot);
-  }
+if (require.main === module) {
+  demonstrateMerkleTrees();
 }
-
-// --- Demonstration ---
-
-console.log('=== Merkle Trees & SPV Demo ===\n');
-
-// Create some sample transactions
-const transactions = [
-  'Alice → Bob: 10 BTC',
-  'Bob → Charlie: 5 BTC',
-  'Charlie → Dave: 3 BTC',
-  'Dave → Eve: 2 BTC',
-  'Eve → Frank: 1 BTC',
-  'Frank → Alice: 0.5 BTC',
-  'Alice → Charlie: 7 BTC',
-  'Bob → Dave: 4 BTC'
-];
-
-console.log('📝 Sample Transactions:');
-transactions.forEach((tx, i) => {
-  console.log(`${i + 1}. ${tx}`);
-});
-console.log();
-
-// Create Merkle tree
-console.log('🌳 Building Merkle Tree...');
-const merkleTree = new MerkleTree(transactions);
-console.log('✅ Merkle tree built successfully');
-console.log('🔗 Merkle Root:', merkleTree.getRootHash());
-console.log();
-
-// Visualize the tree
-console.log('🌲 Tree Structure:');
-merkleTree.printTree();
-console.log();
-
-// Create a block with these transactions
-const block = new Block(transactions, 'previous_block_hash');
-console.log('📦 Block created with Merkle root:', block.merkleRoot);
-console.log();
-
-// Test Merkle proofs
-console.log('=== Merkle Proof Demo ===');
-const targetTransaction = 'Charlie → Dave: 3 BTC';
-console.log(`🎯 Proving transaction: "${targetTransaction}"`);
-
-const proof = block.createTransactionProof(targetTransaction);
-console.log('📄 Merkle Proof:');
-proof.forEach((step, i) => {
-  console.log(`  ${i + 1}. Hash: ${step.hash.substring(0, 16)}... (${step.position})`);
-});
-console.log();
-
-// Verify the proof
-const isValid = block.verifyTransactionProof(targetTransaction, proof);
-console.log('✅ Proof verification:', isValid ? 'VALID' : 'INVALID');
-console.log();
-
-// Test with invalid transaction
-console.log('=== Invalid Transaction Test ===');
-const fakeTransaction = 'Hacker → Victim: 1000 BTC';
-const fakeProof = block.createTransactionProof(fakeTransaction);
-const fakeIsValid = block.verifyTransactionProof(fakeTransaction, fakeProof);
-console.log(`🎯 Testing fake transaction: "${fakeTransaction}"`);
-console.log('✅ Proof verification:', fakeIsValid ? 'VALID' : 'INVALID');
-console.log();
-
-// SPV (Simplified Payment Verification) Demo
-console.log('=== SPV Light Client Demo ===');
-const lightClient = new LightClient();
-
-// Light client only downloads block header
-lightClient.addBlockHeader(block);
-console.log('📱 Light client downloaded block header (not full block)');
-console.log('💾 Storage saved: ~99.9% (only header vs full block with all transactions)');
-console.log();
-
-// Someone sends the light client a proof
-console.log('🔍 Light client verifying transaction with just header + proof...');
-const spvResult = lightClient.verifyTransaction(targetTransaction, 0, proof);
-console.log('✅ SPV verification:', spvResult ? 'VALID' : 'INVALID');
-console.log();
-
-// Show efficiency comparison
-console.log('=== Efficiency Comparison ===');
-const fullBlockSize = JSON.stringify(transactions).length;
-const headerSize = JSON.stringify({
-  hash: block.hash,
-  merkleRoot: block.merkleRoot,
-  timestamp: block.timestamp
-}).length;
-const proofSize = JSON.stringify(proof).length;
-
-console.log(`📊 Full block size: ${fullBlockSize} bytes`);
-console.log(`📊 Header + proof size: ${headerSize + proofSize} bytes`);
-console.log(`📊 Space savings: ${(((fullBlockSize - headerSize - proofSize) / fullBlockSize) * 100).toFixed(1)}%`);
-console.log();
-
-console.log('💡 Key Benefits of Merkle Trees:');
-console.log('✅ Efficient transaction verification without downloading full blocks');
-console.log('✅ Tamper-evident: any change in transactions changes the root');
-console.log('✅ Logarithmic proof size: O(log n) vs O(n) for n transactions');
-console.log('✅ Enables lightweight SPV clients (mobile wallets)');
-console.log('✅ Scalability: massive blocks with tiny proofs');
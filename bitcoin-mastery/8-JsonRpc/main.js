@@ -0,0 +1,140 @@
+const http = require('http');
+const { COIN, Blockchain, HDWallet, RpcServer } = require('../core');
+
+const RPC_USER = 'student';
+const RPC_PASSWORD = 'satoshi';
+
+// POST one JSON-RPC request (or a batch) the way bitcoin-cli does and
+// resolve to { status, body }
+function post(port, payload, { user = RPC_USER, password = RPC_PASSWORD } = {}) {
+  const data = JSON.stringify(payload);
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method: 'POST',
+      auth: `${user}:${password}`,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+let nextId = 0;
+
+// Call one method; resolves to the result, rejects with the RPC error
+async function rpc(port, method, ...params) {
+  const { body } = await post(port, { id: ++nextId, method, params });
+  if (body.error) throw Object.assign(new Error(body.error.message), { code: body.error.code });
+  return body.result;
+}
+
+const short = hash => `${hash.substring(0, 16)}...`;
+
+// --- Demonstration ---
+
+async function demonstrateJsonRpc() {
+  console.log('=== JSON-RPC Demo ===\n');
+
+  // A regtest chain with bitcoind's 100-block coinbase maturity, and a
+  // wallet for the wallet RPCs
+  const blockchain = new Blockchain();
+  const wallet = HDWallet.generate({ network: 'regtest' });
+  const server = new RpcServer({ blockchain, wallet, user: RPC_USER, password: RPC_PASSWORD });
+
+  try {
+    const port = await server.listen();
+    console.log(`🌐 RPC server on http://127.0.0.1:${port}/ (user "${RPC_USER}")`);
+    console.log(`   Try: curl --user ${RPC_USER}:${RPC_PASSWORD} -d '{"id":1,"method":"getblockchaininfo","params":[]}' http://127.0.0.1:${port}/\n`);
+
+    console.log('=== Chain State ===');
+    const info = await rpc(port, 'getblockchaininfo');
+    console.log(`⛓️  chain=${info.chain} blocks=${info.blocks} bestblockhash=${short(info.bestblockhash)} difficulty=${info.difficulty}`);
+    console.log();
+
+    console.log('=== Mining with generatetoaddress ===');
+    const miner = await rpc(port, 'getnewaddress', '', 'bech32');
+    const hashes = await rpc(port, 'generatetoaddress', 101, miner);
+    console.log(`⛏️  Mined ${hashes.length} blocks to ${miner}`);
+    console.log(`💰 getbalance: ${await rpc(port, 'getbalance')} BTC (only the first reward has matured)`);
+    const [coin] = await rpc(port, 'listunspent');
+    console.log(`📋 listunspent: ${coin.amount} BTC in ${short(coin.txid)}:${coin.vout} with ${coin.confirmations} confirmations`);
+    console.log();
+
+    console.log('=== Sending a Raw Transaction ===');
+    const recipient = await rpc(port, 'getnewaddress', '', 'legacy');
+    const tx = blockchain.createTransaction(miner, recipient, 10 * COIN, wallet.getPrivateKey(miner), { feeRate: 2 });
+    const txid = await rpc(port, 'sendrawtransaction', tx.toHex());
+    console.log(`📤 sendrawtransaction accepted ${short(txid)}`);
+
+    let decoded = await rpc(port, 'getrawtransaction', txid, true);
+    console.log(`🔎 getrawtransaction (mempool): size ${decoded.size}, vsize ${decoded.vsize}, ${decoded.vin.length} input(s) with a witness`);
+    for (const output of decoded.vout) {
+      console.log(`   vout ${output.n}: ${output.value} BTC to ${output.scriptPubKey.address} (${output.scriptPubKey.type})`);
+    }
+
+    const [blockHash] = await rpc(port, 'generatetoaddress', 1, miner);
+    decoded = await rpc(port, 'getrawtransaction', txid, true);
+    console.log(`✅ Mined in ${short(decoded.blockhash)}, ${decoded.confirmations} confirmation(s)`);
+
+    const block = await rpc(port, 'getblock', blockHash, 2);
+    console.log(`🧱 getblock: height ${block.height}, ${block.nTx} transactions, weight ${block.weight}, bits ${block.bits}`);
+    console.log(`   coinbase pays ${block.tx[0].vout[0].value} BTC (subsidy plus fees)`);
+    console.log();
+
+    console.log('=== Errors, as bitcoind reports them ===');
+    const attempts = [
+      ['sendrawtransaction (again)', () => rpc(port, 'sendrawtransaction', tx.toHex())],
+      ['sendrawtransaction (bad hex)', () => rpc(port, 'sendrawtransaction', 'zz')],
+      ['getblock (unknown hash)', () => rpc(port, 'getblock', '00'.repeat(32))],
+      ['generatetoaddress (mainnet address)', () => rpc(port, 'generatetoaddress', 1, '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH')]
+    ];
+    for (const [label, attempt] of attempts) {
+      try {
+        await attempt();
+        console.log(`   ${label}: unexpectedly succeeded`);
+      } catch (error) {
+        console.log(`❌ ${label}: ${error.code} ${error.message}`);
+      }
+    }
+    const unknown = await post(port, { id: 'x', method: 'stop', params: [] });
+    console.log(`❌ unknown method: HTTP ${unknown.status}, ${unknown.body.error.code} ${unknown.body.error.message}`);
+    const denied = await post(port, { id: 'x', method: 'getblockcount' }, { password: 'wrong' });
+    console.log(`🔒 wrong password: HTTP ${denied.status}`);
+    console.log();
+
+    console.log('=== Batch and JSON-RPC 2.0 ===');
+    const batch = await post(port, [
+      { jsonrpc: '2.0', id: 1, method: 'getblockcount' },
+      { jsonrpc: '2.0', id: 2, method: 'getbestblockhash' },
+      { jsonrpc: '2.0', id: 3, method: 'listunspent', params: { minconf: 1, addresses: [recipient] } }
+    ]);
+    for (const reply of batch.body) {
+      console.log(`   id ${reply.id}: ${JSON.stringify(reply.result ?? reply.error)}`);
+    }
+  } finally {
+    await server.close();
+  }
+
+  console.log('\n💡 Key Concepts:');
+  console.log('- JSON-RPC over HTTP with basic auth, as bitcoind serves it');
+  console.log('- generatetoaddress mines regtest blocks on demand');
+  console.log('- sendrawtransaction runs the same validation and mempool policy as the P2P network');
+  console.log('- Amounts are BTC and errors carry bitcoind\'s numeric codes');
+}
+
+module.exports = {
+  demonstrateJsonRpc
+};
+
+if (require.main === module) {
+  demonstrateJsonRpc().catch(console.error);
+}
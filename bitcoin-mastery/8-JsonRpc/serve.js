@@ -0,0 +1,72 @@
+/*
+Serve a fresh regtest chain and wallet over JSON-RPC until interrupted:
+
+  node serve.js [--port 18443] [--host 127.0.0.1] [--rpcuser user --rpcpassword pass]
+                [--coinbase-maturity 100] [--mnemonic "twelve words ..."]
+
+Then drive it like bitcoind -regtest, for example:
+
+  curl --user user:pass -d '{"id":1,"method":"getnewaddress","params":[]}' http://127.0.0.1:18443/
+  curl --user user:pass -d '{"id":2,"method":"generatetoaddress","params":[101,"bcrt1..."]}' http://127.0.0.1:18443/
+
+Without --rpcuser no authentication is required. The chain lives in
+memory and is gone when the process exits.
+*/
+
+const fs = require('fs');
+const { Blockchain, HDWallet, RpcServer } = require('../core');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+    const [, key, inline] = match;
+    if (inline !== undefined) {
+      args[key] = inline;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace('/*\n', ''));
+    return;
+  }
+  if (args.rpcuser !== undefined && args.rpcpassword === undefined) {
+    throw new Error('--rpcuser needs --rpcpassword');
+  }
+
+  const blockchain = new Blockchain({ coinbaseMaturity: Number(args['coinbase-maturity'] ?? 100) });
+  const wallet = args.mnemonic
+    ? HDWallet.fromMnemonic(args.mnemonic, { network: 'regtest' })
+    : HDWallet.generate({ network: 'regtest' });
+  const server = new RpcServer({
+    blockchain,
+    wallet,
+    user: args.rpcuser ?? null,
+    password: args.rpcpassword ?? null
+  });
+
+  const port = await server.listen(Number(args.port ?? 18443), args.host ?? '127.0.0.1');
+  console.log(`JSON-RPC server listening on http://${args.host ?? '127.0.0.1'}:${port}/`);
+  console.log(`Wallet mnemonic: ${wallet.mnemonic}`);
+
+  process.once('SIGINT', () => {
+    console.log('\nShutting down');
+    server.close();
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
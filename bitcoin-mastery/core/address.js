@@ -0,0 +1,290 @@
+// Bitcoin address and key encodings:
+//
+//   Base58Check  version byte | payload | hash256(...)[0..4], in base 58
+//                P2PKH addresses (1... on mainnet), WIF keys, xprv/xpub
+//   Bech32       hrp "1" data checksum (BIP173); Bech32m for witness
+//                version 1+ (BIP350). P2WPKH addresses are bc1q...
+
+const { hash256, hash160 } = require('./crypto');
+const { p2pkhScript, p2wpkhScript, classifyScript } = require('./script');
+
+const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    pubKeyHash: 0x00,
+    wif: 0x80,
+    bech32: 'bc',
+    bip32: { public: 0x0488b21e, private: 0x0488ade4 } // xpub / xprv
+  },
+  testnet: {
+    name: 'testnet',
+    pubKeyHash: 0x6f,
+    wif: 0xef,
+    bech32: 'tb',
+    bip32: { public: 0x043587cf, private: 0x04358394 } // tpub / tprv
+  },
+  regtest: {
+    name: 'regtest',
+    pubKeyHash: 0x6f,
+    wif: 0xef,
+    bech32: 'bcrt',
+    bip32: { public: 0x043587cf, private: 0x04358394 }
+  }
+};
+
+function getNetwork(network = 'mainnet') {
+  const params = typeof network === 'string' ? NETWORKS[network] : network;
+  if (!params) throw new Error(`Unknown network: ${network}`);
+  return params;
+}
+
+// --- Base58 ---
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Encode(buffer) {
+  let n = buffer.length === 0 ? 0n : BigInt(`0x${buffer.toString('hex')}`);
+  let result = '';
+  while (n > 0n) {
+    result = BASE58_ALPHABET[Number(n % 58n)] + result;
+    n /= 58n;
+  }
+  // Each leading zero byte is a leading '1'
+  for (let i = 0; i < buffer.length && buffer[i] === 0; i++) result = `1${result}`;
+  return result;
+}
+
+function base58Decode(text) {
+  let n = 0n;
+  for (const char of text) {
+    const value = BASE58_ALPHABET.indexOf(char);
+    if (value < 0) throw new Error(`Invalid base58 character: ${char}`);
+    n = n * 58n + BigInt(value);
+  }
+  let hex = n === 0n ? '' : n.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const zeros = text.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')]);
+}
+
+function base58CheckEncode(payload) {
+  return base58Encode(Buffer.concat([payload, hash256(payload).subarray(0, 4)]));
+}
+
+function base58CheckDecode(text) {
+  const data = base58Decode(text);
+  if (data.length < 4) throw new Error('Base58Check string too short');
+  const payload = data.subarray(0, -4);
+  if (!hash256(payload).subarray(0, 4).equals(data.subarray(-4))) {
+    throw new Error('Invalid Base58Check checksum');
+  }
+  return payload;
+}
+
+// --- Bech32 / Bech32m ---
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONSTANTS = { bech32: 1, bech32m: 0x2bc830a3 };
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+function polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) checksum ^= GENERATOR[i];
+    }
+  }
+  return checksum >>> 0;
+}
+
+function hrpExpand(hrp) {
+  const chars = [...hrp].map(char => char.charCodeAt(0));
+  return [...chars.map(c => c >> 5), 0, ...chars.map(c => c & 31)];
+}
+
+// words: 5-bit values
+function bech32Encode(hrp, words, encoding = 'bech32') {
+  const values = [...hrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0];
+  const checksum = polymod(values) ^ BECH32_CONSTANTS[encoding];
+  const checksumWords = [];
+  for (let i = 0; i < 6; i++) checksumWords.push((checksum >>> (5 * (5 - i))) & 31);
+  return `${hrp}1${[...words, ...checksumWords].map(word => BECH32_CHARSET[word]).join('')}`;
+}
+
+// Returns { hrp, words, encoding }; mixed case and bad checksums throw
+function bech32Decode(text) {
+  if (text !== text.toLowerCase() && text !== text.toUpperCase()) {
+    throw new Error('Bech32 string has mixed case');
+  }
+  text = text.toLowerCase();
+  const separator = text.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > text.length || text.length > 90) {
+    throw new Error('Invalid Bech32 string length');
+  }
+
+  const hrp = text.substring(0, separator);
+  const words = [...text.substring(separator + 1)].map(char => {
+    const value = BECH32_CHARSET.indexOf(char);
+    if (value < 0) throw new Error(`Invalid Bech32 character: ${char}`);
+    return value;
+  });
+
+  const check = polymod([...hrpExpand(hrp), ...words]);
+  const encoding = Object.keys(BECH32_CONSTANTS).find(name => BECH32_CONSTANTS[name] === check);
+  if (!encoding) throw new Error('Invalid Bech32 checksum');
+  return { hrp, words: words.slice(0, -6), encoding };
+}
+
+// Regroup bits, e.g. bytes (8) to Bech32 words (5) and back
+function convertBits(data, fromBits, toBits, pad) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >> bits) & maxValue);
+    }
+  }
+  if (pad) {
+    if (bits > 0) result.push((accumulator << (toBits - bits)) & maxValue);
+  } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+    throw new Error('Invalid padding in Bech32 data');
+  }
+  return result;
+}
+
+// Witness version 0 uses Bech32, later versions Bech32m
+function encodeSegwitAddress(hrp, version, program) {
+  const encoding = version === 0 ? 'bech32' : 'bech32m';
+  return bech32Encode(hrp, [version, ...convertBits(program, 8, 5, true)], encoding);
+}
+
+function decodeSegwitAddress(address) {
+  const { hrp, words, encoding } = bech32Decode(address);
+  const version = words[0];
+  if (words.length === 0 || version > 16) throw new Error('Invalid witness version');
+  if (encoding !== (version === 0 ? 'bech32' : 'bech32m')) {
+    throw new Error(`Witness version ${version} must use ${version === 0 ? 'Bech32' : 'Bech32m'}`);
+  }
+  const program = Buffer.from(convertBits(words.slice(1), 5, 8, false));
+  if (program.length < 2 || program.length > 40 || (version === 0 && program.length !== 20 && program.length !== 32)) {
+    throw new Error(`Invalid witness program length ${program.length}`);
+  }
+  return { hrp, version, program };
+}
+
+// --- Addresses ---
+
+// Base58Check P2PKH address of a compressed SEC1 public key
+function p2pkhAddress(publicKey, network) {
+  return pubKeyHashToAddress(hash160(publicKey), network);
+}
+
+function pubKeyHashToAddress(pubKeyHash, network) {
+  return base58CheckEncode(Buffer.concat([Buffer.from([getNetwork(network).pubKeyHash]), pubKeyHash]));
+}
+
+// Bech32 P2WPKH address (witness v0, 20-byte key hash)
+function p2wpkhAddress(publicKey, network) {
+  if (publicKey.length !== 33) throw new Error('P2WPKH requires a compressed public key');
+  return encodeSegwitAddress(getNetwork(network).bech32, 0, hash160(publicKey));
+}
+
+// Bech32m P2TR address (witness v1) of a 32-byte x-only Taproot output key
+function p2trAddress(outputKey, network) {
+  if (outputKey.length !== 32) throw new Error('P2TR requires a 32-byte x-only key');
+  return encodeSegwitAddress(getNetwork(network).bech32, 1, outputKey);
+}
+
+// Returns { type: 'pubkeyhash' | 'witness_v0_keyhash', hash, network }.
+// Throws for anything else, including valid address types we cannot pay.
+function decodeAddress(address) {
+  const networks = Object.values(NETWORKS);
+  const lower = address.toLowerCase();
+  const segwitNetwork = networks.find(params => lower.startsWith(`${params.bech32}1`));
+
+  if (segwitNetwork) {
+    const { hrp, version, program } = decodeSegwitAddress(address);
+    const network = networks.find(params => params.bech32 === hrp);
+    if (!network) throw new Error(`Unknown Bech32 prefix: ${hrp}`);
+    if (version !== 0 || program.length !== 20) {
+      throw new Error(`Unsupported witness program: version ${version}, ${program.length} bytes`);
+    }
+    return { type: 'witness_v0_keyhash', hash: program, network: network.name };
+  }
+
+  const payload = base58CheckDecode(address);
+  const network = networks.find(params => params.pubKeyHash === payload[0]);
+  if (!network || payload.length !== 21) throw new Error(`Unsupported address version: ${payload[0]}`);
+  return { type: 'pubkeyhash', hash: payload.subarray(1), network: network.name };
+}
+
+function isValidAddress(address) {
+  try {
+    decodeAddress(address);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function addressToScript(address) {
+  const { type, hash } = decodeAddress(address);
+  return type === 'pubkeyhash' ? p2pkhScript(hash) : p2wpkhScript(hash);
+}
+
+// Address paying to a P2PKH or P2WPKH script, or null
+function scriptToAddress(script, network) {
+  const info = classifyScript(script);
+  if (info.type === 'pubkeyhash') return pubKeyHashToAddress(info.pubKeyHash, network);
+  if (info.type === 'witness_v0_keyhash') return encodeSegwitAddress(getNetwork(network).bech32, 0, info.pubKeyHash);
+  return null;
+}
+
+// --- Wallet Import Format ---
+
+// Private keys for compressed public keys get a 0x01 suffix
+function toWIF(privateKey, network, compressed = true) {
+  const parts = [Buffer.from([getNetwork(network).wif]), privateKey];
+  if (compressed) parts.push(Buffer.from([0x01]));
+  return base58CheckEncode(Buffer.concat(parts));
+}
+
+// Returns { privateKey, compressed, network }
+function fromWIF(wif) {
+  const payload = base58CheckDecode(wif);
+  const network = Object.values(NETWORKS).find(params => params.wif === payload[0]);
+  const compressed = payload.length === 34 && payload[33] === 0x01;
+  if (!network || (payload.length !== 33 && !compressed)) throw new Error('Invalid WIF private key');
+  return { privateKey: Buffer.from(payload.subarray(1, 33)), compressed, network: network.name };
+}
+
+module.exports = {
+  NETWORKS,
+  getNetwork,
+  base58Encode,
+  base58Decode,
+  base58CheckEncode,
+  base58CheckDecode,
+  bech32Encode,
+  bech32Decode,
+  convertBits,
+  encodeSegwitAddress,
+  decodeSegwitAddress,
+  p2pkhAddress,
+  pubKeyHashToAddress,
+  p2wpkhAddress,
+  p2trAddress,
+  decodeAddress,
+  isValidAddress,
+  addressToScript,
+  scriptToAddress,
+  toWIF,
+  fromWIF
+};
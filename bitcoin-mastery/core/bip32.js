@@ -0,0 +1,208 @@
+// BIP32 hierarchical deterministic keys. A key is a secp256k1 key plus a
+// 32-byte chain code; HMAC-SHA512(chainCode, key || index) gives a child's
+// key tweak (left half) and chain code (right half).
+//
+//   hardened (index >= 2^31)  data = 0x00 || privateKey || index
+//                             needs the private key
+//   normal                    data = publicKey || index
+//                             works from an xpub, so a watch-only wallet can
+//                             derive every receive address itself
+//
+// Paths are written m/44'/0'/0'/0/5, with ' (or h) marking hardened.
+
+const crypto = require('crypto');
+const { hash160 } = require('./crypto');
+const secp256k1 = require('./secp256k1');
+const { getNetwork, base58CheckEncode, base58CheckDecode, toWIF, NETWORKS } = require('./address');
+
+const HARDENED_OFFSET = 0x80000000;
+const MASTER_SECRET = Buffer.from('Bitcoin seed');
+
+function hmacSha512(key, data) {
+  return crypto.createHmac('sha512', key).update(data).digest();
+}
+
+// "m/44'/0'/0'" -> [2147483692, 2147483648, 2147483648]
+function parsePath(path) {
+  const parts = path.trim().split('/');
+  if (parts[0] === 'm' || parts[0] === 'M') parts.shift();
+  return parts.filter(part => part !== '').map(part => {
+    const match = /^(\d+)(['hH]?)$/.exec(part);
+    if (!match || Number(match[1]) >= HARDENED_OFFSET) {
+      throw new Error(`Invalid derivation path component: ${part}`);
+    }
+    return Number(match[1]) + (match[2] ? HARDENED_OFFSET : 0);
+  });
+}
+
+function formatPath(indexes) {
+  return ['m', ...indexes.map(index => (
+    index >= HARDENED_OFFSET ? `${index - HARDENED_OFFSET}'` : String(index)
+  ))].join('/');
+}
+
+class HDKey {
+  constructor({ privateKey = null, publicKey = null, chainCode, depth = 0, index = 0, parentFingerprint = 0, network = 'mainnet' }) {
+    if (privateKey && !secp256k1.isValidPrivateKey(privateKey)) {
+      throw new RangeError('Invalid private key');
+    }
+    this.privateKey = privateKey;
+    this.publicKey = privateKey ? secp256k1.getPublicKey(privateKey) : publicKey; // 33-byte compressed
+    this.chainCode = chainCode;
+    this.depth = depth;
+    this.index = index;
+    this.parentFingerprint = parentFingerprint;
+    this.network = getNetwork(network).name;
+  }
+
+  // Master key from a BIP39 (or any 16-64 byte) seed
+  static fromSeed(seed, network = 'mainnet') {
+    if (seed.length < 16 || seed.length > 64) throw new RangeError('Seed must be 16-64 bytes');
+    const I = hmacSha512(MASTER_SECRET, seed);
+    return new HDKey({ privateKey: I.subarray(0, 32), chainCode: I.subarray(32), network });
+  }
+
+  // Parse an xprv/xpub (or tprv/tpub)
+  static fromExtendedKey(text) {
+    const data = base58CheckDecode(text);
+    if (data.length !== 78) throw new Error('Extended key must be 78 bytes');
+
+    const version = data.readUInt32BE(0);
+    const network = Object.values(NETWORKS).find(params => (
+      params.bip32.private === version || params.bip32.public === version
+    ));
+    if (!network) throw new Error(`Unknown extended key version 0x${version.toString(16)}`);
+    const isPrivate = version === network.bip32.private;
+
+    const fields = {
+      depth: data[4],
+      parentFingerprint: data.readUInt32BE(5),
+      index: data.readUInt32BE(9),
+      chainCode: Buffer.from(data.subarray(13, 45)),
+      network: network.name
+    };
+    const keyData = Buffer.from(data.subarray(45));
+    if (isPrivate) {
+      if (keyData[0] !== 0x00) throw new Error('Private key data must start with 0x00');
+      fields.privateKey = keyData.subarray(1);
+    } else {
+      secp256k1.decodePoint(keyData); // Throws if not on the curve
+      fields.publicKey = keyData;
+    }
+    if (fields.depth === 0 && (fields.parentFingerprint !== 0 || fields.index !== 0)) {
+      throw new Error('Master key with a parent fingerprint or index');
+    }
+    return new HDKey(fields);
+  }
+
+  get isPrivate() {
+    return this.privateKey !== null;
+  }
+
+  get identifier() {
+    return hash160(this.publicKey);
+  }
+
+  get fingerprint() {
+    return this.identifier.readUInt32BE(0);
+  }
+
+  // CKDpriv for private keys, CKDpub for public ones. The (roughly 2^-127)
+  // case of an invalid child throws; BIP32 says to move on to index + 1.
+  deriveChild(index) {
+    if (!Number.isInteger(index) || index < 0 || index > 0xffffffff) {
+      throw new RangeError(`Invalid child index: ${index}`);
+    }
+    const hardened = index >= HARDENED_OFFSET;
+    if (hardened && !this.isPrivate) {
+      throw new Error('Cannot derive a hardened child from a public key');
+    }
+
+    const indexBuffer = Buffer.alloc(4);
+    indexBuffer.writeUInt32BE(index);
+    const data = hardened
+      ? Buffer.concat([Buffer.alloc(1), this.privateKey, indexBuffer])
+      : Buffer.concat([this.publicKey, indexBuffer]);
+    const I = hmacSha512(this.chainCode, data);
+    const tweak = secp256k1.bufferToBigInt(I.subarray(0, 32));
+    if (tweak >= secp256k1.N) throw new RangeError(`Child ${index} is invalid; use the next index`);
+
+    const child = {
+      chainCode: I.subarray(32),
+      depth: this.depth + 1,
+      index,
+      parentFingerprint: this.fingerprint,
+      network: this.network
+    };
+
+    if (this.isPrivate) {
+      const key = secp256k1.mod(secp256k1.bufferToBigInt(this.privateKey) + tweak, secp256k1.N);
+      if (key === 0n) throw new RangeError(`Child ${index} is invalid; use the next index`);
+      child.privateKey = secp256k1.bigIntToBuffer(key);
+    } else {
+      const point = secp256k1.pointAdd(secp256k1.pointMultiply(tweak), secp256k1.decodePoint(this.publicKey));
+      if (!point) throw new RangeError(`Child ${index} is invalid; use the next index`);
+      child.publicKey = secp256k1.encodePoint(point);
+    }
+    return new HDKey(child);
+  }
+
+  // Derive along a path. "m/..." must start from a master key; a path
+  // without "m" is relative to this key.
+  derive(path) {
+    if (/^[mM]\b/.test(path.trim()) && this.depth !== 0) {
+      throw new Error('Absolute path given for a non-master key');
+    }
+    return parsePath(path).reduce((key, index) => key.deriveChild(index), this);
+  }
+
+  // The same key without its private half
+  neuter() {
+    return new HDKey({
+      publicKey: this.publicKey,
+      chainCode: this.chainCode,
+      depth: this.depth,
+      index: this.index,
+      parentFingerprint: this.parentFingerprint,
+      network: this.network
+    });
+  }
+
+  // version (4) | depth (1) | parent fingerprint (4) | index (4) | chain code (32) | key (33)
+  serialize(isPrivate) {
+    const versions = getNetwork(this.network).bip32;
+    const data = Buffer.alloc(78);
+    data.writeUInt32BE(isPrivate ? versions.private : versions.public, 0);
+    data[4] = this.depth;
+    data.writeUInt32BE(this.parentFingerprint, 5);
+    data.writeUInt32BE(this.index, 9);
+    this.chainCode.copy(data, 13);
+    if (isPrivate) {
+      this.privateKey.copy(data, 46); // data[45] stays 0x00
+    } else {
+      this.publicKey.copy(data, 45);
+    }
+    return base58CheckEncode(data);
+  }
+
+  get extendedPrivateKey() {
+    if (!this.isPrivate) throw new Error('Public-only key has no extended private key');
+    return this.serialize(true);
+  }
+
+  get extendedPublicKey() {
+    return this.serialize(false);
+  }
+
+  toWIF() {
+    if (!this.isPrivate) throw new Error('Public-only key has no WIF');
+    return toWIF(this.privateKey, this.network);
+  }
+}
+
+module.exports = {
+  HARDENED_OFFSET,
+  parsePath,
+  formatPath,
+  HDKey
+};
@@ -0,0 +1,95 @@
+// BIP39 mnemonics: entropy plus a checksum of its sha256, split into
+// 11-bit indexes into a 2048-word list. 128 bits of entropy give 12 words,
+// 256 give 24. The seed is PBKDF2-HMAC-SHA512 of the words, so any
+// passphrase yields a valid (different) wallet.
+
+const crypto = require('crypto');
+const { WORDLIST } = require('./bip39-wordlist');
+
+const PBKDF2_ROUNDS = 2048;
+
+function checksumBits(entropy) {
+  const hash = crypto.createHash('sha256').update(entropy).digest();
+  const bits = hash[0].toString(2).padStart(8, '0') + hash[1].toString(2).padStart(8, '0');
+  return bits.substring(0, entropy.length / 4);
+}
+
+function bytesToBits(bytes) {
+  return [...bytes].map(byte => byte.toString(2).padStart(8, '0')).join('');
+}
+
+function normalize(text) {
+  return text.normalize('NFKD');
+}
+
+function entropyToMnemonic(entropy) {
+  if (typeof entropy === 'string') entropy = Buffer.from(entropy, 'hex');
+  if (entropy.length < 16 || entropy.length > 32 || entropy.length % 4 !== 0) {
+    throw new RangeError('Entropy must be 16-32 bytes in steps of 4');
+  }
+  const bits = bytesToBits(entropy) + checksumBits(entropy);
+  const words = [];
+  for (let i = 0; i < bits.length; i += 11) {
+    words.push(WORDLIST[parseInt(bits.substring(i, i + 11), 2)]);
+  }
+  return words.join(' ');
+}
+
+// Throws if a word is unknown, the length is wrong or the checksum fails
+function mnemonicToEntropy(mnemonic) {
+  const words = normalize(mnemonic).trim().split(/\s+/);
+  if (words.length < 12 || words.length > 24 || words.length % 3 !== 0) {
+    throw new Error(`Mnemonic must have 12-24 words in steps of 3, got ${words.length}`);
+  }
+
+  const bits = words.map(word => {
+    const index = WORDLIST.indexOf(word);
+    if (index < 0) throw new Error(`Unknown mnemonic word: ${word}`);
+    return index.toString(2).padStart(11, '0');
+  }).join('');
+
+  const entropyLength = (bits.length / 33) * 32;
+  const entropy = Buffer.from(bits.substring(0, entropyLength).match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  if (checksumBits(entropy) !== bits.substring(entropyLength)) {
+    throw new Error('Invalid mnemonic checksum');
+  }
+  return entropy;
+}
+
+function validateMnemonic(mnemonic) {
+  try {
+    mnemonicToEntropy(mnemonic);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// strength: bits of entropy (128 = 12 words ... 256 = 24 words)
+function generateMnemonic(strength = 128) {
+  if (strength % 32 !== 0 || strength < 128 || strength > 256) {
+    throw new RangeError('Strength must be 128-256 bits in steps of 32');
+  }
+  return entropyToMnemonic(crypto.randomBytes(strength / 8));
+}
+
+// 64-byte seed for BIP32. The words are not checked: BIP39 derives a seed
+// from any sentence, so validate first when the input is typed by a user.
+function mnemonicToSeed(mnemonic, passphrase = '') {
+  return crypto.pbkdf2Sync(
+    Buffer.from(normalize(mnemonic.trim().split(/\s+/).join(' '))),
+    Buffer.from(normalize(`mnemonic${passphrase}`)),
+    PBKDF2_ROUNDS,
+    64,
+    'sha512'
+  );
+}
+
+module.exports = {
+  WORDLIST,
+  generateMnemonic,
+  entropyToMnemonic,
+  mnemonicToEntropy,
+  validateMnemonic,
+  mnemonicToSeed
+};
@@ -0,0 +1,214 @@
+const { sha256, hash256 } = require('./crypto');
+const { MerkleTree, PartialMerkleTree } = require('./merkle');
+const { encodeVarInt, reverseHex } = require('./encoding');
+const { OPS, compileScript, decompileScript, encodeScriptNumber } = require('./script');
+const { COINBASE_TX_HASH, WITNESS_SCALE_FACTOR, TransactionOutput, Transaction } = require('./transaction');
+const { POW_LIMIT_BITS, compactToTarget, hashToNumber, checkProofOfWork } = require('./pow');
+
+const BLOCK_HEADER_SIZE = 80;
+
+// Coinbase outputs carrying the witness commitment start OP_RETURN 0x24
+// followed by these 4 bytes (BIP141)
+const WITNESS_COMMITMENT_HEADER = Buffer.from('aa21a9ed', 'hex');
+
+// OP_RETURN <aa21a9ed || commitment>
+function witnessCommitmentScript(commitment) {
+  return compileScript([OPS.OP_RETURN, Buffer.concat([WITNESS_COMMITMENT_HEADER, commitment])]);
+}
+
+// Merkle leaves are transaction ids. Plain strings (as in the Merkle demo)
+// get an id the way a transaction does: double SHA-256, byte-reversed.
+function transactionId(tx) {
+  if (typeof tx === 'string') {
+    return reverseHex(hash256(Buffer.from(tx)).toString('hex'));
+  }
+  return tx.hash;
+}
+
+// Block containing transactions, committed to by a Merkle root
+class Block {
+  constructor(transactions, previousHash = '', bits = POW_LIMIT_BITS) {
+    this.timestamp = Date.now();
+    this.transactions = transactions;
+    this.previousHash = previousHash;
+    this.bits = bits; // Compact proof-of-work target (nBits)
+    this.merkleTree = this.buildMerkleTree();
+    this.merkleRoot = this.merkleTree.getRootHash();
+    this.nonce = 0;
+    this.hash = this.calculateHash();
+  }
+
+  // Everything hashed before the nonce
+  getHashPrefix() {
+    return this.previousHash + this.timestamp + this.merkleRoot + this.bits;
+  }
+
+  calculateHash() {
+    return Block.calculateHeaderHash(this);
+  }
+
+  // Hash of a header: anything with the header fields, block or not
+  static calculateHeaderHash(header) {
+    return sha256(header.previousHash + header.timestamp + header.merkleRoot + header.bits + header.nonce);
+  }
+
+  // Put `extraNonce` in the coinbase scriptSig after the BIP34 height. The
+  // Merkle root changes with it, giving the miner a fresh nonce space.
+  setExtraNonce(extraNonce) {
+    const coinbase = this.transactions[0];
+    const [height] = decompileScript(coinbase.inputs[0].scriptSig);
+    coinbase.inputs[0].scriptSig = compileScript([height, encodeScriptNumber(extraNonce)]);
+    coinbase.hash = coinbase.calculateHash();
+
+    this.merkleTree = this.buildMerkleTree();
+    this.merkleRoot = this.merkleTree.getRootHash();
+    this.hash = this.calculateHash();
+  }
+
+  // Witnesses are not in the txids, so the header's Merkle root doesn't
+  // cover them. Segwit blocks commit to them from a coinbase output
+  // instead; this adds it, with the coinbase witness holding a 32-byte
+  // reserved value, and updates the Merkle root and hash like
+  // setExtraNonce.
+  addWitnessCommitment() {
+    const coinbase = this.transactions[0];
+    coinbase.inputs[0].witness = [Buffer.alloc(32)];
+    coinbase.outputs.push(TransactionOutput.fromScript(witnessCommitmentScript(this.computeWitnessCommitment()), 0));
+    coinbase.hash = coinbase.calculateHash();
+
+    this.merkleTree = this.buildMerkleTree();
+    this.merkleRoot = this.merkleTree.getRootHash();
+    this.hash = this.calculateHash();
+  }
+
+  // Merkle root of the wtxids, the coinbase's counted as zero since it
+  // can't commit to itself
+  computeWitnessMerkleRoot() {
+    const wtxids = this.transactions.map((tx, i) => (i === 0 ? COINBASE_TX_HASH : tx.getWitnessHash()));
+    return new MerkleTree(wtxids, { mode: 'bitcoin' }).getRootHash();
+  }
+
+  // hash256(witness root || coinbase witness reserved value)
+  computeWitnessCommitment() {
+    const [reserved = Buffer.alloc(32)] = this.transactions[0].inputs[0].witness;
+    const root = Buffer.from(reverseHex(this.computeWitnessMerkleRoot()), 'hex');
+    return hash256(Buffer.concat([root, reserved]));
+  }
+
+  // The 32-byte commitment from the last coinbase output that carries
+  // one, or null
+  getWitnessCommitment() {
+    const outputs = this.transactions.length > 0 ? this.transactions[0].outputs : [];
+    for (let i = outputs.length - 1; i >= 0; i--) {
+      const script = outputs[i].scriptPubKey;
+      if (script.length >= 38 && script[0] === OPS.OP_RETURN && script[1] === 0x24 &&
+          script.subarray(2, 6).equals(WITNESS_COMMITMENT_HEADER)) {
+        return script.subarray(6, 38);
+      }
+    }
+    return null;
+  }
+
+  // Search for a nonce whose hash is at most the target encoded in `bits`.
+  // Returns the work done so callers can report on it.
+  mineBlock(bits = this.bits) {
+    this.bits = bits;
+    this.hash = this.calculateHash();
+    const target = compactToTarget(bits);
+    const startTime = Date.now();
+    let attempts = 0;
+
+    while (hashToNumber(this.hash) > target) {
+      this.nonce++;
+      this.hash = this.calculateHash();
+      attempts++;
+    }
+
+    return { attempts, elapsed: (Date.now() - startTime) / 1000 };
+  }
+
+  // Bitcoin's Merkle tree over the transactions actually in the block
+  buildMerkleTree() {
+    return new MerkleTree(this.transactions.map(transactionId), { mode: 'bitcoin' });
+  }
+
+  computeMerkleRoot() {
+    return this.buildMerkleTree().getRootHash();
+  }
+
+  // Size as Bitcoin would serialize it: header, tx count, transactions
+  // (witnesses included)
+  getSize() {
+    const txBytes = this.transactions.reduce((sum, tx) => sum + tx.getSize(), 0);
+    return BLOCK_HEADER_SIZE + encodeVarInt(this.transactions.length).length + txBytes;
+  }
+
+  // Size with witnesses stripped, as a pre-segwit node receives it
+  getBaseSize() {
+    const txBytes = this.transactions.reduce((sum, tx) => sum + tx.getBaseSize(), 0);
+    return BLOCK_HEADER_SIZE + encodeVarInt(this.transactions.length).length + txBytes;
+  }
+
+  // BIP141 block weight, limited to 4,000,000 units
+  getWeight() {
+    return this.getBaseSize() * (WITNESS_SCALE_FACTOR - 1) + this.getSize();
+  }
+
+  hasValidProofOfWork(powLimitBits) {
+    return checkProofOfWork(this.hash, this.bits, powLimitBits);
+  }
+
+  // Only the fields a light client needs
+  getHeader() {
+    return {
+      hash: this.hash,
+      previousHash: this.previousHash,
+      merkleRoot: this.merkleRoot,
+      timestamp: this.timestamp,
+      bits: this.bits,
+      nonce: this.nonce
+    };
+  }
+
+  // Header fields plus transactions in wire format, for sending between nodes
+  toJSON() {
+    return { ...this.getHeader(), transactions: this.transactions.map(tx => tx.toHex()) };
+  }
+
+  // Rebuild a block sent with toJSON. The hash and Merkle root are
+  // recomputed rather than trusted.
+  static fromJSON(data) {
+    const block = new Block(data.transactions.map(hex => Transaction.fromHex(hex)), data.previousHash, data.bits);
+    block.timestamp = data.timestamp;
+    block.nonce = data.nonce;
+    block.hash = block.calculateHash();
+    return block;
+  }
+
+  // Create a proof that a transaction is in this block. Pass its index to
+  // be unambiguous; a transaction is looked up by id.
+  createTransactionProof(transactionOrIndex) {
+    const target = typeof transactionOrIndex === 'number' ? transactionOrIndex : transactionId(transactionOrIndex);
+    return this.merkleTree.generateProof(target);
+  }
+
+  // Verify a transaction proof against this block
+  verifyTransactionProof(transaction, proof) {
+    return MerkleTree.verifyProof(transactionId(transaction), proof, this.merkleRoot, { mode: 'bitcoin' });
+  }
+
+  // BIP37 partial Merkle tree proving every transaction in `transactions`
+  createPartialMerkleTree(transactions) {
+    const wanted = new Set(transactions.map(transactionId));
+    const txids = this.transactions.map(transactionId);
+    return PartialMerkleTree.fromTxids(txids, txids.map(txid => wanted.has(txid)));
+  }
+}
+
+module.exports = {
+  BLOCK_HEADER_SIZE,
+  WITNESS_COMMITMENT_HEADER,
+  witnessCommitmentScript,
+  Block,
+  transactionId
+};
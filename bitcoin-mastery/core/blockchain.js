@@ -0,0 +1,705 @@
+const path = require('path');
+const { nullDataScript } = require('./script');
+const {
+  COIN,
+  scriptForAddress,
+  TransactionInput,
+  TransactionOutput,
+  Transaction
+} = require('./transaction');
+const { Block } = require('./block');
+const { Mempool, MAX_SEQUENCE_NONFINAL } = require('./mempool');
+const { TX_OVERHEAD_SIZE, estimateOutputSize, selectCoins } = require('./coin-selection');
+const { POW_LIMIT_BITS, getNextWorkRequired, getBlockWork, getDifficulty } = require('./pow');
+const { ValidationError, BlockValidationError, TransactionValidationError } = require('./errors');
+const { StorageError, BlockStore, ChainStateStore } = require('./storage');
+const {
+  COINBASE_MATURITY,
+  medianTimePast,
+  isFinalTx,
+  calculateSequenceLocks,
+  checkSequenceLocks
+} = require('./timelock');
+const {
+  MAX_BLOCK_WEIGHT,
+  checkTransaction,
+  checkTxInputs,
+  applyTransaction,
+  revertTransaction,
+  coinbaseHeight,
+  checkBlockHeader
+} = require('./validation');
+
+// Weight left in a block template for the header and coinbase
+const COINBASE_WEIGHT_RESERVE = 4000;
+
+// Bitcoin's genesis time; fixed so every node builds the same genesis block
+const GENESIS_TIMESTAMP = 1231006505000;
+
+// Blocks connected between writes of the UTXO set to disk
+const DEFAULT_FLUSH_INTERVAL = 100;
+
+// Full Blockchain with UTXO tracking. Every block received is kept in a
+// block tree; `chain` is the branch with the most cumulative work.
+// options: powLimitBits (easiest target, also the genesis target),
+// retargetInterval (blocks), targetBlockTime (ms, like block timestamps),
+// dataDir (keep blocks and the UTXO set on disk there and reload them on
+// startup), flushInterval (blocks connected between UTXO set writes),
+// coinbaseMaturity (blocks before a coinbase output may be spent),
+// maxBlockWeight (BIP141 weight units)
+class Blockchain {
+  constructor(options = {}) {
+    this.chain = []; // Active chain, genesis first
+    this.blockIndex = new Map(); // hash -> { block, height, chainWork, validated, invalid, error }
+    this.undoData = new Map(); // hash -> coins spent by each transaction, for disconnecting
+    this.powLimitBits = options.powLimitBits ?? POW_LIMIT_BITS;
+    this.retargetInterval = options.retargetInterval ?? 2016;
+    this.targetBlockTime = options.targetBlockTime ?? 10 * 60 * 1000;
+    this.miningReward = 50 * COIN; // In satoshis
+    this.maxBlockWeight = options.maxBlockWeight ?? MAX_BLOCK_WEIGHT;
+    this.coinbaseMaturity = options.coinbaseMaturity ?? COINBASE_MATURITY;
+    this.utxos = new Map(); // Track unspent transaction outputs
+    this.mempool = new Mempool(this); // Validated transactions waiting to be mined
+    this.blockStore = null;
+    this.chainState = null;
+    this.flushInterval = options.flushInterval ?? DEFAULT_FLUSH_INTERVAL;
+    this.unflushedBlocks = 0;
+    this.loading = false; // Replaying stored blocks: nothing is written
+
+    if (options.dataDir) {
+      this.blockStore = new BlockStore(path.join(options.dataDir, 'blocks'));
+      this.chainState = new ChainStateStore(path.join(options.dataDir, 'chainstate.log'));
+      this.loading = true;
+    }
+
+    // Create genesis block
+    this.createGenesisBlock();
+    if (this.blockStore) this.loadFromDisk();
+  }
+
+  // Replay every stored block through addBlock, in the order received, so
+  // the block tree, active chain and UTXO set are rebuilt and re-verified.
+  // The UTXO set on disk must then agree with the result. If it is from an
+  // earlier tip (the last blocks were not flushed) it is brought up to date.
+  loadFromDisk() {
+    const genesis = this.chain[0];
+    if (this.blockStore.size === 0) {
+      this.blockStore.writeBlock(genesis, 0);
+    } else if (!this.blockStore.has(genesis.hash)) {
+      throw new StorageError(`Stored blocks are from a chain without genesis block ${genesis.hash}`);
+    }
+
+    this.loading = true;
+    try {
+      for (const data of this.blockStore.readBlocks()) {
+        const block = Block.fromJSON(data);
+        if (block.hash !== data.hash) {
+          throw new StorageError(`Stored block ${data.hash} hashes to ${block.hash}`);
+        }
+        if (this.blockIndex.has(block.hash)) continue;
+        try {
+          this.addBlock(block);
+        } catch (error) {
+          if (!(error instanceof ValidationError)) throw error;
+          // Stored before it was found invalid; it stays marked invalid
+        }
+      }
+    } finally {
+      this.loading = false;
+    }
+
+    const tip = this.getLatestBlock().hash;
+    if (this.chainState.bestBlock === tip) {
+      const mismatched = this.chainState.diffCoins(this.utxos);
+      if (mismatched.length > 0) {
+        throw new StorageError(`Stored UTXO set disagrees with the block files at ${mismatched.length} outpoints (first ${mismatched[0]})`);
+      }
+    } else {
+      this.flush();
+    }
+  }
+
+  // Write the UTXO set (only what changed) and the tip it belongs to
+  flush() {
+    if (!this.chainState) return;
+    this.chainState.writeCoins(this.utxos, this.getLatestBlock().hash);
+    this.unflushedBlocks = 0;
+  }
+
+  createGenesisBlock() {
+    const genesisTx = Transaction.createCoinbaseTransaction(nullDataScript('genesis'), 0);
+    const genesisBlock = new Block([genesisTx], '0', this.powLimitBits);
+    genesisBlock.timestamp = GENESIS_TIMESTAMP;
+    genesisBlock.mineBlock();
+    
+    this.addBlock(genesisBlock);
+  }
+
+  getLatestBlock() {
+    return this.chain[this.chain.length - 1];
+  }
+
+  // Any block in the tree, on the active chain or not
+  getBlock(hash) {
+    const entry = this.blockIndex.get(hash);
+    return entry ? entry.block : null;
+  }
+
+  // Blocks from genesis up to and including `hash`, following parent links
+  getBranch(hash) {
+    const blocks = [];
+    for (let entry = this.blockIndex.get(hash); entry; entry = this.blockIndex.get(entry.block.previousHash)) {
+      blocks.push(entry.block);
+    }
+    return blocks.reverse();
+  }
+
+  // Leaves of the block tree plus the active tip, like Bitcoin Core's
+  // getchaintips. branchLength counts the blocks not on the active chain.
+  getChainTips() {
+    const tip = this.getLatestBlock();
+    const parents = new Set([...this.blockIndex.values()].map(entry => entry.block.previousHash));
+    const isActive = entry => this.chain[entry.height] === entry.block;
+
+    return [...this.blockIndex.values()]
+      .filter(entry => !parents.has(entry.block.hash) || entry.block === tip)
+      .map(entry => {
+        let branchLength = 0;
+        for (let e = entry; e && !isActive(e); e = this.blockIndex.get(e.block.previousHash)) branchLength++;
+
+        let status = 'valid-headers';
+        if (entry.block === tip) status = 'active';
+        else if (entry.invalid) status = 'invalid';
+        else if (entry.validated) status = 'valid-fork';
+
+        return { hash: entry.block.hash, height: entry.height, chainWork: entry.chainWork, branchLength, status };
+      });
+  }
+
+  // nBits required of a block whose ancestors (genesis first) are `blocks`
+  nextWorkRequired(blocks) {
+    return getNextWorkRequired(blocks, {
+      powLimitBits: this.powLimitBits,
+      retargetInterval: this.retargetInterval,
+      targetBlockTime: this.targetBlockTime
+    });
+  }
+
+  // nBits the block at `height` of the active chain must carry
+  getNextWorkRequired(height = this.chain.length) {
+    return this.nextWorkRequired(this.chain.slice(0, height));
+  }
+
+  // Cumulative work of the active chain up to and including `height`
+  getChainWork(height = this.chain.length - 1) {
+    return this.blockIndex.get(this.chain[height].hash).chainWork;
+  }
+
+  // Current difficulty relative to the proof-of-work limit
+  getDifficulty() {
+    return getDifficulty(this.getLatestBlock().bits, this.powLimitBits);
+  }
+
+  // Median timestamp of the 11 blocks up to `height` of the active chain
+  // (BIP113). Time locks are judged against this, not the timestamp the
+  // next block's miner chooses.
+  getMedianTimePast(height = this.chain.length - 1) {
+    return medianTimePast(this.chain.slice(0, height + 1));
+  }
+
+  // The same in Unix seconds, the unit nLockTime and nSequence count in
+  getMedianTimePastSeconds(height = this.chain.length - 1) {
+    return Math.floor(this.getMedianTimePast(height) / 1000);
+  }
+
+  // Can `utxo` be spent in the block at `height`? Only coinbase outputs
+  // have to wait.
+  isMature(utxo, height = this.chain.length) {
+    return !utxo.coinbase || height - utxo.height >= this.coinbaseMaturity;
+  }
+
+  // Update UTXO set when a new block is added
+  updateUTXOs(block, utxos = this.utxos, height = this.blockIndex.get(block.hash).height) {
+    for (const tx of block.transactions) {
+      applyTransaction(tx, utxos, null, height);
+    }
+  }
+
+  // Get balance for an address
+  getBalance(address) {
+    let balance = 0;
+    for (const utxo of this.getUTXOsForAddress(address)) {
+      balance += utxo.output.amount;
+    }
+    return balance;
+  }
+
+  // Get UTXOs for an address (or any locking script passed as a Buffer)
+  getUTXOsForAddress(address) {
+    const script = Buffer.isBuffer(address) ? address : scriptForAddress(address);
+    const addressUTXOs = [];
+    for (const utxo of this.utxos.values()) {
+      if (utxo.output.scriptPubKey.equals(script)) {
+        addressUTXOs.push(utxo);
+      }
+    }
+    return addressUTXOs;
+  }
+
+  // Create a transaction paying `amount` to `toAddress`, funded by coin selection.
+  // options: strategy (a name from COIN_SELECTION_STRATEGIES or a function),
+  // feeRate (sat/vbyte, by default the mempool's minimum relay fee rate),
+  // dustThreshold, random (for the randomised strategies), and replaceable,
+  // lockTime and sequence as for buildTransaction
+  createTransaction(fromAddress, toAddress, amount, privateKey, options = {}) {
+    const {
+      strategy = 'largest-first',
+      feeRate = this.mempool.minRelayFeeRate,
+      replaceable = false,
+      lockTime,
+      sequence,
+      ...selectionOptions
+    } = options;
+
+    // Coins already being spent by a mempool transaction, and coinbase
+    // outputs that have not matured, are off limits
+    const utxos = this.getUTXOsForAddress(fromAddress)
+      .filter(utxo => !this.mempool.spends.has(`${utxo.txHash}:${utxo.outputIndex}`) && this.isMature(utxo));
+
+    const payment = new TransactionOutput(toAddress, amount);
+    const changeScript = scriptForAddress(fromAddress);
+    const result = selectCoins(strategy, utxos, {
+      ...selectionOptions,
+      target: amount,
+      feeRate,
+      baseSize: TX_OVERHEAD_SIZE + estimateOutputSize(payment.scriptPubKey),
+      changeSize: estimateOutputSize(changeScript)
+    });
+
+    if (!result) {
+      throw new Error('Insufficient balance');
+    }
+
+    // Create outputs, with change back to the sender if it isn't dust
+    const outputs = [payment];
+    if (result.change > 0) {
+      outputs.push(new TransactionOutput(fromAddress, result.change));
+    }
+
+    // Create and sign transaction
+    const privateKeys = result.selected.map(() => privateKey); // Same key for all inputs in this simple example
+    return this.buildTransaction(result.selected, outputs, privateKeys, { replaceable, lockTime, sequence });
+  }
+
+  // Spend specific UTXOs into arbitrary outputs (multisig, OP_RETURN, ...).
+  // privateKeys[i] signs utxos[i]; use an array of keys for multisig, or
+  // null to leave the input unsigned for the caller (see
+  // Transaction#createSignature). Options:
+  //   replaceable  signal BIP125 so the mempool lets a higher fee replace it
+  //   lockTime     not valid before this height, or Unix time in seconds
+  //   sequence     nSequence for every input, e.g. a BIP68 relative lock
+  //                from relativeLockSequence()
+  // Transactions are version 2, so relative locks are enforced.
+  buildTransaction(utxos, outputs, privateKeys, { replaceable = false, lockTime = 0, sequence } = {}) {
+    if (sequence === undefined && replaceable) sequence = MAX_SEQUENCE_NONFINAL - 1;
+    // Final inputs would switch nLockTime off
+    if (sequence === undefined && lockTime !== 0) sequence = MAX_SEQUENCE_NONFINAL;
+
+    const inputs = utxos.map(utxo => new TransactionInput(utxo.txHash, utxo.outputIndex, undefined, sequence));
+    const tx = new Transaction(inputs, outputs, lockTime, 2);
+    tx.signInputs(privateKeys, utxos.map(utxo => utxo.output.scriptPubKey), utxos.map(utxo => utxo.output.amount));
+    return tx;
+  }
+
+  // An unmined block on the tip with a coinbase claiming subsidy + fees,
+  // and committing to the witnesses if any transaction has one. The
+  // transactions are checked here, weight limit included, before any work
+  // is done.
+  createBlockTemplate(transactions, minerAddress) {
+    const height = this.chain.length;
+    const createBlock = reward => {
+      const block = new Block(
+        [Transaction.createCoinbaseTransaction(minerAddress, reward, height), ...transactions],
+        this.getLatestBlock().hash,
+        this.getNextWorkRequired(height)
+      );
+      if (transactions.some(tx => tx.hasWitness())) block.addWitnessCommitment();
+      // Blocks mined in the same millisecond would not pass the median time past
+      block.timestamp = Math.max(block.timestamp, this.getMedianTimePast() + 1);
+      block.hash = block.calculateHash();
+      return block;
+    };
+
+    // Validate with a subsidy-only coinbase to learn the fees
+    const { fees } = this.validateBlockTransactions(createBlock(this.miningReward), height);
+    return createBlock(this.miningReward + fees);
+  }
+
+  // Mine a block with transactions. The mined block goes through the same
+  // validation as a block received from anyone else.
+  mineBlock(transactions, minerAddress) {
+    const block = this.createBlockTemplate(transactions, minerAddress);
+    block.mineBlock();
+    return this.addBlock(block);
+  }
+
+  // mineBlock with the proof-of-work search run by a ParallelMiner;
+  // resolves to the block and the miner's stats
+  async mineBlockParallel(transactions, minerAddress, miner) {
+    const block = this.createBlockTemplate(transactions, minerAddress);
+    const stats = await miner.mineBlock(block);
+    return { block: this.addBlock(block), stats };
+  }
+
+  // Accept a transaction into the mempool (see Mempool.addTransaction)
+  submitTransaction(tx) {
+    return this.mempool.addTransaction(tx);
+  }
+
+  // Fill a block from the mempool by fee rate and mine it
+  minePendingTransactions(minerAddress) {
+    const { transactions } = this.mempool.buildBlockTemplate(this.maxBlockWeight - COINBASE_WEIGHT_RESERVE);
+    return this.mineBlock(transactions, minerAddress);
+  }
+
+  // Add a block to the block tree (it may extend any known block) and
+  // switch to whichever branch now has the most work. Side-branch blocks
+  // only get their header checked until their branch takes over and they
+  // are connected. Throws a BlockValidationError if `block` is invalid.
+  addBlock(block) {
+    const fail = (code, message) => {
+      throw new BlockValidationError(code, message, { hash: block.hash });
+    };
+
+    if (this.blockIndex.has(block.hash)) fail('duplicate', 'Block is already known');
+
+    let parent = null;
+    if (this.blockIndex.size > 0 || block.previousHash !== '0') {
+      parent = this.blockIndex.get(block.previousHash);
+      if (!parent) fail('prev-blk-not-found', `Unknown parent block ${block.previousHash}`);
+      if (parent.invalid) fail('bad-prevblk', `Parent block ${block.previousHash} is invalid`);
+    }
+
+    const height = parent ? parent.height + 1 : 0;
+    this.checkBlockHeader(block, height, parent ? this.getBranch(parent.block.hash) : []);
+
+    const entry = {
+      block,
+      height,
+      chainWork: (parent ? parent.chainWork : 0n) + getBlockWork(block.bits),
+      validated: false,
+      invalid: false,
+      error: null
+    };
+    this.blockIndex.set(block.hash, entry);
+    if (this.blockStore && !this.loading) this.blockStore.writeBlock(block, height);
+
+    this.activateBestChain();
+    if (entry.invalid) throw entry.error;
+    return block;
+  }
+
+  // The valid block with the most cumulative work; on a tie, the one
+  // received first (the index keeps arrival order)
+  findBestTip() {
+    let best = null;
+    for (const entry of this.blockIndex.values()) {
+      if (!entry.invalid && (!best || entry.chainWork > best.chainWork)) best = entry;
+    }
+    return best;
+  }
+
+  // Move the active chain to the best tip: disconnect back to the fork
+  // point, then connect the new branch. A block that fails to connect is
+  // marked invalid with its descendants and the next best tip is tried,
+  // which may mean going back to the old branch. Transactions from
+  // disconnected blocks return to the mempool.
+  activateBestChain() {
+    const disconnected = [];
+
+    for (;;) {
+      const best = this.findBestTip();
+      const tip = this.getLatestBlock();
+      if (!best || (tip && best.block.hash === tip.hash)) break;
+
+      const branch = this.getBranch(best.block.hash);
+      let fork = 0;
+      while (fork < this.chain.length && fork < branch.length && this.chain[fork].hash === branch[fork].hash) {
+        fork++;
+      }
+
+      while (this.chain.length > fork) {
+        disconnected.push(this.disconnectTip());
+      }
+      for (const block of branch.slice(fork)) {
+        try {
+          this.connectBlock(block);
+        } catch (error) {
+          if (!(error instanceof BlockValidationError)) throw error;
+          this.invalidateBlock(block.hash, error);
+          break;
+        }
+      }
+    }
+
+    if (disconnected.length > 0) {
+      const transactions = disconnected.reverse().flatMap(block => block.transactions);
+      this.mempool.reorganize(transactions);
+    }
+  }
+
+  // Fully validate `block` on top of the tip and make it the new tip
+  connectBlock(block) {
+    const { utxos, undo } = this.validateBlock(block, this.chain.length);
+    this.chain.push(block);
+    this.utxos = utxos;
+    this.undoData.set(block.hash, undo);
+    this.blockIndex.get(block.hash).validated = true;
+    this.mempool.removeForBlock(block);
+
+    if (this.chainState && !this.loading && ++this.unflushedBlocks >= this.flushInterval) {
+      this.flush();
+    }
+  }
+
+  // Remove the tip, restoring the coins it spent from its undo data
+  disconnectTip() {
+    const block = this.chain.pop();
+    const undo = this.undoData.get(block.hash);
+    const utxos = new Map(this.utxos);
+    for (let i = block.transactions.length - 1; i >= 0; i--) {
+      revertTransaction(block.transactions[i], utxos, undo[i]);
+    }
+    this.utxos = utxos;
+    this.undoData.delete(block.hash);
+    return block;
+  }
+
+  // Mark a block and everything built on it as invalid
+  invalidateBlock(hash, error) {
+    const invalid = new Set([hash]);
+    // Parents are always indexed before their children
+    for (const [id, entry] of this.blockIndex) {
+      if (invalid.has(id) || invalid.has(entry.block.previousHash)) {
+        invalid.add(id);
+        entry.invalid = true;
+        entry.error = error;
+      }
+    }
+  }
+
+  // Header rules that need only the block's ancestors (genesis first); see
+  // checkBlockHeader in validation.js
+  checkBlockHeader(block, height, ancestors) {
+    checkBlockHeader(block, ancestors, {
+      powLimitBits: this.powLimitBits,
+      retargetInterval: this.retargetInterval,
+      targetBlockTime: this.targetBlockTime
+    });
+  }
+
+  // Full consensus check of `block` as the block at `height` of the active
+  // chain, against the UTXO set as of its parent. Throws a
+  // BlockValidationError; otherwise returns the fees collected, the UTXO set
+  // after the block and the undo data to disconnect it again.
+  validateBlock(block, height = this.chain.length, utxos = this.utxos) {
+    const expectedPrevious = height === 0 ? '0' : this.chain[height - 1] && this.chain[height - 1].hash;
+    if (block.previousHash !== expectedPrevious) {
+      throw new BlockValidationError('bad-prevblk', `Block ${height} does not build on ${expectedPrevious}`, {
+        height,
+        hash: block.hash
+      });
+    }
+    this.checkBlockHeader(block, height, this.chain.slice(0, height));
+
+    return this.validateBlockTransactions(block, height, utxos);
+  }
+
+  // The transaction half of validateBlock: Merkle commitment, coinbase rules,
+  // every input spendable exactly once, time locks and coinbase maturity
+  // respected, and coinbase <= subsidy + fees
+  validateBlockTransactions(block, height = this.chain.length, utxos = this.utxos) {
+    const fail = (code, message, details = {}) => {
+      throw new BlockValidationError(code, message, { height, hash: block.hash, ...details });
+    };
+    // Transaction-level failures are reported as the block's failure
+    const rethrow = error => {
+      if (error instanceof TransactionValidationError) fail(error.code, error.message, error.details);
+      throw error;
+    };
+    const transactions = block.transactions;
+
+    if (transactions.length === 0 || !transactions[0].isCoinbase()) {
+      fail('bad-cb-missing', 'First transaction must be a coinbase');
+    }
+    if (transactions.slice(1).some(tx => tx.isCoinbase())) {
+      fail('bad-cb-multiple', 'Only the first transaction may be a coinbase');
+    }
+    if (block.getWeight() > this.maxBlockWeight) {
+      fail('bad-blk-weight', `Block weighs ${block.getWeight()} units, limit is ${this.maxBlockWeight}`);
+    }
+    const merkleTree = block.buildMerkleTree();
+    if (block.merkleRoot !== merkleTree.getRootHash()) {
+      fail('bad-txnmrklroot', 'Merkle root does not match the transactions');
+    }
+    // Same root as a list with repeated transactions (CVE-2012-2459)
+    if (merkleTree.mutated) {
+      fail('bad-txns-duplicate', 'Merkle tree has duplicated transactions');
+    }
+    if (coinbaseHeight(transactions[0]) !== height) {
+      fail('bad-cb-height', `Coinbase does not commit to height ${height}`);
+    }
+    // The Merkle root covers txids only; witnesses are covered by the
+    // coinbase's witness commitment (BIP141)
+    const commitment = block.getWitnessCommitment();
+    if (commitment) {
+      const reserved = transactions[0].inputs[0].witness;
+      if (reserved.length !== 1 || reserved[0].length !== 32) {
+        fail('bad-witness-nonce-size', 'Coinbase witness must be one 32-byte reserved value');
+      }
+      if (!commitment.equals(block.computeWitnessCommitment())) {
+        fail('bad-witness-merkle-match', 'Witness commitment does not match the witnesses');
+      }
+    } else if (transactions.some(tx => tx.hasWitness())) {
+      fail('unexpected-witness', 'Block has witness data but no witness commitment');
+    }
+
+    const txids = new Set();
+    const spent = new Map(); // outpoint -> txid that spent it in this block
+    const view = new Map(utxos);
+    const undo = []; // undo[i]: coins spent by transactions[i]
+    let fees = 0;
+
+    for (const tx of transactions) {
+      try {
+        checkTransaction(tx);
+      } catch (error) {
+        rethrow(error);
+      }
+      if (txids.has(tx.hash)) {
+        fail('bad-txns-duplicate', `Transaction ${tx.hash} appears twice`, { txid: tx.hash });
+      }
+      txids.add(tx.hash);
+
+      if (!tx.isCoinbase()) {
+        for (const input of tx.inputs) {
+          const key = `${input.txHash}:${input.outputIndex}`;
+          if (spent.has(key)) {
+            fail('bad-txns-double-spend', `${key} is spent by both ${spent.get(key)} and ${tx.hash}`, { txid: tx.hash });
+          }
+          spent.set(key, tx.hash);
+        }
+
+        try {
+          fees += checkTxInputs(tx, view, { spendHeight: height, coinbaseMaturity: this.coinbaseMaturity });
+        } catch (error) {
+          rethrow(error);
+        }
+      }
+      try {
+        this.checkTimeLocks(tx, view, height);
+      } catch (error) {
+        rethrow(error);
+      }
+
+      // Later transactions in the block may spend earlier ones' outputs
+      const spentCoins = [];
+      applyTransaction(tx, view, spentCoins, height);
+      undo.push(spentCoins);
+    }
+
+    const coinbaseValue = transactions[0].outputs.reduce((sum, output) => sum + output.amount, 0);
+    if (coinbaseValue > this.miningReward + fees) {
+      fail('bad-cb-amount', `Coinbase pays ${coinbaseValue}, limit is ${this.miningReward + fees}`);
+    }
+
+    return { fees, utxos: view, undo };
+  }
+
+  // Replay every block from genesis, rebuilding the UTXO set from scratch.
+  // Throws on the first invalid block or if the rebuilt set disagrees with
+  // the one this chain has been maintaining; returns the rebuilt set.
+  validateChain() {
+    let utxos = new Map();
+    for (let height = 0; height < this.chain.length; height++) {
+      utxos = this.validateBlock(this.chain[height], height, utxos).utxos;
+    }
+
+    const matches = utxos.size === this.utxos.size &&
+      [...utxos].every(([key, utxo]) => {
+        const current = this.utxos.get(key);
+        return current && current.output.amount === utxo.output.amount &&
+          current.output.scriptPubKey.equals(utxo.output.scriptPubKey) &&
+          current.height === utxo.height && current.coinbase === utxo.coinbase;
+      });
+    if (!matches) {
+      throw new BlockValidationError('bad-utxo-set', 'UTXO set does not match a replay of the chain', {
+        height: this.chain.length - 1
+      });
+    }
+
+    return utxos;
+  }
+
+  isChainValid() {
+    try {
+      this.validateChain();
+      return true;
+    } catch (error) {
+      if (error instanceof BlockValidationError) return false;
+      throw error;
+    }
+  }
+
+  // Throw a TransactionValidationError ('bad-txns-nonfinal') unless `tx`
+  // may go in the block at `height` as far as time locks are concerned:
+  // its nLockTime is reached (by height, or by the parent's median time
+  // past) and every input is past its BIP68 relative lock. Coins in
+  // `utxos` without a height are unconfirmed and count as confirmed at
+  // `height`.
+  checkTimeLocks(tx, utxos, height = this.chain.length) {
+    const fail = message => {
+      throw new TransactionValidationError('bad-txns-nonfinal', message, { txid: tx.hash });
+    };
+    const medianTimePast = height > 0 ? this.getMedianTimePastSeconds(height - 1) : 0;
+
+    if (!isFinalTx(tx, height, medianTimePast)) {
+      fail(`nLockTime ${tx.lockTime} is not reached at height ${height}, median time past ${medianTimePast}`);
+    }
+    if (tx.isCoinbase()) return;
+
+    const coinHeights = tx.inputs.map(input => utxos.get(`${input.txHash}:${input.outputIndex}`).height ?? height);
+    const locks = calculateSequenceLocks(tx, coinHeights, h => this.getMedianTimePastSeconds(h));
+    if (!checkSequenceLocks(locks, height, medianTimePast)) {
+      fail(`An input is under a relative lock until height ${locks.minHeight + 1} / median time past ${locks.minTime + 1}`);
+    }
+  }
+
+  // Validate a transaction for the next block against the current UTXO
+  // set; throws a TransactionValidationError and returns the fee if it is
+  // valid
+  checkTransaction(tx) {
+    checkTransaction(tx);
+    if (tx.isCoinbase()) {
+      throw new TransactionValidationError('coinbase', 'Coinbase transactions are only valid in blocks', { txid: tx.hash });
+    }
+    const fee = checkTxInputs(tx, this.utxos, { spendHeight: this.chain.length, coinbaseMaturity: this.coinbaseMaturity });
+    this.checkTimeLocks(tx, this.utxos);
+    return fee;
+  }
+
+  // Boolean form of checkTransaction
+  validateTransaction(tx) {
+    try {
+      this.checkTransaction(tx);
+      return true;
+    } catch (error) {
+      if (error instanceof TransactionValidationError) return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  Blockchain
+};
@@ -0,0 +1,291 @@
+// Coin selection: choosing which UTXOs fund a payment.
+//
+// Every strategy takes the wallet's UTXOs and the same parameters:
+//   target        - satoshis the payment outputs need
+//   feeRate       - sat/vbyte the transaction should pay
+//   dustThreshold - change below this is dropped into the fee instead
+//   baseSize      - vbytes of the transaction without inputs or change
+//   changeSize    - vbytes a change output adds
+// Virtual bytes are weight / 4; for legacy data they are plain bytes.
+// and returns { selected, fee, change } or null when it finds no solution.
+
+const { classifyScript } = require('./script');
+
+const TX_OVERHEAD_SIZE = 10; // version, counts, locktime
+const P2PKH_INPUT_SIZE = 148; // outpoint, ~107-byte scriptSig, sequence
+const P2WPKH_INPUT_VSIZE = 68; // 41 bytes + ~108-byte witness at a quarter weight
+const SEGWIT_MARKER_VSIZE = 1; // marker and flag: 2 weight units, rounded up
+const P2PKH_OUTPUT_SIZE = 34; // amount, 25-byte script
+const DUST_THRESHOLD = 546; // sat; what a P2PKH output is worth less than to spend
+const BNB_MAX_TRIES = 100000;
+const KNAPSACK_ITERATIONS = 1000;
+
+// Estimated vbytes an input spending this locking script adds once signed
+function estimateInputSize(scriptPubKey) {
+  const info = classifyScript(scriptPubKey);
+  if (info.type === 'witness_v0_keyhash') return P2WPKH_INPUT_VSIZE;
+  if (info.type === 'pubkey') return 114;
+  if (info.type === 'multisig') return 41 + 1 + info.m * 74;
+  return P2PKH_INPUT_SIZE;
+}
+
+function estimateOutputSize(scriptPubKey) {
+  return 9 + scriptPubKey.length;
+}
+
+// Value of a UTXO after paying for the bytes needed to spend it
+function effectiveValue(utxo, feeRate) {
+  return utxo.output.amount - Math.ceil(estimateInputSize(utxo.output.scriptPubKey) * feeRate);
+}
+
+// Spending a P2WPKH output makes the transaction segwit, which adds the marker and flag
+function spendsWitness(utxo) {
+  return classifyScript(utxo.output.scriptPubKey).type === 'witness_v0_keyhash';
+}
+
+function sumAmounts(utxos) {
+  return utxos.reduce((sum, utxo) => sum + utxo.output.amount, 0);
+}
+
+// Turn a set of inputs into a fee and change amount, or null if it falls short
+function finalizeSelection(selected, params) {
+  const { target, feeRate, dustThreshold, baseSize, changeSize } = params;
+  if (selected.length === 0) return null;
+
+  const inputSize = selected.reduce((sum, utxo) => sum + estimateInputSize(utxo.output.scriptPubKey), 0) +
+    (selected.some(spendsWitness) ? SEGWIT_MARKER_VSIZE : 0);
+  const totalIn = sumAmounts(selected);
+  const feeWithoutChange = Math.ceil((baseSize + inputSize) * feeRate);
+  const excess = totalIn - target - feeWithoutChange;
+  if (excess < 0) return null;
+
+  const changeFee = Math.ceil(changeSize * feeRate);
+  const change = excess - changeFee;
+  if (change >= dustThreshold) {
+    return { selected, fee: feeWithoutChange + changeFee, change };
+  }
+  // Not worth a change output: the excess goes to the miner
+  return { selected, fee: totalIn - target, change: 0 };
+}
+
+// Spendable UTXOs (positive effective value), largest first
+function candidates(utxos, feeRate) {
+  return utxos
+    .filter(utxo => effectiveValue(utxo, feeRate) > 0)
+    .sort((a, b) => b.output.amount - a.output.amount);
+}
+
+// Largest-first: take the biggest coins until the payment and fee are covered.
+// Few inputs, cheap now, but leaves the wallet's small coins behind.
+function largestFirst(utxos, params) {
+  const selected = [];
+  for (const utxo of candidates(utxos, params.feeRate)) {
+    selected.push(utxo);
+    const result = finalizeSelection(selected, params);
+    if (result) return result;
+  }
+  return null;
+}
+
+// Branch-and-bound (Bitcoin Core's changeless search): depth-first search for
+// a subset whose effective value lands in [target, target + cost of change],
+// so no change output is needed. Among hits, keep the one wasting least.
+function branchAndBound(utxos, params) {
+  const { target, feeRate, baseSize, changeSize } = params;
+  const longTermFeeRate = params.longTermFeeRate ?? feeRate;
+  const pool = candidates(utxos, feeRate).map(utxo => ({ utxo, value: effectiveValue(utxo, feeRate), witness: spendsWitness(utxo) }));
+
+  const goal = target + Math.ceil(baseSize * feeRate);
+  // A subset with a P2WPKH input also pays for the segwit marker and flag
+  const witnessGoal = goal + Math.ceil(SEGWIT_MARKER_VSIZE * feeRate);
+  // Creating change now plus spending it later
+  const costOfChange = Math.ceil(changeSize * feeRate) + Math.ceil(P2PKH_INPUT_SIZE * longTermFeeRate);
+
+  // remaining[i] = total effective value of pool[i..]
+  const remaining = new Array(pool.length + 1).fill(0);
+  for (let i = pool.length - 1; i >= 0; i--) remaining[i] = remaining[i + 1] + pool[i].value;
+  if (remaining[0] < goal) return null;
+
+  let best = null;
+  let bestExcess = Infinity;
+  let tries = 0;
+  const chosen = [];
+
+  const search = (index, value, witness) => {
+    if (++tries > BNB_MAX_TRIES) return;
+    const needed = witness ? witnessGoal : goal;
+    if (value > needed + costOfChange) return; // overshot: would need change
+    if (value >= needed) {
+      if (value - needed < bestExcess) {
+        bestExcess = value - needed;
+        best = chosen.map(i => pool[i].utxo);
+      }
+      return;
+    }
+    if (index >= pool.length || value + remaining[index] < needed) return; // can't reach
+
+    chosen.push(index);
+    search(index + 1, value + pool[index].value, witness || pool[index].witness);
+    chosen.pop();
+
+    // Omitting a coin equal to one just omitted explores the same subsets
+    let next = index + 1;
+    while (next < pool.length && pool[next].value === pool[index].value) next++;
+    search(next, value, witness);
+  };
+  search(0, 0, false);
+
+  if (!best) return null;
+  const result = finalizeSelection(best, { ...params, dustThreshold: Infinity });
+  return result && { ...result, change: 0 };
+}
+
+// Knapsack (Bitcoin Core's pre-BnB selector): an exact single coin wins;
+// otherwise try many random subsets of the smaller coins for the one closest
+// above the target, and compare with the smallest single coin that covers it.
+function knapsack(utxos, params) {
+  const random = params.random || Math.random;
+  const { feeRate } = params;
+  const pool = candidates(utxos, feeRate);
+  // Effective-value goal including a change output
+  const goal = params.target + Math.ceil((params.baseSize + params.changeSize) * feeRate);
+  const value = utxo => effectiveValue(utxo, feeRate);
+
+  const exact = pool.find(utxo => value(utxo) === goal);
+  if (exact) return finalizeSelection([exact], params);
+
+  const smaller = pool.filter(utxo => value(utxo) < goal);
+  const larger = pool.filter(utxo => value(utxo) > goal);
+  const lowestLarger = larger.length > 0 ? larger[larger.length - 1] : null;
+  const smallerTotal = smaller.reduce((sum, utxo) => sum + value(utxo), 0);
+
+  if (smallerTotal === goal) return finalizeSelection(smaller, params);
+  if (smallerTotal < goal) return lowestLarger ? finalizeSelection([lowestLarger], params) : null;
+
+  // Stochastic approximation of the best subset of the smaller coins
+  let bestSet = smaller.map(() => true);
+  let bestTotal = smallerTotal;
+  for (let rep = 0; rep < KNAPSACK_ITERATIONS && bestTotal !== goal; rep++) {
+    const included = smaller.map(() => false);
+    let total = 0;
+    let reached = false;
+    for (let pass = 0; pass < 2 && !reached; pass++) {
+      for (let i = 0; i < smaller.length; i++) {
+        // First pass picks randomly, second pass fills in what the first skipped
+        if (pass === 0 ? random() < 0.5 : !included[i]) {
+          total += value(smaller[i]);
+          included[i] = true;
+          if (total >= goal) {
+            reached = true;
+            if (total < bestTotal) {
+              bestTotal = total;
+              bestSet = included.slice();
+            }
+            total -= value(smaller[i]);
+            included[i] = false;
+          }
+        }
+      }
+    }
+  }
+
+  const subset = smaller.filter((utxo, i) => bestSet[i]);
+  if (lowestLarger && value(lowestLarger) <= bestTotal) {
+    return finalizeSelection([lowestLarger], params);
+  }
+  return finalizeSelection(subset, params);
+}
+
+// Random-improve (Cardano's CIP-2): pick random coins until the target is
+// covered, then keep adding random coins while that moves the total closer to
+// twice the target without passing three times it. The change it leaves is
+// roughly the size of the payment, which keeps the wallet's coins useful.
+function randomImprove(utxos, params) {
+  const random = params.random || Math.random;
+  const { target, feeRate } = params;
+  const pool = candidates(utxos, feeRate);
+  const goal = target + Math.ceil((params.baseSize + params.changeSize) * feeRate);
+  const value = utxo => effectiveValue(utxo, feeRate);
+
+  const takeRandom = () => pool.splice(Math.floor(random() * pool.length), 1)[0];
+
+  const selected = [];
+  let total = 0;
+  while (total < goal) {
+    if (pool.length === 0) return null;
+    const utxo = takeRandom();
+    selected.push(utxo);
+    total += value(utxo);
+  }
+
+  const ideal = 2 * goal;
+  const upperLimit = 3 * goal;
+  while (pool.length > 0) {
+    const utxo = takeRandom();
+    const next = total + value(utxo);
+    if (Math.abs(ideal - next) < Math.abs(ideal - total) && next <= upperLimit) {
+      selected.push(utxo);
+      total = next;
+    }
+  }
+
+  return finalizeSelection(selected, params);
+}
+
+const COIN_SELECTION_STRATEGIES = {
+  'largest-first': largestFirst,
+  'branch-and-bound': branchAndBound,
+  'knapsack': knapsack,
+  'random-improve': randomImprove
+};
+
+// Run a strategy by name (or pass a function with the same signature)
+function selectCoins(strategy, utxos, params) {
+  const select = typeof strategy === 'function' ? strategy : COIN_SELECTION_STRATEGIES[strategy];
+  if (!select) {
+    throw new Error(`Unknown coin selection strategy: ${strategy}`);
+  }
+  return select(utxos, { dustThreshold: DUST_THRESHOLD, ...params });
+}
+
+// Run every strategy on the same wallet and report fee and fragmentation
+function compareStrategies(utxos, params) {
+  return Object.keys(COIN_SELECTION_STRATEGIES).map(name => {
+    const result = selectCoins(name, utxos, params);
+    if (!result) return { strategy: name, success: false };
+
+    const spent = new Set(result.selected);
+    const left = utxos.filter(utxo => !spent.has(utxo));
+    return {
+      strategy: name,
+      success: true,
+      inputs: result.selected.length,
+      fee: result.fee,
+      change: result.change,
+      utxosAfter: left.length + (result.change > 0 ? 1 : 0),
+      // null when the payment spends the whole wallet and leaves no change
+      smallestUtxoAfter: left.length > 0 || result.change > 0
+        ? Math.min(...left.map(utxo => utxo.output.amount), ...(result.change > 0 ? [result.change] : []))
+        : null
+    };
+  });
+}
+
+module.exports = {
+  TX_OVERHEAD_SIZE,
+  P2PKH_INPUT_SIZE,
+  P2WPKH_INPUT_VSIZE,
+  P2PKH_OUTPUT_SIZE,
+  DUST_THRESHOLD,
+  COIN_SELECTION_STRATEGIES,
+  estimateInputSize,
+  estimateOutputSize,
+  effectiveValue,
+  finalizeSelection,
+  largestFirst,
+  branchAndBound,
+  knapsack,
+  randomImprove,
+  selectCoins,
+  compareStrategies
+};
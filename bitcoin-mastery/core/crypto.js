@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { signECDSA, verifyECDSA, encodeDER, decodeDER, isLowS } = require('./ecdsa');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Double SHA-256 as used for txids and block hashes (returns raw bytes)
+function hash256(data) {
+  const first = crypto.createHash('sha256').update(data).digest();
+  return crypto.createHash('sha256').update(first).digest();
+}
+
+// RIPEMD-160 of SHA-256: the 20-byte hash used in P2PKH scripts
+function hash160(data) {
+  const first = crypto.createHash('sha256').update(data).digest();
+  return crypto.createHash('ripemd160').update(first).digest();
+}
+
+// Generate key pair
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('ec', {
+    namedCurve: 'secp256k1',
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+}
+
+// Sign sha256(data) with a PEM or raw 32-byte private key. The nonce comes
+// from RFC6979 and S is made low, so the DER hex returned is the same every
+// time for the same key and data.
+function signData(data, privateKey) {
+  const hash = crypto.createHash('sha256').update(data).digest();
+  return encodeDER(signECDSA(hash, privateKeyToBuffer(privateKey))).toString('hex');
+}
+
+// Verify a DER signature (hex or Buffer) over sha256(data) against a PEM or
+// SEC1 public key. Non-canonical DER and high-S signatures are invalid.
+function verifySignature(data, signature, publicKey) {
+  const der = Buffer.isBuffer(signature) ? signature : Buffer.from(signature, 'hex');
+  try {
+    if (!isLowS(decodeDER(der).s)) return false;
+  } catch (error) {
+    return false;
+  }
+  const key = Buffer.isBuffer(publicKey) ? publicKeyFromBuffer(publicKey) : publicKey;
+  return crypto.verify('sha256', Buffer.from(data), key, der);
+}
+
+// Sign a 32-byte hash as it is. A transaction's sighash is already a double
+// SHA-256 and Bitcoin signs exactly those bytes, where signData would hash
+// them again. Returns a DER signature with a low S.
+function signHash(hash, privateKey) {
+  return encodeDER(signECDSA(hash, privateKeyToBuffer(privateKey)));
+}
+
+// Verify a DER signature over a 32-byte hash, taken as it is, against a PEM
+// or SEC1 public key. Malformed DER, bad keys and high S all fail.
+function verifyHash(hash, signature, publicKey) {
+  try {
+    const key = Buffer.isBuffer(publicKey) ? publicKey : publicKeyToBuffer(publicKey);
+    return verifyECDSA(hash, decodeDER(signature), key);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Compressed SEC1 encoding (33 bytes) of a PEM public key, as it appears in scripts.
+// A PEM private key works too; its public half is used.
+function publicKeyToBuffer(publicKeyPem) {
+  const jwk = crypto.createPublicKey(publicKeyPem).export({ format: 'jwk' });
+  const x = Buffer.from(jwk.x, 'base64url');
+  const y = Buffer.from(jwk.y, 'base64url');
+  const prefix = (y[y.length - 1] & 1) ? 0x03 : 0x02;
+  return Buffer.concat([Buffer.from([prefix]), x]);
+}
+
+// Inverse of publicKeyToBuffer: SEC1 bytes (compressed or not) back to PEM
+function publicKeyFromBuffer(buffer) {
+  const uncompressed = crypto.ECDH.convertKey(buffer, 'secp256k1', undefined, undefined, 'uncompressed');
+  const jwk = {
+    kty: 'EC',
+    crv: 'secp256k1',
+    x: uncompressed.subarray(1, 33).toString('base64url'),
+    y: uncompressed.subarray(33, 65).toString('base64url')
+  };
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' })
+    .export({ type: 'spki', format: 'pem' });
+}
+
+// Raw 32-byte key of a PEM private key; Buffers are returned as they are
+function privateKeyToBuffer(privateKey) {
+  if (Buffer.isBuffer(privateKey)) return privateKey;
+  const { d } = crypto.createPrivateKey(privateKey).export({ format: 'jwk' });
+  return Buffer.from(d, 'base64url');
+}
+
+// PEM private key for a raw 32-byte secp256k1 key (from an HD wallet or WIF)
+function privateKeyFromBuffer(buffer) {
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.setPrivateKey(buffer);
+  const publicKey = ecdh.getPublicKey();
+  const jwk = {
+    kty: 'EC',
+    crv: 'secp256k1',
+    d: buffer.toString('base64url'),
+    x: publicKey.subarray(1, 33).toString('base64url'),
+    y: publicKey.subarray(33, 65).toString('base64url')
+  };
+  return crypto.createPrivateKey({ key: jwk, format: 'jwk' })
+    .export({ type: 'pkcs8', format: 'pem' });
+}
+
+module.exports = {
+  sha256,
+  hash256,
+  hash160,
+  generateKeyPair,
+  signData,
+  verifySignature,
+  signHash,
+  verifyHash,
+  publicKeyToBuffer,
+  publicKeyFromBuffer,
+  privateKeyToBuffer,
+  privateKeyFromBuffer
+};
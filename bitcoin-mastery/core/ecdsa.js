@@ -0,0 +1,209 @@
+// ECDSA over secp256k1 on 32-byte message hashes, as Bitcoin uses it:
+//
+//   - nonces are deterministic (RFC6979 with HMAC-SHA256), so the same key
+//     and hash always give the same signature and a broken RNG cannot leak
+//     the key
+//   - S is kept in the lower half of the order (BIP62/BIP146). (r, s) and
+//     (r, n - s) both verify, so allowing both would let anyone change a
+//     signature, and with it the txid, without the key
+//
+// Signatures are { r, s, recovery } BigInts; recovery (0-3) records R's y
+// parity and whether R.x overflowed n, which is enough to recover the
+// public key from the signature.
+
+const crypto = require('crypto');
+const {
+  N,
+  mod,
+  invert,
+  bufferToBigInt,
+  bigIntToBuffer,
+  pointAdd,
+  pointMultiply,
+  encodePoint,
+  decodePoint,
+  isValidPrivateKey
+} = require('./secp256k1');
+
+const HALF_ORDER = N >> 1n;
+
+function hmac(key, ...data) {
+  return crypto.createHmac('sha256', key).update(Buffer.concat(data)).digest();
+}
+
+// RFC6979 section 3.2 candidates for k; the caller takes the first that
+// gives a usable signature. extraEntropy (32 bytes) is mixed in as
+// additional data, like libsecp256k1's ndata.
+function* rfc6979Nonces(hash, privateKey, extraEntropy = Buffer.alloc(0)) {
+  const h1 = bigIntToBuffer(mod(bufferToBigInt(hash), N));
+  let V = Buffer.alloc(32, 0x01);
+  let K = Buffer.alloc(32, 0x00);
+
+  K = hmac(K, V, Buffer.from([0x00]), privateKey, h1, extraEntropy);
+  V = hmac(K, V);
+  K = hmac(K, V, Buffer.from([0x01]), privateKey, h1, extraEntropy);
+  V = hmac(K, V);
+
+  for (;;) {
+    V = hmac(K, V);
+    const k = bufferToBigInt(V);
+    if (k > 0n && k < N) yield k;
+    K = hmac(K, V, Buffer.from([0x00]));
+    V = hmac(K, V);
+  }
+}
+
+function isLowS(s) {
+  return s <= HALF_ORDER;
+}
+
+// Flip a high S to n - s. The recovery id flips too, because -R has the
+// other y parity.
+function normalizeS(signature) {
+  if (isLowS(signature.s)) return signature;
+  return {
+    r: signature.r,
+    s: N - signature.s,
+    recovery: signature.recovery === undefined ? undefined : signature.recovery ^ 1
+  };
+}
+
+function signECDSA(hash, privateKey, { extraEntropy } = {}) {
+  if (hash.length !== 32) throw new RangeError('ECDSA signs a 32-byte hash');
+  if (!isValidPrivateKey(privateKey)) throw new RangeError('Invalid private key');
+  const d = bufferToBigInt(privateKey);
+  const z = bufferToBigInt(hash);
+
+  for (const k of rfc6979Nonces(hash, privateKey, extraEntropy)) {
+    const R = pointMultiply(k);
+    const r = mod(R.x, N);
+    if (r === 0n) continue;
+    const s = mod(invert(k, N) * (z + r * d), N);
+    if (s === 0n) continue;
+    const recovery = Number(R.y & 1n) | (R.x >= N ? 2 : 0);
+    return normalizeS({ r, s, recovery });
+  }
+}
+
+// publicKey: SEC1 bytes. High-S signatures fail unless lowS is false.
+function verifyECDSA(hash, signature, publicKey, { lowS = true } = {}) {
+  const { r, s } = signature;
+  if (r <= 0n || r >= N || s <= 0n || s >= N) return false;
+  if (lowS && !isLowS(s)) return false;
+
+  let Q;
+  try {
+    Q = decodePoint(publicKey);
+  } catch (error) {
+    return false;
+  }
+
+  const w = invert(s, N);
+  const u1 = mod(bufferToBigInt(hash) * w, N);
+  const u2 = mod(r * w, N);
+  const X = pointAdd(pointMultiply(u1), pointMultiply(u2, Q));
+  return X !== null && mod(X.x, N) === r;
+}
+
+// Q = r^-1 (sR - zG), with R rebuilt from r and the recovery id
+function recoverPublicKey(hash, signature, recovery = signature.recovery, compressed = true) {
+  const { r, s } = signature;
+  if (r <= 0n || r >= N || s <= 0n || s >= N || !(recovery >= 0 && recovery <= 3)) {
+    throw new RangeError('Invalid signature or recovery id');
+  }
+  const x = r + (recovery & 2 ? N : 0n);
+  const R = decodePoint(Buffer.concat([Buffer.from([recovery & 1 ? 0x03 : 0x02]), bigIntToBuffer(x)]));
+  const rInverse = invert(r, N);
+  const zG = pointMultiply(mod(-bufferToBigInt(hash), N));
+  const Q = pointMultiply(rInverse, pointAdd(pointMultiply(s, R), zG));
+  if (!Q) throw new RangeError('Recovered the point at infinity');
+  return encodePoint(Q, compressed);
+}
+
+// --- Encodings ---
+
+// DER integer: big-endian, minimal, with a 0x00 pad if the top bit is set
+function encodeInteger(n) {
+  let bytes = Buffer.from(n.toString(16).padStart(64, '0'), 'hex');
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0 && !(bytes[start + 1] & 0x80)) start++;
+  bytes = bytes.subarray(start);
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.alloc(1), bytes]);
+  return Buffer.concat([Buffer.from([0x02, bytes.length]), bytes]);
+}
+
+// 0x30 len 0x02 rlen r 0x02 slen s
+function encodeDER({ r, s }) {
+  const body = Buffer.concat([encodeInteger(r), encodeInteger(s)]);
+  return Buffer.concat([Buffer.from([0x30, body.length]), body]);
+}
+
+// Strict DER as in BIP66: exact lengths, no negative numbers and no
+// unnecessary padding. Anything else throws.
+function decodeDER(buffer) {
+  const fail = reason => {
+    throw new Error(`Non-canonical DER signature: ${reason}`);
+  };
+  if (buffer.length < 8 || buffer.length > 72) fail('bad length');
+  if (buffer[0] !== 0x30) fail('not a sequence');
+  if (buffer[1] !== buffer.length - 2) fail('sequence length mismatch');
+
+  let offset = 2;
+  const readInteger = name => {
+    if (buffer[offset] !== 0x02) fail(`${name} is not an integer`);
+    const length = buffer[offset + 1];
+    if (length === 0 || offset + 2 + length > buffer.length) fail(`bad ${name} length`);
+    const bytes = buffer.subarray(offset + 2, offset + 2 + length);
+    if (bytes[0] & 0x80) fail(`negative ${name}`);
+    if (length > 1 && bytes[0] === 0x00 && !(bytes[1] & 0x80)) fail(`${name} has excess padding`);
+    offset += 2 + length;
+    return bufferToBigInt(bytes);
+  };
+
+  const r = readInteger('r');
+  const s = readInteger('s');
+  if (offset !== buffer.length) fail('trailing bytes');
+  return { r, s };
+}
+
+// 64 bytes: r || s
+function encodeCompact({ r, s }) {
+  return Buffer.concat([bigIntToBuffer(r), bigIntToBuffer(s)]);
+}
+
+function decodeCompact(buffer) {
+  if (buffer.length !== 64) throw new RangeError('Compact signature must be 64 bytes');
+  return { r: bufferToBigInt(buffer.subarray(0, 32)), s: bufferToBigInt(buffer.subarray(32)) };
+}
+
+// 65 bytes as in Bitcoin's signed messages: a header byte
+// 27 + recovery (+ 4 if the key is compressed), then r || s
+function encodeRecoverable(signature, compressed = true) {
+  const header = 27 + signature.recovery + (compressed ? 4 : 0);
+  return Buffer.concat([Buffer.from([header]), encodeCompact(signature)]);
+}
+
+// Returns { r, s, recovery, compressed }
+function decodeRecoverable(buffer) {
+  if (buffer.length !== 65 || buffer[0] < 27 || buffer[0] > 34) {
+    throw new RangeError('Recoverable signature must be a 27-34 header byte plus 64 bytes');
+  }
+  const header = buffer[0] - 27;
+  return { ...decodeCompact(buffer.subarray(1)), recovery: header & 3, compressed: header >= 4 };
+}
+
+module.exports = {
+  HALF_ORDER,
+  rfc6979Nonces,
+  isLowS,
+  normalizeS,
+  signECDSA,
+  verifyECDSA,
+  recoverPublicKey,
+  encodeDER,
+  decodeDER,
+  encodeCompact,
+  decodeCompact,
+  encodeRecoverable,
+  decodeRecoverable
+};
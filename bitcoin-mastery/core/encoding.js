@@ -0,0 +1,153 @@
+// Bitcoin wire-format primitives: little-endian integers and CompactSize varints
+
+// Encode a CompactSize unsigned integer (the "varint" used for counts and lengths)
+function encodeVarInt(n) {
+  if (n < 0xfd) {
+    return Buffer.from([n]);
+  }
+  if (n <= 0xffff) {
+    const buf = Buffer.alloc(3);
+    buf[0] = 0xfd;
+    buf.writeUInt16LE(n, 1);
+    return buf;
+  }
+  if (n <= 0xffffffff) {
+    const buf = Buffer.alloc(5);
+    buf[0] = 0xfe;
+    buf.writeUInt32LE(n, 1);
+    return buf;
+  }
+  const buf = Buffer.alloc(9);
+  buf[0] = 0xff;
+  buf.writeBigUInt64LE(BigInt(n), 1);
+  return buf;
+}
+
+// Accumulates serialized fields and concatenates them at the end
+class BufferWriter {
+  constructor() {
+    this.parts = [];
+  }
+
+  writeUInt8(n) {
+    this.parts.push(Buffer.from([n]));
+  }
+
+  writeUInt32(n) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32LE(n >>> 0);
+    this.parts.push(buf);
+  }
+
+  writeInt32(n) {
+    const buf = Buffer.alloc(4);
+    buf.writeInt32LE(n);
+    this.parts.push(buf);
+  }
+
+  // 64-bit amounts; accepts numbers or BigInts
+  writeUInt64(n) {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64LE(BigInt(n));
+    this.parts.push(buf);
+  }
+
+  writeVarInt(n) {
+    this.parts.push(encodeVarInt(n));
+  }
+
+  writeSlice(buffer) {
+    this.parts.push(Buffer.from(buffer));
+  }
+
+  // Length-prefixed byte string
+  writeVarSlice(buffer) {
+    this.writeVarInt(buffer.length);
+    this.writeSlice(buffer);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.parts);
+  }
+}
+
+// Reads fields back in order, failing loudly on truncated input
+class BufferReader {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error(`Unexpected end of data at offset ${this.offset}`);
+    }
+  }
+
+  readUInt8() {
+    this.ensure(1);
+    return this.buffer[this.offset++];
+  }
+
+  readUInt32() {
+    this.ensure(4);
+    const n = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return n;
+  }
+
+  readInt32() {
+    this.ensure(4);
+    const n = this.buffer.readInt32LE(this.offset);
+    this.offset += 4;
+    return n;
+  }
+
+  // Amounts stay well below 2^53 satoshis, so a Number is safe
+  readUInt64() {
+    this.ensure(8);
+    const n = this.buffer.readBigUInt64LE(this.offset);
+    this.offset += 8;
+    return Number(n);
+  }
+
+  readVarInt() {
+    const first = this.readUInt8();
+    if (first < 0xfd) return first;
+    if (first === 0xfd) {
+      this.ensure(2);
+      const n = this.buffer.readUInt16LE(this.offset);
+      this.offset += 2;
+      return n;
+    }
+    if (first === 0xfe) return this.readUInt32();
+    return this.readUInt64();
+  }
+
+  readSlice(length) {
+    this.ensure(length);
+    const slice = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return Buffer.from(slice);
+  }
+
+  readVarSlice() {
+    return this.readSlice(this.readVarInt());
+  }
+
+  isFinished() {
+    return this.offset === this.buffer.length;
+  }
+}
+
+// Txids and block hashes are displayed byte-reversed relative to the wire
+function reverseHex(hex) {
+  return Buffer.from(hex, 'hex').reverse().toString('hex');
+}
+
+module.exports = {
+  encodeVarInt,
+  BufferWriter,
+  BufferReader,
+  reverseHex
+};
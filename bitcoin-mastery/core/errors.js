@@ -0,0 +1,26 @@
+// Consensus failures carry a reject code in the style of Bitcoin Core
+// (e.g. 'bad-txns-inputs-missingorspent') plus the context they apply to.
+class ValidationError extends Error {
+  constructor(code, message, details = {}) {
+    super(message || code);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// A transaction broke a consensus rule
+class TransactionValidationError extends ValidationError {}
+
+// A block (or a transaction inside it) broke a consensus rule
+class BlockValidationError extends ValidationError {}
+
+// A valid transaction the mempool still refuses (fee too low, conflict, ...)
+class MempoolError extends ValidationError {}
+
+module.exports = {
+  ValidationError,
+  TransactionValidationError,
+  BlockValidationError,
+  MempoolError
+};
@@ -0,0 +1,405 @@
+/**
+ * Bitcoin Mastery - core library
+ *
+ * The classes behind the numbered demo modules, importable without
+ * running any demo: `const { Blockchain, MerkleTree } = require('../core');`
+ */
+
+const {
+  sha256,
+  hash256,
+  hash160,
+  generateKeyPair,
+  signData,
+  verifySignature,
+  signHash,
+  verifyHash,
+  publicKeyToBuffer,
+  publicKeyFromBuffer,
+  privateKeyToBuffer,
+  privateKeyFromBuffer
+} = require('./crypto');
+const { N: CURVE_ORDER, isValidPrivateKey, getPublicKey } = require('./secp256k1');
+const {
+  rfc6979Nonces,
+  isLowS,
+  normalizeS,
+  signECDSA,
+  verifyECDSA,
+  recoverPublicKey,
+  encodeDER,
+  decodeDER,
+  encodeCompact,
+  decodeCompact,
+  encodeRecoverable,
+  decodeRecoverable
+} = require('./ecdsa');
+const {
+  taggedHash,
+  getXOnlyPublicKey,
+  signSchnorr,
+  verifySchnorr,
+  tweakPublicKey,
+  tweakPrivateKey
+} = require('./schnorr');
+const { encodeVarInt, BufferWriter, BufferReader, reverseHex } = require('./encoding');
+const {
+  OPS,
+  SIGHASH_ALL,
+  encodePush,
+  compileScript,
+  decompileScript,
+  scriptToAsm,
+  encodeScriptNumber,
+  decodeScriptNumber,
+  p2pkhScript,
+  p2pkScript,
+  multisigScript,
+  p2wpkhScript,
+  p2wshScript,
+  witnessProgram,
+  cltvScript,
+  csvScript,
+  htlcScript,
+  nullDataScript,
+  classifyScript,
+  isUnspendable
+} = require('./script');
+const {
+  NETWORKS,
+  base58Encode,
+  base58Decode,
+  base58CheckEncode,
+  base58CheckDecode,
+  bech32Encode,
+  bech32Decode,
+  encodeSegwitAddress,
+  decodeSegwitAddress,
+  p2pkhAddress,
+  pubKeyHashToAddress,
+  p2wpkhAddress,
+  p2trAddress,
+  decodeAddress,
+  isValidAddress,
+  addressToScript,
+  scriptToAddress,
+  toWIF,
+  fromWIF
+} = require('./address');
+const {
+  LOCKTIME_THRESHOLD,
+  SEQUENCE_FINAL,
+  SEQUENCE_LOCKTIME_DISABLE_FLAG,
+  SEQUENCE_LOCKTIME_TYPE_FLAG,
+  SEQUENCE_LOCKTIME_MASK,
+  SEQUENCE_LOCKTIME_GRANULARITY,
+  COINBASE_MATURITY,
+  medianTimePast,
+  isHeightLock,
+  isFinalTx,
+  relativeLockSequence,
+  calculateSequenceLocks,
+  checkSequenceLocks
+} = require('./timelock');
+const {
+  WORDLIST,
+  generateMnemonic,
+  entropyToMnemonic,
+  mnemonicToEntropy,
+  validateMnemonic,
+  mnemonicToSeed
+} = require('./bip39');
+const { HARDENED_OFFSET, parsePath, formatPath, HDKey } = require('./bip32');
+const { PURPOSES, RECEIVE_CHAIN, CHANGE_CHAIN, GAP_LIMIT, HDWallet } = require('./wallet');
+const {
+  SIGVERSION_BASE,
+  SIGVERSION_WITNESS_V0,
+  ScriptError,
+  TransactionSignatureChecker,
+  executeScript,
+  verifyScript
+} = require('./interpreter');
+const {
+  COIN,
+  WITNESS_SCALE_FACTOR,
+  COINBASE_TX_HASH,
+  scriptForAddress,
+  addressFromScript,
+  TransactionInput,
+  TransactionOutput,
+  Transaction
+} = require('./transaction');
+const { MERKLE_MODES, MerkleNode, MerkleTree, PartialMerkleTree } = require('./merkle');
+const {
+  POW_LIMIT_BITS,
+  compactToTarget,
+  targetToCompact,
+  hashToNumber,
+  checkProofOfWork,
+  getBlockWork,
+  getDifficulty,
+  calculateNextWorkRequired,
+  getNextWorkRequired,
+  getChainWork
+} = require('./pow');
+const {
+  BLOCK_HEADER_SIZE,
+  WITNESS_COMMITMENT_HEADER,
+  witnessCommitmentScript,
+  Block,
+  transactionId
+} = require('./block');
+const {
+  ValidationError,
+  TransactionValidationError,
+  BlockValidationError,
+  MempoolError
+} = require('./errors');
+const {
+  MAX_MONEY,
+  MAX_BLOCK_WEIGHT,
+  MAX_FUTURE_BLOCK_TIME,
+  outpointKey,
+  checkTransaction,
+  checkTxInputs,
+  applyTransaction,
+  checkBlockHeader
+} = require('./validation');
+const { Mempool, MAX_SEQUENCE_NONFINAL } = require('./mempool');
+const {
+  TX_OVERHEAD_SIZE,
+  P2PKH_INPUT_SIZE,
+  P2WPKH_INPUT_VSIZE,
+  P2PKH_OUTPUT_SIZE,
+  DUST_THRESHOLD,
+  COIN_SELECTION_STRATEGIES,
+  estimateInputSize,
+  estimateOutputSize,
+  effectiveValue,
+  largestFirst,
+  branchAndBound,
+  knapsack,
+  randomImprove,
+  selectCoins,
+  compareStrategies
+} = require('./coin-selection');
+const { MAX_NONCE, ParallelMiner } = require('./parallel-miner');
+const { Blockchain } = require('./blockchain');
+const { LightClient } = require('./light-client');
+const {
+  NETWORK_MAGIC,
+  PROTOCOL_VERSION,
+  MAX_HEADERS_RESULTS,
+  MAX_INV_SIZE,
+  INV_TYPES,
+  ProtocolError,
+  encodeMessage,
+  MessageParser,
+  checkPayload,
+  buildLocator
+} = require('./protocol');
+const { NODE_NETWORK, Peer, Node, FullNode, SpvNode } = require('./p2p');
+const {
+  MAX_BLOCKFILE_SIZE,
+  StorageError,
+  KeyValueStore,
+  BlockStore,
+  ChainStateStore
+} = require('./storage');
+const { RPC_ERRORS, RpcError, RpcServer } = require('./rpc');
+
+module.exports = {
+  sha256,
+  hash256,
+  hash160,
+  generateKeyPair,
+  signData,
+  verifySignature,
+  signHash,
+  verifyHash,
+  publicKeyToBuffer,
+  publicKeyFromBuffer,
+  privateKeyToBuffer,
+  privateKeyFromBuffer,
+  CURVE_ORDER,
+  isValidPrivateKey,
+  getPublicKey,
+  rfc6979Nonces,
+  isLowS,
+  normalizeS,
+  signECDSA,
+  verifyECDSA,
+  recoverPublicKey,
+  encodeDER,
+  decodeDER,
+  encodeCompact,
+  decodeCompact,
+  encodeRecoverable,
+  decodeRecoverable,
+  taggedHash,
+  getXOnlyPublicKey,
+  signSchnorr,
+  verifySchnorr,
+  tweakPublicKey,
+  tweakPrivateKey,
+  encodeVarInt,
+  BufferWriter,
+  BufferReader,
+  reverseHex,
+  OPS,
+  SIGHASH_ALL,
+  encodePush,
+  compileScript,
+  decompileScript,
+  scriptToAsm,
+  encodeScriptNumber,
+  decodeScriptNumber,
+  p2pkhScript,
+  p2pkScript,
+  multisigScript,
+  p2wpkhScript,
+  p2wshScript,
+  witnessProgram,
+  cltvScript,
+  csvScript,
+  htlcScript,
+  nullDataScript,
+  classifyScript,
+  isUnspendable,
+  NETWORKS,
+  base58Encode,
+  base58Decode,
+  base58CheckEncode,
+  base58CheckDecode,
+  bech32Encode,
+  bech32Decode,
+  encodeSegwitAddress,
+  decodeSegwitAddress,
+  p2pkhAddress,
+  pubKeyHashToAddress,
+  p2wpkhAddress,
+  p2trAddress,
+  decodeAddress,
+  isValidAddress,
+  addressToScript,
+  scriptToAddress,
+  toWIF,
+  fromWIF,
+  LOCKTIME_THRESHOLD,
+  SEQUENCE_FINAL,
+  SEQUENCE_LOCKTIME_DISABLE_FLAG,
+  SEQUENCE_LOCKTIME_TYPE_FLAG,
+  SEQUENCE_LOCKTIME_MASK,
+  SEQUENCE_LOCKTIME_GRANULARITY,
+  COINBASE_MATURITY,
+  medianTimePast,
+  isHeightLock,
+  isFinalTx,
+  relativeLockSequence,
+  calculateSequenceLocks,
+  checkSequenceLocks,
+  WORDLIST,
+  generateMnemonic,
+  entropyToMnemonic,
+  mnemonicToEntropy,
+  validateMnemonic,
+  mnemonicToSeed,
+  HARDENED_OFFSET,
+  parsePath,
+  formatPath,
+  HDKey,
+  PURPOSES,
+  RECEIVE_CHAIN,
+  CHANGE_CHAIN,
+  GAP_LIMIT,
+  HDWallet,
+  SIGVERSION_BASE,
+  SIGVERSION_WITNESS_V0,
+  ScriptError,
+  TransactionSignatureChecker,
+  executeScript,
+  verifyScript,
+  COIN,
+  WITNESS_SCALE_FACTOR,
+  COINBASE_TX_HASH,
+  scriptForAddress,
+  addressFromScript,
+  TransactionInput,
+  TransactionOutput,
+  Transaction,
+  MERKLE_MODES,
+  MerkleNode,
+  MerkleTree,
+  PartialMerkleTree,
+  POW_LIMIT_BITS,
+  compactToTarget,
+  targetToCompact,
+  hashToNumber,
+  checkProofOfWork,
+  getBlockWork,
+  getDifficulty,
+  calculateNextWorkRequired,
+  getNextWorkRequired,
+  getChainWork,
+  BLOCK_HEADER_SIZE,
+  WITNESS_COMMITMENT_HEADER,
+  witnessCommitmentScript,
+  Block,
+  transactionId,
+  ValidationError,
+  TransactionValidationError,
+  BlockValidationError,
+  MempoolError,
+  MAX_MONEY,
+  MAX_BLOCK_WEIGHT,
+  MAX_FUTURE_BLOCK_TIME,
+  outpointKey,
+  checkTransaction,
+  checkTxInputs,
+  applyTransaction,
+  checkBlockHeader,
+  Mempool,
+  MAX_SEQUENCE_NONFINAL,
+  TX_OVERHEAD_SIZE,
+  P2PKH_INPUT_SIZE,
+  P2WPKH_INPUT_VSIZE,
+  P2PKH_OUTPUT_SIZE,
+  DUST_THRESHOLD,
+  COIN_SELECTION_STRATEGIES,
+  estimateInputSize,
+  estimateOutputSize,
+  effectiveValue,
+  largestFirst,
+  branchAndBound,
+  knapsack,
+  randomImprove,
+  selectCoins,
+  compareStrategies,
+  MAX_NONCE,
+  ParallelMiner,
+  Blockchain,
+  LightClient,
+  NETWORK_MAGIC,
+  PROTOCOL_VERSION,
+  MAX_HEADERS_RESULTS,
+  MAX_INV_SIZE,
+  INV_TYPES,
+  ProtocolError,
+  encodeMessage,
+  MessageParser,
+  checkPayload,
+  buildLocator,
+  NODE_NETWORK,
+  Peer,
+  Node,
+  FullNode,
+  SpvNode,
+  MAX_BLOCKFILE_SIZE,
+  StorageError,
+  KeyValueStore,
+  BlockStore,
+  ChainStateStore,
+  RPC_ERRORS,
+  RpcError,
+  RpcServer
+};
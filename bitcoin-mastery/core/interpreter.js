@@ -0,0 +1,356 @@
+// Stack-based Script interpreter: runs scriptSig, then scriptPubKey on the
+// resulting stack, and succeeds if the top item is true. Segwit outputs
+// then run their witness as well (BIP141).
+
+const { sha256, hash256, hash160, verifyHash } = require('./crypto');
+const {
+  OPS,
+  OP_NAMES,
+  SIGHASH_ALL,
+  ScriptError,
+  decompileScript,
+  encodeScriptNumber,
+  decodeScriptNumber,
+  p2pkhScript,
+  witnessProgram
+} = require('./script');
+const {
+  SEQUENCE_FINAL,
+  SEQUENCE_LOCKTIME_DISABLE_FLAG,
+  SEQUENCE_LOCKTIME_TYPE_FLAG,
+  SEQUENCE_LOCKTIME_MASK,
+  isHeightLock
+} = require('./timelock');
+
+const MAX_STACK_SIZE = 1000;
+
+// Which signature digest CHECKSIG uses: legacy, or BIP143 inside a witness
+const SIGVERSION_BASE = 'base';
+const SIGVERSION_WITNESS_V0 = 'witness_v0';
+const MAX_LOCKTIME_NUMBER_SIZE = 5; // Lock times need 5-byte numbers (up to 2^32 - 1)
+
+// Empty arrays, zeros and negative zero are false; anything else is true
+function castToBool(buffer) {
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] !== 0) {
+      return !(i === buffer.length - 1 && buffer[i] === 0x80);
+    }
+  }
+  return false;
+}
+
+const TRUE = Buffer.from([1]);
+const FALSE = Buffer.alloc(0);
+
+// Verifies signatures against the transaction input being spent. `amount`
+// is the value of the coin it spends, which segwit signatures commit to.
+class TransactionSignatureChecker {
+  constructor(tx, inputIndex, amount = 0) {
+    this.tx = tx;
+    this.inputIndex = inputIndex;
+    this.amount = amount;
+  }
+
+  // signatureWithType is <DER signature><sighash byte>; scriptCode is the
+  // locking script being executed (it stands in for the scriptSig when hashing)
+  checkSig(signatureWithType, pubKey, scriptCode, sigVersion = SIGVERSION_BASE) {
+    if (signatureWithType.length < 2) return false;
+
+    const hashType = signatureWithType[signatureWithType.length - 1];
+    if (hashType !== SIGHASH_ALL) return false; // Only SIGHASH_ALL is modelled
+
+    // verifyHash rejects malformed DER and keys that are not curve points
+    const sighash = sigVersion === SIGVERSION_WITNESS_V0
+      ? this.tx.hashForWitnessV0(this.inputIndex, scriptCode, this.amount, hashType)
+      : this.tx.hashForSignature(this.inputIndex, scriptCode, hashType);
+    return verifyHash(sighash, signatureWithType.subarray(0, -1), pubKey);
+  }
+
+  // BIP65: the transaction's nLockTime must be of the same kind (height or
+  // time) as `lockTime` and at least as late, and actually enforced
+  checkLockTime(lockTime) {
+    const txLockTime = this.tx.lockTime;
+    if (isHeightLock(lockTime) !== isHeightLock(txLockTime)) return false;
+    if (lockTime > txLockTime) return false;
+    // A final input would switch nLockTime off, and this check with it
+    return this.tx.inputs[this.inputIndex].sequence !== SEQUENCE_FINAL;
+  }
+
+  // BIP112: the input's nSequence must be a BIP68 relative lock of the
+  // same kind (blocks or time) as `sequence` and at least as long
+  checkSequence(sequence) {
+    const txSequence = this.tx.inputs[this.inputIndex].sequence;
+    if (this.tx.version < 2) return false;
+    if (txSequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) return false;
+
+    const mask = SEQUENCE_LOCKTIME_TYPE_FLAG | SEQUENCE_LOCKTIME_MASK;
+    const required = (sequence >>> 0) & mask;
+    const actual = txSequence & mask;
+    if ((required < SEQUENCE_LOCKTIME_TYPE_FLAG) !== (actual < SEQUENCE_LOCKTIME_TYPE_FLAG)) return false;
+    return required <= actual;
+  }
+}
+
+function popItem(stack) {
+  if (stack.length === 0) {
+    throw new ScriptError('STACK_UNDERFLOW', 'Operation needs more stack items');
+  }
+  return stack.pop();
+}
+
+function popNumber(stack) {
+  return decodeScriptNumber(popItem(stack));
+}
+
+// CHECKLOCKTIMEVERIFY and CHECKSEQUENCEVERIFY read the top item without
+// popping it: they replaced NOPs, so old nodes must see the same stack
+function peekLockTime(stack) {
+  if (stack.length === 0) {
+    throw new ScriptError('STACK_UNDERFLOW', 'Operation needs more stack items');
+  }
+  const top = stack[stack.length - 1];
+  if (top.length > MAX_LOCKTIME_NUMBER_SIZE) throw new ScriptError('NUMBER_SIZE');
+  const value = decodeScriptNumber(top);
+  if (value < 0) throw new ScriptError('NEGATIVE_LOCKTIME');
+  return value;
+}
+
+function isConditional(chunk) {
+  return chunk === OPS.OP_IF || chunk === OPS.OP_NOTIF || chunk === OPS.OP_ELSE || chunk === OPS.OP_ENDIF;
+}
+
+// Execute one script against an existing stack (mutated in place)
+function executeScript(script, stack, checker, sigVersion = SIGVERSION_BASE) {
+  const chunks = decompileScript(script);
+  const conditions = []; // One entry per open OP_IF: is its branch running?
+
+  for (const chunk of chunks) {
+    // Inside a branch not taken only the flow-control opcodes do anything
+    if (!conditions.every(Boolean) && !isConditional(chunk)) continue;
+
+    if (Buffer.isBuffer(chunk)) {
+      stack.push(chunk);
+    } else if (chunk === OPS.OP_0) {
+      stack.push(FALSE);
+    } else if (chunk === OPS.OP_1NEGATE) {
+      stack.push(encodeScriptNumber(-1));
+    } else if (chunk >= OPS.OP_1 && chunk <= OPS.OP_16) {
+      stack.push(encodeScriptNumber(chunk - OPS.OP_1 + 1));
+    } else {
+      switch (chunk) {
+        case OPS.OP_NOP:
+          break;
+
+        case OPS.OP_IF:
+        case OPS.OP_NOTIF: {
+          let branch = false;
+          if (conditions.every(Boolean)) {
+            branch = castToBool(popItem(stack));
+            if (chunk === OPS.OP_NOTIF) branch = !branch;
+          }
+          conditions.push(branch);
+          break;
+        }
+
+        case OPS.OP_ELSE:
+          if (conditions.length === 0) throw new ScriptError('UNBALANCED_CONDITIONAL');
+          conditions[conditions.length - 1] = !conditions[conditions.length - 1];
+          break;
+
+        case OPS.OP_ENDIF:
+          if (conditions.length === 0) throw new ScriptError('UNBALANCED_CONDITIONAL');
+          conditions.pop();
+          break;
+
+        case OPS.OP_VERIFY:
+          if (!castToBool(popItem(stack))) throw new ScriptError('VERIFY');
+          break;
+
+        case OPS.OP_RETURN:
+          throw new ScriptError('OP_RETURN', 'OP_RETURN output is unspendable');
+
+        case OPS.OP_DROP:
+          popItem(stack);
+          break;
+
+        case OPS.OP_DUP: {
+          const top = popItem(stack);
+          stack.push(top, top);
+          break;
+        }
+
+        case OPS.OP_EQUAL:
+        case OPS.OP_EQUALVERIFY: {
+          const b = popItem(stack);
+          const a = popItem(stack);
+          const equal = a.equals(b);
+          if (chunk === OPS.OP_EQUALVERIFY) {
+            if (!equal) throw new ScriptError('EQUALVERIFY');
+          } else {
+            stack.push(equal ? TRUE : FALSE);
+          }
+          break;
+        }
+
+        case OPS.OP_SHA256:
+          stack.push(Buffer.from(sha256(popItem(stack)), 'hex'));
+          break;
+
+        case OPS.OP_HASH160:
+          stack.push(hash160(popItem(stack)));
+          break;
+
+        case OPS.OP_HASH256:
+          stack.push(hash256(popItem(stack)));
+          break;
+
+        case OPS.OP_CHECKSIG:
+        case OPS.OP_CHECKSIGVERIFY: {
+          const pubKey = popItem(stack);
+          const signature = popItem(stack);
+          const valid = checker.checkSig(signature, pubKey, script, sigVersion);
+          if (chunk === OPS.OP_CHECKSIGVERIFY) {
+            if (!valid) throw new ScriptError('CHECKSIGVERIFY');
+          } else {
+            stack.push(valid ? TRUE : FALSE);
+          }
+          break;
+        }
+
+        case OPS.OP_CHECKMULTISIG:
+        case OPS.OP_CHECKMULTISIGVERIFY: {
+          const keyCount = popNumber(stack);
+          if (keyCount < 0 || keyCount > 20) throw new ScriptError('PUBKEY_COUNT');
+          const pubKeys = [];
+          for (let i = 0; i < keyCount; i++) pubKeys.push(popItem(stack));
+
+          const sigCount = popNumber(stack);
+          if (sigCount < 0 || sigCount > keyCount) throw new ScriptError('SIG_COUNT');
+          const signatures = [];
+          for (let i = 0; i < sigCount; i++) signatures.push(popItem(stack));
+
+          // The original implementation pops one extra item; it must be empty (BIP147)
+          const dummy = popItem(stack);
+          if (dummy.length !== 0) throw new ScriptError('NULLDUMMY');
+
+          // Keys and signatures were pushed in the same order, so match them
+          // walking both lists; each key can satisfy at most one signature
+          let valid = true;
+          let keyIndex = pubKeys.length - 1;
+          for (let s = signatures.length - 1; s >= 0 && valid; s--) {
+            while (keyIndex >= 0 && !checker.checkSig(signatures[s], pubKeys[keyIndex], script, sigVersion)) {
+              keyIndex--;
+            }
+            if (keyIndex < 0) valid = false;
+            keyIndex--;
+          }
+
+          if (chunk === OPS.OP_CHECKMULTISIGVERIFY) {
+            if (!valid) throw new ScriptError('CHECKMULTISIGVERIFY');
+          } else {
+            stack.push(valid ? TRUE : FALSE);
+          }
+          break;
+        }
+
+        case OPS.OP_CHECKLOCKTIMEVERIFY:
+          if (!checker.checkLockTime(peekLockTime(stack))) throw new ScriptError('UNSATISFIED_LOCKTIME');
+          break;
+
+        case OPS.OP_CHECKSEQUENCEVERIFY: {
+          const sequence = peekLockTime(stack);
+          // With the disable flag set it stays a NOP, for future soft forks
+          if ((sequence >>> 0) & SEQUENCE_LOCKTIME_DISABLE_FLAG) break;
+          if (!checker.checkSequence(sequence)) throw new ScriptError('UNSATISFIED_LOCKTIME');
+          break;
+        }
+
+        default:
+          throw new ScriptError('BAD_OPCODE', `Unsupported opcode ${OP_NAMES[chunk] || '0x' + chunk.toString(16)}`);
+      }
+    }
+
+    if (stack.length > MAX_STACK_SIZE) {
+      throw new ScriptError('STACK_SIZE');
+    }
+  }
+
+  if (conditions.length > 0) throw new ScriptError('UNBALANCED_CONDITIONAL');
+  return stack;
+}
+
+// scriptSig may only push data; otherwise it could rewrite the locking logic
+function isPushOnly(script) {
+  return decompileScript(script).every(chunk =>
+    Buffer.isBuffer(chunk) || chunk === OPS.OP_0 || chunk === OPS.OP_1NEGATE ||
+    (chunk >= OPS.OP_1 && chunk <= OPS.OP_16)
+  );
+}
+
+// Run a version 0 witness: P2WPKH (20-byte key hash) checks <sig> <pubKey>
+// as P2PKH would; P2WSH (32-byte script hash) runs the last witness item
+// as the script, on the items before it. Later versions are reserved for
+// soft forks (Taproot is version 1) and pass unchecked, as segwit itself
+// did on pre-segwit nodes.
+function verifyWitnessProgram(witness, { version, program }, checker) {
+  if (version !== 0) return;
+
+  let script;
+  let stack;
+  if (program.length === 20) {
+    if (witness.length !== 2) throw new ScriptError('WITNESS_PROGRAM_MISMATCH', 'P2WPKH witness must be <sig> <pubKey>');
+    script = p2pkhScript(program);
+    stack = [...witness];
+  } else if (program.length === 32) {
+    if (witness.length === 0) throw new ScriptError('WITNESS_PROGRAM_WITNESS_EMPTY');
+    script = witness[witness.length - 1];
+    if (!Buffer.from(sha256(script), 'hex').equals(program)) {
+      throw new ScriptError('WITNESS_PROGRAM_MISMATCH', 'Witness script does not match the script hash');
+    }
+    stack = witness.slice(0, -1);
+  } else {
+    throw new ScriptError('WITNESS_PROGRAM_WRONG_LENGTH');
+  }
+
+  executeScript(script, stack, checker, SIGVERSION_WITNESS_V0);
+  // Witness scripts must leave exactly one true item (clean stack)
+  if (stack.length !== 1) throw new ScriptError('CLEANSTACK');
+  if (!castToBool(stack[0])) throw new ScriptError('EVAL_FALSE', 'Witness script evaluated to false');
+}
+
+// Throws a ScriptError unless scriptSig (and, for segwit outputs, the
+// input's witness) satisfies scriptPubKey
+function verifyScript(scriptSig, scriptPubKey, checker, witness = []) {
+  if (!isPushOnly(scriptSig)) {
+    throw new ScriptError('SIG_PUSHONLY', 'scriptSig must only push data');
+  }
+
+  const stack = executeScript(scriptSig, [], checker);
+  executeScript(scriptPubKey, stack, checker);
+
+  if (stack.length === 0 || !castToBool(stack[stack.length - 1])) {
+    throw new ScriptError('EVAL_FALSE', 'Script evaluated to false');
+  }
+
+  const program = witnessProgram(scriptPubKey);
+  if (program) {
+    // Anything in the scriptSig could be changed by a third party, and
+    // the txid with it
+    if (scriptSig.length !== 0) throw new ScriptError('WITNESS_MALLEATED', 'Segwit inputs must have an empty scriptSig');
+    verifyWitnessProgram(witness, program, checker);
+  } else if (witness.length > 0) {
+    throw new ScriptError('WITNESS_UNEXPECTED', 'Witness given for a non-segwit output');
+  }
+  return true;
+}
+
+module.exports = {
+  SIGVERSION_BASE,
+  SIGVERSION_WITNESS_V0,
+  ScriptError,
+  TransactionSignatureChecker,
+  castToBool,
+  executeScript,
+  isPushOnly,
+  verifyScript
+};
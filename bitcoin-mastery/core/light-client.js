@@ -0,0 +1,129 @@
+const { MerkleTree } = require('./merkle');
+const { transactionId } = require('./block');
+const { POW_LIMIT_BITS, getBlockWork } = require('./pow');
+const { BlockValidationError } = require('./errors');
+const { checkBlockHeader } = require('./validation');
+
+const HEADER_FIELDS = ['hash', 'previousHash', 'merkleRoot', 'timestamp', 'bits', 'nonce'];
+
+// Light client that only stores block headers. Each header must link to a
+// known header and pass the same header rules as a Blockchain's blocks
+// (checkBlockHeader in validation.js): hash, bits, proof of work and
+// timestamp. Like Blockchain, every header is kept in a
+// tree and `blockHeaders` is the branch with the most cumulative work.
+// options: the Blockchain's powLimitBits, retargetInterval and
+// targetBlockTime, so both enforce the same difficulty rules.
+class LightClient {
+  constructor(options = {}) {
+    this.blockHeaders = []; // Active header chain, genesis first
+    this.headerIndex = new Map(); // hash -> { header, height, chainWork }
+    this.powLimitBits = options.powLimitBits ?? POW_LIMIT_BITS;
+    this.retargetInterval = options.retargetInterval ?? 2016;
+    this.targetBlockTime = options.targetBlockTime ?? 10 * 60 * 1000;
+  }
+
+  getTip() {
+    return this.blockHeaders[this.blockHeaders.length - 1] || null;
+  }
+
+  // Any known header, on the active chain or not
+  getHeader(hash) {
+    const entry = this.headerIndex.get(hash);
+    return entry ? entry.header : null;
+  }
+
+  // Headers from genesis up to and including `hash`
+  getBranch(hash) {
+    const headers = [];
+    for (let entry = this.headerIndex.get(hash); entry; entry = this.headerIndex.get(entry.header.previousHash)) {
+      headers.push(entry.header);
+    }
+    return headers.reverse();
+  }
+
+  getChainWork() {
+    const tip = this.getTip();
+    return tip ? this.headerIndex.get(tip.hash).chainWork : 0n;
+  }
+
+  // Validate and store a header (a Block, getHeader() object or anything
+  // with the same fields). The first header must be a genesis header
+  // (previousHash '0'). Returns the blocks that left and joined the active
+  // chain; both are empty if the header went on a side branch. Throws a
+  // BlockValidationError with Blockchain's reject codes.
+  addBlockHeader(block) {
+    const header = {};
+    for (const field of HEADER_FIELDS) header[field] = block[field];
+
+    const fail = (code, message) => {
+      throw new BlockValidationError(code, message, { hash: header.hash });
+    };
+
+    if (this.headerIndex.has(header.hash)) fail('duplicate', 'Header is already known');
+
+    let parent = null;
+    if (this.headerIndex.size > 0 || header.previousHash !== '0') {
+      parent = this.headerIndex.get(header.previousHash);
+      if (!parent) fail('prev-blk-not-found', `Unknown parent header ${header.previousHash}`);
+    }
+
+    checkBlockHeader(header, parent ? this.getBranch(parent.header.hash) : [], {
+      powLimitBits: this.powLimitBits,
+      retargetInterval: this.retargetInterval,
+      targetBlockTime: this.targetBlockTime
+    });
+
+    const entry = {
+      header,
+      height: parent ? parent.height + 1 : 0,
+      chainWork: (parent ? parent.chainWork : 0n) + getBlockWork(header.bits)
+    };
+    this.headerIndex.set(header.hash, entry);
+
+    // Strictly more work: on a tie the header seen first stays active
+    if (entry.chainWork <= this.getChainWork()) {
+      return { disconnected: [], connected: [] };
+    }
+
+    const branch = this.getBranch(header.hash);
+    let fork = 0;
+    while (fork < this.blockHeaders.length && this.blockHeaders[fork].hash === branch[fork].hash) fork++;
+    const disconnected = this.blockHeaders.slice(fork).reverse();
+    this.blockHeaders = branch;
+    return { disconnected, connected: branch.slice(fork) };
+  }
+
+  // Height of a header on the active chain, or -1
+  getHeight(blockHash) {
+    const entry = this.headerIndex.get(blockHash);
+    return entry && this.blockHeaders[entry.height] === entry.header ? entry.height : -1;
+  }
+
+  // 1 for the tip, 0 if the block is not on the active chain
+  getConfirmations(blockHash) {
+    const height = this.getHeight(blockHash);
+    return height < 0 ? 0 : this.blockHeaders.length - height;
+  }
+
+  // Confirmations of a transaction proven into the block with
+  // `blockHash` (or at that active-chain height); 0 if the proof fails or
+  // the block is not on the most-work chain
+  getTransactionConfirmations(transaction, blockHash, proof) {
+    const header = typeof blockHash === 'number' ? this.blockHeaders[blockHash] : this.getHeader(blockHash);
+    if (!header) return 0;
+    if (!MerkleTree.verifyProof(transactionId(transaction), proof, header.merkleRoot, { mode: 'bitcoin' })) {
+      return 0;
+    }
+    return this.getConfirmations(header.hash);
+  }
+
+  // Verify a transaction using SPV: included in an active-chain block with
+  // at least `minConfirmations` blocks of work on top (counting its own)
+  verifyTransaction(transaction, blockHash, proof, minConfirmations = 1) {
+    return this.getTransactionConfirmations(transaction, blockHash, proof) >= minConfirmations;
+  }
+}
+
+module.exports = {
+  LightClient
+};
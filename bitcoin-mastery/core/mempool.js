@@ -0,0 +1,339 @@
+// Memory pool of validated, unconfirmed transactions waiting to be mined.
+// Tracks in-mempool parent/child links so fees can be judged per package,
+// rejects double-spends unless they qualify as a BIP125 replace-by-fee.
+// Transactions must be valid in the next block: final (nLockTime), past
+// their BIP68 relative locks and spending only mature coinbase outputs.
+// Sizes and fee rates are in virtual bytes (weight / 4), so witness data
+// pays a quarter of the rate of everything else.
+
+const { isUnspendable } = require('./script');
+const { outpointKey, checkTransaction, checkTxInputs } = require('./validation');
+const { ValidationError, MempoolError } = require('./errors');
+
+const MAX_SEQUENCE_NONFINAL = 0xfffffffe; // sequence below this signals RBF (BIP125)
+const MAX_ANCESTORS = 25;
+const MAX_REPLACEMENTS = 100;
+
+class Mempool {
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.minRelayFeeRate = options.minRelayFeeRate ?? 1; // sat/vbyte
+    this.incrementalRelayFeeRate = options.incrementalRelayFeeRate ?? 1; // sat/vbyte
+    this.enableRBF = options.enableRBF ?? true;
+    this.fullRBF = options.fullRBF ?? false; // replace even without BIP125 signalling
+
+    this.entries = new Map(); // txid -> entry
+    this.spends = new Map(); // outpoint -> txid of the mempool tx spending it
+    this.sequence = 0; // insertion counter; parents always precede children
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(txid) {
+    return this.entries.has(txid);
+  }
+
+  get(txid) {
+    const entry = this.entries.get(txid);
+    return entry ? entry.tx : null;
+  }
+
+  getTransactions() {
+    return this.sortedEntries([...this.entries.values()]).map(entry => entry.tx);
+  }
+
+  // Insertion order is a valid topological order for the mempool graph
+  sortedEntries(entries) {
+    return entries.sort((a, b) => a.sequence - b.sequence);
+  }
+
+  // Confirmed UTXOs plus outputs of mempool transactions, ignoring `excluded`
+  createView(excluded = new Set()) {
+    const utxos = this.blockchain.utxos;
+    const entries = this.entries;
+    return {
+      get(key) {
+        const confirmed = utxos.get(key);
+        if (confirmed) return confirmed;
+
+        const [txHash, index] = key.split(':');
+        const entry = entries.get(txHash);
+        if (!entry || excluded.has(txHash)) return undefined;
+        const output = entry.tx.outputs[Number(index)];
+        if (!output || isUnspendable(output.scriptPubKey)) return undefined;
+        // Unconfirmed: no height yet
+        return { txHash, outputIndex: Number(index), output, height: null, coinbase: false };
+      }
+    };
+  }
+
+  // All in-mempool transactions this one depends on, directly or not
+  getAncestors(txid) {
+    const ancestors = new Set();
+    const stack = [...this.entries.get(txid).parents];
+    while (stack.length > 0) {
+      const parent = stack.pop();
+      if (ancestors.has(parent)) continue;
+      ancestors.add(parent);
+      stack.push(...this.entries.get(parent).parents);
+    }
+    return ancestors;
+  }
+
+  // All in-mempool transactions that depend on this one
+  getDescendants(txid) {
+    const descendants = new Set();
+    const stack = [...this.entries.get(txid).children];
+    while (stack.length > 0) {
+      const child = stack.pop();
+      if (descendants.has(child)) continue;
+      descendants.add(child);
+      stack.push(...this.entries.get(child).children);
+    }
+    return descendants;
+  }
+
+  // Validate a transaction and add it; returns the new entry and the txids
+  // it replaced. Throws MempoolError for policy failures and
+  // TransactionValidationError for consensus failures. `bypassLimits` skips
+  // the minimum relay fee, for transactions coming back from a reorg.
+  addTransaction(tx, { bypassLimits = false } = {}) {
+    const fail = (code, message) => {
+      throw new MempoolError(code, message, { txid: tx.hash });
+    };
+
+    if (this.entries.has(tx.hash)) fail('txn-already-in-mempool', 'Transaction is already in the mempool');
+    checkTransaction(tx);
+    if (tx.isCoinbase()) fail('coinbase', 'Coinbase transactions are only valid in blocks');
+
+    // Mempool transactions already spending one of our inputs
+    const conflicts = new Set();
+    for (const input of tx.inputs) {
+      const spender = this.spends.get(outpointKey(input.txHash, input.outputIndex));
+      if (spender) conflicts.add(spender);
+    }
+
+    const evicted = new Set();
+    for (const txid of conflicts) {
+      evicted.add(txid);
+      for (const descendant of this.getDescendants(txid)) evicted.add(descendant);
+    }
+
+    for (const input of tx.inputs) {
+      if (evicted.has(input.txHash)) {
+        fail('bad-txns-spends-conflicting-tx', 'Transaction spends an output of a transaction it replaces');
+      }
+    }
+
+    // Judged as if it went into the next block
+    const view = this.createView(evicted);
+    const fee = checkTxInputs(tx, view, {
+      spendHeight: this.blockchain.chain.length,
+      coinbaseMaturity: this.blockchain.coinbaseMaturity
+    });
+    this.blockchain.checkTimeLocks(tx, view);
+
+    const size = tx.getVirtualSize();
+    const feeRate = fee / size;
+    if (!bypassLimits && feeRate < this.minRelayFeeRate) {
+      fail('min-relay-fee-not-met', `Fee rate ${feeRate.toFixed(2)} sat/vbyte is below ${this.minRelayFeeRate}`);
+    }
+
+    if (conflicts.size > 0) {
+      this.checkReplacement(tx, fee, size, conflicts, evicted, fail);
+    }
+
+    const parents = new Set(tx.inputs.map(input => input.txHash).filter(txid => this.entries.has(txid)));
+    const ancestors = new Set(parents);
+    for (const parent of parents) {
+      for (const ancestor of this.getAncestors(parent)) ancestors.add(ancestor);
+    }
+    if (ancestors.size >= MAX_ANCESTORS) {
+      fail('too-long-mempool-chain', `More than ${MAX_ANCESTORS - 1} unconfirmed ancestors`);
+    }
+
+    const entry = {
+      tx,
+      fee,
+      size,
+      weight: tx.getWeight(),
+      feeRate,
+      parents,
+      children: new Set(),
+      sequence: this.sequence++
+    };
+
+    for (const txid of evicted) this.removeEntry(txid);
+
+    this.entries.set(tx.hash, entry);
+    for (const parent of parents) this.entries.get(parent).children.add(tx.hash);
+    for (const input of tx.inputs) {
+      this.spends.set(outpointKey(input.txHash, input.outputIndex), tx.hash);
+    }
+
+    return { entry, replaced: [...evicted] };
+  }
+
+  // BIP125 replacement rules (numbered as in the BIP)
+  checkReplacement(tx, fee, size, conflicts, evicted, fail) {
+    if (!this.enableRBF) {
+      fail('txn-mempool-conflict', 'Transaction conflicts with a mempool transaction');
+    }
+
+    // 1. Originals must signal replaceability (unless full RBF is on)
+    for (const txid of conflicts) {
+      const signals = this.entries.get(txid).tx.inputs.some(input => input.sequence < MAX_SEQUENCE_NONFINAL);
+      if (!signals && !this.fullRBF) {
+        fail('txn-mempool-conflict', `Conflicting transaction ${txid} does not signal replaceability`);
+      }
+    }
+
+    // 2. No new unconfirmed inputs
+    const originalInputs = new Set();
+    for (const txid of conflicts) {
+      for (const input of this.entries.get(txid).tx.inputs) originalInputs.add(input.txHash);
+    }
+    for (const input of tx.inputs) {
+      if (this.entries.has(input.txHash) && !originalInputs.has(input.txHash)) {
+        fail('replacement-adds-unconfirmed', 'Replacement spends a new unconfirmed output');
+      }
+    }
+
+    // 5. Bounded eviction
+    if (evicted.size > MAX_REPLACEMENTS) {
+      fail('too-many-replacements', `Replacement would evict ${evicted.size} transactions`);
+    }
+
+    // 3. Pay at least as much absolute fee as everything it evicts,
+    //    and a higher fee rate than each transaction it directly replaces
+    let evictedFees = 0;
+    for (const txid of evicted) evictedFees += this.entries.get(txid).fee;
+    if (fee < evictedFees) {
+      fail('insufficient-fee', `Replacement fee ${fee} is less than the ${evictedFees} it evicts`);
+    }
+    for (const txid of conflicts) {
+      if (fee / size <= this.entries.get(txid).feeRate) {
+        fail('insufficient-fee', `Replacement fee rate does not beat ${txid}`);
+      }
+    }
+
+    // 4. Pay for its own relay bandwidth on top of that
+    if (fee - evictedFees < this.incrementalRelayFeeRate * size) {
+      fail('insufficient-fee', 'Replacement does not pay the incremental relay fee');
+    }
+  }
+
+  // Drop one entry and unlink it (descendants are not touched)
+  removeEntry(txid) {
+    const entry = this.entries.get(txid);
+    if (!entry) return;
+
+    for (const input of entry.tx.inputs) {
+      const key = outpointKey(input.txHash, input.outputIndex);
+      if (this.spends.get(key) === txid) this.spends.delete(key);
+    }
+    for (const parent of entry.parents) {
+      const parentEntry = this.entries.get(parent);
+      if (parentEntry) parentEntry.children.delete(txid);
+    }
+    for (const child of entry.children) {
+      const childEntry = this.entries.get(child);
+      if (childEntry) childEntry.parents.delete(txid);
+    }
+    this.entries.delete(txid);
+  }
+
+  // Remove a transaction and everything that spends its outputs
+  removeTransaction(txid) {
+    if (!this.entries.has(txid)) return [];
+    const removed = [...this.getDescendants(txid), txid];
+    for (const id of removed) this.removeEntry(id);
+    return removed;
+  }
+
+  // A block was connected: its transactions are confirmed, and anything
+  // else spending the same outputs can never confirm now
+  removeForBlock(block) {
+    for (const tx of block.transactions) {
+      if (tx.isCoinbase()) continue;
+
+      this.removeEntry(tx.hash);
+      for (const input of tx.inputs) {
+        const spender = this.spends.get(outpointKey(input.txHash, input.outputIndex));
+        if (spender && spender !== tx.hash) this.removeTransaction(spender);
+      }
+    }
+  }
+
+  // The chain reorganized: re-validate everything against the new tip, with
+  // transactions from disconnected blocks (oldest first) ahead of the current
+  // entries since those may spend them. Transactions confirmed on the new
+  // branch, conflicting with it or spending coins that no longer exist are
+  // dropped; returns their txids.
+  reorganize(disconnected) {
+    const candidates = [...disconnected, ...this.getTransactions()];
+    this.entries.clear();
+    this.spends.clear();
+
+    const dropped = [];
+    for (const tx of candidates) {
+      if (tx.isCoinbase()) continue;
+      try {
+        this.addTransaction(tx, { bypassLimits: true });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        dropped.push(tx.hash);
+      }
+    }
+    return dropped;
+  }
+
+  // Pick transactions for a block of at most `maxWeight` weight units.
+  // Each round takes the transaction whose package (itself plus
+  // unconfirmed ancestors not yet selected) has the best fee rate, so a
+  // high-fee child can pull in its low-fee parent (child-pays-for-parent).
+  buildBlockTemplate(maxWeight) {
+    const selected = new Set();
+    const transactions = [];
+    let weight = 0;
+    let fees = 0;
+
+    for (;;) {
+      let best = null;
+
+      for (const [txid, entry] of this.entries) {
+        if (selected.has(txid)) continue;
+
+        const pkg = [entry];
+        for (const ancestor of this.getAncestors(txid)) {
+          if (!selected.has(ancestor)) pkg.push(this.entries.get(ancestor));
+        }
+        const pkgSize = pkg.reduce((sum, e) => sum + e.size, 0);
+        const pkgWeight = pkg.reduce((sum, e) => sum + e.weight, 0);
+        const pkgFee = pkg.reduce((sum, e) => sum + e.fee, 0);
+        if (weight + pkgWeight > maxWeight) continue;
+
+        const rate = pkgFee / pkgSize;
+        if (!best || rate > best.rate) best = { pkg, rate, pkgWeight, pkgFee };
+      }
+
+      if (!best) break;
+
+      for (const entry of this.sortedEntries(best.pkg)) {
+        selected.add(entry.tx.hash);
+        transactions.push(entry.tx);
+      }
+      weight += best.pkgWeight;
+      fees += best.pkgFee;
+    }
+
+    return { transactions, fees, weight };
+  }
+}
+
+module.exports = {
+  Mempool,
+  MAX_SEQUENCE_NONFINAL
+};
@@ -0,0 +1,319 @@
+const { sha256, hash256 } = require('./crypto');
+const { BufferWriter, BufferReader, reverseHex } = require('./encoding');
+
+// How leaves and parents are hashed. Hashes are hex strings either way.
+//   legacy:  leaf = sha256(data), parent = sha256(leftHex + rightHex)
+//   bitcoin: leaves are txids; parent = hash256(left || right) over the
+//            little-endian bytes, displayed byte-reversed like txids
+const MERKLE_MODES = {
+  legacy: {
+    leaf: data => sha256(data),
+    pair: (left, right) => sha256(left + right)
+  },
+  bitcoin: {
+    leaf: txid => {
+      if (!/^[0-9a-f]{64}$/i.test(txid)) {
+        throw new Error(`Merkle leaf is not a txid: ${txid}`);
+      }
+      return txid.toLowerCase();
+    },
+    pair: (left, right) => hashPair(left, right)
+  }
+};
+
+// Bitcoin's internal node hash, on display-order hex
+function hashPair(left, right) {
+  const bytes = Buffer.concat([Buffer.from(left, 'hex').reverse(), Buffer.from(right, 'hex').reverse()]);
+  return reverseHex(hash256(bytes).toString('hex'));
+}
+
+function getMode(mode) {
+  const hasher = MERKLE_MODES[mode];
+  if (!hasher) {
+    throw new Error(`Unknown Merkle mode: ${mode}`);
+  }
+  return hasher;
+}
+
+// Merkle Tree Node
+class MerkleNode {
+  constructor(data, left = null, right = null, hasher = MERKLE_MODES.legacy) {
+    this.left = left;
+    this.right = right;
+
+    if (left && right) {
+      // Internal node: hash of left + right
+      this.hash = hasher.pair(left.hash, right.hash);
+      this.data = null;
+    } else {
+      // Leaf node: hash of data
+      this.hash = hasher.leaf(data);
+      this.data = data;
+    }
+  }
+}
+
+// Merkle Tree implementation. options.mode is 'legacy' (the default) or
+// 'bitcoin' for trees over txids that match Bitcoin's block Merkle roots.
+class MerkleTree {
+  constructor(transactions, options = {}) {
+    this.mode = options.mode || 'legacy';
+    this.hasher = getMode(this.mode);
+    this.transactions = transactions;
+    // Set if two real siblings share a hash: the tree could have been built
+    // from a list with duplicated entries (CVE-2012-2459)
+    this.mutated = false;
+    this.root = this.buildTree(transactions);
+  }
+
+  buildTree(transactions) {
+    if (transactions.length === 0) {
+      return null;
+    }
+
+    // Create leaf nodes
+    let nodes = transactions.map(tx => new MerkleNode(tx, null, null, this.hasher));
+    this.levels = [nodes];
+
+    // Build tree bottom-up
+    while (nodes.length > 1) {
+      const nextLevel = [];
+
+      for (let i = 0; i < nodes.length; i += 2) {
+        const left = nodes[i];
+        const right = nodes[i + 1] || nodes[i]; // Duplicate last node if odd number
+        if (nodes[i + 1] && left.hash === right.hash) this.mutated = true;
+
+        nextLevel.push(new MerkleNode(null, left, right, this.hasher));
+      }
+
+      nodes = nextLevel;
+      this.levels.push(nodes);
+    }
+
+    return nodes[0];
+  }
+
+  // Get the Merkle root hash
+  getRootHash() {
+    return this.root ? this.root.hash : null;
+  }
+
+  // Generate a Merkle proof for the leaf at `index`, or (legacy use) for
+  // the first leaf equal to `target`. Steps run leaf to root; an unknown
+  // target gives an empty proof. The last node of an odd level is paired
+  // with itself, which the step marks as position 'duplicate'.
+  generateProof(target) {
+    let index = typeof target === 'number' ? target : this.transactions.indexOf(target);
+    if (!this.root || index < 0 || index >= this.transactions.length) {
+      return [];
+    }
+
+    const proof = [];
+    for (const level of this.levels.slice(0, -1)) {
+      if (index % 2 === 1) {
+        proof.push({ hash: level[index - 1].hash, position: 'left' });
+      } else if (level[index + 1]) {
+        proof.push({ hash: level[index + 1].hash, position: 'right' });
+      } else {
+        proof.push({ hash: level[index].hash, position: 'duplicate' });
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+
+  // Verify a Merkle proof. A 'left' or 'right' sibling equal to the node
+  // itself is rejected: two real siblings never share a hash except in a
+  // tree mutated by repeated transactions (CVE-2012-2459).
+  static verifyProof(transaction, proof, rootHash, options = {}) {
+    const hasher = getMode(options.mode || 'legacy');
+    let currentHash;
+    try {
+      currentHash = hasher.leaf(transaction);
+    } catch (error) {
+      return false;
+    }
+
+    for (const step of proof) {
+      if (step.position === 'duplicate') {
+        if (step.hash !== currentHash) return false;
+        currentHash = hasher.pair(currentHash, currentHash);
+      } else if (step.hash === currentHash) {
+        return false;
+      } else if (step.position === 'left') {
+        currentHash = hasher.pair(step.hash, currentHash);
+      } else {
+        currentHash = hasher.pair(currentHash, step.hash);
+      }
+    }
+
+    return currentHash === rootHash;
+  }
+
+  // Visualize the tree structure
+  printTree(node = this.root, prefix = '', isLeft = true) {
+    if (!node) return;
+
+    console.log(prefix + (isLeft ? '├── ' : '└── ') +
+                (node.data ? `LEAF: ${node.data}` : `NODE: ${node.hash.substring(0, 16)}...`));
+
+    if (node.left || node.right) {
+      if (node.left) {
+        this.printTree(node.left, prefix + (isLeft ? '│   ' : '    '), true);
+      }
+      if (node.right) {
+        this.printTree(node.right, prefix + (isLeft ? '│   ' : '    '), false);
+      }
+    }
+  }
+}
+
+// BIP37 partial Merkle tree, as carried in a `merkleblock` message: enough
+// of a block's tree to prove several transactions at once. A depth-first
+// walk emits one flag bit per node visited (1 = an ancestor of a matched
+// transaction, so its children follow) and a hash for every node it does
+// not descend into, plus the matched leaves themselves.
+class PartialMerkleTree {
+  constructor(totalTransactions, hashes, flags) {
+    this.totalTransactions = totalTransactions;
+    this.hashes = hashes; // Display-order hex, in traversal order
+    this.flags = flags; // Booleans, in traversal order
+  }
+
+  // Nodes at `height` above the leaves
+  static treeWidth(totalTransactions, height) {
+    return Math.ceil(totalTransactions / 2 ** height);
+  }
+
+  static treeHeight(totalTransactions) {
+    let height = 0;
+    while (PartialMerkleTree.treeWidth(totalTransactions, height) > 1) height++;
+    return height;
+  }
+
+  // Build from all of a block's txids and a parallel array of which to prove
+  static fromTxids(txids, matches) {
+    const total = txids.length;
+    const width = height => PartialMerkleTree.treeWidth(total, height);
+    const hashes = [];
+    const flags = [];
+
+    const calcHash = (height, pos) => {
+      if (height === 0) return txids[pos];
+      const left = calcHash(height - 1, pos * 2);
+      const right = pos * 2 + 1 < width(height - 1) ? calcHash(height - 1, pos * 2 + 1) : left;
+      return hashPair(left, right);
+    };
+
+    const build = (height, pos) => {
+      let parentOfMatch = false;
+      for (let p = pos << height; p < Math.min((pos + 1) << height, total); p++) {
+        parentOfMatch = parentOfMatch || Boolean(matches[p]);
+      }
+      flags.push(parentOfMatch);
+
+      if (height === 0 || !parentOfMatch) {
+        hashes.push(calcHash(height, pos));
+      } else {
+        build(height - 1, pos * 2);
+        if (pos * 2 + 1 < width(height - 1)) build(height - 1, pos * 2 + 1);
+      }
+    };
+
+    if (total > 0) build(PartialMerkleTree.treeHeight(total), 0);
+    return new PartialMerkleTree(total, hashes, flags);
+  }
+
+  // Walk the tree back; returns { root, matches: [{ txid, index }] }, or
+  // null if the encoding is malformed or has the CVE-2012-2459 duplicate
+  extractMatches() {
+    const total = this.totalTransactions;
+    if (total === 0 || this.hashes.length > total || this.flags.length < this.hashes.length) {
+      return null;
+    }
+
+    const width = height => PartialMerkleTree.treeWidth(total, height);
+    const matches = [];
+    let bitsUsed = 0;
+    let hashesUsed = 0;
+    let bad = false;
+
+    const extract = (height, pos) => {
+      if (bitsUsed >= this.flags.length) {
+        bad = true;
+        return null;
+      }
+      const parentOfMatch = this.flags[bitsUsed++];
+
+      if (height === 0 || !parentOfMatch) {
+        if (hashesUsed >= this.hashes.length) {
+          bad = true;
+          return null;
+        }
+        const hash = this.hashes[hashesUsed++];
+        if (height === 0 && parentOfMatch) matches.push({ txid: hash, index: pos });
+        return hash;
+      }
+
+      const left = extract(height - 1, pos * 2);
+      let right = left;
+      if (pos * 2 + 1 < width(height - 1)) {
+        right = extract(height - 1, pos * 2 + 1);
+        // A real right child equal to its left sibling means duplicated leaves
+        if (right === left) bad = true;
+      }
+      return bad ? null : hashPair(left, right);
+    };
+
+    const root = extract(PartialMerkleTree.treeHeight(total), 0);
+    if (bad) return null;
+    // Every hash used, and no flag bits beyond the final padding byte
+    if (hashesUsed !== this.hashes.length || Math.ceil(bitsUsed / 8) !== Math.ceil(this.flags.length / 8)) {
+      return null;
+    }
+    return { root, matches };
+  }
+
+  // total (uint32) | hash count (varint) | hashes | flag byte count (varint) | flags, LSB first
+  serialize() {
+    const writer = new BufferWriter();
+    writer.writeUInt32(this.totalTransactions);
+    writer.writeVarInt(this.hashes.length);
+    for (const hash of this.hashes) {
+      writer.writeSlice(Buffer.from(hash, 'hex').reverse());
+    }
+
+    const flagBytes = Buffer.alloc(Math.ceil(this.flags.length / 8));
+    this.flags.forEach((flag, i) => {
+      if (flag) flagBytes[i >> 3] |= 1 << (i % 8);
+    });
+    writer.writeVarSlice(flagBytes);
+    return writer.toBuffer();
+  }
+
+  static deserialize(data) {
+    const reader = new BufferReader(Buffer.isBuffer(data) ? data : Buffer.from(data, 'hex'));
+    const totalTransactions = reader.readUInt32();
+
+    const hashes = [];
+    const hashCount = reader.readVarInt();
+    for (let i = 0; i < hashCount; i++) {
+      hashes.push(reader.readSlice(32).reverse().toString('hex'));
+    }
+
+    const flagBytes = reader.readVarSlice();
+    const flags = [];
+    for (let i = 0; i < flagBytes.length * 8; i++) {
+      flags.push(Boolean(flagBytes[i >> 3] & (1 << (i % 8))));
+    }
+    return new PartialMerkleTree(totalTransactions, hashes, flags);
+  }
+}
+
+module.exports = {
+  MERKLE_MODES,
+  MerkleNode,
+  MerkleTree,
+  PartialMerkleTree
+};
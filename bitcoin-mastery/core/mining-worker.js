@@ -0,0 +1,31 @@
+// Worker thread for ParallelMiner: hashes `data + nonce` for each nonce in
+// [start, end) and reports the first hash that meets the target (or starts
+// with hashPrefix). Progress is posted every `progressInterval` hashes.
+
+const crypto = require('crypto');
+const { parentPort, workerData } = require('worker_threads');
+
+function search({ data, start, end, target, hashPrefix, progressInterval }) {
+  // Both are 64-char lowercase hex, so string order is numeric order
+  const meetsTarget = hashPrefix != null
+    ? hash => hash.startsWith(hashPrefix)
+    : hash => hash <= target;
+
+  let unreported = 0;
+  for (let nonce = start; nonce < end; nonce++) {
+    const hash = crypto.createHash('sha256').update(data + nonce).digest('hex');
+    unreported++;
+
+    if (meetsTarget(hash)) {
+      parentPort.postMessage({ type: 'found', nonce, hash, attempts: unreported });
+      return;
+    }
+    if (unreported === progressInterval) {
+      parentPort.postMessage({ type: 'progress', attempts: unreported });
+      unreported = 0;
+    }
+  }
+  parentPort.postMessage({ type: 'exhausted', attempts: unreported });
+}
+
+search(workerData);
@@ -0,0 +1,622 @@
+// Nodes that gossip over TCP using the messages in protocol.js.
+//
+// A connection starts with version/verack in both directions. Full nodes
+// then sync headers-first: send a block locator in `getheaders`, check the
+// `headers` that come back and fetch the unknown blocks with `getdata`.
+// New blocks and transactions are announced with `inv`; a peer that lacks
+// one asks for it. SPV clients load a filter and ask for `filtered_block`s,
+// which come back as a `merkleblock` (header + BIP37 partial tree) followed
+// by the matching transactions.
+
+const net = require('net');
+const { EventEmitter } = require('events');
+const { Block } = require('./block');
+const { Blockchain } = require('./blockchain');
+const { Transaction } = require('./transaction');
+const { PartialMerkleTree } = require('./merkle');
+const { checkProofOfWork } = require('./pow');
+const { outpointKey } = require('./validation');
+const { ValidationError } = require('./errors');
+const { LightClient } = require('./light-client');
+const {
+  PROTOCOL_VERSION,
+  MAX_HEADERS_RESULTS,
+  INV_TYPES,
+  ProtocolError,
+  encodeMessage,
+  MessageParser,
+  checkPayload,
+  buildLocator
+} = require('./protocol');
+
+// Service bits advertised in `version`
+const NODE_NETWORK = 1; // Serves full blocks
+
+// How long an SPV client waits for a merkleblock and its transactions
+const PROOF_TIMEOUT = 5000;
+
+// One TCP connection. Emits 'message' (command, payload) and 'close'. A
+// peer that sends something unparseable, or a message its handler throws
+// on, emits 'misbehaving' (error) and is disconnected.
+class Peer extends EventEmitter {
+  constructor(socket, inbound) {
+    super();
+    this.socket = socket;
+    this.inbound = inbound;
+    this.address = `${socket.remoteAddress}:${socket.remotePort}`;
+    this.version = null; // Their `version` payload
+    this.verackReceived = false;
+    this.announcedReady = false;
+    this.known = new Set(); // Block and tx hashes this peer has or was sent
+    this.inFlight = new Set(); // Block hashes requested from this peer
+    this.filter = null; // Set of hex elements loaded by an SPV peer
+    this.parser = new MessageParser();
+
+    socket.on('data', chunk => {
+      let messages;
+      try {
+        messages = this.parser.push(chunk);
+      } catch (error) {
+        if (!(error instanceof ProtocolError)) throw error;
+        this.emit('misbehaving', error);
+        this.close();
+        return;
+      }
+      for (const { command, payload } of messages) {
+        try {
+          this.emit('message', command, payload);
+        } catch (error) {
+          this.emit('misbehaving', error);
+          this.close();
+          return;
+        }
+      }
+    });
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this.emit('close'));
+  }
+
+  get ready() {
+    return this.version !== null && this.verackReceived;
+  }
+
+  send(command, payload) {
+    if (!this.socket.destroyed) this.socket.write(encodeMessage(command, payload));
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+// Connection handling and the version handshake, shared by full and SPV
+// nodes. Subclasses implement onReady(peer) and onMessage(peer, command,
+// payload). Emits 'peer' when a handshake completes and 'disconnect'.
+class Node extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'node';
+    this.services = 0;
+    this.relay = true; // BIP37 fRelay: whether we want unfiltered tx invs
+    this.peers = new Set();
+    this.server = null;
+  }
+
+  get height() {
+    return 0;
+  }
+
+  // Accept connections on 127.0.0.1; resolves to the port
+  listen(port = 0, host = '127.0.0.1') {
+    this.server = net.createServer(socket => this.addPeer(new Peer(socket, true)));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address().port));
+    });
+  }
+
+  // Resolves to the Peer once the handshake completes
+  connect(port, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, host);
+      socket.once('error', reject);
+      socket.once('connect', () => {
+        const peer = this.addPeer(new Peer(socket, false));
+        peer.once('ready', () => resolve(peer));
+        peer.once('close', () => reject(new Error(`Connection to ${host}:${port} closed during handshake`)));
+        this.sendVersion(peer);
+      });
+    });
+  }
+
+  addPeer(peer) {
+    this.peers.add(peer);
+    peer.on('message', (command, payload) => this.handleMessage(peer, command, payload));
+    peer.on('misbehaving', error => this.emit('misbehaving', peer, error));
+    peer.on('close', () => {
+      this.peers.delete(peer);
+      this.emit('disconnect', peer);
+    });
+    return peer;
+  }
+
+  sendVersion(peer) {
+    peer.send('version', {
+      version: PROTOCOL_VERSION,
+      services: this.services,
+      startHeight: this.height,
+      userAgent: `/bitcoin-mastery:${this.name}/`,
+      relay: this.relay
+    });
+  }
+
+  // Throws a ProtocolError (and the Peer disconnects) if the payload does
+  // not have the shape its command needs
+  handleMessage(peer, command, payload) {
+    checkPayload(command, payload);
+    if (command === 'version') {
+      if (peer.version) return; // Duplicate version
+      peer.version = payload;
+      if (peer.inbound) this.sendVersion(peer);
+      peer.send('verack', {});
+    } else if (command === 'verack') {
+      peer.verackReceived = true;
+    } else if (peer.ready) {
+      this.onMessage(peer, command, payload);
+      return;
+    } else {
+      return; // Nothing else is allowed before the handshake
+    }
+
+    if (peer.ready && !peer.announcedReady) {
+      peer.announcedReady = true;
+      peer.emit('ready');
+      this.emit('peer', peer);
+      this.onReady(peer);
+    }
+  }
+
+  onReady() {}
+
+  onMessage() {}
+
+  // Drop every connection and stop listening
+  close() {
+    for (const peer of this.peers) peer.close();
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+// Does `tx` touch anything in an SPV peer's filter? Like a BIP37 filter
+// with BLOOM_UPDATE_ALL, a matched output's outpoint is added so the
+// transaction that later spends it matches too.
+function filterMatches(filter, tx) {
+  let matched = filter.has(tx.hash);
+  tx.outputs.forEach((output, index) => {
+    if (filter.has(output.scriptPubKey.toString('hex'))) {
+      matched = true;
+      filter.add(outpointKey(tx.hash, index));
+    }
+  });
+  return matched || tx.inputs.some(input => filter.has(outpointKey(input.txHash, input.outputIndex)));
+}
+
+// A node with a full Blockchain: validates and relays blocks and
+// transactions, and serves headers, blocks and merkleblocks.
+// options: blockchain (default: a new Blockchain), name.
+// Emits 'block' (block, peer), 'tx' (tx, peer) and 'reject' (error, peer)
+// besides the Node events.
+class FullNode extends Node {
+  constructor(options = {}) {
+    super(options);
+    this.blockchain = options.blockchain || new Blockchain();
+    this.services = NODE_NETWORK;
+    this.requested = new Set(); // Block hashes in flight from any peer
+  }
+
+  get height() {
+    return this.blockchain.chain.length - 1;
+  }
+
+  onReady(peer) {
+    if (peer.version.services & NODE_NETWORK) this.sendGetHeaders(peer);
+  }
+
+  sendGetHeaders(peer) {
+    peer.send('getheaders', { locator: buildLocator(this.blockchain.chain) });
+  }
+
+  onMessage(peer, command, payload) {
+    switch (command) {
+      case 'getheaders': return this.handleGetHeaders(peer, payload);
+      case 'headers': return this.handleHeaders(peer, payload);
+      case 'inv': return this.handleInv(peer, payload);
+      case 'getdata': return this.handleGetData(peer, payload);
+      case 'block': return this.handleBlock(peer, payload);
+      case 'tx': return this.handleTx(peer, payload);
+      case 'notfound': return this.handleNotFound(peer, payload);
+      case 'filterload': return this.handleFilterLoad(peer, payload);
+      default: return undefined; // Unknown commands are ignored, as in Bitcoin
+    }
+  }
+
+  // Headers after the first locator hash on our active chain (from genesis
+  // if none is), up to `stop` or MAX_HEADERS_RESULTS
+  handleGetHeaders(peer, { locator = [], stop = null }) {
+    const { chain, blockIndex } = this.blockchain;
+    let start = 0;
+    for (const hash of locator) {
+      const entry = blockIndex.get(hash);
+      if (entry && chain[entry.height] === entry.block) {
+        start = entry.height + 1;
+        break;
+      }
+    }
+
+    const headers = [];
+    for (let height = start; height < chain.length && headers.length < MAX_HEADERS_RESULTS; height++) {
+      headers.push(chain[height].getHeader());
+      if (chain[height].hash === stop) break;
+    }
+    peer.send('headers', { headers });
+  }
+
+  // Check each header's hash and proof of work and that they link up,
+  // then fetch the blocks we don't have. Full validation happens when the
+  // blocks arrive.
+  handleHeaders(peer, { headers }) {
+    const { blockIndex, powLimitBits } = this.blockchain;
+    const wanted = [];
+    let previousHash = null;
+
+    for (const header of headers) {
+      const linked = previousHash === null ? blockIndex.has(header.previousHash) : header.previousHash === previousHash;
+      if (!linked || Block.calculateHeaderHash(header) !== header.hash ||
+          !checkProofOfWork(header.hash, header.bits, powLimitBits)) {
+        this.emit('reject', new ProtocolError(`Bad header ${header.hash}`), peer);
+        return;
+      }
+      previousHash = header.hash;
+      peer.known.add(header.hash);
+      if (!blockIndex.has(header.hash) && !this.requested.has(header.hash)) {
+        wanted.push({ type: INV_TYPES.BLOCK, hash: header.hash });
+      }
+    }
+
+    this.requestBlocks(peer, wanted);
+    // A full batch means the peer may have more
+    if (headers.length === MAX_HEADERS_RESULTS) {
+      peer.send('getheaders', { locator: [previousHash] });
+    }
+  }
+
+  requestBlocks(peer, inventory) {
+    for (const { hash } of inventory) {
+      this.requested.add(hash);
+      peer.inFlight.add(hash);
+    }
+    if (inventory.length > 0) peer.send('getdata', { inventory });
+  }
+
+  // A block announcement starts a header sync, which finds how it connects
+  handleInv(peer, { inventory }) {
+    const transactions = [];
+    let newBlock = false;
+    for (const item of inventory) {
+      peer.known.add(item.hash);
+      if (item.type === INV_TYPES.BLOCK) {
+        newBlock = newBlock || !this.blockchain.blockIndex.has(item.hash);
+      } else if (item.type === INV_TYPES.TX && !this.blockchain.mempool.has(item.hash)) {
+        transactions.push(item);
+      }
+    }
+    if (newBlock) this.sendGetHeaders(peer);
+    if (transactions.length > 0) peer.send('getdata', { inventory: transactions });
+  }
+
+  handleGetData(peer, { inventory }) {
+    const notFound = [];
+    for (const item of inventory) {
+      const block = item.type === INV_TYPES.TX ? null : this.blockchain.getBlock(item.hash);
+
+      if (item.type === INV_TYPES.TX && this.blockchain.mempool.has(item.hash)) {
+        peer.known.add(item.hash);
+        peer.send('tx', { tx: this.blockchain.mempool.get(item.hash).toHex() });
+      } else if (item.type === INV_TYPES.BLOCK && block) {
+        peer.known.add(item.hash);
+        peer.send('block', { block: block.toJSON() });
+      } else if (item.type === INV_TYPES.FILTERED_BLOCK && block && peer.filter) {
+        this.sendMerkleBlock(peer, block);
+      } else {
+        notFound.push(item);
+      }
+    }
+    if (notFound.length > 0) peer.send('notfound', { inventory: notFound });
+  }
+
+  sendMerkleBlock(peer, block) {
+    const matched = block.transactions.filter(tx => filterMatches(peer.filter, tx));
+    peer.send('merkleblock', {
+      header: block.getHeader(),
+      merkleTree: block.createPartialMerkleTree(matched).serialize().toString('hex')
+    });
+    for (const tx of matched) peer.send('tx', { tx: tx.toHex() });
+  }
+
+  handleBlock(peer, payload) {
+    let block;
+    try {
+      block = Block.fromJSON(payload.block);
+    } catch (error) {
+      this.emit('reject', new ProtocolError(`Malformed block: ${error.message}`), peer);
+      return;
+    }
+    this.requested.delete(block.hash);
+    peer.inFlight.delete(block.hash);
+    peer.known.add(block.hash);
+    this.processBlock(block, peer);
+  }
+
+  // Add a block from a peer or our own miner. A block whose parent we
+  // lack means we missed some; a header sync with that peer fills the gap.
+  processBlock(block, peer = null) {
+    const tip = this.blockchain.getLatestBlock().hash;
+    try {
+      this.blockchain.addBlock(block);
+      this.emit('block', block, peer);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      if (error.code === 'prev-blk-not-found' && peer) {
+        this.sendGetHeaders(peer);
+      } else if (error.code !== 'duplicate') {
+        this.emit('reject', error, peer);
+      }
+    }
+    if (this.blockchain.getLatestBlock().hash !== tip) this.announceTip();
+  }
+
+  // Announce the active tip to everyone who doesn't have it. After a reorg
+  // that is enough: peers sync headers back to the fork point themselves.
+  announceTip() {
+    const { hash } = this.blockchain.getLatestBlock();
+    for (const peer of this.peers) {
+      if (peer.ready && !peer.known.has(hash)) {
+        peer.known.add(hash);
+        peer.send('inv', { inventory: [{ type: INV_TYPES.BLOCK, hash }] });
+      }
+    }
+  }
+
+  handleTx(peer, payload) {
+    let tx;
+    try {
+      tx = Transaction.fromHex(payload.tx);
+    } catch (error) {
+      this.emit('reject', new ProtocolError(`Malformed transaction: ${error.message}`), peer);
+      return;
+    }
+    peer.known.add(tx.hash);
+    this.processTransaction(tx, peer);
+  }
+
+  // Accept a transaction into the mempool and relay it. Returns false if
+  // the mempool refused it.
+  processTransaction(tx, peer = null) {
+    if (this.blockchain.mempool.has(tx.hash)) return true;
+    try {
+      this.blockchain.submitTransaction(tx);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      this.emit('reject', error, peer);
+      return false;
+    }
+    this.emit('tx', tx, peer);
+    this.relayTransaction(tx);
+    return true;
+  }
+
+  relayTransaction(tx) {
+    for (const peer of this.peers) {
+      if (!peer.ready || peer.known.has(tx.hash)) continue;
+      if (peer.filter ? filterMatches(peer.filter, tx) : peer.version.relay) {
+        peer.known.add(tx.hash);
+        peer.send('inv', { inventory: [{ type: INV_TYPES.TX, hash: tx.hash }] });
+      }
+    }
+  }
+
+  // Blocks we asked a peer for and it no longer has can come from others
+  handleNotFound(peer, { inventory }) {
+    for (const { hash } of inventory) {
+      this.requested.delete(hash);
+      peer.inFlight.delete(hash);
+    }
+  }
+
+  handleFilterLoad(peer, { elements = [] }) {
+    peer.filter = new Set(elements);
+  }
+
+  addPeer(peer) {
+    super.addPeer(peer);
+    peer.on('close', () => {
+      for (const hash of peer.inFlight) this.requested.delete(hash);
+    });
+    return peer;
+  }
+
+  // Submit a transaction of our own and announce it
+  broadcastTransaction(tx) {
+    if (!this.processTransaction(tx)) {
+      throw new Error(`Transaction ${tx.hash} was rejected`);
+    }
+    return tx;
+  }
+
+  // Mine a block from the mempool and announce it
+  mine(minerAddress) {
+    const block = this.blockchain.minePendingTransactions(minerAddress);
+    this.emit('block', block, null);
+    this.announceTip();
+    return block;
+  }
+}
+
+// SPV client: keeps only headers (in a LightClient), loads a filter on its
+// peers and asks for merkleblocks to prove its transactions.
+// options: lightClient, name. Emits 'headers' (count) after each batch,
+// 'reorg' (disconnected, connected) when the best header chain switches
+// branches and 'reject' (error, peer) for invalid headers.
+class SpvNode extends Node {
+  constructor(options = {}) {
+    super(options);
+    this.lightClient = options.lightClient || new LightClient();
+    this.relay = false; // No tx invs until a filter is loaded
+    this.filter = [];
+    this.pendingProofs = new Map(); // block hash -> { proof, needed, resolve, reject, timer }
+  }
+
+  get height() {
+    return this.lightClient.blockHeaders.length - 1;
+  }
+
+  onReady(peer) {
+    if (!(peer.version.services & NODE_NETWORK)) return;
+    if (this.filter.length > 0) peer.send('filterload', { elements: this.filter });
+    this.sendGetHeaders(peer);
+  }
+
+  sendGetHeaders(peer) {
+    peer.send('getheaders', { locator: buildLocator(this.lightClient.blockHeaders) });
+  }
+
+  onMessage(peer, command, payload) {
+    switch (command) {
+      case 'headers': return this.handleHeaders(peer, payload);
+      case 'inv': return this.handleInv(peer, payload);
+      case 'merkleblock': return this.handleMerkleBlock(peer, payload);
+      case 'tx': return this.handleTx(peer, payload);
+      default: return undefined;
+    }
+  }
+
+  // Headers go through the LightClient's checks; a batch stops at the
+  // first invalid one. Headers on a branch with more work reorg onto it.
+  handleHeaders(peer, { headers }) {
+    let added = 0;
+    for (const header of headers) {
+      let result;
+      try {
+        result = this.lightClient.addBlockHeader(header);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        if (error.code === 'duplicate') continue;
+        this.emit('reject', error, peer);
+        break;
+      }
+      added++;
+      if (result.disconnected.length > 0) this.emit('reorg', result.disconnected, result.connected);
+    }
+    if (added > 0) this.emit('headers', added);
+    if (headers.length === MAX_HEADERS_RESULTS) this.sendGetHeaders(peer);
+  }
+
+  handleInv(peer, { inventory }) {
+    if (inventory.some(item => item.type === INV_TYPES.BLOCK && !this.lightClient.getHeader(item.hash))) {
+      this.sendGetHeaders(peer);
+    }
+  }
+
+  // Watch scripts (hex scriptPubKeys) or txids; sent to every peer
+  loadFilter(elements) {
+    this.filter = [...elements];
+    for (const peer of this.peers) {
+      if (peer.ready) peer.send('filterload', { elements: this.filter });
+    }
+  }
+
+  // Ask `peer` for a merkleblock of a block whose header we have. Resolves
+  // to { header, matches: [{ txid, index }], transactions, confirmations }
+  // once the proof checks out against the header and every matched
+  // transaction arrives. confirmations is 0 if the block is not on our
+  // most-work header chain.
+  requestProof(peer, blockHash, timeout = PROOF_TIMEOUT) {
+    if (!this.lightClient.getHeader(blockHash)) {
+      return Promise.reject(new Error(`No header for block ${blockHash}`));
+    }
+    if (this.pendingProofs.has(blockHash)) {
+      return Promise.reject(new Error(`Proof for block ${blockHash} already requested`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingProofs.delete(blockHash);
+        reject(new Error(`Timed out waiting for merkleblock ${blockHash}`));
+      }, timeout);
+      this.pendingProofs.set(blockHash, { proof: null, needed: null, resolve, reject, timer });
+      peer.send('getdata', { inventory: [{ type: INV_TYPES.FILTERED_BLOCK, hash: blockHash }] });
+    });
+  }
+
+  handleMerkleBlock(peer, { header, merkleTree }) {
+    const pending = this.pendingProofs.get(header.hash);
+    if (!pending || pending.proof) return;
+
+    const fail = message => {
+      clearTimeout(pending.timer);
+      this.pendingProofs.delete(header.hash);
+      pending.reject(new Error(message));
+    };
+
+    const ours = this.lightClient.getHeader(header.hash);
+    if (Block.calculateHeaderHash(header) !== header.hash || header.merkleRoot !== ours.merkleRoot) {
+      return fail(`merkleblock header does not match block ${header.hash}`);
+    }
+
+    let extracted = null;
+    try {
+      extracted = PartialMerkleTree.deserialize(merkleTree).extractMatches();
+    } catch (error) {
+      // Truncated encoding; handled below
+    }
+    if (!extracted || extracted.root !== header.merkleRoot) {
+      return fail(`Invalid partial Merkle tree for block ${header.hash}`);
+    }
+
+    pending.proof = { header, matches: extracted.matches, transactions: [] };
+    pending.needed = new Set(extracted.matches.map(match => match.txid));
+    this.completeProof(header.hash, pending);
+  }
+
+  // Matched transactions follow their merkleblock
+  handleTx(peer, payload) {
+    let tx;
+    try {
+      tx = Transaction.fromHex(payload.tx);
+    } catch (error) {
+      return;
+    }
+    for (const [hash, pending] of this.pendingProofs) {
+      if (pending.needed && pending.needed.delete(tx.hash)) {
+        pending.proof.transactions.push(tx);
+        this.completeProof(hash, pending);
+      }
+    }
+  }
+
+  completeProof(hash, pending) {
+    if (pending.needed.size > 0) return;
+    clearTimeout(pending.timer);
+    this.pendingProofs.delete(hash);
+    pending.resolve({ ...pending.proof, confirmations: this.lightClient.getConfirmations(hash) });
+  }
+}
+
+module.exports = {
+  NODE_NETWORK,
+  Peer,
+  Node,
+  FullNode,
+  SpvNode
+};
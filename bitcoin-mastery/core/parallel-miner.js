@@ -0,0 +1,139 @@
+// Proof-of-work search spread over worker threads.
+//
+// Block hashes here are sha256(prefix + nonce), where the prefix is every
+// header field before the nonce. A round splits the nonce space [0, maxNonce]
+// into one contiguous range per worker; the first worker to find a hash at
+// or below the target wins and the rest are terminated. If the whole space
+// is exhausted, the block rolls the extra nonce in its coinbase, which
+// changes the Merkle root and so the prefix, and a new round starts.
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { compactToTarget } = require('./pow');
+
+const WORKER_PATH = path.join(__dirname, 'mining-worker.js');
+const MAX_NONCE = 0xffffffff; // Bitcoin's header nonce is 32 bits
+
+function rate(attempts, elapsed) {
+  return elapsed > 0 ? attempts / elapsed : 0;
+}
+
+class ParallelMiner {
+  // options: workers (default: one per CPU), maxNonce (last nonce tried per
+  // round), progressInterval (hashes between worker reports), onProgress
+  // ({ attempts, elapsed, hashRate }) called with the aggregate so far,
+  // workerPath (the script each worker runs, by default mining-worker.js)
+  constructor(options = {}) {
+    this.workers = options.workers ?? os.availableParallelism();
+    this.workerPath = options.workerPath ?? WORKER_PATH;
+    this.maxNonce = options.maxNonce ?? MAX_NONCE;
+    this.progressInterval = options.progressInterval ?? 10000;
+    this.onProgress = options.onProgress || null;
+  }
+
+  // One round over the nonce space for `data`. Pass `target` (a BigInt the
+  // hash must not exceed) or `hashPrefix` (hex the hash must start with).
+  // Resolves to { nonce, hash, attempts, elapsed, hashRate }; nonce and hash
+  // are null if no nonce in the space works.
+  search({ data, target, hashPrefix }) {
+    const startTime = Date.now();
+    const total = this.maxNonce + 1;
+    const count = Math.max(1, Math.min(this.workers, total));
+    const chunk = Math.ceil(total / count);
+    const targetHex = target === undefined ? undefined : target.toString(16).padStart(64, '0');
+
+    return new Promise((resolve, reject) => {
+      const workers = [];
+      let attempts = 0;
+      let running = count;
+      let settled = false;
+
+      const elapsed = () => (Date.now() - startTime) / 1000;
+      // Stop every worker before reporting, win or lose
+      const finish = (result, error) => {
+        if (settled) return;
+        settled = true;
+        Promise.all(workers.map(worker => worker.terminate())).then(() => {
+          if (error) return reject(error);
+          const seconds = elapsed();
+          resolve({ ...result, attempts, elapsed: seconds, hashRate: rate(attempts, seconds) });
+        });
+      };
+
+      for (let i = 0; i < count; i++) {
+        const start = i * chunk;
+        const worker = new Worker(this.workerPath, {
+          workerData: {
+            data,
+            start,
+            end: Math.min(start + chunk, total),
+            target: targetHex,
+            hashPrefix,
+            progressInterval: this.progressInterval
+          }
+        });
+        workers.push(worker);
+        let reported = false; // Posted 'found' or 'exhausted'
+
+        worker.on('message', message => {
+          if (message.type === 'found' || message.type === 'exhausted') reported = true;
+          if (settled) return;
+          attempts += message.attempts;
+
+          if (message.type === 'found') {
+            finish({ nonce: message.nonce, hash: message.hash });
+          } else if (message.type === 'exhausted') {
+            if (--running === 0) finish({ nonce: null, hash: null });
+          } else if (this.onProgress) {
+            const seconds = elapsed();
+            this.onProgress({ attempts, elapsed: seconds, hashRate: rate(attempts, seconds) });
+          }
+        });
+        worker.on('error', error => finish(null, error));
+        // A worker that dies without a result (process.exit, out of memory,
+        // ...) would otherwise leave its share of the nonce space unsearched
+        // and the promise pending forever
+        worker.on('exit', code => {
+          if (!reported) finish(null, new Error(`Mining worker ${i} exited with code ${code} before reporting a result`));
+        });
+      }
+    });
+  }
+
+  // Mine `block` in place. It needs `bits`, getHashPrefix() (the string
+  // hashed before the nonce) and setExtraNonce(n), which core blocks and
+  // 4-ProofOfWork blocks both provide.
+  async mineBlock(block) {
+    const target = compactToTarget(block.bits);
+    let attempts = 0;
+    let elapsed = 0;
+
+    for (let extraNonce = 0; ; extraNonce++) {
+      if (extraNonce > 0) block.setExtraNonce(extraNonce);
+
+      const result = await this.search({ data: block.getHashPrefix(), target });
+      attempts += result.attempts;
+      elapsed += result.elapsed;
+
+      if (result.nonce !== null) {
+        block.nonce = result.nonce;
+        block.hash = block.calculateHash();
+        return {
+          nonce: result.nonce,
+          extraNonce,
+          hash: block.hash,
+          attempts,
+          elapsed,
+          hashRate: rate(attempts, elapsed),
+          workers: this.workers
+        };
+      }
+    }
+  }
+}
+
+module.exports = {
+  MAX_NONCE,
+  ParallelMiner
+};
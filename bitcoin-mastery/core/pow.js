@@ -0,0 +1,119 @@
+// Proof of work with Bitcoin's compact targets.
+//
+// A block header carries `bits`, a 32-bit encoding of a 256-bit target, and
+// the block is valid if its hash read as a number is at most that target.
+// Every `retargetInterval` blocks the target is rescaled by how long the
+// interval actually took versus how long it should have, by at most 4x
+// either way and never past the proof-of-work limit.
+
+// Easiest target allowed: about one hash in 256 succeeds (two leading hex zeros)
+const POW_LIMIT_BITS = 0x2000ffff;
+const MAX_RETARGET_FACTOR = 4;
+
+// nBits -> target. The top byte is the target's length in bytes, the lower
+// three its most significant bytes; 0x00800000 is a sign bit.
+function compactToTarget(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = bits & 0x007fffff;
+  if (mantissa !== 0 && (bits & 0x00800000)) {
+    throw new RangeError(`Negative compact target 0x${bits.toString(16)}`);
+  }
+  if (exponent <= 3) {
+    return BigInt(mantissa >>> (8 * (3 - exponent)));
+  }
+  const target = BigInt(mantissa) << BigInt(8 * (exponent - 3));
+  if (target >> 256n !== 0n) {
+    throw new RangeError(`Compact target 0x${bits.toString(16)} overflows 256 bits`);
+  }
+  return target;
+}
+
+// target -> nBits, dropping precision beyond the top three bytes
+function targetToCompact(target) {
+  if (target === 0n) return 0;
+  let size = (target.toString(16).length + 1) >> 1;
+  let mantissa = size <= 3
+    ? Number(target << BigInt(8 * (3 - size)))
+    : Number(target >> BigInt(8 * (size - 3)));
+  // Keep the sign bit clear by moving to a longer encoding
+  if (mantissa & 0x00800000) {
+    mantissa >>= 8;
+    size++;
+  }
+  return ((size << 24) | mantissa) >>> 0;
+}
+
+function hashToNumber(hash) {
+  return BigInt(`0x${hash}`);
+}
+
+// hash <= target, for a target no easier than the limit
+function checkProofOfWork(hash, bits, powLimitBits = POW_LIMIT_BITS) {
+  let target;
+  try {
+    target = compactToTarget(bits);
+  } catch (error) {
+    return false;
+  }
+  if (target === 0n || target > compactToTarget(powLimitBits)) return false;
+  return hashToNumber(hash) <= target;
+}
+
+// Expected number of hashes to find a block at `bits`: 2^256 / (target + 1)
+function getBlockWork(bits) {
+  return (1n << 256n) / (compactToTarget(bits) + 1n);
+}
+
+// How many times harder than the easiest allowed block, as a float
+function getDifficulty(bits, powLimitBits = POW_LIMIT_BITS) {
+  return Number(compactToTarget(powLimitBits)) / Number(compactToTarget(bits));
+}
+
+// Scale the target by actual / expected timespan, clamped to 4x either way
+function calculateNextWorkRequired(bits, actualTimespan, params) {
+  const { retargetInterval, targetBlockTime, powLimitBits = POW_LIMIT_BITS } = params;
+  const targetTimespan = retargetInterval * targetBlockTime;
+  const timespan = Math.round(Math.min(
+    Math.max(actualTimespan, targetTimespan / MAX_RETARGET_FACTOR),
+    targetTimespan * MAX_RETARGET_FACTOR
+  ));
+
+  const powLimit = compactToTarget(powLimitBits);
+  let target = compactToTarget(bits) * BigInt(timespan) / BigInt(targetTimespan);
+  if (target > powLimit) target = powLimit;
+  return targetToCompact(target);
+}
+
+// nBits required of the block that extends `blocks` (a chain from genesis,
+// each block having `bits` and `timestamp`). As in Bitcoin, an interval is
+// timed from its first block to its last.
+function getNextWorkRequired(blocks, params) {
+  const { retargetInterval, powLimitBits = POW_LIMIT_BITS } = params;
+  const height = blocks.length;
+  if (height === 0) return powLimitBits;
+
+  const tip = blocks[height - 1];
+  if (height % retargetInterval !== 0) return tip.bits;
+
+  const first = blocks[height - retargetInterval];
+  return calculateNextWorkRequired(tip.bits, tip.timestamp - first.timestamp, params);
+}
+
+// Total expected hashes behind a chain; forks are compared by this, not length
+function getChainWork(blocks) {
+  return blocks.reduce((work, block) => work + getBlockWork(block.bits), 0n);
+}
+
+module.exports = {
+  POW_LIMIT_BITS,
+  MAX_RETARGET_FACTOR,
+  compactToTarget,
+  targetToCompact,
+  hashToNumber,
+  checkProofOfWork,
+  getBlockWork,
+  getDifficulty,
+  calculateNextWorkRequired,
+  getNextWorkRequired,
+  getChainWork
+};
@@ -0,0 +1,155 @@
+// Wire protocol for nodes talking over TCP, framed like Bitcoin's:
+//
+//   magic (4) | command (12, NUL-padded ASCII) | payload length (uint32 LE)
+//   | checksum (first 4 bytes of hash256(payload)) | payload
+//
+// Payloads are JSON; transactions inside them travel as wire-format hex.
+
+const { hash256 } = require('./crypto');
+
+const NETWORK_MAGIC = Buffer.from([0xfa, 0xbf, 0xb5, 0xda]); // Bitcoin regtest
+const PROTOCOL_VERSION = 70015;
+const MESSAGE_HEADER_SIZE = 24;
+const MAX_PAYLOAD_SIZE = 32 * 1024 * 1024;
+const MAX_HEADERS_RESULTS = 2000; // per `headers` message, as in Bitcoin
+const MAX_INV_SIZE = 50000; // items per inv / getdata / notfound
+const MAX_LOCATOR_SIZE = 101;
+
+// Inventory types used in inv / getdata / notfound
+const INV_TYPES = {
+  TX: 'tx',
+  BLOCK: 'block',
+  FILTERED_BLOCK: 'filtered_block' // answered with merkleblock + matching txs
+};
+
+class ProtocolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProtocolError';
+  }
+}
+
+function checksum(payload) {
+  return hash256(payload).subarray(0, 4);
+}
+
+function encodeMessage(command, payload = {}) {
+  if (command.length > 12) {
+    throw new ProtocolError(`Command too long: ${command}`);
+  }
+  const body = Buffer.from(JSON.stringify(payload));
+  const header = Buffer.alloc(MESSAGE_HEADER_SIZE);
+  NETWORK_MAGIC.copy(header, 0);
+  header.write(command, 4, 'ascii');
+  header.writeUInt32LE(body.length, 16);
+  checksum(body).copy(header, 20);
+  return Buffer.concat([header, body]);
+}
+
+// Splits a byte stream into messages; bytes may arrive in any chunking
+class MessageParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  // Returns the complete messages now available as { command, payload }.
+  // Throws a ProtocolError on bad magic, oversize or a checksum mismatch.
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const messages = [];
+
+    while (this.buffer.length >= MESSAGE_HEADER_SIZE) {
+      if (!this.buffer.subarray(0, 4).equals(NETWORK_MAGIC)) {
+        throw new ProtocolError('Bad network magic');
+      }
+      const length = this.buffer.readUInt32LE(16);
+      if (length > MAX_PAYLOAD_SIZE) {
+        throw new ProtocolError(`Payload of ${length} bytes is too large`);
+      }
+      if (this.buffer.length < MESSAGE_HEADER_SIZE + length) break;
+
+      const command = this.buffer.toString('ascii', 4, 16).replace(/\0+$/, '');
+      const body = this.buffer.subarray(MESSAGE_HEADER_SIZE, MESSAGE_HEADER_SIZE + length);
+      if (!checksum(body).equals(this.buffer.subarray(20, 24))) {
+        throw new ProtocolError(`Checksum mismatch in ${command}`);
+      }
+      this.buffer = this.buffer.subarray(MESSAGE_HEADER_SIZE + length);
+
+      let payload;
+      try {
+        payload = JSON.parse(body.toString());
+      } catch (error) {
+        throw new ProtocolError(`Malformed ${command} payload`);
+      }
+      messages.push({ command, payload });
+    }
+
+    return messages;
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isHash = value => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+const isArrayOf = (value, isItem, maxLength) => Array.isArray(value) && value.length <= maxLength && value.every(isItem);
+const isOptional = (value, check) => value === undefined || check(value);
+
+const isHeader = header => isObject(header) && isHash(header.hash) &&
+  (header.previousHash === '0' || isHash(header.previousHash)) && isHash(header.merkleRoot) &&
+  Number.isInteger(header.timestamp) && Number.isInteger(header.bits) && Number.isInteger(header.nonce);
+const isInventory = value => isArrayOf(value, item =>
+  isObject(item) && Object.values(INV_TYPES).includes(item.type) && isHash(item.hash), MAX_INV_SIZE);
+
+// Shape of each command's payload, as the handlers read it. Unknown
+// commands are not checked; nodes ignore them.
+const PAYLOAD_CHECKS = {
+  version: p => Number.isInteger(p.version) && Number.isInteger(p.services) && Number.isInteger(p.startHeight) &&
+    isOptional(p.userAgent, ua => typeof ua === 'string') && isOptional(p.relay, relay => typeof relay === 'boolean'),
+  verack: () => true,
+  getheaders: p => isOptional(p.locator, locator => isArrayOf(locator, isHash, MAX_LOCATOR_SIZE)) &&
+    (p.stop == null || isHash(p.stop)),
+  headers: p => isArrayOf(p.headers, isHeader, MAX_HEADERS_RESULTS),
+  inv: p => isInventory(p.inventory),
+  getdata: p => isInventory(p.inventory),
+  notfound: p => isInventory(p.inventory),
+  block: p => isObject(p.block),
+  tx: p => typeof p.tx === 'string',
+  filterload: p => isOptional(p.elements, elements => Array.isArray(elements) && elements.every(e => typeof e === 'string')),
+  merkleblock: p => isHeader(p.header) && typeof p.merkleTree === 'string'
+};
+
+// Throws a ProtocolError unless `payload` has the shape `command` needs.
+// Whether the data makes sense (a valid block, a known hash) is for the
+// handler to decide.
+function checkPayload(command, payload) {
+  if (!isObject(payload)) throw new ProtocolError(`${command} payload is not an object`);
+  const check = PAYLOAD_CHECKS[command];
+  if (check && !check(payload)) throw new ProtocolError(`Malformed ${command} payload`);
+}
+
+// Block locator: hashes from the tip back to genesis, dense near the tip
+// and exponentially sparser further back, so a peer can find the fork
+// point in one round trip. `chain` is genesis first.
+function buildLocator(chain) {
+  const locator = [];
+  let step = 1;
+  for (let height = chain.length - 1; height > 0; height -= step) {
+    locator.push(chain[height].hash);
+    if (locator.length >= 10) step *= 2;
+  }
+  if (chain.length > 0) locator.push(chain[0].hash);
+  return locator;
+}
+
+module.exports = {
+  NETWORK_MAGIC,
+  PROTOCOL_VERSION,
+  MAX_HEADERS_RESULTS,
+  MAX_INV_SIZE,
+  MAX_LOCATOR_SIZE,
+  INV_TYPES,
+  ProtocolError,
+  encodeMessage,
+  MessageParser,
+  checkPayload,
+  buildLocator
+};
@@ -0,0 +1,520 @@
+// bitcoind-style JSON-RPC over HTTP, so tools written against a regtest
+// node can drive a Blockchain (and an HDWallet, for the wallet calls):
+//
+//   curl --user user:pass -d '{"id":1,"method":"getblockcount","params":[]}' http://127.0.0.1:18443/
+//
+// Requests are JSON-RPC 1.0 as bitcoind speaks it: { id, method, params }
+// answered with { result, error, id }, and HTTP 500 when error is set (404
+// for an unknown method). Requests marked "jsonrpc": "2.0" get a 2.0 reply
+// with HTTP 200. An array of requests is a batch. params may be positional
+// or named. Amounts are BTC, times Unix seconds, as in bitcoind.
+
+const http = require('http');
+const crypto = require('crypto');
+const { scriptToAsm, classifyScript } = require('./script');
+const { addressToScript, scriptToAddress } = require('./address');
+const { COIN, Transaction } = require('./transaction');
+const { getDifficulty } = require('./pow');
+const { ValidationError } = require('./errors');
+
+// bitcoind's error codes for the failures these methods can hit
+const RPC_ERRORS = {
+  MISC_ERROR: -1,
+  TYPE_ERROR: -3,
+  WALLET_ERROR: -4,
+  INVALID_ADDRESS_OR_KEY: -5,
+  INVALID_PARAMETER: -8,
+  WALLET_NOT_FOUND: -18,
+  DESERIALIZATION_ERROR: -22,
+  VERIFY_ERROR: -25,
+  VERIFY_REJECTED: -26,
+  VERIFY_ALREADY_IN_CHAIN: -27,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  PARSE_ERROR: -32700
+};
+
+// bitcoind's limit on an HTTP request body (MAX_SIZE in httpserver.cpp)
+const MAX_BODY_SIZE = 0x02000000;
+
+// Chain names getblockchaininfo reports for each address network
+const CHAIN_NAMES = { mainnet: 'main', testnet: 'test', regtest: 'regtest' };
+
+// Method name -> parameter names (for named params) and handler
+const METHODS = {
+  getblockchaininfo: { params: [], handler: 'getBlockchainInfo' },
+  getblockcount: { params: [], handler: 'getBlockCount' },
+  getbestblockhash: { params: [], handler: 'getBestBlockHash' },
+  getblockhash: { params: ['height'], handler: 'getBlockHash' },
+  getblock: { params: ['blockhash', 'verbosity'], handler: 'getBlock' },
+  getrawtransaction: { params: ['txid', 'verbose', 'blockhash'], handler: 'getRawTransaction' },
+  sendrawtransaction: { params: ['hexstring'], handler: 'sendRawTransaction' },
+  getnewaddress: { params: ['label', 'address_type'], handler: 'getNewAddress' },
+  getbalance: { params: ['dummy', 'minconf'], handler: 'getBalance' },
+  listunspent: { params: ['minconf', 'maxconf', 'addresses'], handler: 'listUnspent' },
+  generatetoaddress: { params: ['nblocks', 'address', 'maxtries'], handler: 'generateToAddress' }
+};
+
+// Failures reported to the caller as { code, message }
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+  }
+}
+
+const toBTC = satoshis => satoshis / COIN;
+const seconds = ms => Math.floor(ms / 1000);
+
+function expectType(value, type, name) {
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+  if (actual !== type) throw new RpcError(RPC_ERRORS.TYPE_ERROR, `${name}: expected ${type}, got ${actual}`);
+}
+
+function expectHash(value, name) {
+  expectType(value, 'string', name);
+  if (!/^[0-9a-f]{64}$/i.test(value)) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMETER, `${name} must be hexadecimal string of length 64 (not '${value}')`);
+  }
+  return value.toLowerCase();
+}
+
+class RpcServer {
+  // options: blockchain, wallet (HDWallet behind getnewaddress, getbalance
+  // and listunspent), network (for addresses; defaults to the wallet's, or
+  // regtest), user and password (HTTP basic auth; off if user is unset),
+  // and maxBodySize (bytes; larger requests get HTTP 413)
+  constructor({ blockchain, wallet = null, network, user = null, password = null, maxBodySize = MAX_BODY_SIZE }) {
+    this.blockchain = blockchain;
+    this.wallet = wallet;
+    this.network = network || (wallet ? wallet.network : 'regtest');
+    this.user = user;
+    this.password = password;
+    this.maxBodySize = maxBodySize;
+    this.server = null;
+  }
+
+  // Resolves to the port once listening
+  listen(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address().port));
+    });
+  }
+
+  close() {
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  // --- HTTP and JSON-RPC framing ---
+
+  isAuthorized(header) {
+    if (this.user === null) return true;
+    const expected = Buffer.from(`Basic ${Buffer.from(`${this.user}:${this.password}`).toString('base64')}`);
+    const given = Buffer.from(header || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  handleHttp(req, res) {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body) + '\n');
+    };
+
+    if (!this.isAuthorized(req.headers.authorization)) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="jsonrpc"' });
+      res.end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      send(405, { result: null, error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'JSON-RPC uses POST' }, id: null });
+      return;
+    }
+
+    // Set once the request is answered early or the client goes away
+    let done = false;
+    req.on('error', () => {
+      done = true;
+    });
+    const tooLarge = () => {
+      done = true;
+      const message = `Request body exceeds ${this.maxBodySize} bytes`;
+      send(413, { result: null, error: { code: RPC_ERRORS.INVALID_REQUEST, message }, id: null }, { Connection: 'close' });
+      req.resume(); // Discard the rest of the body
+    };
+    if (Number(req.headers['content-length']) > this.maxBodySize) {
+      tooLarge();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      if (done) return;
+      size += chunk.length;
+      if (size > this.maxBodySize) {
+        chunks.length = 0;
+        tooLarge();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (done) return;
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        send(500, { result: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: 'Parse error' }, id: null });
+        return;
+      }
+
+      if (Array.isArray(body)) {
+        // Batches always answer 200; each reply carries its own error
+        send(200, body.map(request => this.handleRequest(request).reply));
+      } else {
+        const { status, reply } = this.handleRequest(body);
+        send(status, reply);
+      }
+    });
+  }
+
+  // One request object -> { status, reply }
+  handleRequest(request) {
+    const id = request && request.id !== undefined ? request.id : null;
+    const v2 = request && request.jsonrpc === '2.0';
+    const reply = (result, error) => (v2
+      ? { jsonrpc: '2.0', ...(error ? { error } : { result }), id }
+      : { result, error, id });
+
+    try {
+      if (!request || typeof request !== 'object' || typeof request.method !== 'string') {
+        throw new RpcError(RPC_ERRORS.INVALID_REQUEST, 'Invalid request object');
+      }
+      return { status: 200, reply: reply(this.call(request.method, request.params), null) };
+    } catch (error) {
+      const rpcError = error instanceof RpcError ? error : new RpcError(RPC_ERRORS.MISC_ERROR, error.message);
+      let status = 500;
+      if (v2) status = 200;
+      else if (rpcError.code === RPC_ERRORS.METHOD_NOT_FOUND) status = 404;
+      else if (rpcError.code === RPC_ERRORS.INVALID_REQUEST) status = 400;
+      return { status, reply: reply(null, { code: rpcError.code, message: rpcError.message }) };
+    }
+  }
+
+  // Run a method in-process; params is an array or an object of named
+  // params. Throws RpcError.
+  call(method, params = []) {
+    const spec = Object.prototype.hasOwnProperty.call(METHODS, method) ? METHODS[method] : null;
+    if (!spec) throw new RpcError(RPC_ERRORS.METHOD_NOT_FOUND, 'Method not found');
+
+    let args;
+    if (Array.isArray(params)) {
+      args = params;
+    } else if (params && typeof params === 'object') {
+      const unknown = Object.keys(params).filter(name => !spec.params.includes(name));
+      if (unknown.length > 0) throw new RpcError(RPC_ERRORS.INVALID_PARAMETER, `Unknown named parameter ${unknown[0]}`);
+      args = spec.params.map(name => params[name]);
+    } else {
+      throw new RpcError(RPC_ERRORS.INVALID_REQUEST, 'params must be an array or object');
+    }
+    if (args.length > spec.params.length) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMETER, `${method} takes at most ${spec.params.length} parameters`);
+    }
+    // Missing and null params both take the default
+    return this[spec.handler](...args.map(arg => (arg === null ? undefined : arg)));
+  }
+
+  // --- Chain ---
+
+  getBlockchainInfo() {
+    const chain = this.blockchain;
+    const height = chain.chain.length - 1;
+    return {
+      chain: CHAIN_NAMES[this.network],
+      blocks: height,
+      headers: Math.max(...[...chain.blockIndex.values()].map(entry => entry.height)),
+      bestblockhash: chain.getLatestBlock().hash,
+      difficulty: chain.getDifficulty(),
+      time: seconds(chain.getLatestBlock().timestamp),
+      mediantime: chain.getMedianTimePastSeconds(height),
+      chainwork: chain.getChainWork().toString(16).padStart(64, '0'),
+      pruned: false,
+      warnings: ''
+    };
+  }
+
+  getBlockCount() {
+    return this.blockchain.chain.length - 1;
+  }
+
+  getBestBlockHash() {
+    return this.blockchain.getLatestBlock().hash;
+  }
+
+  getBlockHash(height) {
+    expectType(height, 'number', 'height');
+    const block = this.blockchain.chain[height];
+    if (!block) throw new RpcError(RPC_ERRORS.INVALID_PARAMETER, 'Block height out of range');
+    return block.hash;
+  }
+
+  // verbosity 1: header fields and txids; 2: decoded transactions. There
+  // is no 0: these blocks hash a text header, so they have no raw bytes
+  // bitcoind's format would describe.
+  getBlock(blockhash, verbosity = 1) {
+    const hash = expectHash(blockhash, 'blockhash');
+    if (typeof verbosity === 'boolean') verbosity = verbosity ? 1 : 0;
+    expectType(verbosity, 'number', 'verbosity');
+    if (verbosity !== 1 && verbosity !== 2) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMETER, 'verbosity must be 1 or 2 (blocks have no raw serialization)');
+    }
+
+    const entry = this.blockchain.blockIndex.get(hash);
+    if (!entry) throw new RpcError(RPC_ERRORS.INVALID_ADDRESS_OR_KEY, 'Block not found');
+    const { block, height } = entry;
+    const chain = this.blockchain.chain;
+    const active = chain[height] === block;
+    const next = active ? chain[height + 1] : undefined;
+
+    const info = {
+      hash,
+      confirmations: active ? chain.length - height : -1,
+      height,
+      merkleroot: block.merkleRoot,
+      time: seconds(block.timestamp),
+      mediantime: active ? this.blockchain.getMedianTimePastSeconds(height) : undefined,
+      nonce: block.nonce,
+      bits: block.bits.toString(16).padStart(8, '0'),
+      difficulty: getDifficulty(block.bits, this.blockchain.powLimitBits),
+      chainwork: entry.chainWork.toString(16).padStart(64, '0'),
+      nTx: block.transactions.length,
+      previousblockhash: height > 0 ? block.previousHash : undefined,
+      nextblockhash: next ? next.hash : undefined,
+      strippedsize: block.getBaseSize(),
+      size: block.getSize(),
+      weight: block.getWeight(),
+      tx: verbosity === 1
+        ? block.transactions.map(tx => tx.hash)
+        : block.transactions.map(tx => this.decodeTransaction(tx))
+    };
+    return JSON.parse(JSON.stringify(info)); // Drop the undefined fields
+  }
+
+  // --- Transactions ---
+
+  // decoderawtransaction's shape
+  decodeTransaction(tx) {
+    return {
+      txid: tx.hash,
+      hash: tx.getWitnessHash(),
+      version: tx.version,
+      size: tx.getSize(),
+      vsize: tx.getVirtualSize(),
+      weight: tx.getWeight(),
+      locktime: tx.lockTime,
+      vin: tx.inputs.map(input => {
+        const witness = input.witness.length > 0 ? { txinwitness: input.witness.map(item => item.toString('hex')) } : {};
+        if (tx.isCoinbase()) {
+          return { coinbase: input.scriptSig.toString('hex'), ...witness, sequence: input.sequence };
+        }
+        return {
+          txid: input.txHash,
+          vout: input.outputIndex,
+          scriptSig: { asm: scriptToAsm(input.scriptSig), hex: input.scriptSig.toString('hex') },
+          ...witness,
+          sequence: input.sequence
+        };
+      }),
+      vout: tx.outputs.map((output, n) => ({
+        value: toBTC(output.amount),
+        n,
+        scriptPubKey: this.describeScript(output.scriptPubKey)
+      })),
+      hex: tx.toHex()
+    };
+  }
+
+  describeScript(script) {
+    const address = scriptToAddress(script, this.network);
+    return {
+      asm: scriptToAsm(script),
+      hex: script.toString('hex'),
+      type: classifyScript(script).type,
+      ...(address ? { address } : {})
+    };
+  }
+
+  // Looks in the mempool, then the given block, then (as if bitcoind ran
+  // with -txindex) every block of the active chain, newest first
+  getRawTransaction(txid, verbose = false, blockhash) {
+    const hash = expectHash(txid, 'txid');
+    if (typeof verbose === 'number') verbose = verbose !== 0;
+    expectType(verbose, 'boolean', 'verbose');
+
+    const chain = this.blockchain.chain;
+    let tx = blockhash === undefined ? this.blockchain.mempool.get(hash) : null;
+    let entry = null;
+    if (!tx) {
+      const candidates = blockhash === undefined
+        ? chain.slice().reverse()
+        : [this.blockchain.getBlock(expectHash(blockhash, 'blockhash'))];
+      if (!candidates[0]) throw new RpcError(RPC_ERRORS.INVALID_ADDRESS_OR_KEY, 'Block hash not found');
+      for (const block of candidates) {
+        tx = block.transactions.find(candidate => candidate.hash === hash);
+        if (tx) {
+          entry = this.blockchain.blockIndex.get(block.hash);
+          break;
+        }
+      }
+    }
+    if (!tx) throw new RpcError(RPC_ERRORS.INVALID_ADDRESS_OR_KEY, 'No such mempool or blockchain transaction');
+    if (!verbose) return tx.toHex();
+
+    const result = this.decodeTransaction(tx);
+    if (entry) {
+      const active = chain[entry.height] === entry.block;
+      result.blockhash = entry.block.hash;
+      result.confirmations = active ? chain.length - entry.height : 0;
+      result.time = seconds(entry.block.timestamp);
+      result.blocktime = result.time;
+    }
+    return result;
+  }
+
+  // Validate and add to the mempool; returns the txid. Rejections carry the
+  // reject reason, e.g. "bad-txns-inputs-missingorspent".
+  sendRawTransaction(hexstring) {
+    expectType(hexstring, 'string', 'hexstring');
+    let tx;
+    try {
+      if (!/^([0-9a-f]{2})+$/i.test(hexstring)) throw new Error('not hex');
+      tx = Transaction.fromHex(hexstring);
+    } catch (error) {
+      throw new RpcError(RPC_ERRORS.DESERIALIZATION_ERROR, 'TX decode failed');
+    }
+
+    if (this.blockchain.mempool.has(tx.hash)) return tx.hash;
+    if (tx.outputs.some((output, index) => this.blockchain.utxos.has(`${tx.hash}:${index}`))) {
+      throw new RpcError(RPC_ERRORS.VERIFY_ALREADY_IN_CHAIN, 'Transaction already in block chain');
+    }
+    try {
+      this.blockchain.submitTransaction(tx);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      const code = error.code === 'bad-txns-inputs-missingorspent' ? RPC_ERRORS.VERIFY_ERROR : RPC_ERRORS.VERIFY_REJECTED;
+      throw new RpcError(code, `${error.code}: ${error.message}`);
+    }
+    return tx.hash;
+  }
+
+  // --- Mining ---
+
+  // Mine `nblocks` blocks from the mempool paying `address`; returns their
+  // hashes. maxtries is accepted for compatibility; the search always runs
+  // to a solution.
+  generateToAddress(nblocks, address, maxtries) {
+    expectType(nblocks, 'number', 'nblocks');
+    if (!Number.isInteger(nblocks) || nblocks < 0) throw new RpcError(RPC_ERRORS.INVALID_PARAMETER, 'nblocks must be a non-negative integer');
+    if (maxtries !== undefined) expectType(maxtries, 'number', 'maxtries');
+    this.checkAddress(address);
+
+    const hashes = [];
+    for (let i = 0; i < nblocks; i++) {
+      hashes.push(this.blockchain.minePendingTransactions(address).hash);
+    }
+    return hashes;
+  }
+
+  // Legacy regtest addresses share testnet's version byte, so an address
+  // belongs to our network if its script encodes back to the same string
+  checkAddress(address) {
+    expectType(address, 'string', 'address');
+    let script;
+    try {
+      script = addressToScript(address);
+    } catch (error) {
+      throw new RpcError(RPC_ERRORS.INVALID_ADDRESS_OR_KEY, `Invalid address: ${address}`);
+    }
+    const expected = scriptToAddress(script, this.network);
+    if (expected !== address && expected !== address.toLowerCase()) {
+      throw new RpcError(RPC_ERRORS.INVALID_ADDRESS_OR_KEY, `Address is not valid on ${this.network}: ${address}`);
+    }
+  }
+
+  // --- Wallet ---
+
+  requireWallet() {
+    if (!this.wallet) throw new RpcError(RPC_ERRORS.WALLET_NOT_FOUND, 'No wallet is loaded');
+    return this.wallet;
+  }
+
+  // address_type: legacy (P2PKH) or bech32 (P2WPKH). Labels are accepted
+  // but not stored.
+  getNewAddress(label = '', addressType = 'bech32') {
+    expectType(label, 'string', 'label');
+    const types = { legacy: 'p2pkh', bech32: 'p2wpkh' };
+    if (!types[addressType]) throw new RpcError(RPC_ERRORS.INVALID_ADDRESS_OR_KEY, `Unknown address type '${addressType}'`);
+    return this.requireWallet().getNewAddress({ type: types[addressType] }).address;
+  }
+
+  // The wallet's confirmed coins with their confirmation counts, leaving
+  // out coins a mempool transaction spends and, like bitcoind's wallet,
+  // coinbase outputs until they have coinbaseMaturity + 1 confirmations
+  // (consensus would already allow them in the next block)
+  walletCoins() {
+    const wallet = this.requireWallet();
+    const chain = this.blockchain;
+    const coins = [];
+    for (const address of wallet.addresses.keys()) {
+      for (const utxo of chain.getUTXOsForAddress(address)) {
+        const confirmations = chain.chain.length - utxo.height;
+        if (utxo.coinbase && confirmations <= chain.coinbaseMaturity) continue;
+        if (chain.mempool.spends.has(`${utxo.txHash}:${utxo.outputIndex}`)) continue;
+        coins.push({ address, utxo, confirmations });
+      }
+    }
+    return coins;
+  }
+
+  getBalance(dummy = '*', minconf = 0) {
+    if (dummy !== '*') throw new RpcError(RPC_ERRORS.INVALID_PARAMETER, 'dummy first argument must be excluded or set to "*"');
+    expectType(minconf, 'number', 'minconf');
+    const total = this.walletCoins()
+      .filter(coin => coin.confirmations >= minconf)
+      .reduce((sum, coin) => sum + coin.utxo.output.amount, 0);
+    return toBTC(total);
+  }
+
+  listUnspent(minconf = 1, maxconf = 9999999, addresses = []) {
+    expectType(minconf, 'number', 'minconf');
+    expectType(maxconf, 'number', 'maxconf');
+    expectType(addresses, 'array', 'addresses');
+    addresses.forEach(address => this.checkAddress(address));
+
+    return this.walletCoins()
+      .filter(({ address, confirmations }) =>
+        confirmations >= minconf && confirmations <= maxconf &&
+        (addresses.length === 0 || addresses.includes(address)))
+      .map(({ address, utxo, confirmations }) => ({
+        txid: utxo.txHash,
+        vout: utxo.outputIndex,
+        address,
+        scriptPubKey: utxo.output.scriptPubKey.toString('hex'),
+        amount: toBTC(utxo.output.amount),
+        confirmations,
+        spendable: true,
+        solvable: true,
+        safe: true
+      }));
+  }
+}
+
+module.exports = {
+  RPC_ERRORS,
+  RpcError,
+  RpcServer
+};
@@ -0,0 +1,119 @@
+// BIP340 Schnorr signatures. Public keys are 32-byte x coordinates (the
+// point with even y is meant), signatures are R.x || s (64 bytes), and
+// every hash is domain-separated: sha256(sha256(tag) || sha256(tag) || data).
+//
+// Unlike ECDSA, the signature is linear in the key (s = k + e * d), which
+// is what lets Taproot (BIP341) tweak a key with a script commitment and
+// still sign for the tweaked key directly.
+
+const crypto = require('crypto');
+const {
+  N,
+  mod,
+  bufferToBigInt,
+  bigIntToBuffer,
+  pointAdd,
+  pointNegate,
+  pointMultiply,
+  decodePoint,
+  isValidPrivateKey
+} = require('./secp256k1');
+
+function taggedHash(tag, ...data) {
+  const tagHash = crypto.createHash('sha256').update(tag).digest();
+  return crypto.createHash('sha256').update(Buffer.concat([tagHash, tagHash, ...data])).digest();
+}
+
+// The point with x coordinate `x` and even y, or null if there is none
+function liftX(x) {
+  try {
+    return decodePoint(Buffer.concat([Buffer.from([0x02]), x]));
+  } catch (error) {
+    return null;
+  }
+}
+
+function hasEvenY(point) {
+  return (point.y & 1n) === 0n;
+}
+
+function getXOnlyPublicKey(privateKey) {
+  if (!isValidPrivateKey(privateKey)) throw new RangeError('Invalid private key');
+  return bigIntToBuffer(pointMultiply(bufferToBigInt(privateKey)).x);
+}
+
+// auxRand: 32 bytes of fresh randomness, hashed into the nonce so a bad
+// RNG degrades to deterministic signing rather than leaking the key
+function signSchnorr(message, privateKey, auxRand = crypto.randomBytes(32)) {
+  if (!isValidPrivateKey(privateKey)) throw new RangeError('Invalid private key');
+  const P = pointMultiply(bufferToBigInt(privateKey));
+  const d = hasEvenY(P) ? bufferToBigInt(privateKey) : N - bufferToBigInt(privateKey);
+  const px = bigIntToBuffer(P.x);
+
+  const mask = taggedHash('BIP0340/aux', auxRand);
+  const t = Buffer.from(bigIntToBuffer(d).map((byte, i) => byte ^ mask[i]));
+  const k0 = mod(bufferToBigInt(taggedHash('BIP0340/nonce', t, px, message)), N);
+  if (k0 === 0n) throw new RangeError('Nonce is zero');
+
+  const R = pointMultiply(k0);
+  const k = hasEvenY(R) ? k0 : N - k0;
+  const rx = bigIntToBuffer(R.x);
+  const e = mod(bufferToBigInt(taggedHash('BIP0340/challenge', rx, px, message)), N);
+  const signature = Buffer.concat([rx, bigIntToBuffer(mod(k + e * d, N))]);
+
+  // As BIP340 recommends: never release a signature that does not verify
+  if (!verifySchnorr(message, px, signature)) throw new Error('Produced an invalid Schnorr signature');
+  return signature;
+}
+
+function verifySchnorr(message, publicKey, signature) {
+  if (publicKey.length !== 32 || signature.length !== 64) return false;
+  const P = liftX(publicKey);
+  if (!P) return false;
+
+  const r = bufferToBigInt(signature.subarray(0, 32));
+  const s = bufferToBigInt(signature.subarray(32));
+  if (s >= N) return false;
+
+  const e = mod(bufferToBigInt(taggedHash('BIP0340/challenge', signature.subarray(0, 32), publicKey, message)), N);
+  const R = pointAdd(pointMultiply(s), pointNegate(pointMultiply(e, P)));
+  return R !== null && hasEvenY(R) && R.x === r;
+}
+
+// --- Taproot key tweaking (BIP341) ---
+
+// Q = P + hash_TapTweak(P || merkleRoot) * G, where P is the internal key.
+// With no script tree the merkle root is empty (BIP86 key-path-only).
+function tapTweak(internalKey, merkleRoot = Buffer.alloc(0)) {
+  const t = bufferToBigInt(taggedHash('TapTweak', internalKey, merkleRoot));
+  if (t >= N) throw new RangeError('Tweak is not below the curve order');
+  return t;
+}
+
+// Returns { outputKey (x-only), parity (of the output point's y) }
+function tweakPublicKey(internalKey, merkleRoot) {
+  const P = liftX(internalKey);
+  if (!P) throw new RangeError('Internal key is not a valid x coordinate');
+  const Q = pointAdd(P, pointMultiply(tapTweak(internalKey, merkleRoot)));
+  if (!Q) throw new RangeError('Tweaked key is the point at infinity');
+  return { outputKey: bigIntToBuffer(Q.x), parity: Number(Q.y & 1n) };
+}
+
+// The private key that signs for tweakPublicKey(getXOnlyPublicKey(key))
+function tweakPrivateKey(privateKey, merkleRoot) {
+  const P = pointMultiply(bufferToBigInt(privateKey));
+  const d = hasEvenY(P) ? bufferToBigInt(privateKey) : N - bufferToBigInt(privateKey);
+  const tweaked = mod(d + tapTweak(bigIntToBuffer(P.x), merkleRoot), N);
+  if (tweaked === 0n) throw new RangeError('Tweaked private key is zero');
+  return bigIntToBuffer(tweaked);
+}
+
+module.exports = {
+  taggedHash,
+  liftX,
+  getXOnlyPublicKey,
+  signSchnorr,
+  verifySchnorr,
+  tweakPublicKey,
+  tweakPrivateKey
+};
@@ -0,0 +1,321 @@
+// Bitcoin Script encoding: opcodes, data pushes and script numbers
+
+const OPS = {
+  OP_0: 0x00,
+  OP_PUSHDATA1: 0x4c,
+  OP_PUSHDATA2: 0x4d,
+  OP_PUSHDATA4: 0x4e,
+  OP_1NEGATE: 0x4f,
+  OP_1: 0x51,
+  OP_2: 0x52,
+  OP_3: 0x53,
+  OP_16: 0x60,
+  OP_NOP: 0x61,
+  OP_IF: 0x63,
+  OP_NOTIF: 0x64,
+  OP_ELSE: 0x67,
+  OP_ENDIF: 0x68,
+  OP_VERIFY: 0x69,
+  OP_RETURN: 0x6a,
+  OP_DROP: 0x75,
+  OP_DUP: 0x76,
+  OP_EQUAL: 0x87,
+  OP_EQUALVERIFY: 0x88,
+  OP_SHA256: 0xa8,
+  OP_HASH160: 0xa9,
+  OP_HASH256: 0xaa,
+  OP_CHECKSIG: 0xac,
+  OP_CHECKSIGVERIFY: 0xad,
+  OP_CHECKMULTISIG: 0xae,
+  OP_CHECKMULTISIGVERIFY: 0xaf,
+  OP_CHECKLOCKTIMEVERIFY: 0xb1, // BIP65, formerly OP_NOP2
+  OP_CHECKSEQUENCEVERIFY: 0xb2 // BIP112, formerly OP_NOP3
+};
+
+const SIGHASH_ALL = 0x01;
+
+const OP_NAMES = Object.fromEntries(Object.entries(OPS).map(([name, code]) => [code, name]));
+
+// Script failures carry a short machine-readable code (e.g. 'EQUALVERIFY').
+// Defined here rather than in the interpreter so decompileScript can throw it.
+class ScriptError extends Error {
+  constructor(code, message) {
+    super(message || `Script failed: ${code}`);
+    this.name = 'ScriptError';
+    this.code = code;
+  }
+}
+
+// Encode one data push with the smallest push opcode that fits
+function encodePush(data) {
+  const length = data.length;
+  let prefix;
+  if (length < OPS.OP_PUSHDATA1) {
+    prefix = Buffer.from([length]);
+  } else if (length <= 0xff) {
+    prefix = Buffer.from([OPS.OP_PUSHDATA1, length]);
+  } else if (length <= 0xffff) {
+    prefix = Buffer.alloc(3);
+    prefix[0] = OPS.OP_PUSHDATA2;
+    prefix.writeUInt16LE(length, 1);
+  } else {
+    prefix = Buffer.alloc(5);
+    prefix[0] = OPS.OP_PUSHDATA4;
+    prefix.writeUInt32LE(length, 1);
+  }
+  return Buffer.concat([prefix, data]);
+}
+
+// Build a script from chunks: Buffers become pushes, numbers are opcodes
+function compileScript(chunks) {
+  return Buffer.concat(chunks.map(chunk =>
+    Buffer.isBuffer(chunk) ? encodePush(chunk) : Buffer.from([chunk])
+  ));
+}
+
+// Split a script back into chunks (the inverse of compileScript)
+function decompileScript(script) {
+  const chunks = [];
+  let i = 0;
+
+  while (i < script.length) {
+    const opcode = script[i++];
+
+    if (opcode > OPS.OP_0 && opcode <= OPS.OP_PUSHDATA4) {
+      let length = opcode;
+      const lengthSize = { [OPS.OP_PUSHDATA1]: 1, [OPS.OP_PUSHDATA2]: 2, [OPS.OP_PUSHDATA4]: 4 }[opcode];
+      if (lengthSize) {
+        if (i + lengthSize > script.length) {
+          throw new ScriptError('BAD_OPCODE', `${OP_NAMES[opcode]} is missing its length`);
+        }
+        length = script.readUIntLE(i, lengthSize);
+        i += lengthSize;
+      }
+      if (i + length > script.length) {
+        throw new ScriptError('BAD_OPCODE', 'Script push exceeds script length');
+      }
+      chunks.push(Buffer.from(script.subarray(i, i + length)));
+      i += length;
+    } else {
+      chunks.push(opcode);
+    }
+  }
+
+  return chunks;
+}
+
+// Human-readable assembly, e.g. "OP_RETURN 68656c6c6f"
+function scriptToAsm(script) {
+  return decompileScript(script).map(chunk => {
+    if (Buffer.isBuffer(chunk)) return chunk.toString('hex');
+    if (chunk >= OPS.OP_1 && chunk <= OPS.OP_16) return `OP_${chunk - OPS.OP_1 + 1}`;
+    return OP_NAMES[chunk] || `OP_UNKNOWN_${chunk.toString(16)}`;
+  }).join(' ');
+}
+
+// Minimal little-endian sign-magnitude encoding used for numbers on the stack
+function encodeScriptNumber(n) {
+  if (n === 0) return Buffer.alloc(0);
+
+  const negative = n < 0;
+  let abs = Math.abs(n);
+  const bytes = [];
+  while (abs > 0) {
+    bytes.push(abs & 0xff);
+    abs = Math.floor(abs / 256);
+  }
+
+  if (bytes[bytes.length - 1] & 0x80) {
+    bytes.push(negative ? 0x80 : 0x00);
+  } else if (negative) {
+    bytes[bytes.length - 1] |= 0x80;
+  }
+
+  return Buffer.from(bytes);
+}
+
+function decodeScriptNumber(buffer) {
+  if (buffer.length === 0) return 0;
+
+  let result = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    result += buffer[i] * 2 ** (8 * i);
+  }
+
+  const last = buffer[buffer.length - 1];
+  if (last & 0x80) {
+    return -(result - 0x80 * 2 ** (8 * (buffer.length - 1)));
+  }
+  return result;
+}
+
+// OP_1..OP_16 for small integers
+function smallIntOpcode(n) {
+  if (n === 0) return OPS.OP_0;
+  if (n < 1 || n > 16) throw new Error(`No small-integer opcode for ${n}`);
+  return OPS.OP_1 + n - 1;
+}
+
+// --- Standard locking script templates ---
+
+// OP_DUP OP_HASH160 <pubKeyHash> OP_EQUALVERIFY OP_CHECKSIG
+function p2pkhScript(pubKeyHash) {
+  return compileScript([OPS.OP_DUP, OPS.OP_HASH160, pubKeyHash, OPS.OP_EQUALVERIFY, OPS.OP_CHECKSIG]);
+}
+
+// <pubKey> OP_CHECKSIG
+function p2pkScript(pubKey) {
+  return compileScript([pubKey, OPS.OP_CHECKSIG]);
+}
+
+// m <pubKey>... n OP_CHECKMULTISIG (bare multisig)
+function multisigScript(m, pubKeys) {
+  if (m < 1 || m > pubKeys.length || pubKeys.length > 16) {
+    throw new Error(`Invalid ${m}-of-${pubKeys.length} multisig`);
+  }
+  return compileScript([smallIntOpcode(m), ...pubKeys, smallIntOpcode(pubKeys.length), OPS.OP_CHECKMULTISIG]);
+}
+
+// OP_0 <pubKeyHash> - pay to witness pubkey hash (segwit v0)
+function p2wpkhScript(pubKeyHash) {
+  return compileScript([OPS.OP_0, pubKeyHash]);
+}
+
+// OP_0 <sha256(witnessScript)> - pay to witness script hash (segwit v0)
+function p2wshScript(scriptHash) {
+  return compileScript([OPS.OP_0, scriptHash]);
+}
+
+// A version opcode (OP_0, OP_1-OP_16) and one 2-40 byte push make a
+// witness program (BIP141): { version, program }, or null
+function witnessProgram(script) {
+  if (script.length < 4 || script.length > 42) return null;
+  if (script[0] !== OPS.OP_0 && (script[0] < OPS.OP_1 || script[0] > OPS.OP_16)) return null;
+  if (script[1] !== script.length - 2) return null;
+  return {
+    version: script[0] === OPS.OP_0 ? 0 : script[0] - OPS.OP_1 + 1,
+    program: script.subarray(2)
+  };
+}
+
+// <lockTime> OP_CHECKLOCKTIMEVERIFY OP_DROP + P2PKH: spendable by the key
+// once the spending transaction's nLockTime reaches lockTime (BIP65)
+function cltvScript(lockTime, pubKeyHash) {
+  return Buffer.concat([
+    compileScript([encodeScriptNumber(lockTime), OPS.OP_CHECKLOCKTIMEVERIFY, OPS.OP_DROP]),
+    p2pkhScript(pubKeyHash)
+  ]);
+}
+
+// <sequence> OP_CHECKSEQUENCEVERIFY OP_DROP + P2PKH: spendable by the key
+// once the coin is as old as the relative lock in `sequence` (BIP112)
+function csvScript(sequence, pubKeyHash) {
+  return Buffer.concat([
+    compileScript([encodeScriptNumber(sequence), OPS.OP_CHECKSEQUENCEVERIFY, OPS.OP_DROP]),
+    p2pkhScript(pubKeyHash)
+  ]);
+}
+
+// Hashed timelock contract: the recipient can claim with the preimage of
+// paymentHash (sha256), or the sender can take the coins back after
+// lockTime.
+//
+//   OP_IF OP_SHA256 <paymentHash> OP_EQUALVERIFY OP_DUP OP_HASH160 <recipient>
+//   OP_ELSE <lockTime> OP_CHECKLOCKTIMEVERIFY OP_DROP OP_DUP OP_HASH160 <refund>
+//   OP_ENDIF OP_EQUALVERIFY OP_CHECKSIG
+//
+// Claim with <sig> <pubKey> <preimage> OP_1, refund with <sig> <pubKey> OP_0.
+function htlcScript({ paymentHash, recipientPubKeyHash, refundPubKeyHash, lockTime }) {
+  return compileScript([
+    OPS.OP_IF,
+    OPS.OP_SHA256, paymentHash, OPS.OP_EQUALVERIFY,
+    OPS.OP_DUP, OPS.OP_HASH160, recipientPubKeyHash,
+    OPS.OP_ELSE,
+    encodeScriptNumber(lockTime), OPS.OP_CHECKLOCKTIMEVERIFY, OPS.OP_DROP,
+    OPS.OP_DUP, OPS.OP_HASH160, refundPubKeyHash,
+    OPS.OP_ENDIF,
+    OPS.OP_EQUALVERIFY, OPS.OP_CHECKSIG
+  ]);
+}
+
+// OP_RETURN <data> - provably unspendable data carrier
+function nullDataScript(data) {
+  return compileScript([OPS.OP_RETURN, Buffer.from(data)]);
+}
+
+// Recognise the templates above; returns { type, ...fields }
+function classifyScript(script) {
+  let chunks;
+  try {
+    chunks = decompileScript(script);
+  } catch (error) {
+    return { type: 'nonstandard' };
+  }
+
+  if (chunks.length === 5 &&
+      chunks[0] === OPS.OP_DUP && chunks[1] === OPS.OP_HASH160 &&
+      Buffer.isBuffer(chunks[2]) && chunks[2].length === 20 &&
+      chunks[3] === OPS.OP_EQUALVERIFY && chunks[4] === OPS.OP_CHECKSIG) {
+    return { type: 'pubkeyhash', pubKeyHash: chunks[2] };
+  }
+
+  if (chunks.length === 2 && chunks[0] === OPS.OP_0 &&
+      Buffer.isBuffer(chunks[1]) && chunks[1].length === 20) {
+    return { type: 'witness_v0_keyhash', pubKeyHash: chunks[1] };
+  }
+
+  if (chunks.length === 2 && chunks[0] === OPS.OP_0 &&
+      Buffer.isBuffer(chunks[1]) && chunks[1].length === 32) {
+    return { type: 'witness_v0_scripthash', scriptHash: chunks[1] };
+  }
+
+  if (chunks.length === 2 && Buffer.isBuffer(chunks[0]) && chunks[1] === OPS.OP_CHECKSIG) {
+    return { type: 'pubkey', pubKey: chunks[0] };
+  }
+
+  if (chunks.length >= 4 && chunks[chunks.length - 1] === OPS.OP_CHECKMULTISIG) {
+    const m = chunks[0] - OPS.OP_1 + 1;
+    const n = chunks[chunks.length - 2] - OPS.OP_1 + 1;
+    const pubKeys = chunks.slice(1, -2);
+    if (m >= 1 && n === pubKeys.length && m <= n && pubKeys.every(Buffer.isBuffer)) {
+      return { type: 'multisig', m, pubKeys };
+    }
+  }
+
+  if (chunks[0] === OPS.OP_RETURN) {
+    return { type: 'nulldata', data: chunks.slice(1).filter(Buffer.isBuffer) };
+  }
+
+  return { type: 'nonstandard' };
+}
+
+// OP_RETURN outputs can never be spent, so they never enter the UTXO set
+function isUnspendable(script) {
+  return script.length > 0 && script[0] === OPS.OP_RETURN;
+}
+
+module.exports = {
+  OPS,
+  OP_NAMES,
+  SIGHASH_ALL,
+  ScriptError,
+  encodePush,
+  compileScript,
+  decompileScript,
+  scriptToAsm,
+  encodeScriptNumber,
+  decodeScriptNumber,
+  smallIntOpcode,
+  p2pkhScript,
+  p2pkScript,
+  multisigScript,
+  p2wpkhScript,
+  p2wshScript,
+  witnessProgram,
+  cltvScript,
+  csvScript,
+  htlcScript,
+  nullDataScript,
+  classifyScript,
+  isUnspendable
+};
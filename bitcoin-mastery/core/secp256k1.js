@@ -0,0 +1,175 @@
+// Arithmetic on secp256k1, the curve y^2 = x^3 + 7 over the prime field
+// of size P. Points are { x, y } BigInts, or null for the point at
+// infinity; public keys travel as SEC1 bytes (33 compressed, 65 not).
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n; // Group order
+const G = {
+  x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+
+function mod(a, m = P) {
+  const result = a % m;
+  return result >= 0n ? result : result + m;
+}
+
+function modPow(base, exponent, m = P) {
+  let result = 1n;
+  base = mod(base, m);
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % m;
+    base = (base * base) % m;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+// Modular inverse by the extended Euclidean algorithm
+function invert(a, m = P) {
+  if (mod(a, m) === 0n) throw new RangeError('Zero has no inverse');
+  let [oldR, r] = [mod(a, m), m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+  return mod(oldS, m);
+}
+
+function bufferToBigInt(buffer) {
+  return buffer.length === 0 ? 0n : BigInt(`0x${buffer.toString('hex')}`);
+}
+
+function bigIntToBuffer(n, length = 32) {
+  return Buffer.from(n.toString(16).padStart(length * 2, '0'), 'hex');
+}
+
+function isOnCurve({ x, y }) {
+  return mod(y * y - (x * x * x + 7n)) === 0n;
+}
+
+// Jacobian coordinates (X, Y, Z) stand for (X/Z^2, Y/Z^3), so additions
+// need no inversion until the end
+
+function jacobianDouble([x, y, z]) {
+  if (y === 0n) return [0n, 1n, 0n];
+  const ySquared = mod(y * y);
+  const s = mod(4n * x * ySquared);
+  const m = mod(3n * x * x);
+  const nx = mod(m * m - 2n * s);
+  const ny = mod(m * (s - nx) - 8n * ySquared * ySquared);
+  return [nx, ny, mod(2n * y * z)];
+}
+
+function jacobianAdd(a, b) {
+  if (a[2] === 0n) return b;
+  if (b[2] === 0n) return a;
+  const [x1, y1, z1] = a;
+  const [x2, y2, z2] = b;
+  const z1Squared = mod(z1 * z1);
+  const z2Squared = mod(z2 * z2);
+  const u1 = mod(x1 * z2Squared);
+  const u2 = mod(x2 * z1Squared);
+  const s1 = mod(y1 * z2Squared * z2);
+  const s2 = mod(y2 * z1Squared * z1);
+  if (u1 === u2) {
+    return s1 === s2 ? jacobianDouble(a) : [0n, 1n, 0n];
+  }
+  const h = mod(u2 - u1);
+  const r = mod(s2 - s1);
+  const hSquared = mod(h * h);
+  const hCubed = mod(hSquared * h);
+  const nx = mod(r * r - hCubed - 2n * u1 * hSquared);
+  const ny = mod(r * (u1 * hSquared - nx) - s1 * hCubed);
+  return [nx, ny, mod(h * z1 * z2)];
+}
+
+function toJacobian(point) {
+  return point ? [point.x, point.y, 1n] : [0n, 1n, 0n];
+}
+
+function fromJacobian([x, y, z]) {
+  if (z === 0n) return null;
+  const zInverse = invert(z);
+  const zInverseSquared = mod(zInverse * zInverse);
+  return { x: mod(x * zInverseSquared), y: mod(y * zInverseSquared * zInverse) };
+}
+
+function pointAdd(a, b) {
+  return fromJacobian(jacobianAdd(toJacobian(a), toJacobian(b)));
+}
+
+function pointNegate(point) {
+  return point && { x: point.x, y: mod(-point.y) };
+}
+
+// k * point by double-and-add
+function pointMultiply(k, point = G) {
+  let result = [0n, 1n, 0n];
+  let addend = toJacobian(point);
+  for (let n = mod(k, N); n > 0n; n >>= 1n) {
+    if (n & 1n) result = jacobianAdd(result, addend);
+    addend = jacobianDouble(addend);
+  }
+  return fromJacobian(result);
+}
+
+// SEC1 bytes: 02/03 || x for compressed (prefix gives y's parity), 04 || x || y otherwise
+function encodePoint(point, compressed = true) {
+  if (!point) throw new RangeError('Cannot encode the point at infinity');
+  if (compressed) {
+    return Buffer.concat([Buffer.from([point.y & 1n ? 0x03 : 0x02]), bigIntToBuffer(point.x)]);
+  }
+  return Buffer.concat([Buffer.from([0x04]), bigIntToBuffer(point.x), bigIntToBuffer(point.y)]);
+}
+
+function decodePoint(buffer) {
+  let point;
+  if (buffer.length === 33 && (buffer[0] === 0x02 || buffer[0] === 0x03)) {
+    const x = bufferToBigInt(buffer.subarray(1));
+    // P = 3 mod 4, so a square root is a power
+    let y = modPow(x * x * x + 7n, (P + 1n) / 4n);
+    if ((y & 1n) !== BigInt(buffer[0] & 1)) y = mod(-y);
+    point = { x, y };
+  } else if (buffer.length === 65 && buffer[0] === 0x04) {
+    point = { x: bufferToBigInt(buffer.subarray(1, 33)), y: bufferToBigInt(buffer.subarray(33)) };
+  } else {
+    throw new RangeError('Invalid SEC1 public key encoding');
+  }
+  if (point.x >= P || point.y >= P || !isOnCurve(point)) {
+    throw new RangeError('Public key is not on secp256k1');
+  }
+  return point;
+}
+
+function isValidPrivateKey(privateKey) {
+  if (!Buffer.isBuffer(privateKey) || privateKey.length !== 32) return false;
+  const k = bufferToBigInt(privateKey);
+  return k > 0n && k < N;
+}
+
+function getPublicKey(privateKey, compressed = true) {
+  if (!isValidPrivateKey(privateKey)) throw new RangeError('Invalid private key');
+  return encodePoint(pointMultiply(bufferToBigInt(privateKey)), compressed);
+}
+
+module.exports = {
+  P,
+  N,
+  G,
+  mod,
+  modPow,
+  invert,
+  bufferToBigInt,
+  bigIntToBuffer,
+  isOnCurve,
+  pointAdd,
+  pointNegate,
+  pointMultiply,
+  encodePoint,
+  decodePoint,
+  isValidPrivateKey,
+  getPublicKey
+};
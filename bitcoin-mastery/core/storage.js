@@ -0,0 +1,275 @@
+// On-disk storage, laid out like Bitcoin Core's data directory:
+//
+//   blocks/blk00000.dat, ...  append-only block files
+//   blocks/index.log          block hash -> { file, offset, size, height }
+//   chainstate.log            the UTXO set and the block it is current as of
+//
+// Block records are framed like network messages:
+//   magic (4) | payload size (uint32 LE) | checksum (hash256(payload)[0..4]) | payload
+// with the block's toJSON() as the payload. A new file is started when the
+// current one would grow past maxFileSize.
+//
+// The index and chainstate are KeyValueStores: an in-memory Map backed by
+// an append-only log of puts and deletes, replayed on open and compacted
+// when it grows well past the live data.
+
+const fs = require('fs');
+const path = require('path');
+const { hash256 } = require('./crypto');
+const { NETWORK_MAGIC } = require('./protocol');
+
+const MAX_BLOCKFILE_SIZE = 128 * 1024 * 1024; // As in Bitcoin Core
+const RECORD_HEADER_SIZE = 12;
+
+class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+function checksum(data) {
+  return hash256(data).toString('hex').substring(0, 8);
+}
+
+// Log lines are `<json> <checksum>`; a torn final line (no newline) from a
+// crash is dropped, a bad checksum anywhere else is corruption
+class KeyValueStore {
+  constructor(file) {
+    this.file = file;
+    this.data = new Map();
+    this.pending = new Map(); // key -> value, or undefined for a delete
+    this.logEntries = 0;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    const torn = lines.pop(); // '' if the file ends with a newline
+
+    for (const [i, line] of lines.entries()) {
+      const split = line.lastIndexOf(' ');
+      const json = line.substring(0, split);
+      if (split < 0 || checksum(json) !== line.substring(split + 1)) {
+        throw new StorageError(`Corrupt record at ${this.file}:${i + 1}`);
+      }
+      const [key, value] = JSON.parse(json);
+      if (value === null) {
+        this.data.delete(key);
+      } else {
+        this.data.set(key, value);
+      }
+      this.logEntries++;
+    }
+
+    if (torn) fs.truncateSync(this.file, Buffer.byteLength(lines.map(line => `${line}\n`).join('')));
+  }
+
+  get size() {
+    return this.data.size;
+  }
+
+  has(key) {
+    return this.data.has(key);
+  }
+
+  get(key) {
+    return this.data.get(key);
+  }
+
+  keys() {
+    return this.data.keys();
+  }
+
+  entries() {
+    return this.data.entries();
+  }
+
+  // Writes apply in memory at once and reach the disk on flush()
+  put(key, value) {
+    this.data.set(key, value);
+    this.pending.set(key, value);
+  }
+
+  delete(key) {
+    this.data.delete(key);
+    this.pending.set(key, undefined);
+  }
+
+  flush() {
+    if (this.pending.size === 0) return;
+    const lines = [];
+    for (const [key, value] of this.pending) {
+      const json = JSON.stringify([key, value === undefined ? null : value]);
+      lines.push(`${json} ${checksum(json)}\n`);
+    }
+    fs.appendFileSync(this.file, lines.join(''));
+    this.logEntries += lines.length;
+    this.pending.clear();
+
+    if (this.logEntries > 2 * this.data.size + 1000) this.compact();
+  }
+
+  // Rewrite the log with only live entries; the rename makes it atomic
+  compact() {
+    const lines = [];
+    for (const [key, value] of this.data) {
+      const json = JSON.stringify([key, value]);
+      lines.push(`${json} ${checksum(json)}\n`);
+    }
+    const temp = `${this.file}.tmp`;
+    fs.writeFileSync(temp, lines.join(''));
+    fs.renameSync(temp, this.file);
+    this.logEntries = lines.length;
+    this.pending.clear();
+  }
+}
+
+// Append-only block files plus an index of where each block is
+class BlockStore {
+  constructor(directory, { maxFileSize = MAX_BLOCKFILE_SIZE } = {}) {
+    this.directory = directory;
+    this.maxFileSize = maxFileSize;
+    fs.mkdirSync(directory, { recursive: true });
+    this.index = new KeyValueStore(path.join(directory, 'index.log'));
+
+    const files = fs.readdirSync(directory).filter(name => /^blk\d{5}\.dat$/.test(name)).sort();
+    this.currentFile = files.length > 0 ? Number(files[files.length - 1].substring(3, 8)) : 0;
+  }
+
+  get size() {
+    return this.index.size;
+  }
+
+  has(hash) {
+    return this.index.has(hash);
+  }
+
+  filePath(file) {
+    return path.join(this.directory, `blk${String(file).padStart(5, '0')}.dat`);
+  }
+
+  // Append a block (anything with hash and toJSON()); the index entry is
+  // flushed right away so the index never lags the block files
+  writeBlock(block, height) {
+    const payload = Buffer.from(JSON.stringify(block.toJSON()));
+    const header = Buffer.alloc(RECORD_HEADER_SIZE);
+    NETWORK_MAGIC.copy(header, 0);
+    header.writeUInt32LE(payload.length, 4);
+    hash256(payload).copy(header, 8, 0, 4);
+    const record = Buffer.concat([header, payload]);
+
+    let offset = fs.existsSync(this.filePath(this.currentFile)) ? fs.statSync(this.filePath(this.currentFile)).size : 0;
+    if (offset > 0 && offset + record.length > this.maxFileSize) {
+      this.currentFile++;
+      offset = 0;
+    }
+    fs.appendFileSync(this.filePath(this.currentFile), record);
+
+    this.index.put(block.hash, { file: this.currentFile, offset, size: payload.length, height });
+    this.index.flush();
+  }
+
+  // The stored toJSON() data of a block, or null if it is not stored
+  readBlock(hash) {
+    const location = this.index.get(hash);
+    if (!location) return null;
+
+    const record = Buffer.alloc(RECORD_HEADER_SIZE + location.size);
+    const fd = fs.openSync(this.filePath(location.file), 'r');
+    let bytesRead;
+    try {
+      bytesRead = fs.readSync(fd, record, 0, record.length, location.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const payload = record.subarray(RECORD_HEADER_SIZE);
+    if (bytesRead !== record.length || !record.subarray(0, 4).equals(NETWORK_MAGIC) ||
+        record.readUInt32LE(4) !== location.size || !hash256(payload).subarray(0, 4).equals(record.subarray(8, 12))) {
+      throw new StorageError(`Corrupt block record for ${hash} in ${this.filePath(location.file)}`);
+    }
+    return JSON.parse(payload.toString());
+  }
+
+  // Every stored block's data, in the order they were written
+  *readBlocks() {
+    for (const hash of this.index.keys()) {
+      yield this.readBlock(hash);
+    }
+  }
+}
+
+// Coins as stored in the chainstate: the output's amount and script, and
+// the height and coinbase flag that maturity and time locks depend on
+function serializeCoin(coin) {
+  return {
+    amount: coin.output.amount,
+    script: coin.output.scriptPubKey.toString('hex'),
+    height: coin.height,
+    coinbase: coin.coinbase
+  };
+}
+
+function sameCoin(a, b) {
+  return a.amount === b.amount && a.script === b.script && a.height === b.height && a.coinbase === b.coinbase;
+}
+
+// The UTXO set on disk, keyed by outpoint ('c:<txid>:<index>'), plus the
+// hash of the block it is current as of ('bestBlock')
+class ChainStateStore {
+  constructor(file) {
+    this.db = new KeyValueStore(file);
+    this.flushed = new Map(); // outpoint -> serialized coin as last written
+    for (const [key, value] of this.db.entries()) {
+      if (key.startsWith('c:')) this.flushed.set(key.substring(2), value);
+    }
+  }
+
+  get bestBlock() {
+    return this.db.get('bestBlock') || null;
+  }
+
+  // Write only what changed since the last write
+  writeCoins(utxos, bestBlock) {
+    for (const key of this.flushed.keys()) {
+      if (!utxos.has(key)) {
+        this.db.delete(`c:${key}`);
+        this.flushed.delete(key);
+      }
+    }
+    for (const [key, coin] of utxos) {
+      const value = serializeCoin(coin);
+      const stored = this.flushed.get(key);
+      if (!stored || !sameCoin(stored, value)) {
+        this.db.put(`c:${key}`, value);
+        this.flushed.set(key, value);
+      }
+    }
+    this.db.put('bestBlock', bestBlock);
+    this.db.flush();
+  }
+
+  // Outpoints where `utxos` and the stored set disagree
+  diffCoins(utxos) {
+    const mismatched = [];
+    for (const key of this.flushed.keys()) {
+      if (!utxos.has(key)) mismatched.push(key);
+    }
+    for (const [key, coin] of utxos) {
+      const stored = this.flushed.get(key);
+      const value = serializeCoin(coin);
+      if (!stored || !sameCoin(stored, value)) mismatched.push(key);
+    }
+    return mismatched;
+  }
+}
+
+module.exports = {
+  MAX_BLOCKFILE_SIZE,
+  StorageError,
+  KeyValueStore,
+  BlockStore,
+  ChainStateStore
+};
@@ -0,0 +1,108 @@
+// Time locks: when a transaction, or a coin, may be spent.
+//
+//   nLockTime (absolute)  the transaction is invalid before a block height
+//                         (below 500,000,000) or Unix time (at or above);
+//                         ignored when every input's nSequence is final
+//   nSequence (BIP68)     per input, in version 2+ transactions: the input
+//                         is invalid until the coin it spends is so many
+//                         blocks, or 512-second units, old
+//   coinbase maturity     coinbase outputs are unspendable for 100 blocks,
+//                         so a reorg cannot erase coins that were spent on
+//
+// Times are Unix seconds, as nLockTime counts them, and are compared with
+// the median time past of the last 11 blocks (BIP113) rather than a
+// timestamp the miner picks. Block timestamps in this library are in
+// milliseconds, so callers divide by 1000.
+
+const LOCKTIME_THRESHOLD = 500000000;
+const SEQUENCE_FINAL = 0xffffffff;
+
+// BIP68 fields of nSequence
+const SEQUENCE_LOCKTIME_DISABLE_FLAG = 0x80000000; // no relative lock at all
+const SEQUENCE_LOCKTIME_TYPE_FLAG = 0x00400000; // time, not blocks
+const SEQUENCE_LOCKTIME_MASK = 0x0000ffff;
+const SEQUENCE_LOCKTIME_GRANULARITY = 9; // time locks count 2^9 = 512 s units
+
+const COINBASE_MATURITY = 100;
+const MEDIAN_TIME_SPAN = 11;
+
+// Median of the timestamps of up to the last 11 of `blocks`
+function medianTimePast(blocks) {
+  const times = blocks.slice(-MEDIAN_TIME_SPAN).map(block => block.timestamp).sort((a, b) => a - b);
+  return times.length > 0 ? times[Math.floor(times.length / 2)] : 0;
+}
+
+function isHeightLock(lockTime) {
+  return lockTime < LOCKTIME_THRESHOLD;
+}
+
+// May `tx` appear in the block at `height`? `time` is the median time past
+// of that block's parent.
+function isFinalTx(tx, height, time) {
+  if (tx.lockTime === 0) return true;
+  if (tx.lockTime < (isHeightLock(tx.lockTime) ? height : time)) return true;
+  return tx.inputs.every(input => input.sequence === SEQUENCE_FINAL);
+}
+
+// nSequence for a relative lock of `blocks` blocks or at least `seconds`
+// seconds (rounded up to 512-second units)
+function relativeLockSequence({ blocks, seconds }) {
+  if (blocks !== undefined) {
+    if (!Number.isInteger(blocks) || blocks < 0 || blocks > SEQUENCE_LOCKTIME_MASK) {
+      throw new RangeError(`Relative lock must be 0-${SEQUENCE_LOCKTIME_MASK} blocks`);
+    }
+    return blocks;
+  }
+  const units = Math.ceil(seconds / 2 ** SEQUENCE_LOCKTIME_GRANULARITY);
+  if (!(units >= 0 && units <= SEQUENCE_LOCKTIME_MASK)) {
+    throw new RangeError(`Relative lock of ${seconds} seconds is out of range`);
+  }
+  return SEQUENCE_LOCKTIME_TYPE_FLAG | units;
+}
+
+// The last height and median time past at which `tx` is still locked by
+// its inputs' nSequence (-1: no lock). coinHeights[i] is the height of the
+// block that created the coin input i spends; getMedianTimePast(height)
+// gives that block's median time past in seconds.
+function calculateSequenceLocks(tx, coinHeights, getMedianTimePast) {
+  let minHeight = -1;
+  let minTime = -1;
+  if (tx.version < 2 || tx.isCoinbase()) return { minHeight, minTime };
+
+  tx.inputs.forEach((input, i) => {
+    if (input.sequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) return;
+    const value = input.sequence & SEQUENCE_LOCKTIME_MASK;
+
+    if (input.sequence & SEQUENCE_LOCKTIME_TYPE_FLAG) {
+      // Measured from the median time past of the block before the coin's
+      const coinTime = getMedianTimePast(Math.max(coinHeights[i] - 1, 0));
+      minTime = Math.max(minTime, coinTime + value * 2 ** SEQUENCE_LOCKTIME_GRANULARITY - 1);
+    } else {
+      minHeight = Math.max(minHeight, coinHeights[i] + value - 1);
+    }
+  });
+
+  return { minHeight, minTime };
+}
+
+// Are the locks past for the block at `height` whose parent has median
+// time past `time`?
+function checkSequenceLocks(locks, height, time) {
+  return locks.minHeight < height && locks.minTime < time;
+}
+
+module.exports = {
+  LOCKTIME_THRESHOLD,
+  SEQUENCE_FINAL,
+  SEQUENCE_LOCKTIME_DISABLE_FLAG,
+  SEQUENCE_LOCKTIME_TYPE_FLAG,
+  SEQUENCE_LOCKTIME_MASK,
+  SEQUENCE_LOCKTIME_GRANULARITY,
+  COINBASE_MATURITY,
+  medianTimePast,
+  isHeightLock,
+  isFinalTx,
+  relativeLockSequence,
+  calculateSequenceLocks,
+  checkSequenceLocks
+};
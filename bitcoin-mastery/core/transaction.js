@@ -0,0 +1,379 @@
+const {
+  hash256,
+  hash160,
+  signHash,
+  publicKeyToBuffer,
+  publicKeyFromBuffer,
+  privateKeyFromBuffer
+} = require('./crypto');
+const { BufferWriter, BufferReader, reverseHex } = require('./encoding');
+const {
+  OPS,
+  SIGHASH_ALL,
+  compileScript,
+  encodeScriptNumber,
+  p2pkhScript,
+  classifyScript
+} = require('./script');
+const { addressToScript, scriptToAddress, fromWIF } = require('./address');
+
+const COIN = 100000000; // Amounts are integer satoshis, like Bitcoin
+const DEFAULT_SEQUENCE = 0xffffffff;
+const WITNESS_SCALE_FACTOR = 4; // Non-witness bytes weigh 4 units, witness bytes 1
+
+// Coinbase inputs spend this "null" outpoint
+const COINBASE_TX_HASH = '0'.repeat(64);
+const COINBASE_OUTPUT_INDEX = 0xffffffff;
+
+// Locking script for an address: a Base58Check P2PKH or Bech32 P2WPKH
+// address, or (P2PKH) a PEM public key or 20-byte pubkey hash in hex
+function scriptForAddress(address) {
+  if (typeof address === 'string' && address.includes('BEGIN PUBLIC KEY')) {
+    return p2pkhScript(hash160(publicKeyToBuffer(address)));
+  }
+  if (typeof address === 'string' && /^[0-9a-f]{40}$/i.test(address)) {
+    return p2pkhScript(Buffer.from(address, 'hex'));
+  }
+  try {
+    return addressToScript(address);
+  } catch (error) {
+    throw new Error(`Unsupported address: ${address} (${error.message})`);
+  }
+}
+
+// Recover an address from a locking script, or null if it has none.
+// Key hashes become mainnet Base58Check / Bech32 addresses.
+function addressFromScript(script) {
+  const info = classifyScript(script);
+
+  if (info.type === 'pubkey') {
+    return publicKeyFromBuffer(info.pubKey);
+  }
+  return scriptToAddress(script);
+}
+
+// Signing keys may be PEM, raw 32-byte keys, WIF strings or HDKeys
+function toPrivateKeyPem(key) {
+  if (key && Buffer.isBuffer(key.privateKey)) key = key.privateKey;
+  if (Buffer.isBuffer(key)) return privateKeyFromBuffer(key);
+  if (typeof key === 'string' && !key.includes('PRIVATE KEY')) return privateKeyFromBuffer(fromWIF(key).privateKey);
+  return key;
+}
+
+// <DER signature><SIGHASH_ALL>, as CHECKSIG expects it
+function signWithHashType(sighash, privateKey) {
+  return Buffer.concat([
+    signHash(sighash, toPrivateKeyPem(privateKey)),
+    Buffer.from([SIGHASH_ALL])
+  ]);
+}
+
+// Transaction Input - references a previous transaction output
+class TransactionInput {
+  constructor(txHash, outputIndex, scriptSig = Buffer.alloc(0), sequence = DEFAULT_SEQUENCE, witness = []) {
+    this.txHash = txHash; // Txid of the transaction being spent
+    this.outputIndex = outputIndex; // Which output of that transaction
+    this.scriptSig = scriptSig; // Unlocking script proving ownership
+    this.sequence = sequence;
+    this.witness = witness; // Segwit stack items (Buffers), outside the txid
+  }
+
+  isCoinbase() {
+    return this.txHash === COINBASE_TX_HASH && this.outputIndex === COINBASE_OUTPUT_INDEX;
+  }
+}
+
+// Transaction Output - specifies new owner and amount
+class TransactionOutput {
+  constructor(address, amount, scriptPubKey = null) {
+    this.address = address; // Recipient address, if the script has one
+    this.amount = amount; // Amount in satoshis
+    this.scriptPubKey = scriptPubKey || scriptForAddress(address); // Locking script
+  }
+
+  // Outputs with arbitrary locking scripts (multisig, OP_RETURN, ...)
+  static fromScript(scriptPubKey, amount) {
+    return new TransactionOutput(addressFromScript(scriptPubKey), amount, scriptPubKey);
+  }
+}
+
+// Full Transaction in Bitcoin's wire format: legacy, or BIP144 segwit
+// when any input carries a witness
+class Transaction {
+  constructor(inputs = [], outputs = [], lockTime = 0, version = 1) {
+    this.version = version;
+    this.inputs = inputs;
+    this.outputs = outputs;
+    this.lockTime = lockTime;
+    this.hash = this.calculateHash();
+  }
+
+  hasWitness() {
+    return this.inputs.some(input => input.witness.length > 0);
+  }
+
+  // version | vin | vout | nLockTime, or with witnesses (BIP144)
+  // version | 0x00 marker | 0x01 flag | vin | vout | witnesses | nLockTime.
+  // `witness: false` gives the stripped form the txid is computed from.
+  serialize({ witness = true } = {}) {
+    const withWitness = witness && this.hasWitness();
+    const writer = new BufferWriter();
+    writer.writeInt32(this.version);
+    if (withWitness) {
+      writer.writeUInt8(0x00);
+      writer.writeUInt8(0x01);
+    }
+
+    writer.writeVarInt(this.inputs.length);
+    for (const input of this.inputs) {
+      writer.writeSlice(Buffer.from(input.txHash, 'hex').reverse());
+      writer.writeUInt32(input.outputIndex);
+      writer.writeVarSlice(input.scriptSig);
+      writer.writeUInt32(input.sequence);
+    }
+
+    writer.writeVarInt(this.outputs.length);
+    for (const output of this.outputs) {
+      writer.writeUInt64(output.amount);
+      writer.writeVarSlice(output.scriptPubKey);
+    }
+
+    if (withWitness) {
+      for (const input of this.inputs) {
+        writer.writeVarInt(input.witness.length);
+        for (const item of input.witness) writer.writeVarSlice(item);
+      }
+    }
+
+    writer.writeUInt32(this.lockTime);
+    return writer.toBuffer();
+  }
+
+  toHex() {
+    return this.serialize().toString('hex');
+  }
+
+  static deserialize(data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'hex');
+    const reader = new BufferReader(buffer);
+    const version = reader.readInt32();
+
+    // A zero input count can't start a real transaction, so 0x00 0x01 here
+    // is the segwit marker and flag
+    const hasWitness = buffer[reader.offset] === 0x00 && buffer[reader.offset + 1] === 0x01;
+    if (hasWitness) reader.offset += 2;
+
+    const inputs = [];
+    const inputCount = reader.readVarInt();
+    for (let i = 0; i < inputCount; i++) {
+      const txHash = reader.readSlice(32).reverse().toString('hex');
+      const outputIndex = reader.readUInt32();
+      const scriptSig = reader.readVarSlice();
+      const sequence = reader.readUInt32();
+      inputs.push(new TransactionInput(txHash, outputIndex, scriptSig, sequence));
+    }
+
+    const outputs = [];
+    const outputCount = reader.readVarInt();
+    for (let i = 0; i < outputCount; i++) {
+      const amount = reader.readUInt64();
+      const scriptPubKey = reader.readVarSlice();
+      outputs.push(TransactionOutput.fromScript(scriptPubKey, amount));
+    }
+
+    if (hasWitness) {
+      for (const input of inputs) {
+        const itemCount = reader.readVarInt();
+        for (let i = 0; i < itemCount; i++) input.witness.push(reader.readVarSlice());
+      }
+      if (inputs.every(input => input.witness.length === 0)) {
+        throw new Error('Segwit serialization with no witness data');
+      }
+    }
+
+    const lockTime = reader.readUInt32();
+    if (!reader.isFinished()) {
+      throw new Error('Unexpected trailing data after transaction');
+    }
+
+    return new Transaction(inputs, outputs, lockTime, version);
+  }
+
+  static fromHex(hex) {
+    return Transaction.deserialize(Buffer.from(hex, 'hex'));
+  }
+
+  // Txid: double SHA-256 of the serialization without witnesses, displayed
+  // byte-reversed. Signatures in a witness can't change it.
+  calculateHash() {
+    return reverseHex(hash256(this.serialize({ witness: false })).toString('hex'));
+  }
+
+  // Wtxid: the same over the full serialization; equals the txid when
+  // there are no witnesses
+  getWitnessHash() {
+    return reverseHex(hash256(this.serialize()).toString('hex'));
+  }
+
+  // Serialized size in bytes, witnesses included
+  getSize() {
+    return this.serialize().length;
+  }
+
+  // Size without witnesses, what a pre-segwit node sees
+  getBaseSize() {
+    return this.serialize({ witness: false }).length;
+  }
+
+  // BIP141 weight: base size x 3 + total size, so witness bytes count a
+  // quarter as much as the rest
+  getWeight() {
+    return this.getBaseSize() * (WITNESS_SCALE_FACTOR - 1) + this.getSize();
+  }
+
+  // Weight in virtual bytes, the size fee rates are quoted against
+  getVirtualSize() {
+    return Math.ceil(this.getWeight() / WITNESS_SCALE_FACTOR);
+  }
+
+  isCoinbase() {
+    return this.inputs.length === 1 && this.inputs[0].isCoinbase();
+  }
+
+  // Legacy SIGHASH_ALL digest: every scriptSig blanked except the one being
+  // signed, which is replaced by the locking script of the output it spends
+  hashForSignature(inputIndex, prevScriptPubKey, hashType = SIGHASH_ALL) {
+    const inputs = this.inputs.map((input, i) => new TransactionInput(
+      input.txHash,
+      input.outputIndex,
+      i === inputIndex ? prevScriptPubKey : Buffer.alloc(0),
+      input.sequence
+    ));
+    const copy = new Transaction(inputs, this.outputs, this.lockTime, this.version);
+
+    const writer = new BufferWriter();
+    writer.writeSlice(copy.serialize());
+    writer.writeUInt32(hashType);
+    return hash256(writer.toBuffer());
+  }
+
+  // BIP143 SIGHASH_ALL digest for segwit v0 inputs. It commits to the
+  // amount being spent, so a signer can't be lied to about the fee, and
+  // hashes the prevouts, sequences and outputs once per transaction rather
+  // than once per input. scriptCode is P2PKH of the key hash for P2WPKH,
+  // or the witness script for P2WSH.
+  hashForWitnessV0(inputIndex, scriptCode, amount, hashType = SIGHASH_ALL) {
+    const prevouts = new BufferWriter();
+    const sequences = new BufferWriter();
+    for (const input of this.inputs) {
+      prevouts.writeSlice(Buffer.from(input.txHash, 'hex').reverse());
+      prevouts.writeUInt32(input.outputIndex);
+      sequences.writeUInt32(input.sequence);
+    }
+    const outputs = new BufferWriter();
+    for (const output of this.outputs) {
+      outputs.writeUInt64(output.amount);
+      outputs.writeVarSlice(output.scriptPubKey);
+    }
+
+    const input = this.inputs[inputIndex];
+    const writer = new BufferWriter();
+    writer.writeInt32(this.version);
+    writer.writeSlice(hash256(prevouts.toBuffer()));
+    writer.writeSlice(hash256(sequences.toBuffer()));
+    writer.writeSlice(Buffer.from(input.txHash, 'hex').reverse());
+    writer.writeUInt32(input.outputIndex);
+    writer.writeVarSlice(scriptCode);
+    writer.writeUInt64(amount);
+    writer.writeUInt32(input.sequence);
+    writer.writeSlice(hash256(outputs.toBuffer()));
+    writer.writeUInt32(this.lockTime);
+    writer.writeUInt32(hashType);
+    return hash256(writer.toBuffer());
+  }
+
+  // <DER signature><SIGHASH_ALL> for input `inputIndex`, for scripts
+  // signInputs does not know how to fill in (timelocks, HTLCs, ...)
+  createSignature(inputIndex, prevScriptPubKey, privateKey) {
+    return signWithHashType(this.hashForSignature(inputIndex, prevScriptPubKey), privateKey);
+  }
+
+  // The same for a segwit v0 input spending `amount` satoshis
+  createWitnessSignature(inputIndex, scriptCode, amount, privateKey) {
+    return signWithHashType(this.hashForWitnessV0(inputIndex, scriptCode, amount), privateKey);
+  }
+
+  // Set one input's unlocking script; the txid changes with it
+  setScriptSig(inputIndex, scriptSig) {
+    this.inputs[inputIndex].scriptSig = scriptSig;
+    this.hash = this.calculateHash();
+  }
+
+  // Set one input's witness stack; only the wtxid changes
+  setWitness(inputIndex, witness) {
+    this.inputs[inputIndex].witness = witness;
+  }
+
+  // Sign all inputs; prevScriptPubKeys[i] is the locking script input i
+  // spends and amounts[i] its value (needed for segwit inputs).
+  // privateKeys[i] is one key (PEM, 32-byte Buffer, WIF or HDKey), an
+  // array of keys for a multisig output, or null to leave the input for the
+  // caller to sign (see createSignature).
+  signInputs(privateKeys, prevScriptPubKeys, amounts = []) {
+    for (let i = 0; i < this.inputs.length; i++) {
+      if (privateKeys[i] === null) continue;
+      const prevScript = prevScriptPubKeys[i];
+      const keys = [].concat(privateKeys[i]).map(toPrivateKeyPem);
+      const sign = key => this.createSignature(i, prevScript, key);
+
+      const info = classifyScript(prevScript);
+      if (info.type === 'witness_v0_keyhash') {
+        if (amounts[i] === undefined) throw new Error(`Cannot sign input ${i}: segwit inputs need the amount spent`);
+        const signature = this.createWitnessSignature(i, p2pkhScript(info.pubKeyHash), amounts[i], keys[0]);
+        this.inputs[i].scriptSig = Buffer.alloc(0);
+        this.inputs[i].witness = [signature, publicKeyToBuffer(keys[0])];
+      } else if (info.type === 'pubkeyhash') {
+        this.inputs[i].scriptSig = compileScript([sign(keys[0]), publicKeyToBuffer(keys[0])]);
+      } else if (info.type === 'pubkey') {
+        this.inputs[i].scriptSig = compileScript([sign(keys[0])]);
+      } else if (info.type === 'multisig') {
+        // Signatures must appear in the same order as their keys in the script
+        const position = key => info.pubKeys.findIndex(pk => pk.equals(publicKeyToBuffer(key)));
+        const ordered = keys.filter(key => position(key) !== -1)
+          .sort((a, b) => position(a) - position(b));
+        this.inputs[i].scriptSig = compileScript([OPS.OP_0, ...ordered.map(sign)]);
+      } else {
+        throw new Error(`Cannot sign input ${i}: ${info.type} script`);
+      }
+    }
+    // Legacy signatures live in the scriptSigs, so the txid changes
+    this.hash = this.calculateHash();
+  }
+
+  // Create a coinbase transaction (mining reward). The height in the
+  // scriptSig (BIP34) keeps otherwise identical coinbases from sharing a txid.
+  // `recipient` is an address or a ready-made locking script.
+  static createCoinbaseTransaction(recipient, amount, height = 0) {
+    const input = new TransactionInput(
+      COINBASE_TX_HASH,
+      COINBASE_OUTPUT_INDEX,
+      compileScript([encodeScriptNumber(height)])
+    );
+    const output = Buffer.isBuffer(recipient)
+      ? TransactionOutput.fromScript(recipient, amount)
+      : new TransactionOutput(recipient, amount);
+    const tx = new Transaction([input], [output]);
+    return tx;
+  }
+}
+
+module.exports = {
+  COIN,
+  WITNESS_SCALE_FACTOR,
+  COINBASE_TX_HASH,
+  scriptForAddress,
+  addressFromScript,
+  TransactionInput,
+  TransactionOutput,
+  Transaction
+};
@@ -0,0 +1,192 @@
+// Consensus checks for transactions, shared by block validation and
+// anything else that needs to vet a transaction against a UTXO set, and
+// the block header rules full nodes and light clients both apply.
+
+const { OPS, decompileScript, decodeScriptNumber, isUnspendable } = require('./script');
+const { TransactionSignatureChecker, verifyScript } = require('./interpreter');
+const { COIN, WITNESS_SCALE_FACTOR } = require('./transaction');
+const { Block } = require('./block');
+const { getNextWorkRequired, checkProofOfWork } = require('./pow');
+const { TransactionValidationError, BlockValidationError } = require('./errors');
+const { COINBASE_MATURITY, medianTimePast } = require('./timelock');
+
+const MAX_MONEY = 21000000 * COIN;
+const MAX_BLOCK_WEIGHT = 4000000; // BIP141; 1 MB of legacy transactions
+const MAX_FUTURE_BLOCK_TIME = 2 * 60 * 60 * 1000; // ms a header may be ahead of our clock
+
+function outpointKey(txHash, outputIndex) {
+  return `${txHash}:${outputIndex}`;
+}
+
+function isValidAmount(amount) {
+  return Number.isInteger(amount) && amount >= 0 && amount <= MAX_MONEY;
+}
+
+// Checks that need no chain context: shape, amounts, duplicate inputs
+function checkTransaction(tx) {
+  const fail = (code, message) => {
+    throw new TransactionValidationError(code, message, { txid: tx.hash });
+  };
+
+  if (tx.inputs.length === 0) fail('bad-txns-vin-empty', 'Transaction has no inputs');
+  if (tx.outputs.length === 0) fail('bad-txns-vout-empty', 'Transaction has no outputs');
+  if (tx.hash !== tx.calculateHash()) fail('bad-txid', 'Stored txid does not match the transaction contents');
+  if (tx.getBaseSize() * WITNESS_SCALE_FACTOR > MAX_BLOCK_WEIGHT) {
+    fail('bad-txns-oversize', 'Transaction would not fit in a block');
+  }
+
+  let totalOut = 0;
+  for (const output of tx.outputs) {
+    if (!isValidAmount(output.amount)) fail('bad-txns-vout-negative', `Invalid output amount ${output.amount}`);
+    totalOut += output.amount;
+    if (totalOut > MAX_MONEY) fail('bad-txns-txouttotal-toolarge', 'Outputs exceed the money supply');
+  }
+
+  const seen = new Set();
+  for (const input of tx.inputs) {
+    const key = outpointKey(input.txHash, input.outputIndex);
+    if (seen.has(key)) fail('bad-txns-inputs-duplicate', `Input ${key} is spent twice`);
+    seen.add(key);
+  }
+
+  if (tx.isCoinbase()) {
+    const length = tx.inputs[0].scriptSig.length;
+    if (length < 1 || length > 100) fail('bad-cb-length', 'Coinbase scriptSig must be 1-100 bytes');
+  } else if (tx.inputs.some(input => input.isCoinbase())) {
+    fail('bad-txns-prevout-null', 'Only a coinbase may spend the null outpoint');
+  }
+}
+
+// Checks a non-coinbase transaction against a UTXO set; returns its fee.
+// With a spendHeight (the height of the block it would be in), coinbase
+// outputs younger than coinbaseMaturity blocks are refused.
+function checkTxInputs(tx, utxos, { spendHeight = null, coinbaseMaturity = COINBASE_MATURITY } = {}) {
+  const fail = (code, message, extra = {}) => {
+    throw new TransactionValidationError(code, message, { txid: tx.hash, ...extra });
+  };
+
+  let totalIn = 0;
+  for (let i = 0; i < tx.inputs.length; i++) {
+    const input = tx.inputs[i];
+    const key = outpointKey(input.txHash, input.outputIndex);
+    const utxo = utxos.get(key);
+
+    if (!utxo) {
+      fail('bad-txns-inputs-missingorspent', `Input ${i} spends missing or spent output ${key}`, { input: i });
+    }
+    if (spendHeight !== null && utxo.coinbase && spendHeight - utxo.height < coinbaseMaturity) {
+      fail('bad-txns-premature-spend-of-coinbase',
+        `Input ${i} spends a coinbase output from height ${utxo.height}, which matures at ${utxo.height + coinbaseMaturity}`,
+        { input: i });
+    }
+
+    try {
+      verifyScript(input.scriptSig, utxo.output.scriptPubKey,
+        new TransactionSignatureChecker(tx, i, utxo.output.amount), input.witness);
+    } catch (error) {
+      fail('mandatory-script-verify-flag-failed', `Input ${i}: ${error.message}`, {
+        input: i,
+        scriptError: error.code
+      });
+    }
+
+    totalIn += utxo.output.amount;
+  }
+
+  const totalOut = tx.outputs.reduce((sum, output) => sum + output.amount, 0);
+  if (totalIn < totalOut) {
+    fail('bad-txns-in-belowout', `Inputs (${totalIn}) are less than outputs (${totalOut})`);
+  }
+
+  return totalIn - totalOut;
+}
+
+// Spend a transaction's inputs and add its outputs to a UTXO set (mutates it).
+// The coins it spends are appended to `undo`, if given, so it can be reverted.
+// New coins record the height of the block creating them and whether they
+// came from a coinbase, for maturity and relative time locks.
+function applyTransaction(tx, utxos, undo = null, height = null) {
+  if (!tx.isCoinbase()) {
+    for (const input of tx.inputs) {
+      const key = outpointKey(input.txHash, input.outputIndex);
+      if (undo && utxos.has(key)) undo.push(utxos.get(key));
+      utxos.delete(key);
+    }
+  }
+
+  // OP_RETURN outputs can never be spent
+  for (let i = 0; i < tx.outputs.length; i++) {
+    if (isUnspendable(tx.outputs[i].scriptPubKey)) continue;
+    utxos.set(outpointKey(tx.hash, i), {
+      txHash: tx.hash,
+      outputIndex: i,
+      output: tx.outputs[i],
+      height,
+      coinbase: tx.isCoinbase()
+    });
+  }
+}
+
+// Reverse applyTransaction: drop the transaction's outputs and restore the
+// coins it spent. Transactions must be reverted last-applied first.
+function revertTransaction(tx, utxos, spentCoins) {
+  for (let i = 0; i < tx.outputs.length; i++) {
+    utxos.delete(outpointKey(tx.hash, i));
+  }
+  for (const coin of spentCoins) {
+    utxos.set(outpointKey(coin.txHash, coin.outputIndex), coin);
+  }
+}
+
+// BIP34: the coinbase scriptSig starts with a push of the block height
+function coinbaseHeight(coinbaseTx) {
+  try {
+    const [first] = decompileScript(coinbaseTx.inputs[0].scriptSig);
+    if (first === OPS.OP_0) return 0;
+    return Buffer.isBuffer(first) ? decodeScriptNumber(first) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Header rules that need only the headers before it (`ancestors`, genesis
+// first): the hash, the bits the retarget rules require (params are
+// powLimitBits, retargetInterval and targetBlockTime), the proof of work,
+// a timestamp after the median of the last 11 and no more than two hours
+// past `now`. Throws a BlockValidationError.
+function checkBlockHeader(header, ancestors, params, now = Date.now()) {
+  const height = ancestors.length;
+  const fail = (code, message) => {
+    throw new BlockValidationError(code, message, { height, hash: header.hash });
+  };
+
+  if (header.hash !== Block.calculateHeaderHash(header)) {
+    fail('bad-hash', 'Stored hash does not match the block header');
+  }
+  const expectedBits = getNextWorkRequired(ancestors, params);
+  if (header.bits !== expectedBits) {
+    fail('bad-diffbits', `Block ${height} must have bits 0x${expectedBits.toString(16)}`);
+  }
+  if (!checkProofOfWork(header.hash, header.bits, params.powLimitBits)) {
+    fail('high-hash', `Hash does not meet target 0x${header.bits.toString(16)}`);
+  }
+  if (height > 0 && header.timestamp <= medianTimePast(ancestors)) {
+    fail('time-too-old', `Block ${height} timestamp ${header.timestamp} is not after the median time past ${medianTimePast(ancestors)}`);
+  }
+  if (header.timestamp > now + MAX_FUTURE_BLOCK_TIME) {
+    fail('time-too-new', `Block ${height} timestamp ${header.timestamp} is more than two hours in the future`);
+  }
+}
+
+module.exports = {
+  MAX_MONEY,
+  MAX_BLOCK_WEIGHT,
+  MAX_FUTURE_BLOCK_TIME,
+  outpointKey,
+  checkTransaction,
+  checkTxInputs,
+  applyTransaction,
+  revertTransaction,
+  coinbaseHeight,
+  checkBlockHeader
+};
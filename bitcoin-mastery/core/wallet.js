@@ -0,0 +1,145 @@
+// BIP44-style HD wallet. Every key sits at
+//
+//   m / purpose' / coin_type' / account' / change / address_index
+//
+// purpose 44 for P2PKH and 84 (BIP84) for P2WPKH addresses; coin type 0
+// on mainnet, 1 on the test networks; change 0 for receiving addresses
+// and 1 for change. The first three levels are hardened, so a leaked
+// account xpub reveals that account's addresses and nothing else.
+
+const { HARDENED_OFFSET, formatPath, HDKey } = require('./bip32');
+const { generateMnemonic, validateMnemonic, mnemonicToSeed } = require('./bip39');
+const { getNetwork, p2pkhAddress, p2wpkhAddress } = require('./address');
+
+const PURPOSES = { p2pkh: 44, p2wpkh: 84 };
+const RECEIVE_CHAIN = 0;
+const CHANGE_CHAIN = 1;
+const GAP_LIMIT = 20; // Unused addresses in a row before discovery stops
+
+function addressForType(publicKey, type, network) {
+  if (type === 'p2pkh') return p2pkhAddress(publicKey, network);
+  if (type === 'p2wpkh') return p2wpkhAddress(publicKey, network);
+  throw new Error(`Unknown address type: ${type}`);
+}
+
+class HDWallet {
+  // seed: 64-byte BIP39 seed. options: network, mnemonic (kept for backup)
+  constructor(seed, { network = 'mainnet', mnemonic = null } = {}) {
+    this.network = getNetwork(network).name;
+    this.coinType = this.network === 'mainnet' ? 0 : 1;
+    this.master = HDKey.fromSeed(seed, this.network);
+    this.mnemonic = mnemonic;
+    this.accountKeys = new Map(); // 'type/account' -> account-level HDKey
+    this.nextIndex = new Map(); // 'type/account/chain' -> first unused index
+    this.addresses = new Map(); // address -> { path, type, account, chain, index }
+  }
+
+  // A new wallet with a fresh mnemonic (strength in bits: 128 = 12 words)
+  static generate({ strength = 128, passphrase = '', network } = {}) {
+    return HDWallet.fromMnemonic(generateMnemonic(strength), { passphrase, network });
+  }
+
+  static fromMnemonic(mnemonic, { passphrase = '', network } = {}) {
+    if (!validateMnemonic(mnemonic)) throw new Error('Invalid mnemonic');
+    return new HDWallet(mnemonicToSeed(mnemonic, passphrase), { network, mnemonic });
+  }
+
+  // Path of an address, e.g. m/84'/0'/0'/1/3
+  getPath({ type = 'p2pkh', account = 0, chain = RECEIVE_CHAIN, index = 0 } = {}) {
+    if (!(type in PURPOSES)) throw new Error(`Unknown address type: ${type}`);
+    return formatPath([
+      PURPOSES[type] + HARDENED_OFFSET,
+      this.coinType + HARDENED_OFFSET,
+      account + HARDENED_OFFSET,
+      chain,
+      index
+    ]);
+  }
+
+  // m / purpose' / coin_type' / account'
+  getAccountKey(account = 0, type = 'p2pkh') {
+    const key = `${type}/${account}`;
+    if (!this.accountKeys.has(key)) {
+      const path = this.getPath({ type, account }).split('/').slice(0, 4).join('/');
+      this.accountKeys.set(key, this.master.derive(path));
+    }
+    return this.accountKeys.get(key);
+  }
+
+  // The account xpub: enough for a watch-only wallet to derive every
+  // address of the account, but not to spend
+  getAccountExtendedPublicKey(account = 0, type = 'p2pkh') {
+    return this.getAccountKey(account, type).extendedPublicKey;
+  }
+
+  // Derive (and remember) the address at a position
+  deriveAddress({ type = 'p2pkh', account = 0, chain = RECEIVE_CHAIN, index = 0 } = {}) {
+    const key = this.getAccountKey(account, type).deriveChild(chain).deriveChild(index);
+    const address = addressForType(key.publicKey, type, this.network);
+    const path = this.getPath({ type, account, chain, index });
+    this.addresses.set(address, { path, type, account, chain, index });
+    return { address, path, publicKey: key.publicKey };
+  }
+
+  // The next unused receiving / change address of an account
+  getNewAddress({ type = 'p2pkh', account = 0 } = {}) {
+    return this.nextAddress(type, account, RECEIVE_CHAIN);
+  }
+
+  getChangeAddress({ type = 'p2pkh', account = 0 } = {}) {
+    return this.nextAddress(type, account, CHANGE_CHAIN);
+  }
+
+  nextAddress(type, account, chain) {
+    const counter = `${type}/${account}/${chain}`;
+    const index = this.nextIndex.get(counter) || 0;
+    this.nextIndex.set(counter, index + 1);
+    return this.deriveAddress({ type, account, chain, index });
+  }
+
+  isMine(address) {
+    return this.addresses.has(address);
+  }
+
+  // HDKey (with private key) for an address this wallet derived
+  getKey(address) {
+    const info = this.addresses.get(address);
+    if (!info) throw new Error(`Address not in wallet: ${address}`);
+    return this.master.derive(info.path);
+  }
+
+  getPrivateKey(address) {
+    return this.getKey(address).privateKey;
+  }
+
+  // BIP44 account discovery: walk both chains of an account until GAP_LIMIT
+  // addresses in a row fail `isUsed(address)`, and resume numbering after
+  // the last used one. Returns the used addresses.
+  discover(isUsed, { type = 'p2pkh', account = 0, gapLimit = GAP_LIMIT } = {}) {
+    const used = [];
+    for (const chain of [RECEIVE_CHAIN, CHANGE_CHAIN]) {
+      let next = 0;
+      for (let index = 0, gap = 0; gap < gapLimit; index++) {
+        const { address } = this.deriveAddress({ type, account, chain, index });
+        if (isUsed(address)) {
+          used.push(address);
+          next = index + 1;
+          gap = 0;
+        } else {
+          gap++;
+        }
+      }
+      const counter = `${type}/${account}/${chain}`;
+      this.nextIndex.set(counter, Math.max(next, this.nextIndex.get(counter) || 0));
+    }
+    return used;
+  }
+}
+
+module.exports = {
+  PURPOSES,
+  RECEIVE_CHAIN,
+  CHANGE_CHAIN,
+  GAP_LIMIT,
+  HDWallet
+};
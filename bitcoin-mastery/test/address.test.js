@@ -0,0 +1,142 @@
+// Address and key encodings against the BIP173/BIP350 test vectors and
+// published Base58Check and WIF examples
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  bech32Decode,
+  decodeSegwitAddress,
+  encodeSegwitAddress,
+  decodeAddress,
+  isValidAddress,
+  addressToScript,
+  pubKeyHashToAddress,
+  p2pkhAddress,
+  p2wpkhAddress,
+  toWIF,
+  fromWIF,
+  HDWallet
+} = require('../core');
+
+// Valid Bech32 (BIP173) and Bech32m (BIP350) strings
+const VALID_BECH32 = [
+  'A12UEL5L',
+  'a12uel5l',
+  'an83characterlonghumanreadablepartthatcontainsthenumber1andtheexcludedcharactersbio1tt5tgs',
+  'abcdef1qpzry9x8gf2tvdw0s3jn54khce6mua7lmqqqxw',
+  'split1checkupstagehandshakeupstreamerranterredcaperred2y9e3w',
+  '?1ezyfcl'
+];
+const VALID_BECH32M = [
+  'A1LQFN3A',
+  'a1lqfn3a',
+  'abcdef1l7aum6echk45nj3s0wdvt2fg8x9yrzpqzd3ryx',
+  'split1checkupstagehandshakeupstreamerranterredcaperredlc445v',
+  '?1v759aa'
+];
+
+// BIP350 valid segwit addresses and their scriptPubKeys
+const VALID_ADDRESSES = [
+  ['BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4', '0014751e76e8199196d454941c45d1b3a323f1433bd6'],
+  ['tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7', '00201863143c14c5166804bd19203356da136c985678cd4d27a1b8c6329604903262'],
+  ['bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7kt5nd6y', '5128751e76e8199196d454941c45d1b3a323f1433bd6751e76e8199196d454941c45d1b3a323f1433bd6'],
+  ['BC1SW50QGDZ25J', '6002751e'],
+  ['bc1zw508d6qejxtdg4y5r3zarvaryvaxxpcs', '5210751e76e8199196d454941c45d1b3a323'],
+  ['tb1qqqqqp399et2xygdj5xreqhjjvcmzhxw4aywxecjdzew6hylgvsesrxh6hy', '0020000000c4a5cad46221b2a187905e5266362b99d5e91c6ce24d165dab93e86433'],
+  ['tb1pqqqqp399et2xygdj5xreqhjjvcmzhxw4aywxecjdzew6hylgvsesf3hn0c', '5120000000c4a5cad46221b2a187905e5266362b99d5e91c6ce24d165dab93e86433'],
+  ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0', '512079be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798']
+];
+
+// BIP350 invalid segwit addresses, with what is wrong with each
+const INVALID_ADDRESSES = [
+  ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd', 'Bech32 checksum on witness v1'],
+  ['tb1z0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqglt7rf', 'Bech32 checksum on witness v2'],
+  ['BC1S0XLXVLHEMJA6C4DQV22UAPCTQUPFHLXM9H8Z3K2E72Q4K9HCZ7VQ54WELL', 'Bech32 checksum on witness v16'],
+  ['bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh', 'Bech32m checksum on witness v0'],
+  ['tb1q0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq24jc47', 'Bech32m checksum on witness v0'],
+  ['bc1p38j9r5y49hruaue7wxjce0updqjuyyx0kh56v8s25huc6995vvpql3jow4', 'invalid character'],
+  ['BC130XLXVLHEMJA6C4DQV22UAPCTQUPFHLXM9H8Z3K2E72Q4K9HCZ7VQ7ZWS8R', 'witness version 17'],
+  ['bc1pw5dgrnzv', '1-byte program'],
+  ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7v8n0nx0muaewav253zgeav', '41-byte program'],
+  ['BC1QR508D6QEJXTDG4Y5R3ZARVARYV98GJ9P', '16-byte program on witness v0'],
+  ['tb1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq47Zagq', 'mixed case'],
+  ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7v07qwwzcrf', 'more than 4 padding bits'],
+  ['tb1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vpggkg4j', 'non-zero padding'],
+  ['bc1gmk9yu', 'empty data']
+];
+
+// scriptPubKey of a witness program: OP_n <program>
+function witnessScript(version, program) {
+  return Buffer.concat([Buffer.from([version === 0 ? 0 : 0x50 + version, program.length]), program]).toString('hex');
+}
+
+test('Bech32 and Bech32m strings decode with the right checksum', () => {
+  for (const text of VALID_BECH32) assert.equal(bech32Decode(text).encoding, 'bech32', text);
+  for (const text of VALID_BECH32M) assert.equal(bech32Decode(text).encoding, 'bech32m', text);
+  // Flipping one character breaks either checksum
+  assert.throws(() => bech32Decode('a12uel5m'), /checksum/);
+  assert.throws(() => bech32Decode('a1lqfn3q'), /checksum/);
+});
+
+test('BIP350 valid addresses decode to their scriptPubKeys and re-encode', () => {
+  for (const [address, script] of VALID_ADDRESSES) {
+    const { hrp, version, program } = decodeSegwitAddress(address);
+    assert.equal(witnessScript(version, program), script, address);
+    assert.equal(encodeSegwitAddress(hrp, version, program), address.toLowerCase());
+  }
+});
+
+test('BIP350 invalid addresses are rejected', () => {
+  for (const [address, reason] of INVALID_ADDRESSES) {
+    assert.throws(() => decodeSegwitAddress(address), Error, reason);
+    assert.equal(isValidAddress(address), false, reason);
+  }
+  // Well formed, but not a network we know
+  const unknownHrp = 'tc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq5zuyut';
+  assert.equal(decodeSegwitAddress(unknownHrp).hrp, 'tc');
+  assert.throws(() => decodeAddress(unknownHrp));
+});
+
+test('payable addresses decode to P2PKH and P2WPKH scripts', () => {
+  assert.deepEqual(decodeAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4'), {
+    type: 'witness_v0_keyhash',
+    hash: Buffer.from('751e76e8199196d454941c45d1b3a323f1433bd6', 'hex'),
+    network: 'mainnet'
+  });
+  assert.equal(addressToScript('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4').toString('hex'), '0014751e76e8199196d454941c45d1b3a323f1433bd6');
+  // Future witness versions are valid addresses we cannot pay
+  assert.equal(isValidAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0'), false);
+});
+
+test('Base58Check P2PKH addresses match the published examples', () => {
+  assert.equal(pubKeyHashToAddress(Buffer.from('010966776006953d5567439e5e39f86a0d273bee', 'hex')), '16UwLL9Risc3QfPqBUvKofHmBQ7wMtjvM');
+
+  const publicKey = Buffer.from('0250863ad64a87ae8a2fe83c1af1a8403cb53f53e486d8511dad8a04887e5b2352', 'hex');
+  assert.equal(p2pkhAddress(publicKey), '1PMycacnJaSqwwJqjawXBErnLsZ7RkXUAs');
+  assert.equal(addressToScript('1PMycacnJaSqwwJqjawXBErnLsZ7RkXUAs').toString('hex'), '76a914f54a5851e9372b87810a8e60cdd2e7cfd80b6e3188ac');
+  assert.equal(decodeAddress(p2pkhAddress(publicKey, 'testnet')).network, 'testnet');
+
+  // One character changed breaks the checksum
+  assert.equal(isValidAddress('1PMycacnJaSqwwJqjawXBErnLsZ7RkXUAt'), false);
+});
+
+test('WIF keys round-trip', () => {
+  const privateKey = Buffer.from('0c28fca386c7a227600b2fe50b7cae11ec86d3bf1fbe471be89827e19d72aa1d', 'hex');
+  const uncompressed = '5HueCGU8rMjxEXxiPuD5BDku4MkFqeZyd4dZ1jvhTVqvbTLvyTJ';
+  const compressed = 'KwdMAjGmerYanjeui5SHS7JkmpZvVipYvB2LJGU1ZxJwYvP98617';
+
+  assert.equal(toWIF(privateKey, 'mainnet', false), uncompressed);
+  assert.equal(toWIF(privateKey), compressed);
+  assert.deepEqual(fromWIF(uncompressed), { privateKey, compressed: false, network: 'mainnet' });
+  assert.deepEqual(fromWIF(compressed), { privateKey, compressed: true, network: 'mainnet' });
+  assert.deepEqual(fromWIF(toWIF(privateKey, 'testnet')), { privateKey, compressed: true, network: 'testnet' });
+  assert.throws(() => fromWIF('16UwLL9Risc3QfPqBUvKofHmBQ7wMtjvM'), /Invalid WIF/);
+});
+
+test('BIP44 and BIP84 wallets derive the published first addresses', () => {
+  const wallet = HDWallet.fromMnemonic('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about');
+
+  assert.equal(wallet.deriveAddress({ type: 'p2pkh' }).address, '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA');
+  assert.equal(wallet.deriveAddress({ type: 'p2wpkh' }).address, 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu');
+  assert.equal(p2wpkhAddress(wallet.getKey('bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu').publicKey), 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu');
+});
@@ -0,0 +1,65 @@
+// The native P2WPKH example from BIP143: a legacy P2PK input and a P2WPKH
+// input. With RFC6979 nonces the published signatures come out byte for byte.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Transaction,
+  TransactionSignatureChecker,
+  verifyScript,
+  p2pkhScript,
+  p2wpkhScript,
+  getPublicKey
+} = require('../core');
+
+const UNSIGNED_TX = '0100000002fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f0000000000eeffffffef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a9148280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e4dbe6a21b2d50ce2f0167faa815988ac11000000';
+const SIGNED_TX = '01000000000102fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f00000000494830450221008b9d1dc26ba6a9cb62127b02742fa9d754cd3bebf337f7a55d114c8e5cdd30be022040529b194ba3f9281a99f2b1c0a19c0489bc22ede944ccf4ecbab4cc618ef3ed01eeffffffef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a9148280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e4dbe6a21b2d50ce2f0167faa815988ac000247304402203609e17b84f6a7d30c80bfa610b5b4542f32a8a0d5447a12fb1366d7f01cc44a0220573a954c4518331561406f90300e8f3358f51928d43c212a8caed02de67eebee0121025476c2e83188368da1ff3e292e7acafcdb3566bb0ad253f62fc70f07aeee635711000000';
+
+// Input 0: P2PK, 6.25 BTC
+const P2PK_KEY = Buffer.from('bbc27228ddcb9209d7fd6f36b02f7dfa6252af40bb2f1cbc7a557da8027ff866', 'hex');
+const P2PK_SCRIPT = Buffer.from('2103c9f4836b9a4f77fc0d81f7bcb01b7f1b35916864b9476c241ce9fc198bd25432ac', 'hex');
+const P2PK_AMOUNT = 625000000;
+const P2PK_SIGNATURE = '30450221008b9d1dc26ba6a9cb62127b02742fa9d754cd3bebf337f7a55d114c8e5cdd30be022040529b194ba3f9281a99f2b1c0a19c0489bc22ede944ccf4ecbab4cc618ef3ed01';
+
+// Input 1: P2WPKH, 6 BTC
+const P2WPKH_KEY = Buffer.from('619c335025c7f4012e556c2a58b2506e30b8511b53ade95ea316fd8c3286feb9', 'hex');
+const P2WPKH_PUBKEY = '025476c2e83188368da1ff3e292e7acafcdb3566bb0ad253f62fc70f07aeee6357';
+const P2WPKH_HASH = Buffer.from('1d0f172a0ecb48aee1be1f2687d2963ae33f71a1', 'hex');
+const P2WPKH_AMOUNT = 600000000;
+const P2WPKH_SIGHASH = 'c37af31116d1b27caf68aae9e3ac82f1477929014d5b917657d0eb49478cb670';
+const P2WPKH_SIGNATURE = '304402203609e17b84f6a7d30c80bfa610b5b4542f32a8a0d5447a12fb1366d7f01cc44a0220573a954c4518331561406f90300e8f3358f51928d43c212a8caed02de67eebee01';
+
+test('BIP143 P2WPKH sighash', () => {
+  const tx = Transaction.fromHex(UNSIGNED_TX);
+
+  assert.equal(getPublicKey(P2WPKH_KEY).toString('hex'), P2WPKH_PUBKEY);
+  assert.equal(tx.hashForWitnessV0(1, p2pkhScript(P2WPKH_HASH), P2WPKH_AMOUNT).toString('hex'), P2WPKH_SIGHASH);
+});
+
+test('BIP143 signatures are reproduced exactly', () => {
+  const tx = Transaction.fromHex(UNSIGNED_TX);
+
+  assert.equal(tx.createWitnessSignature(1, p2pkhScript(P2WPKH_HASH), P2WPKH_AMOUNT, P2WPKH_KEY).toString('hex'), P2WPKH_SIGNATURE);
+  assert.equal(tx.createSignature(0, P2PK_SCRIPT, P2PK_KEY).toString('hex'), P2PK_SIGNATURE);
+});
+
+test('signInputs produces the BIP143 signed transaction', () => {
+  const tx = Transaction.fromHex(UNSIGNED_TX);
+  tx.signInputs([P2PK_KEY, P2WPKH_KEY], [P2PK_SCRIPT, p2wpkhScript(P2WPKH_HASH)], [P2PK_AMOUNT, P2WPKH_AMOUNT]);
+
+  assert.equal(tx.toHex(), SIGNED_TX);
+});
+
+test('the published BIP143 transaction passes script verification', () => {
+  const tx = Transaction.fromHex(SIGNED_TX);
+  const spent = [[P2PK_SCRIPT, P2PK_AMOUNT], [p2wpkhScript(P2WPKH_HASH), P2WPKH_AMOUNT]];
+
+  spent.forEach(([scriptPubKey, amount], i) => {
+    const checker = new TransactionSignatureChecker(tx, i, amount);
+    assert.equal(verifyScript(tx.inputs[i].scriptSig, scriptPubKey, checker, tx.inputs[i].witness), true);
+  });
+
+  // Committing to the wrong amount breaks the segwit signature
+  const checker = new TransactionSignatureChecker(tx, 1, P2WPKH_AMOUNT - 1);
+  assert.throws(() => verifyScript(tx.inputs[1].scriptSig, p2wpkhScript(P2WPKH_HASH), checker, tx.inputs[1].witness));
+});
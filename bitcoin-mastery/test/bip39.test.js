@@ -0,0 +1,57 @@
+// BIP39 vectors (the reference implementation's vectors.json, passphrase
+// "TREZOR")
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { entropyToMnemonic, mnemonicToEntropy, validateMnemonic, mnemonicToSeed, HDKey } = require('../core');
+
+const VECTORS = [
+  [
+    '00000000000000000000000000000000',
+    'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+    'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04',
+    'xprv9s21ZrQH143K3h3fDYiay8mocZ3afhfULfb5GX8kCBdno77K4HiA15Tg23wpbeF1pLfs1c5SPmYHrEpTuuRhxMwvKDwqdKiGJS9XFKzUsAF'
+  ],
+  [
+    '7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f',
+    'legal winner thank year wave sausage worth useful legal winner thank yellow',
+    '2e8905819b8723fe2c1d161860e5ee1830318dbf49a83bd451cfb8440c28bd6fa457fe1296106559a3c80937a1c1069be3a3a5bd381ee6260e8d9739fce1f607'
+  ],
+  [
+    '80808080808080808080808080808080',
+    'letter advice cage absurd amount doctor acoustic avoid letter advice cage above',
+    'd71de856f81a8acc65e6fc851a38d4d7ec216fd0796d0a6827a3ad6ed5511a30fa280f12eb2e47ed2ac03b5c462a0358d18d69fe4f985ec81778c1b370b652a8'
+  ],
+  [
+    'ffffffffffffffffffffffffffffffff',
+    'zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo wrong',
+    'ac27495480225222079d7be181583751e86f571027b0497b5b5d11218e0a8a13332572917f0f8e5a589620c6f15b11c61dee327651a14c34e18231052e48c069'
+  ],
+  [
+    '0000000000000000000000000000000000000000000000000000000000000000',
+    'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon art',
+    'bda85446c68413707090a52022edd26a1c9462295029f2e60cd7c4f2bbd3097170af7a4d73245cafa9c3cca8d561a7c3de6f5d4a10be8ed2a5e608d68f92fcc8'
+  ]
+];
+
+test('BIP39 entropy <-> mnemonic', () => {
+  for (const [entropy, mnemonic] of VECTORS) {
+    assert.equal(entropyToMnemonic(Buffer.from(entropy, 'hex')), mnemonic);
+    assert.equal(mnemonicToEntropy(mnemonic).toString('hex'), entropy);
+    assert.equal(validateMnemonic(mnemonic), true);
+  }
+});
+
+test('BIP39 seeds', () => {
+  for (const [, mnemonic, seed, xprv] of VECTORS) {
+    const derived = mnemonicToSeed(mnemonic, 'TREZOR');
+    assert.equal(derived.toString('hex'), seed);
+    if (xprv) assert.equal(HDKey.fromSeed(derived).extendedPrivateKey, xprv);
+  }
+});
+
+test('BIP39 rejects a bad checksum or an unknown word', () => {
+  assert.equal(validateMnemonic('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon'), false);
+  assert.equal(validateMnemonic('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon bitcoin'), false);
+  assert.equal(validateMnemonic('abandon abandon about'), false);
+});
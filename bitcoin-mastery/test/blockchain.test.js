@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Blockchain,
+  Block,
+  BlockValidationError,
+  Transaction,
+  TransactionOutput,
+  COIN,
+  MAX_FUTURE_BLOCK_TIME,
+  generateKeyPair
+} = require('../core');
+
+const minerKeys = generateKeyPair();
+const MINER = minerKeys.publicKey;
+const OTHER = generateKeyPair().publicKey;
+
+// `blocks` coinbases to MINER, each spendable one block later
+function chainOf(blocks) {
+  const blockchain = new Blockchain({ coinbaseMaturity: 1 });
+  for (let i = 0; i < blocks; i++) blockchain.mineBlock([], MINER);
+  return blockchain;
+}
+
+// A second node that has seen the same blocks, for mining a rival branch
+function copyOf(blockchain) {
+  const copy = new Blockchain({ coinbaseMaturity: blockchain.coinbaseMaturity });
+  for (const block of blockchain.chain.slice(1)) copy.addBlock(block);
+  return copy;
+}
+
+test('a branch with more work reorganizes the chain', () => {
+  const blockchain = chainOf(3);
+  const rival = copyOf(blockchain);
+
+  const payment = blockchain.createTransaction(MINER, OTHER, COIN, minerKeys.privateKey, { feeRate: 2 });
+  blockchain.submitTransaction(payment);
+  const stale = blockchain.minePendingTransactions(MINER);
+  assert.equal(blockchain.mempool.has(payment.hash), false);
+
+  rival.mineBlock([], OTHER);
+  rival.mineBlock([], OTHER);
+  // The first rival block only ties; the first-seen tip stays active
+  blockchain.addBlock(rival.chain[4]);
+  assert.equal(blockchain.getLatestBlock().hash, stale.hash);
+  blockchain.addBlock(rival.chain[5]);
+
+  assert.equal(blockchain.getLatestBlock().hash, rival.getLatestBlock().hash);
+  assert.equal(blockchain.getChainWork(), rival.getChainWork());
+  assert.equal(blockchain.isChainValid(), true);
+  assert.equal(blockchain.getUTXOsForAddress(OTHER).length, 2);
+  // The payment from the disconnected block is waiting to be mined again
+  assert.equal(blockchain.mempool.has(payment.hash), true);
+  assert.deepEqual(
+    blockchain.getChainTips().map(({ hash, height, branchLength, status }) => ({ hash, height, branchLength, status })),
+    [
+      { hash: stale.hash, height: 4, branchLength: 1, status: 'valid-fork' },
+      { hash: rival.getLatestBlock().hash, height: 5, branchLength: 0, status: 'active' }
+    ]
+  );
+});
+
+test('disconnecting blocks restores the coins they spent', () => {
+  const blockchain = chainOf(3);
+  const rival = copyOf(blockchain);
+  const before = new Set(blockchain.utxos.keys());
+
+  const [coin] = blockchain.getUTXOsForAddress(MINER);
+  blockchain.mineBlock([blockchain.buildTransaction([coin], [
+    new TransactionOutput(OTHER, coin.output.amount - 1000)
+  ], [minerKeys.privateKey])], MINER);
+  assert.equal(blockchain.utxos.has(`${coin.txHash}:${coin.outputIndex}`), false);
+
+  rival.mineBlock([], OTHER);
+  rival.mineBlock([], OTHER);
+  for (const block of rival.chain.slice(-2)) blockchain.addBlock(block);
+
+  assert.ok([...before].every(key => blockchain.utxos.has(key)));
+  assert.deepEqual(blockchain.utxos, rival.utxos);
+});
+
+test('a reorg drops mempool transactions the new branch double-spends', () => {
+  const blockchain = chainOf(3);
+  const rival = copyOf(blockchain);
+
+  const [coin] = blockchain.getUTXOsForAddress(MINER);
+  const spend = (chain, to) => chain.buildTransaction([coin], [new TransactionOutput(to, coin.output.amount - 1000)], [minerKeys.privateKey]);
+  const payment = spend(blockchain, OTHER);
+  blockchain.submitTransaction(payment);
+  blockchain.minePendingTransactions(MINER);
+
+  rival.mineBlock([spend(rival, MINER)], OTHER);
+  rival.mineBlock([], OTHER);
+  for (const block of rival.chain.slice(-2)) blockchain.addBlock(block);
+
+  assert.equal(blockchain.getLatestBlock().hash, rival.getLatestBlock().hash);
+  assert.equal(blockchain.mempool.has(payment.hash), false);
+  assert.equal(blockchain.mempool.size, 0);
+});
+
+test('a branch that fails to connect is marked invalid and the old tip stays', () => {
+  const blockchain = chainOf(3);
+  const rival = copyOf(blockchain);
+  const tip = blockchain.mineBlock([], MINER);
+
+  const parent = rival.mineBlock([], OTHER);
+  // Claim one satoshi more than the subsidy
+  const coinbase = Transaction.createCoinbaseTransaction(OTHER, rival.miningReward + 1, 5);
+  const bad = new Block([coinbase], parent.hash, rival.getNextWorkRequired(5));
+  bad.mineBlock();
+
+  blockchain.addBlock(parent);
+  assert.throws(() => blockchain.addBlock(bad), BlockValidationError);
+
+  assert.equal(blockchain.getLatestBlock().hash, tip.hash);
+  assert.equal(blockchain.isChainValid(), true);
+  assert.deepEqual(
+    blockchain.getChainTips().map(({ height, status }) => ({ height, status })),
+    [
+      { height: 4, status: 'active' },
+      { height: 5, status: 'invalid' }
+    ]
+  );
+  // Nothing may build on the invalid block
+  assert.throws(() => blockchain.addBlock(new Block([], bad.hash)), { code: 'bad-prevblk' });
+});
+
+// A block template for the next height with its timestamp moved, re-mined
+function blockAt(blockchain, timestamp) {
+  const block = blockchain.createBlockTemplate([], MINER);
+  block.timestamp = timestamp;
+  block.mineBlock();
+  return block;
+}
+
+test('a block timestamp must be after the median time past', () => {
+  const blockchain = chainOf(12);
+  const medianTimePast = blockchain.getMedianTimePast();
+
+  assert.throws(() => blockchain.addBlock(blockAt(blockchain, medianTimePast)), { code: 'time-too-old' });
+  assert.throws(() => blockchain.addBlock(blockAt(blockchain, medianTimePast - 60 * 1000)), { code: 'time-too-old' });
+  assert.equal(blockchain.addBlock(blockAt(blockchain, medianTimePast + 1)).timestamp, medianTimePast + 1);
+});
+
+test('a block timestamp may be at most two hours ahead', () => {
+  const blockchain = chainOf(2);
+  const tooNew = Date.now() + MAX_FUTURE_BLOCK_TIME + 60 * 1000;
+
+  assert.throws(() => blockchain.addBlock(blockAt(blockchain, tooNew)), { code: 'time-too-new' });
+  assert.doesNotThrow(() => blockchain.addBlock(blockAt(blockchain, Date.now() + MAX_FUTURE_BLOCK_TIME - 60 * 1000)));
+});
+
+test('mined blocks keep ahead of the median time past', () => {
+  // Far more blocks than milliseconds pass while mining them
+  const blockchain = chainOf(30);
+
+  for (let height = 1; height < blockchain.chain.length; height++) {
+    assert.ok(blockchain.chain[height].timestamp > blockchain.getMedianTimePast(height - 1));
+  }
+  assert.equal(blockchain.isChainValid(), true);
+});
+
+test('isChainValid rejects a stored block with a bad timestamp', () => {
+  for (const [code, timestamp] of [
+    ['time-too-old', blockchain => blockchain.getMedianTimePast(blockchain.chain.length - 2)],
+    ['time-too-new', () => Date.now() + 3 * MAX_FUTURE_BLOCK_TIME]
+  ]) {
+    const blockchain = chainOf(12);
+    const tip = blockchain.getLatestBlock();
+    tip.timestamp = timestamp(blockchain);
+    tip.mineBlock();
+
+    assert.equal(blockchain.isChainValid(), false);
+    assert.throws(() => blockchain.validateChain(), { code });
+  }
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Transaction,
+  TransactionInput,
+  TransactionOutput,
+  COIN_SELECTION_STRATEGIES,
+  TX_OVERHEAD_SIZE,
+  P2PKH_OUTPUT_SIZE,
+  DUST_THRESHOLD,
+  selectCoins,
+  compareStrategies,
+  effectiveValue,
+  p2pkhScript,
+  p2wpkhScript,
+  hash160,
+  getPublicKey
+} = require('../core');
+
+const KEY = Buffer.alloc(32, 1);
+const KEY_HASH = hash160(getPublicKey(KEY));
+const PARAMS = { feeRate: 10, baseSize: TX_OVERHEAD_SIZE + P2PKH_OUTPUT_SIZE, changeSize: P2PKH_OUTPUT_SIZE };
+
+function wallet(amounts, script = p2pkhScript(KEY_HASH)) {
+  return amounts.map((amount, i) => ({
+    txHash: (i + 1).toString(16).padStart(64, '0'),
+    outputIndex: 0,
+    output: TransactionOutput.fromScript(script, amount)
+  }));
+}
+
+// Deterministic stand-in for Math.random
+function seeded(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    return seed / 2 ** 31;
+  };
+}
+
+const sum = utxos => utxos.reduce((total, utxo) => total + utxo.output.amount, 0);
+
+test('every strategy balances inputs against payment, fee and change', () => {
+  const random = seeded(42);
+  const utxos = wallet(Array.from({ length: 40 }, () => 1000 + Math.floor(random() * 5e6)));
+
+  for (const strategy of Object.keys(COIN_SELECTION_STRATEGIES)) {
+    for (const target of [5000, 250000, 3e6, 2e7]) {
+      const result = selectCoins(strategy, utxos, { ...PARAMS, target, random: seeded(target) });
+      // Branch-and-bound only answers when it finds a changeless match
+      if (strategy === 'branch-and-bound' && !result) continue;
+      assert.ok(result, `${strategy} ${target}`);
+      assert.equal(sum(result.selected), target + result.fee + result.change, `${strategy} ${target}`);
+      assert.ok(result.change === 0 || result.change >= DUST_THRESHOLD);
+      assert.equal(new Set(result.selected).size, result.selected.length);
+    }
+  }
+});
+
+test('every strategy gives up when the wallet cannot pay', () => {
+  const utxos = wallet([10000, 20000, 30000]);
+  for (const strategy of Object.keys(COIN_SELECTION_STRATEGIES)) {
+    assert.equal(selectCoins(strategy, utxos, { ...PARAMS, target: 60000, random: seeded(1) }), null, strategy);
+  }
+  // Coins worth less than the fee to spend them are left out
+  assert.equal(selectCoins('largest-first', wallet([1000, 1000, 1000]), { ...PARAMS, target: 100 }), null);
+});
+
+test('largest-first takes the biggest coins', () => {
+  const utxos = wallet([1e5, 5e6, 2e6, 3e5]);
+  const result = selectCoins('largest-first', utxos, { ...PARAMS, target: 6e6 });
+  assert.deepEqual(result.selected.map(utxo => utxo.output.amount), [5e6, 2e6]);
+});
+
+test('branch-and-bound finds a changeless match', () => {
+  const utxos = wallet([1e6, 2e6, 3e6, 7e6]);
+  const [, two, three] = utxos;
+  // Exactly what the 2M and 3M coins are worth after fees
+  const target = effectiveValue(two, PARAMS.feeRate) + effectiveValue(three, PARAMS.feeRate) - PARAMS.baseSize * PARAMS.feeRate;
+
+  const result = selectCoins('branch-and-bound', utxos, { ...PARAMS, target });
+  assert.deepEqual(new Set(result.selected), new Set([two, three]));
+  assert.equal(result.change, 0);
+
+  // Nothing lands within the cost of a change output of 4.5M
+  assert.equal(selectCoins('branch-and-bound', utxos, { ...PARAMS, target: 4.5e6 }), null);
+});
+
+test('branch-and-bound counts the segwit marker against P2WPKH inputs', () => {
+  const utxos = wallet([2e6, 3e6, 5e6 + 500], p2wpkhScript(KEY_HASH));
+  const [two, three, five] = utxos;
+  // The 2M and 3M coins match exactly without the marker and flag, one
+  // vbyte short with them; the 5M coin lands within the cost of change
+  const target = effectiveValue(two, PARAMS.feeRate) + effectiveValue(three, PARAMS.feeRate) - PARAMS.baseSize * PARAMS.feeRate;
+
+  const result = selectCoins('branch-and-bound', utxos, { ...PARAMS, target });
+  assert.deepEqual(result.selected, [five]);
+  assert.equal(result.change, 0);
+  assert.equal(sum(result.selected), target + result.fee);
+  assert.ok(result.fee >= (PARAMS.baseSize + 68 + 1) * PARAMS.feeRate);
+});
+
+test('knapsack prefers a coin matching the payment exactly', () => {
+  const utxos = wallet([1e6, 2e6, 3e6, 7e6]);
+  const target = effectiveValue(utxos[2], PARAMS.feeRate) - (PARAMS.baseSize + PARAMS.changeSize) * PARAMS.feeRate;
+
+  const result = selectCoins('knapsack', utxos, { ...PARAMS, target, random: seeded(7) });
+  assert.deepEqual(result.selected, [utxos[2]]);
+});
+
+test('change below the dust threshold goes to the fee', () => {
+  const [utxo] = wallet([100000]);
+  const fee = Math.ceil((PARAMS.baseSize + 148) * PARAMS.feeRate);
+  const result = selectCoins('largest-first', [utxo], { ...PARAMS, target: 100000 - fee - 100 });
+
+  assert.equal(result.change, 0);
+  assert.equal(result.fee, fee + 100);
+});
+
+test('the estimated fee covers the signed transaction', () => {
+  for (const script of [p2pkhScript(KEY_HASH), p2wpkhScript(KEY_HASH)]) {
+    const utxos = wallet([40000, 50000, 60000], script);
+    const result = selectCoins('largest-first', utxos, { ...PARAMS, target: 120000 });
+
+    const tx = new Transaction(
+      result.selected.map(utxo => new TransactionInput(utxo.txHash, utxo.outputIndex)),
+      [TransactionOutput.fromScript(p2pkhScript(KEY_HASH), 120000), TransactionOutput.fromScript(p2pkhScript(KEY_HASH), result.change)]
+    );
+    tx.signInputs(result.selected.map(() => KEY), result.selected.map(utxo => utxo.output.scriptPubKey),
+      result.selected.map(utxo => utxo.output.amount));
+
+    assert.ok(result.change > 0);
+    assert.ok(result.fee >= tx.getVirtualSize() * PARAMS.feeRate, `${result.fee} for ${tx.getVirtualSize()} vbytes`);
+  }
+});
+
+test('selectCoins rejects an unknown strategy', () => {
+  assert.throws(() => selectCoins('smallest-first', wallet([1e6]), { ...PARAMS, target: 1000 }), /Unknown coin selection strategy/);
+});
+
+test('compareStrategies reports the wallet each strategy leaves behind', () => {
+  const utxos = wallet([100000, 40000, 25000]);
+  const rows = compareStrategies(utxos, { ...PARAMS, target: 50000, random: seeded(3) });
+
+  assert.deepEqual(rows.map(row => row.strategy), Object.keys(COIN_SELECTION_STRATEGIES));
+  const largest = rows.find(row => row.strategy === 'largest-first');
+  assert.deepEqual([largest.inputs, largest.utxosAfter, largest.smallestUtxoAfter], [1, 3, 25000]);
+
+  // Spending the only coin with no change leaves nothing, not Infinity
+  const fee = Math.ceil((PARAMS.baseSize + 148) * PARAMS.feeRate);
+  const spent = compareStrategies(wallet([100000]), { ...PARAMS, target: 100000 - fee - 100, random: seeded(3) })
+    .filter(row => row.success);
+  assert.ok(spent.some(row => row.strategy === 'largest-first'));
+  for (const row of spent) {
+    assert.deepEqual([row.utxosAfter, row.smallestUtxoAfter], [0, null], row.strategy);
+  }
+});
@@ -0,0 +1,107 @@
+// RFC6979 deterministic ECDSA over secp256k1. The vectors are the widely
+// used ones from bitcoinjs and python-ecdsa: the message is hashed with
+// SHA-256 and k is the first nonce RFC6979 produces for that hash.
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+
+const {
+  CURVE_ORDER,
+  getPublicKey,
+  rfc6979Nonces,
+  signECDSA,
+  verifyECDSA,
+  recoverPublicKey,
+  normalizeS,
+  encodeDER,
+  decodeDER
+} = require('../core');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+const hex = n => n.toString(16).padStart(64, '0');
+const ONE = Buffer.from(hex(1n), 'hex');
+
+const VECTORS = [
+  {
+    key: ONE,
+    message: 'Satoshi Nakamoto',
+    k: '8f8a276c19f4149656b280621e358cce24f5f52542772691ee69063b74f15d15',
+    r: '934b1ea10a4b3c1757e2b0c017d0b6143ce3c9a7e6a4a49860d7a6ab210ee3d8',
+    s: '2442ce9d2b916064108014783e923ec36b49743e2ffa1c4496f01a512aafd9e5'
+  },
+  {
+    key: ONE,
+    message: 'All those moments will be lost in time, like tears in rain. Time to die...',
+    k: '38aa22d72376b4dbc472e06c3ba403ee0a394da63fc58d88686c611aba98d6b3',
+    r: '8600dbd41e348fe5c9465ab92d23e3db8b98b873beecd930736488696438cb6b',
+    s: '547fe64427496db33bf66019dacbf0039c04199abb0122918601db38a72cfc21'
+  },
+  {
+    key: Buffer.from(hex(CURVE_ORDER - 1n), 'hex'),
+    message: 'Satoshi Nakamoto',
+    k: '33a19b60e25fb6f4435af53a3d42d493644827367e6453928554f43e49aa6f90',
+    r: 'fd567d121db66e382991534ada77a6bd3106f0a1098c231e47993447cd6af2d0',
+    s: '6b39cd0eb1bc8603e159ef5c20a5c8ad685a45b06ce9bebed3f153d10d93bed5'
+  },
+  {
+    key: Buffer.from('f8b8af8ce3c7cca5e300d33939540c10d45ce001b8f252bfbc57ba0342904181', 'hex'),
+    message: 'Alan Turing',
+    k: '525a82b70e67874398067543fd84c83d30c175fdc45fdeee082fe13b1d7cfdf1',
+    r: '7063ae83e7f62bbb171798131b4a0564b956930092b33b07b395615d9ec7e15c',
+    s: '58dfcc1e00a35e1572f366ffe34ba0fc47db1e7189759b9fb233c5b05ab388ea'
+  }
+];
+
+test('RFC6979 nonces and signatures', () => {
+  for (const { key, message, k, r, s } of VECTORS) {
+    const hash = sha256(Buffer.from(message));
+    assert.equal(hex(rfc6979Nonces(hash, key).next().value), k, message);
+
+    const signature = signECDSA(hash, key);
+    assert.equal(hex(signature.r), r, message);
+    assert.equal(hex(signature.s), s, message);
+    assert.equal(verifyECDSA(hash, signature, getPublicKey(key)), true);
+  }
+});
+
+test('signatures match @noble/curves byte for byte', () => {
+  for (let n = 1; n <= 16; n++) {
+    const key = sha256(Buffer.from(`key ${n}`));
+    const hash = sha256(Buffer.from(`message ${n}`));
+    const ours = encodeDER(signECDSA(hash, key));
+    const noble = Buffer.from(secp256k1.sign(hash, key, { lowS: true }).toDERRawBytes());
+
+    assert.deepEqual(ours, noble);
+    assert.equal(secp256k1.verify(ours, hash, getPublicKey(key)), true);
+  }
+});
+
+test('the public key is recovered from a signature', () => {
+  for (const { key, message } of VECTORS) {
+    const hash = sha256(Buffer.from(message));
+    assert.deepEqual(recoverPublicKey(hash, signECDSA(hash, key)), getPublicKey(key));
+  }
+});
+
+test('high-S signatures are rejected unless asked for', () => {
+  const { key, message } = VECTORS[0];
+  const hash = sha256(Buffer.from(message));
+  const signature = signECDSA(hash, key);
+  const highS = { r: signature.r, s: CURVE_ORDER - signature.s };
+
+  assert.equal(verifyECDSA(hash, highS, getPublicKey(key)), false);
+  assert.equal(verifyECDSA(hash, highS, getPublicKey(key), { lowS: false }), true);
+  assert.deepEqual(normalizeS(highS), { r: signature.r, s: signature.s, recovery: undefined });
+});
+
+test('DER encoding is strict', () => {
+  const { key, message } = VECTORS[0];
+  const der = encodeDER(signECDSA(sha256(Buffer.from(message)), key));
+  assert.deepEqual(encodeDER(decodeDER(der)), der);
+
+  // Trailing garbage, a wrong sequence length and a padded r
+  assert.throws(() => decodeDER(Buffer.concat([der, Buffer.from([0])])), /Non-canonical/);
+  assert.throws(() => decodeDER(Buffer.from([0x30, der[1] + 1, ...der.subarray(2)])), /Non-canonical/);
+  assert.throws(() => decodeDER(Buffer.from('300702020001020101', 'hex')), /Non-canonical/);
+});
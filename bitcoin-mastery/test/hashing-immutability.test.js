@@ -0,0 +1,157 @@
+// The 3-HashingAndImmutability chain: the audit report, repair, and
+// re-verifying an export with verify-chain.js in a separate process
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Block, Blockchain } = require('../3-HashingAndImmutability/main');
+const { HASH_FORMAT, verifyExport } = require('../3-HashingAndImmutability/verify-chain');
+
+const VERIFIER = path.join(__dirname, '..', '3-HashingAndImmutability', 'verify-chain.js');
+const DIFFICULTY = 2;
+
+// Genesis plus three payments
+function buildChain() {
+  const blockchain = new Blockchain(DIFFICULTY);
+  for (const transaction of ['Alice pays Bob 10', 'Bob pays Carol 5', 'Carol pays Dave 3']) {
+    blockchain.addBlock(new Block({ transaction }));
+  }
+  return blockchain;
+}
+
+// Re-hash a block's contents with a nonce that misses the target, as an
+// attacker who skipped the mining would
+function rehashWithoutWork(block) {
+  do {
+    block.nonce++;
+    block.hash = block.calculateHash();
+  } while (block.hash.startsWith('0'.repeat(DIFFICULTY)));
+}
+
+const checks = report => report.errors.map(({ height, check }) => ({ height, check }));
+
+function runVerifier(t, exported) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'chain.json');
+  fs.writeFileSync(file, JSON.stringify(exported));
+  const child = spawnSync(process.execPath, [VERIFIER, file], { encoding: 'utf8' });
+  return { status: child.status, report: JSON.parse(child.stdout) };
+}
+
+test('an untouched chain audits clean', () => {
+  const report = buildChain().validateChain();
+
+  assert.equal(report.valid, true);
+  assert.equal(report.length, 4);
+  assert.equal(report.firstInvalidHeight, null);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.blocksToRemine, []);
+  assert.equal(report.expectedRemineAttempts, 0);
+});
+
+test('edited data is reported as a data-hash failure with the blocks to re-mine', () => {
+  const blockchain = buildChain();
+  blockchain.chain[1].data = { transaction: 'Alice pays Bob 1000' };
+  const report = blockchain.validateChain();
+
+  assert.equal(report.valid, false);
+  assert.equal(report.firstInvalidHeight, 1);
+  assert.deepEqual(checks(report), [{ height: 1, check: 'data-hash' }]);
+  assert.deepEqual(report.blocksToRemine, [1, 2, 3]);
+  assert.equal(report.expectedRemineAttempts, 3 * 16 ** DIFFICULTY);
+});
+
+test('a recomputed hash without work breaks proof of work and the next link', () => {
+  const blockchain = buildChain();
+  blockchain.chain[2].data = { transaction: 'Bob pays Carol 500' };
+  rehashWithoutWork(blockchain.chain[2]);
+  const report = blockchain.validateChain();
+
+  assert.equal(report.firstInvalidHeight, 2);
+  assert.deepEqual(checks(report), [
+    { height: 2, check: 'proof-of-work' },
+    { height: 3, check: 'link' }
+  ]);
+  assert.match(report.errors[1].message, /does not match block 2/);
+  assert.deepEqual(report.blocksToRemine, [2, 3]);
+});
+
+test('a tampered chain cannot be extended or have the block re-added', () => {
+  const blockchain = buildChain();
+  const tampered = blockchain.chain[1];
+  tampered.data = { transaction: 'Alice pays Bob 1000' };
+
+  assert.throws(() => blockchain.addBlock(tampered), /already in the chain/);
+  assert.throws(() => blockchain.addBlock(new Block('more')), /Cannot extend an invalid chain: .* at block 1/);
+
+  const edited = new Block('fresh');
+  edited.data = 'edited';
+  assert.throws(() => buildChain().addBlock(edited), /modified after it was created/);
+  assert.equal(blockchain.chain.length, 4);
+});
+
+test('re-mining repairs the chain and keeps the edited data', () => {
+  const blockchain = buildChain();
+  blockchain.chain[1].data = { transaction: 'Alice pays Bob 1000' };
+  const result = blockchain.repairChain('remine');
+
+  assert.equal(result.strategy, 'remine');
+  assert.equal(result.fromHeight, 1);
+  assert.equal(result.blocks, 3);
+  assert.ok(result.attempts >= 3);
+  assert.equal(blockchain.isChainValid(), true);
+  assert.deepEqual(blockchain.chain[1].data, { transaction: 'Alice pays Bob 1000' });
+
+  assert.deepEqual(blockchain.repairChain(), { strategy: 'truncate', fromHeight: null, blocks: 0, attempts: 0 });
+});
+
+test('truncating drops everything from the first invalid block', () => {
+  const blockchain = buildChain();
+  blockchain.chain[2].data = { transaction: 'Bob pays Carol 500' };
+
+  assert.throws(() => blockchain.repairChain('rewrite'), /Unknown repair strategy: rewrite/);
+  assert.deepEqual(blockchain.repairChain('truncate'), { strategy: 'truncate', fromHeight: 2, blocks: 2, attempts: 0 });
+  assert.equal(blockchain.chain.length, 2);
+  assert.equal(blockchain.isChainValid(), true);
+
+  blockchain.chain[0].data = 'Edited genesis';
+  assert.throws(() => blockchain.repairChain('truncate'), /Cannot truncate an invalid genesis block/);
+});
+
+test('verify-chain.js accepts an honest export in its own process', t => {
+  const blockchain = buildChain();
+  const exported = blockchain.exportChain();
+  assert.equal(exported.format, HASH_FORMAT);
+  assert.equal(exported.tipHash, blockchain.getLatestBlock().hash);
+
+  const { status, report } = runVerifier(t, exported);
+  assert.equal(status, 0);
+  assert.equal(report.valid, true);
+  assert.equal(report.length, 4);
+  assert.equal(report.difficulty, DIFFICULTY);
+});
+
+test('verify-chain.js reports edits to the export and exits 1', t => {
+  const exported = buildChain().exportChain();
+  exported.blocks[2].data = { transaction: 'Bob pays Carol 500' };
+
+  const { status, report } = runVerifier(t, exported);
+  assert.equal(status, 1);
+  assert.equal(report.firstInvalidHeight, 2);
+  assert.deepEqual(report.errors.map(({ height, check }) => ({ height, check })), [{ height: 2, check: 'data-hash' }]);
+  assert.deepEqual(report.blocksToRemine, [2, 3]);
+});
+
+test('an export whose tip was cut off fails the tip check', () => {
+  const exported = buildChain().exportChain();
+  exported.blocks.pop();
+
+  const report = verifyExport(exported);
+  assert.equal(report.valid, false);
+  assert.deepEqual(checks(report), [{ height: 2, check: 'tip' }]);
+  assert.throws(() => verifyExport({ ...exported, format: 'sha256(data)' }), /Unsupported hash format/);
+});
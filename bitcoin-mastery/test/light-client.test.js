@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Blockchain, LightClient, MAX_FUTURE_BLOCK_TIME, getPublicKey, p2pkhAddress } = require('../core');
+
+const MINER = p2pkhAddress(getPublicKey(Buffer.alloc(32, 1)));
+
+// A Blockchain with `blocks` blocks and a LightClient holding their headers
+function syncedPair(blocks) {
+  const blockchain = new Blockchain();
+  for (let i = 0; i < blocks; i++) blockchain.mineBlock([], MINER);
+
+  const lightClient = new LightClient();
+  for (const block of blockchain.chain) lightClient.addBlockHeader(block.getHeader());
+  return { blockchain, lightClient };
+}
+
+function blockAt(blockchain, timestamp) {
+  const block = blockchain.createBlockTemplate([], MINER);
+  block.timestamp = timestamp;
+  block.mineBlock();
+  return block;
+}
+
+test('a light client follows the headers of a full node', () => {
+  const { blockchain, lightClient } = syncedPair(15);
+
+  assert.equal(lightClient.getTip().hash, blockchain.getLatestBlock().hash);
+  assert.equal(lightClient.getChainWork(), blockchain.getChainWork());
+});
+
+test('light client and full node reject the same bad timestamps', () => {
+  const { blockchain, lightClient } = syncedPair(12);
+
+  for (const [code, timestamp] of [
+    ['time-too-old', blockchain.getMedianTimePast()],
+    ['time-too-new', Date.now() + MAX_FUTURE_BLOCK_TIME + 60 * 1000]
+  ]) {
+    const block = blockAt(blockchain, timestamp);
+    assert.throws(() => lightClient.addBlockHeader(block.getHeader()), { code });
+    assert.throws(() => blockchain.addBlock(block), { code });
+  }
+
+  const good = blockAt(blockchain, blockchain.getMedianTimePast() + 1);
+  assert.doesNotThrow(() => lightClient.addBlockHeader(good.getHeader()));
+  assert.doesNotThrow(() => blockchain.addBlock(good));
+});
+
+test('a light client rejects a forged header', () => {
+  const { blockchain, lightClient } = syncedPair(2);
+  const header = { ...blockAt(blockchain, Date.now()).getHeader(), hash: '0'.repeat(64) };
+
+  assert.throws(() => lightClient.addBlockHeader(header), { code: 'bad-hash' });
+});
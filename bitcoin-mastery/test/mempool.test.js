@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Blockchain,
+  MempoolError,
+  TransactionOutput,
+  COIN,
+  generateKeyPair,
+  getPublicKey,
+  p2pkhAddress,
+  p2wpkhAddress
+} = require('../core');
+
+const alice = generateKeyPair();
+const bob = generateKeyPair();
+
+// Deterministic keys: key(1), key(2), ...
+const key = n => Buffer.alloc(32, n);
+
+// A chain where `address` owns a few coinbases, spendable after one block
+function fundedChain(address, blocks = 3) {
+  const blockchain = new Blockchain({ coinbaseMaturity: 1 });
+  for (let i = 0; i < blocks; i++) blockchain.mineBlock([], address);
+  return blockchain;
+}
+
+// Alice owns two coins; pay(fee) spends the first to Bob, with change
+function replaceable() {
+  const from = alice.publicKey;
+  const to = bob.publicKey;
+  const blockchain = fundedChain(from, 2);
+  const [coin, otherCoin] = blockchain.getUTXOsForAddress(from);
+  const pay = (fee, options = { replaceable: true }, extra = []) => blockchain.buildTransaction([coin, ...extra], [
+    new TransactionOutput(to, COIN),
+    new TransactionOutput(from, coin.output.amount - COIN - fee + extra.reduce((sum, utxo) => sum + utxo.output.amount, 0))
+  ], [coin, ...extra].map(() => alice.privateKey), options);
+  return { blockchain, pay, from, to, otherCoin };
+}
+
+// Output `outputIndex` of `tx` as a coin for buildTransaction
+const outputOf = (tx, outputIndex) => ({ txHash: tx.hash, outputIndex, output: tx.outputs[outputIndex] });
+
+test('a fee bump replaces a transaction that signals RBF', () => {
+  const { blockchain, pay } = replaceable();
+  const original = pay(400);
+  blockchain.submitTransaction(original);
+
+  const bumped = pay(10000);
+  const { replaced } = blockchain.submitTransaction(bumped);
+
+  assert.deepEqual(replaced, [original.hash]);
+  assert.equal(blockchain.mempool.has(original.hash), false);
+  assert.equal(blockchain.mempool.has(bumped.hash), true);
+});
+
+test('replacements follow the BIP125 rules', () => {
+  const rejected = (code, setup) => {
+    const context = replaceable();
+    const replacement = setup(context);
+    assert.throws(
+      () => context.blockchain.submitTransaction(replacement),
+      error => error instanceof MempoolError && error.code === code
+    );
+  };
+
+  // 1. The original must signal
+  rejected('txn-mempool-conflict', ({ blockchain, pay }) => {
+    blockchain.submitTransaction(pay(400, {}));
+    return pay(10000);
+  });
+
+  // 2. No unconfirmed inputs the original didn't have
+  rejected('replacement-adds-unconfirmed', ({ blockchain, pay, from, otherCoin }) => {
+    blockchain.submitTransaction(pay(400));
+    const unrelated = blockchain.buildTransaction([otherCoin], [
+      new TransactionOutput(from, otherCoin.output.amount - 1000)
+    ], [alice.privateKey]);
+    blockchain.submitTransaction(unrelated);
+    return pay(20000, { replaceable: true }, [outputOf(unrelated, 0)]);
+  });
+
+  // 3. At least the original fee, at a higher fee rate
+  rejected('insufficient-fee', ({ blockchain, pay }) => {
+    blockchain.submitTransaction(pay(10000));
+    return pay(5000);
+  });
+
+  // 3. ... including the fees of the descendants it evicts
+  rejected('insufficient-fee', ({ blockchain, pay, to }) => {
+    const original = pay(400);
+    blockchain.submitTransaction(original);
+    blockchain.submitTransaction(blockchain.buildTransaction([outputOf(original, 0)], [
+      new TransactionOutput(to, COIN - 50000)
+    ], [bob.privateKey]));
+    return pay(10000);
+  });
+
+  // 4. Paying for its own relay on top
+  rejected('insufficient-fee', ({ blockchain, pay }) => {
+    blockchain.submitTransaction(pay(400));
+    return pay(401);
+  });
+});
+
+test('full RBF replaces without signalling; disabling RBF refuses any conflict', () => {
+  const { blockchain, pay } = replaceable();
+  blockchain.mempool.fullRBF = true;
+  const original = pay(400, {});
+  blockchain.submitTransaction(original);
+  assert.deepEqual(blockchain.submitTransaction(pay(10000, {})).replaced, [original.hash]);
+
+  blockchain.mempool.enableRBF = false;
+  assert.throws(() => blockchain.submitTransaction(pay(20000)), { code: 'txn-mempool-conflict' });
+});
+
+test('a replacement evicts the descendants of what it replaces', () => {
+  const { blockchain, pay, to } = replaceable();
+  const original = pay(400);
+  blockchain.submitTransaction(original);
+  const child = blockchain.buildTransaction([outputOf(original, 0)], [
+    new TransactionOutput(to, COIN - 1000)
+  ], [bob.privateKey]);
+  blockchain.submitTransaction(child);
+
+  const bumped = pay(20000);
+  const { replaced } = blockchain.submitTransaction(bumped);
+  assert.deepEqual(replaced.sort(), [original.hash, child.hash].sort());
+  assert.deepEqual(blockchain.mempool.getTransactions(), [bumped]);
+});
+
+test('mined blocks take the best fee rate first and the coinbase claims the fees', () => {
+  const blockchain = fundedChain(alice.publicKey, 2);
+  const [first, second] = blockchain.getUTXOsForAddress(alice.publicKey);
+  const spend = (coin, fee) => blockchain.buildTransaction([coin], [
+    new TransactionOutput(bob.publicKey, coin.output.amount - fee)
+  ], [alice.privateKey]);
+  const cheap = spend(first, 500);
+  const rich = spend(second, 5000);
+  blockchain.submitTransaction(cheap);
+  blockchain.submitTransaction(rich);
+
+  assert.deepEqual(blockchain.mempool.buildBlockTemplate(10000).transactions, [rich, cheap]);
+
+  const block = blockchain.minePendingTransactions(bob.publicKey);
+  assert.equal(block.transactions[0].outputs[0].amount, blockchain.miningReward + 5500);
+  assert.equal(blockchain.mempool.size, 0);
+});
+
+test('createTransaction pays at least the minimum relay fee by default', () => {
+  for (const toAddress of [p2pkhAddress, p2wpkhAddress]) {
+    for (let n = 1; n <= 8; n++) {
+      const from = toAddress(getPublicKey(key(n)));
+      const blockchain = fundedChain(from);
+      const tx = blockchain.createTransaction(from, p2pkhAddress(getPublicKey(key(100))), COIN, key(n));
+
+      assert.doesNotThrow(() => blockchain.submitTransaction(tx), `key ${n}, ${from}`);
+    }
+  }
+});
@@ -0,0 +1,135 @@
+// Bitcoin-mode Merkle roots and proofs against mainnet blocks and
+// bitcoinjs-lib, BIP37 partial trees and CVE-2012-2459 mutations
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fastMerkleRoot } = require('bitcoinjs-lib/src/merkle');
+
+const { MerkleTree, PartialMerkleTree } = require('../core');
+
+// Block 0: a single transaction, so the root is its txid
+const GENESIS_TXID = '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b';
+const GENESIS_MERKLE_ROOT = GENESIS_TXID;
+
+const BLOCK_100000_TXIDS = [
+  '8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87',
+  'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4',
+  '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+  'e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d'
+];
+const BLOCK_100000_MERKLE_ROOT = 'f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766';
+
+const txids = count => Array.from({ length: count }, (_, i) =>
+  crypto.createHash('sha256').update(`tx ${i}`).digest('hex'));
+
+// bitcoinjs-lib's root over display-order txids
+function referenceRoot(list) {
+  const hash256 = data => crypto.createHash('sha256').update(crypto.createHash('sha256').update(data).digest()).digest();
+  return fastMerkleRoot(list.map(txid => Buffer.from(txid, 'hex').reverse()), hash256).reverse().toString('hex');
+}
+
+test('bitcoin-mode roots match mainnet blocks', () => {
+  assert.equal(new MerkleTree([GENESIS_TXID], { mode: 'bitcoin' }).getRootHash(), GENESIS_MERKLE_ROOT);
+  assert.equal(new MerkleTree(BLOCK_100000_TXIDS, { mode: 'bitcoin' }).getRootHash(), BLOCK_100000_MERKLE_ROOT);
+});
+
+test('bitcoin-mode roots match bitcoinjs-lib for odd and even sizes', () => {
+  for (let count = 1; count <= 12; count++) {
+    const list = txids(count);
+    assert.equal(new MerkleTree(list, { mode: 'bitcoin' }).getRootHash(), referenceRoot(list), `${count} txids`);
+  }
+});
+
+test('every leaf of block 100000 has a proof against the header root', () => {
+  const tree = new MerkleTree(BLOCK_100000_TXIDS, { mode: 'bitcoin' });
+
+  BLOCK_100000_TXIDS.forEach((txid, index) => {
+    const proof = tree.generateProof(index);
+    assert.equal(proof.length, 2);
+    assert.equal(MerkleTree.verifyProof(txid, proof, BLOCK_100000_MERKLE_ROOT, { mode: 'bitcoin' }), true);
+    assert.equal(MerkleTree.verifyProof(BLOCK_100000_TXIDS[(index + 1) % 4], proof, BLOCK_100000_MERKLE_ROOT, { mode: 'bitcoin' }), false);
+  });
+});
+
+test('the last leaf of an odd tree is proved with a duplicate step', () => {
+  const list = txids(5);
+  const tree = new MerkleTree(list, { mode: 'bitcoin' });
+  const proof = tree.generateProof(4);
+
+  assert.deepEqual(proof.map(step => step.position), ['duplicate', 'duplicate', 'left']);
+  assert.equal(MerkleTree.verifyProof(list[4], proof, tree.getRootHash(), { mode: 'bitcoin' }), true);
+});
+
+test('a proof whose sibling equals the node itself is rejected', () => {
+  // [a, b, c] and the mutated [a, b, c, c] share a root; in the second tree
+  // the last c has itself as a real left sibling
+  const list = txids(3);
+  const mutated = new MerkleTree([...list, list[2]], { mode: 'bitcoin' });
+  const root = new MerkleTree(list, { mode: 'bitcoin' }).getRootHash();
+  assert.equal(mutated.getRootHash(), root);
+
+  const proof = mutated.generateProof(3);
+  assert.deepEqual(proof[0], { hash: list[2], position: 'left' });
+  assert.equal(MerkleTree.verifyProof(list[2], proof, root, { mode: 'bitcoin' }), false);
+
+  const asRight = [{ hash: list[2], position: 'right' }, proof[1]];
+  assert.equal(MerkleTree.verifyProof(list[2], asRight, root, { mode: 'bitcoin' }), false);
+  // A duplicate step must carry the node's own hash
+  const wrongDuplicate = [{ hash: list[1], position: 'duplicate' }, proof[1]];
+  assert.equal(MerkleTree.verifyProof(list[2], wrongDuplicate, root, { mode: 'bitcoin' }), false);
+});
+
+test('repeated trailing transactions mark the tree as mutated', () => {
+  const list = txids(6);
+  assert.equal(new MerkleTree(list, { mode: 'bitcoin' }).mutated, false);
+  assert.equal(new MerkleTree(txids(5), { mode: 'bitcoin' }).mutated, false);
+
+  // CVE-2012-2459: appending copies of the last two leaves keeps the root
+  const padded = [...list, list[4], list[5]];
+  const tree = new MerkleTree(padded, { mode: 'bitcoin' });
+  assert.equal(tree.getRootHash(), new MerkleTree(list, { mode: 'bitcoin' }).getRootHash());
+  assert.equal(tree.mutated, true);
+  assert.equal(new MerkleTree([...list.slice(0, 5), list[4]], { mode: 'bitcoin' }).mutated, true);
+});
+
+test('a BIP37 partial tree round-trips and yields the matched transactions', () => {
+  for (const count of [1, 4, 7, 16, 33]) {
+    const list = count === 4 ? BLOCK_100000_TXIDS : txids(count);
+    const root = new MerkleTree(list, { mode: 'bitcoin' }).getRootHash();
+    const matches = list.map((_, i) => i % 3 === 1 || i === count - 1);
+
+    const partial = PartialMerkleTree.fromTxids(list, matches);
+    const decoded = PartialMerkleTree.deserialize(partial.serialize());
+    assert.deepEqual(decoded.serialize(), partial.serialize());
+    assert.equal(decoded.totalTransactions, count);
+
+    const extracted = decoded.extractMatches();
+    assert.equal(extracted.root, root, `${count} txids`);
+    assert.deepEqual(
+      extracted.matches,
+      list.map((txid, index) => ({ txid, index })).filter(({ index }) => matches[index])
+    );
+  }
+});
+
+test('a partial tree proving nothing still commits to the root', () => {
+  const partial = PartialMerkleTree.fromTxids(BLOCK_100000_TXIDS, [false, false, false, false]);
+
+  assert.deepEqual(partial.hashes, [BLOCK_100000_MERKLE_ROOT]);
+  assert.deepEqual(partial.extractMatches(), { root: BLOCK_100000_MERKLE_ROOT, matches: [] });
+});
+
+test('malformed and mutated partial trees are rejected', () => {
+  const list = txids(7);
+  const partial = PartialMerkleTree.fromTxids(list, list.map((_, i) => i === 2));
+
+  // A hash short, a hash extra, flags cut off
+  assert.equal(new PartialMerkleTree(7, partial.hashes.slice(0, -1), partial.flags).extractMatches(), null);
+  assert.equal(new PartialMerkleTree(7, [...partial.hashes, list[0]], partial.flags).extractMatches(), null);
+  assert.equal(new PartialMerkleTree(7, partial.hashes, partial.flags.slice(0, 3)).extractMatches(), null);
+  assert.equal(new PartialMerkleTree(0, [], []).extractMatches(), null);
+
+  // CVE-2012-2459: a duplicated real right child
+  const mutated = PartialMerkleTree.fromTxids([...list, list[6]], [false, false, false, false, false, false, false, true]);
+  assert.equal(mutated.extractMatches(), null);
+});
@@ -0,0 +1,122 @@
+// The mining benchmark at the repo root: difficulty schedules and the
+// search itself, at difficulties low enough to finish in milliseconds
+const crypto = require('crypto');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HASH_FUNCTIONS, parseSchedule, parseArgs, runBenchmark } = require('../../mining-benchmark');
+
+const SCRIPT = path.join(__dirname, '..', '..', 'mining-benchmark.js');
+
+const sha256 = input => crypto.createHash('sha256').update(input).digest('hex');
+
+test('difficulty schedules parse into steps with their odds', () => {
+  const [five] = parseSchedule('5');
+  assert.equal(five.label, 'prefix:00000');
+  assert.equal(five.probability, 16 ** -5);
+  assert.equal(five.meets(`00000${'f'.repeat(59)}`), true);
+  assert.equal(five.meets(`0000f${'0'.repeat(59)}`), false);
+
+  assert.deepEqual(parseSchedule('1-3').map(step => step.label), ['prefix:0', 'prefix:00', 'prefix:000']);
+  assert.deepEqual(parseSchedule('2, prefix:000E').map(step => step.label), ['prefix:00', 'prefix:000e']);
+});
+
+test('a bits step compares the hash against the compact target', () => {
+  // The genesis target is 0xffff * 2^208, hit once in about 2^32 tries
+  const [step] = parseSchedule('bits:0x1d00ffff');
+  assert.equal(step.label, 'bits:0x1d00ffff');
+  assert.ok(Math.abs(step.probability * 2 ** 32 - 1) < 1e-4);
+  assert.equal(step.meets(`00000000ffff${'0'.repeat(52)}`), true);
+  assert.equal(step.meets(`00000000ffff${'0'.repeat(51)}1`), false);
+  assert.equal(step.meets(`00000001${'0'.repeat(56)}`), false);
+});
+
+test('malformed schedules are rejected', () => {
+  for (const text of ['', 'five', '3-', 'prefix:xyz', 'bits:', '1,,2']) {
+    assert.throws(() => parseSchedule(text), /Invalid difficulty step/, text);
+  }
+});
+
+test('every solution meets its step and is the hash of its input', () => {
+  const stats = runBenchmark({ prefix: '100xdevs', difficulty: '1-3', time: 30 });
+
+  assert.equal(stats.stoppedBy, 'count');
+  assert.deepEqual(stats.solutions.map(solution => solution.difficulty), ['prefix:0', 'prefix:00', 'prefix:000']);
+  for (const [index, solution] of stats.solutions.entries()) {
+    assert.equal(solution.input, `100xdevs${solution.nonce}`);
+    assert.equal(solution.hash, sha256(solution.input));
+    assert.ok(solution.hash.startsWith('0'.repeat(index + 1)));
+    assert.equal(solution.expectedAttempts, 16 ** (index + 1));
+    assert.equal(solution.normalizedAttempts, solution.attempts / solution.expectedAttempts);
+  }
+
+  // Sequential nonces: the attempts add up to the last nonce tried
+  assert.equal(stats.totals.attempts, Number(stats.solutions[2].nonce) + 1);
+  assert.equal(stats.totals.attempts, stats.solutions.reduce((sum, solution) => sum + solution.attempts, 0));
+  assert.equal(stats.totals.expectedAttempts, 16 + 256 + 4096);
+  assert.equal(stats.distribution.attemptsVariance, null); // Mixed steps
+});
+
+test('the last step repeats when the count runs past the schedule', () => {
+  const stats = runBenchmark({ difficulty: '1', count: 20, hash: 'double-sha256', start: 1000 });
+
+  assert.equal(stats.solutions.length, 20);
+  assert.ok(stats.solutions.every(solution =>
+    solution.difficulty === 'prefix:0' && solution.hash === HASH_FUNCTIONS['double-sha256'](solution.input)));
+  assert.ok(Number(stats.solutions[0].nonce) >= 1000);
+  assert.equal(stats.distribution.expectedAttemptsVariance, (1 - 1 / 16) * 16 ** 2);
+  assert.equal(typeof stats.distribution.attemptsVariance, 'number');
+});
+
+test('a search stops at max-attempts and reports the unfinished round', () => {
+  const stats = runBenchmark({ difficulty: '12', maxAttempts: 500, nonce: 'random-string' });
+
+  assert.equal(stats.stoppedBy, 'max-attempts');
+  assert.equal(stats.totals.attempts, 500);
+  assert.equal(stats.totals.solutions, 0);
+  assert.equal(stats.totals.unfinishedAttempts, 500);
+  assert.equal(stats.totals.luck, null);
+  assert.equal(stats.distribution.normalizedMean, null);
+});
+
+test('unknown hash functions and nonce strategies are rejected', () => {
+  assert.throws(() => runBenchmark({ hash: 'md5' }), /Unknown hash function: md5/);
+  assert.throws(() => runBenchmark({ nonce: 'counter' }), /Unknown nonce strategy: counter/);
+});
+
+test('command-line options parse into typed values', () => {
+  assert.deepEqual(parseArgs(['--prefix', '100xdevs', '--difficulty=1-3', '--start', '0', '--count', '4', '--max-attempts=500', '--progress']), {
+    prefix: '100xdevs',
+    difficulty: '1-3',
+    start: 0,
+    count: 4,
+    'max-attempts': 500,
+    progress: true
+  });
+  assert.deepEqual(parseArgs([]), {});
+});
+
+test('unknown options, missing values and bad numbers are rejected', () => {
+  for (const [argv, message] of [
+    [['--bogus'], /Unknown option: --bogus/],
+    [['--difficulty', '5', 'extra'], /Unexpected argument: extra/],
+    [['--count'], /--count needs a value/],
+    [['--progress=yes'], /--progress takes no value/],
+    [['--count', '0'], /--count must be a positive integer, got "0"/],
+    [['--time=-5'], /--time must be a positive integer/],
+    [['--max-attempts', '1.5'], /--max-attempts must be a positive integer/],
+    [['--count', '1e3'], /--count must be a positive integer/],
+    [['--start', 'ten'], /--start must be a non-negative integer/]
+  ]) {
+    assert.throws(() => parseArgs(argv), message, argv.join(' '));
+  }
+});
+
+test('the script exits 1 with the error on bad arguments', () => {
+  const child = spawnSync(process.execPath, [SCRIPT, '--count', '0'], { encoding: 'utf8' });
+  assert.equal(child.status, 1);
+  assert.equal(child.stdout, '');
+  assert.match(child.stderr, /--count must be a positive integer/);
+});
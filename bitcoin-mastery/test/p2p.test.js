@@ -0,0 +1,107 @@
+const net = require('net');
+const { once } = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Blockchain,
+  FullNode,
+  PROTOCOL_VERSION,
+  INV_TYPES,
+  ProtocolError,
+  encodeMessage,
+  checkPayload,
+  getPublicKey,
+  p2pkhAddress
+} = require('../core');
+
+const MINER = p2pkhAddress(getPublicKey(Buffer.alloc(32, 1)));
+const VERSION = { version: PROTOCOL_VERSION, services: 0, startHeight: 0, userAgent: '/test/', relay: true };
+
+function fullNode(name) {
+  return new FullNode({ name, blockchain: new Blockchain({ coinbaseMaturity: 1 }) });
+}
+
+// A raw TCP peer that completes the handshake, then sends `messages`.
+// Resolves once the node has dropped the connection.
+async function sendRaw(port, messages, { handshake = true } = {}) {
+  const socket = net.connect(port, '127.0.0.1');
+  await once(socket, 'connect');
+  socket.on('error', () => {});
+  socket.resume(); // Discard what the node sends; the stream must flow to see it hang up
+  const closed = once(socket, 'close');
+
+  if (handshake) socket.write(Buffer.concat([encodeMessage('version', VERSION), encodeMessage('verack', {})]));
+  for (const [command, payload] of messages) socket.write(encodeMessage(command, payload));
+  await closed;
+}
+
+test('checkPayload accepts well-formed payloads', () => {
+  const hash = 'ab'.repeat(32);
+  assert.doesNotThrow(() => checkPayload('version', VERSION));
+  assert.doesNotThrow(() => checkPayload('inv', { inventory: [{ type: INV_TYPES.BLOCK, hash }] }));
+  assert.doesNotThrow(() => checkPayload('getheaders', { locator: [hash], stop: null }));
+  assert.doesNotThrow(() => checkPayload('somethingnew', { anything: 1 }));
+});
+
+test('checkPayload rejects malformed payloads', () => {
+  for (const [command, payload] of [
+    ['inv', {}],
+    ['inv', null],
+    ['inv', { inventory: [{ type: 'coupon', hash: 'ab'.repeat(32) }] }],
+    ['getdata', { inventory: 'everything' }],
+    ['headers', { headers: [{ hash: 'not hex' }] }],
+    ['getheaders', { locator: [42] }],
+    ['tx', { tx: 7 }],
+    ['block', { block: 'raw' }],
+    ['version', { version: '70015' }],
+    ['merkleblock', { header: {}, merkleTree: '' }]
+  ]) {
+    assert.throws(() => checkPayload(command, payload), ProtocolError, `${command} ${JSON.stringify(payload)}`);
+  }
+});
+
+test('a peer sending a malformed payload is disconnected, and the node keeps serving', async () => {
+  const node = fullNode('a');
+  node.blockchain.mineBlock([], MINER);
+  const port = await node.listen();
+  const misbehaving = [];
+  node.on('misbehaving', (peer, error) => misbehaving.push(error));
+
+  try {
+    await sendRaw(port, [['inv', {}]]);
+    await sendRaw(port, [['headers', { headers: 'lots' }]]);
+    await sendRaw(port, [['version', { version: 'x' }]], { handshake: false });
+
+    assert.equal(misbehaving.length, 3);
+    assert.ok(misbehaving.every(error => error instanceof ProtocolError));
+
+    // A well-behaved node still syncs from it
+    const other = fullNode('b');
+    const synced = once(other, 'block');
+    await other.connect(port);
+    await synced;
+    assert.equal(other.blockchain.getLatestBlock().hash, node.blockchain.getLatestBlock().hash);
+    await other.close();
+  } finally {
+    await node.close();
+  }
+});
+
+test('a message whose handler throws disconnects only that peer', async () => {
+  const node = fullNode('a');
+  const port = await node.listen();
+  node.handleGetData = () => {
+    throw new TypeError('handler bug');
+  };
+  const misbehaving = once(node, 'misbehaving');
+
+  try {
+    await sendRaw(port, [['getdata', { inventory: [{ type: INV_TYPES.BLOCK, hash: 'ab'.repeat(32) }] }]]);
+    const [, error] = await misbehaving;
+    assert.equal(error.message, 'handler bug');
+    assert.equal(node.peers.size, 0);
+  } finally {
+    await node.close();
+  }
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ParallelMiner, Block } = require('../core');
+
+// Workers that die without posting a result
+const crashingWorker = code => new URL(`data:text/javascript,process.exit(${code})`);
+const silentWorker = new URL('data:text/javascript,');
+
+test('search finds a nonce meeting the prefix', async () => {
+  const miner = new ParallelMiner({ workers: 2, maxNonce: 0xffff });
+  const result = await miner.search({ data: 'block', hashPrefix: '00' });
+
+  assert.ok(result.hash.startsWith('00'));
+  assert.ok(result.attempts > 0);
+});
+
+test('search reports an exhausted nonce space', async () => {
+  const miner = new ParallelMiner({ workers: 2, maxNonce: 15 });
+  const result = await miner.search({ data: 'block', hashPrefix: '0000000000' });
+
+  assert.equal(result.nonce, null);
+  assert.equal(result.attempts, 16);
+});
+
+test('search rejects when a worker exits without a result', async () => {
+  const crashing = new ParallelMiner({ workers: 2, maxNonce: 0xffff, workerPath: crashingWorker(3) });
+  await assert.rejects(crashing.search({ data: 'block', hashPrefix: '00' }), /exited with code 3 before reporting/);
+
+  // Even a clean exit is a failure if the worker never reported
+  const silent = new ParallelMiner({ workers: 1, maxNonce: 0xffff, workerPath: silentWorker });
+  await assert.rejects(silent.search({ data: 'block', hashPrefix: '00' }), /exited with code 0 before reporting/);
+});
+
+test('mineBlock gives a block meeting its target', async () => {
+  const block = new Block(['parallel'], '0');
+  const stats = await new ParallelMiner({ workers: 2 }).mineBlock(block);
+
+  assert.equal(block.hash, block.calculateHash());
+  assert.equal(stats.hash, block.hash);
+  assert.ok(block.hasValidProofOfWork());
+});
@@ -0,0 +1,201 @@
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Blockchain,
+  RpcServer,
+  RPC_ERRORS,
+  TransactionOutput,
+  COIN,
+  getPublicKey,
+  p2wpkhAddress
+} = require('../core');
+
+const KEY = Buffer.alloc(32, 1);
+const MINER = p2wpkhAddress(getPublicKey(KEY), 'regtest');
+const RECIPIENT = p2wpkhAddress(getPublicKey(Buffer.alloc(32, 2)), 'regtest');
+
+// POST a JSON-RPC request (or raw text) and resolve to { status, body }
+function post(port, payload, { auth = 'user:pass' } = {}) {
+  const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method: 'POST', auth }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+// A server on an ephemeral port for each test
+async function withServer(run, options = {}) {
+  const blockchain = new Blockchain({ coinbaseMaturity: 1 });
+  const server = new RpcServer({ blockchain, user: 'user', password: 'pass', ...options });
+  const port = await server.listen(0);
+  let nextId = 0;
+  const rpc = async (method, ...params) => {
+    const { status, body } = await post(port, { id: ++nextId, method, params });
+    if (body.error) throw Object.assign(new Error(body.error.message), { code: body.error.code, status });
+    assert.equal(status, 200);
+    return body.result;
+  };
+  try {
+    await run({ blockchain, port, rpc });
+  } finally {
+    await server.close();
+  }
+}
+
+// A payment of 1 BTC to RECIPIENT from the oldest coin MINER owns
+function payment(blockchain, amount = COIN) {
+  const [coin] = blockchain.getUTXOsForAddress(MINER);
+  return blockchain.buildTransaction([coin], [
+    new TransactionOutput(RECIPIENT, amount),
+    new TransactionOutput(MINER, coin.output.amount - amount - 10000)
+  ], [KEY]);
+}
+
+test('getblockchaininfo and generatetoaddress', async () => {
+  await withServer(async ({ blockchain, rpc }) => {
+    let info = await rpc('getblockchaininfo');
+    assert.equal(info.chain, 'regtest');
+    assert.equal(info.blocks, 0);
+    assert.equal(info.headers, 0);
+    assert.equal(info.bestblockhash, blockchain.chain[0].hash);
+    assert.match(info.chainwork, /^[0-9a-f]{64}$/);
+
+    const hashes = await rpc('generatetoaddress', 3, MINER);
+    assert.deepEqual(hashes, blockchain.chain.slice(1).map(block => block.hash));
+    assert.equal(blockchain.getUTXOsForAddress(MINER).length, 3);
+
+    info = await rpc('getblockchaininfo');
+    assert.equal(info.blocks, 3);
+    assert.equal(info.bestblockhash, hashes[2]);
+    assert.equal(info.time, Math.floor(blockchain.getLatestBlock().timestamp / 1000));
+    assert.equal(BigInt(`0x${info.chainwork}`), blockchain.getChainWork());
+  });
+});
+
+test('sendrawtransaction and getrawtransaction, in the mempool and mined', async () => {
+  await withServer(async ({ blockchain, rpc }) => {
+    await rpc('generatetoaddress', 2, MINER);
+    const tx = payment(blockchain);
+
+    const txid = await rpc('sendrawtransaction', tx.toHex());
+    assert.equal(txid, tx.hash);
+    assert.equal(blockchain.mempool.has(txid), true);
+    // Resending a transaction the mempool has is not an error
+    assert.equal(await rpc('sendrawtransaction', tx.toHex()), txid);
+
+    assert.equal(await rpc('getrawtransaction', txid), tx.toHex());
+    let decoded = await rpc('getrawtransaction', txid, true);
+    assert.equal(decoded.txid, txid);
+    assert.equal(decoded.hash, tx.getWitnessHash());
+    assert.equal(decoded.vout[0].value, 1);
+    assert.equal(decoded.vout[0].scriptPubKey.address, RECIPIENT);
+    assert.equal(decoded.blockhash, undefined);
+
+    const [blockHash] = await rpc('generatetoaddress', 1, MINER);
+    decoded = await rpc('getrawtransaction', txid, true);
+    assert.equal(decoded.blockhash, blockHash);
+    assert.equal(decoded.confirmations, 1);
+    assert.equal(await rpc('getrawtransaction', txid, false, blockHash), tx.toHex());
+  });
+});
+
+test('failures carry bitcoind error codes', async () => {
+  await withServer(async ({ blockchain, rpc }) => {
+    await rpc('generatetoaddress', 2, MINER);
+    const tx = payment(blockchain);
+    await rpc('sendrawtransaction', tx.toHex());
+    const doubleSpend = payment(blockchain, 2 * COIN);
+    // Mempool policy rejects it while tx is unconfirmed; once tx is mined its input is gone
+    await assert.rejects(rpc('sendrawtransaction', doubleSpend.toHex()), { code: RPC_ERRORS.VERIFY_REJECTED });
+    await rpc('generatetoaddress', 1, MINER);
+
+    for (const [code, method, ...params] of [
+      [RPC_ERRORS.VERIFY_ALREADY_IN_CHAIN, 'sendrawtransaction', tx.toHex()],
+      [RPC_ERRORS.VERIFY_ERROR, 'sendrawtransaction', doubleSpend.toHex()],
+      [RPC_ERRORS.DESERIALIZATION_ERROR, 'sendrawtransaction', 'zz'],
+      [RPC_ERRORS.DESERIALIZATION_ERROR, 'sendrawtransaction', '0100'],
+      [RPC_ERRORS.INVALID_ADDRESS_OR_KEY, 'getrawtransaction', 'ab'.repeat(32)],
+      [RPC_ERRORS.INVALID_PARAMETER, 'getrawtransaction', 'abc'],
+      [RPC_ERRORS.INVALID_ADDRESS_OR_KEY, 'generatetoaddress', 1, 'not an address'],
+      [RPC_ERRORS.INVALID_ADDRESS_OR_KEY, 'generatetoaddress', 1, p2wpkhAddress(getPublicKey(KEY), 'mainnet')],
+      [RPC_ERRORS.TYPE_ERROR, 'generatetoaddress', '1', MINER]
+    ]) {
+      await assert.rejects(rpc(method, ...params), error => error.code === code && error.status === 500, `${method} ${params}`);
+    }
+  });
+});
+
+test('HTTP status follows bitcoind for framing errors', async () => {
+  await withServer(async ({ port }) => {
+    const unknown = await post(port, { id: 1, method: 'stop', params: [] });
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(unknown.body, { result: null, error: { code: RPC_ERRORS.METHOD_NOT_FOUND, message: 'Method not found' }, id: 1 });
+
+    const garbled = await post(port, '{"id":');
+    assert.equal(garbled.status, 500);
+    assert.equal(garbled.body.error.code, RPC_ERRORS.PARSE_ERROR);
+
+    const invalid = await post(port, { id: 2, params: [] });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, RPC_ERRORS.INVALID_REQUEST);
+
+    // JSON-RPC 2.0 replies 200 with only an error member
+    const v2 = await post(port, { jsonrpc: '2.0', id: 3, method: 'stop' });
+    assert.equal(v2.status, 200);
+    assert.deepEqual(v2.body, { jsonrpc: '2.0', error: { code: RPC_ERRORS.METHOD_NOT_FOUND, message: 'Method not found' }, id: 3 });
+
+    const batch = await post(port, [{ id: 4, method: 'getblockcount' }, { id: 5, method: 'stop' }]);
+    assert.equal(batch.status, 200);
+    assert.deepEqual(batch.body.map(reply => [reply.id, reply.result, reply.error && reply.error.code]),
+      [[4, 0, null], [5, null, RPC_ERRORS.METHOD_NOT_FOUND]]);
+
+    const denied = await post(port, { id: 6, method: 'getblockcount' }, { auth: 'user:wrong' });
+    assert.equal(denied.status, 401);
+  });
+});
+
+test('oversized request bodies get HTTP 413 and aborted ones no reply', async () => {
+  await withServer(async ({ port }) => {
+    const padding = 'x'.repeat(2048);
+    // Declared by Content-Length
+    const declared = await post(port, { id: 1, method: 'getblockcount', params: [], padding });
+    assert.equal(declared.status, 413);
+    assert.equal(declared.body.error.code, RPC_ERRORS.INVALID_REQUEST);
+    assert.match(declared.body.error.message, /exceeds 1024 bytes/);
+
+    // Counted while streaming a chunked body
+    const streamed = await new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, method: 'POST', auth: 'user:pass' }, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', reject);
+      for (let i = 0; i < 4; i++) req.write(padding.slice(0, 512));
+      req.end(padding);
+    });
+    assert.equal(streamed, 413);
+
+    // A client that hangs up mid-body does not take the server down
+    await new Promise(resolve => {
+      const req = http.request({ host: '127.0.0.1', port, method: 'POST', auth: 'user:pass', headers: { 'Content-Length': 500 } });
+      req.on('error', () => {});
+      req.write('{"id":1,', () => setTimeout(() => {
+        req.destroy();
+        resolve();
+      }, 20));
+    });
+    const { status, body } = await post(port, { id: 2, method: 'getblockcount', params: [] });
+    assert.equal(status, 200);
+    assert.equal(body.result, 0);
+  }, { maxBodySize: 1024 });
+});
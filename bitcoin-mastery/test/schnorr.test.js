@@ -0,0 +1,26 @@
+// BIP340 test vectors, from the BIP's test-vectors.csv
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { signSchnorr, verifySchnorr, getXOnlyPublicKey } = require('../core');
+
+const rows = fs.readFileSync(path.join(__dirname, 'vectors', 'bip340-test-vectors.csv'), 'utf8')
+  .trim().split('\n').slice(1)
+  .map(row => row.split(','));
+
+for (const fields of rows) {
+  const [index] = fields;
+  const [secretKey, publicKey, auxRand, message, signature] = fields.slice(1, 6).map(field => Buffer.from(field, 'hex'));
+  const valid = fields[6] === 'TRUE';
+  const comment = fields.slice(7).join(',');
+
+  test(`BIP340 vector ${index}${comment ? `: ${comment}` : ''}`, () => {
+    assert.equal(verifySchnorr(message, publicKey, signature), valid);
+    if (secretKey.length > 0) {
+      assert.deepEqual(getXOnlyPublicKey(secretKey), publicKey);
+      assert.deepEqual(signSchnorr(message, secretKey, auxRand), signature);
+    }
+  });
+}
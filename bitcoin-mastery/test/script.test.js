@@ -0,0 +1,54 @@
+// Script encoding: data pushes round-trip through decompileScript, and
+// truncated pushes fail as script errors instead of decoding short
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Transaction,
+  TransactionInput,
+  TransactionOutput,
+  ScriptError,
+  OPS,
+  COIN,
+  compileScript,
+  decompileScript,
+  p2pkhScript,
+  checkTxInputs,
+  generateKeyPair
+} = require('../core');
+
+const badOpcode = error => error instanceof ScriptError && error.code === 'BAD_OPCODE';
+
+test('every push size round-trips with the smallest push opcode', () => {
+  for (const [length, opcode] of [[1, 1], [75, 75], [76, OPS.OP_PUSHDATA1], [255, OPS.OP_PUSHDATA1], [256, OPS.OP_PUSHDATA2], [0x10000, OPS.OP_PUSHDATA4]]) {
+    const data = Buffer.alloc(length, 0xab);
+    const script = compileScript([data, OPS.OP_DROP]);
+
+    assert.equal(script[0], opcode, `${length} bytes`);
+    assert.deepEqual(decompileScript(script), [data, OPS.OP_DROP]);
+  }
+  assert.deepEqual(decompileScript(Buffer.from([OPS.OP_PUSHDATA1, 0x00])), [Buffer.alloc(0)]);
+});
+
+test('a PUSHDATA opcode cut off before its length is a BAD_OPCODE', () => {
+  for (const bytes of [[OPS.OP_PUSHDATA1], [OPS.OP_PUSHDATA2, 0x01], [OPS.OP_PUSHDATA4, 0x01, 0x00, 0x00], [OPS.OP_DUP, OPS.OP_PUSHDATA2]]) {
+    assert.throws(() => decompileScript(Buffer.from(bytes)), badOpcode, Buffer.from(bytes).toString('hex'));
+  }
+});
+
+test('a push longer than the rest of the script is a BAD_OPCODE', () => {
+  for (const bytes of [[0x02, 0xaa], [OPS.OP_PUSHDATA1, 0x02, 0xaa], [OPS.OP_PUSHDATA2, 0x00, 0x01], [OPS.OP_PUSHDATA4, 0xff, 0xff, 0xff, 0xff]]) {
+    assert.throws(() => decompileScript(Buffer.from(bytes)), badOpcode, Buffer.from(bytes).toString('hex'));
+  }
+});
+
+test('an input with a truncated scriptSig fails validation with the script error', () => {
+  const { publicKey } = generateKeyPair();
+  const prevTxid = 'cd'.repeat(32);
+  const tx = new Transaction([new TransactionInput(prevTxid, 0)], [new TransactionOutput(publicKey, COIN)]);
+  tx.setScriptSig(0, Buffer.from([OPS.OP_PUSHDATA1]));
+  const utxos = new Map([[`${prevTxid}:0`, { output: TransactionOutput.fromScript(p2pkhScript(Buffer.alloc(20)), 2 * COIN), height: 1, coinbase: false }]]);
+
+  assert.throws(() => checkTxInputs(tx, utxos), error =>
+    error.code === 'mandatory-script-verify-flag-failed' && error.details.scriptError === 'BAD_OPCODE');
+});
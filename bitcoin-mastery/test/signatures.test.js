@@ -0,0 +1,99 @@
+// Transaction signatures checked against independent implementations:
+// sighashes from bitcoinjs-lib, ECDSA from @noble/curves
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+
+const {
+  Transaction,
+  TransactionInput,
+  TransactionOutput,
+  TransactionSignatureChecker,
+  verifyScript,
+  compileScript,
+  p2pkhScript,
+  p2wpkhScript,
+  hash160,
+  getPublicKey,
+  SIGHASH_ALL
+} = require('../core');
+
+const PRIVATE_KEY = Buffer.alloc(32, 0x11);
+const PUBLIC_KEY = getPublicKey(PRIVATE_KEY);
+const PREV_TXID = 'aa'.repeat(32);
+const AMOUNT = 50000;
+
+// One input spending `prevScript`, paying most of it back to the same key
+function spendingTx(prevScript) {
+  const tx = new Transaction(
+    [new TransactionInput(PREV_TXID, 1)],
+    [TransactionOutput.fromScript(prevScript, AMOUNT - 1000)]
+  );
+  return { tx, reference: bitcoin.Transaction.fromBuffer(tx.serialize()) };
+}
+
+// A DER signature with the hashtype byte, made by noble over a prehashed sighash
+function nobleSignature(sighash) {
+  const signature = secp256k1.sign(sighash, PRIVATE_KEY, { lowS: true });
+  return Buffer.concat([Buffer.from(signature.toDERRawBytes()), Buffer.from([SIGHASH_ALL])]);
+}
+
+test('legacy sighash matches bitcoinjs-lib', () => {
+  const prevScript = p2pkhScript(hash160(PUBLIC_KEY));
+  const { tx, reference } = spendingTx(prevScript);
+
+  assert.deepEqual(tx.hashForSignature(0, prevScript), reference.hashForSignature(0, prevScript, SIGHASH_ALL));
+});
+
+test('segwit v0 sighash matches bitcoinjs-lib', () => {
+  const scriptCode = p2pkhScript(hash160(PUBLIC_KEY));
+  const { tx, reference } = spendingTx(p2wpkhScript(hash160(PUBLIC_KEY)));
+
+  assert.deepEqual(
+    tx.hashForWitnessV0(0, scriptCode, AMOUNT),
+    reference.hashForWitnessV0(0, scriptCode, AMOUNT, SIGHASH_ALL)
+  );
+});
+
+test('CHECKSIG accepts a P2PKH signature made by noble', () => {
+  const prevScript = p2pkhScript(hash160(PUBLIC_KEY));
+  const { tx } = spendingTx(prevScript);
+  const scriptSig = compileScript([nobleSignature(tx.hashForSignature(0, prevScript)), PUBLIC_KEY]);
+
+  assert.equal(verifyScript(scriptSig, prevScript, new TransactionSignatureChecker(tx, 0, AMOUNT)), true);
+});
+
+test('CHECKSIG accepts a P2WPKH signature made by noble', () => {
+  const prevScript = p2wpkhScript(hash160(PUBLIC_KEY));
+  const { tx } = spendingTx(prevScript);
+  const sighash = tx.hashForWitnessV0(0, p2pkhScript(hash160(PUBLIC_KEY)), AMOUNT);
+  const checker = new TransactionSignatureChecker(tx, 0, AMOUNT);
+
+  assert.equal(verifyScript(Buffer.alloc(0), prevScript, checker, [nobleSignature(sighash), PUBLIC_KEY]), true);
+});
+
+test('CHECKSIG rejects a signature over sha256(sighash)', () => {
+  const prevScript = p2pkhScript(hash160(PUBLIC_KEY));
+  const { tx } = spendingTx(prevScript);
+  const sighash = tx.hashForSignature(0, prevScript);
+  const doubleHashed = crypto.createHash('sha256').update(sighash).digest();
+  const checker = new TransactionSignatureChecker(tx, 0, AMOUNT);
+
+  assert.equal(checker.checkSig(nobleSignature(doubleHashed), PUBLIC_KEY, prevScript), false);
+  assert.equal(checker.checkSig(nobleSignature(sighash), PUBLIC_KEY, prevScript), true);
+});
+
+test('signInputs produces signatures noble verifies over the raw sighash', () => {
+  const prevScript = p2pkhScript(hash160(PUBLIC_KEY));
+  const { tx } = spendingTx(prevScript);
+  const sighash = tx.hashForSignature(0, prevScript);
+
+  tx.signInputs([PRIVATE_KEY], [prevScript]);
+  const [signature] = bitcoin.script.decompile(tx.inputs[0].scriptSig);
+
+  assert.equal(signature[signature.length - 1], SIGHASH_ALL);
+  assert.equal(secp256k1.verify(signature.subarray(0, -1), sighash, PUBLIC_KEY), true);
+  assert.deepEqual(signature, nobleSignature(sighash)); // RFC6979: both pick the same nonce
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Blockchain,
+  BlockStore,
+  KeyValueStore,
+  StorageError,
+  TransactionOutput,
+  generateKeyPair
+} = require('../core');
+
+const miner = generateKeyPair();
+const OTHER = generateKeyPair().publicKey;
+
+function tempDir(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bitcoin-mastery-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+// A stored chain with a spent coinbase, so the UTXO set has seen deletes
+function storedChain(dataDir, options = {}) {
+  const blockchain = new Blockchain({ dataDir, coinbaseMaturity: 1, ...options });
+  for (let i = 0; i < 3; i++) blockchain.mineBlock([], miner.publicKey);
+  const [coin] = blockchain.getUTXOsForAddress(miner.publicKey);
+  blockchain.mineBlock([blockchain.buildTransaction([coin], [
+    new TransactionOutput(OTHER, coin.output.amount - 1000)
+  ], [miner.privateKey])], miner.publicKey);
+  return blockchain;
+}
+
+const coins = blockchain => [...blockchain.utxos].map(([key, utxo]) => [key, utxo.output.amount, utxo.output.scriptPubKey.toString('hex')]).sort();
+
+// Stand-in for a block: BlockStore only needs a hash and toJSON()
+const fakeBlock = (hash, size = 50) => ({ hash, toJSON: () => ({ hash, padding: 'x'.repeat(size) }) });
+
+test('a reloaded chain has the same tip and UTXO set', t => {
+  const dataDir = tempDir(t);
+  const original = storedChain(dataDir);
+  original.flush();
+
+  const reloaded = new Blockchain({ dataDir, coinbaseMaturity: 1 });
+  assert.equal(reloaded.getLatestBlock().hash, original.getLatestBlock().hash);
+  assert.equal(reloaded.chain.length, original.chain.length);
+  assert.deepEqual(coins(reloaded), coins(original));
+  assert.equal(reloaded.getBalance(OTHER), original.getBalance(OTHER));
+});
+
+test('a chainstate from an earlier tip is brought up to date on reload', t => {
+  const dataDir = tempDir(t);
+  const original = storedChain(dataDir, { flushInterval: 2 });
+  original.mineBlock([], miner.publicKey); // Connected but not flushed
+
+  const reloaded = new Blockchain({ dataDir, coinbaseMaturity: 1 });
+  assert.deepEqual(coins(reloaded), coins(original));
+  assert.equal(new KeyValueStore(path.join(dataDir, 'chainstate.log')).get('bestBlock'), original.getLatestBlock().hash);
+});
+
+test('a chainstate that disagrees with the block files fails startup', t => {
+  const dataDir = tempDir(t);
+  const original = storedChain(dataDir);
+  original.flush();
+
+  // Give one stored coin an extra satoshi
+  const chainstate = new KeyValueStore(path.join(dataDir, 'chainstate.log'));
+  const [key] = [...chainstate.keys()].filter(name => name.startsWith('c:'));
+  chainstate.put(key, { ...chainstate.get(key), amount: chainstate.get(key).amount + 1 });
+  chainstate.flush();
+
+  assert.throws(() => new Blockchain({ dataDir, coinbaseMaturity: 1 }), error =>
+    error instanceof StorageError && /disagrees with the block files at 1 outpoints/.test(error.message));
+});
+
+test('a torn final log line is truncated on load', t => {
+  const file = path.join(tempDir(t), 'store.log');
+  const store = new KeyValueStore(file);
+  store.put('a', 1);
+  store.put('b', { nested: true });
+  store.flush();
+  const intact = fs.statSync(file).size;
+
+  fs.appendFileSync(file, '["c",3] 1234'); // No newline: the write was cut short
+  const reopened = new KeyValueStore(file);
+
+  assert.deepEqual([...reopened.entries()], [['a', 1], ['b', { nested: true }]]);
+  assert.equal(fs.statSync(file).size, intact);
+  reopened.put('c', 3);
+  reopened.flush();
+  assert.equal(new KeyValueStore(file).get('c'), 3);
+});
+
+test('a bad checksum before the last line is corruption', t => {
+  const file = path.join(tempDir(t), 'store.log');
+  const store = new KeyValueStore(file);
+  store.put('a', 1);
+  store.put('b', 2);
+  store.flush();
+
+  fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('["a",1]', '["a",9]'));
+  assert.throws(() => new KeyValueStore(file), StorageError);
+});
+
+test('a damaged block record raises a StorageError', t => {
+  const directory = tempDir(t);
+  const store = new BlockStore(directory);
+  store.writeBlock(fakeBlock('aa'), 0);
+  store.writeBlock(fakeBlock('bb'), 1);
+  assert.deepEqual(store.readBlock('bb'), fakeBlock('bb').toJSON());
+
+  // Flip a payload byte of the second record
+  const file = store.filePath(0);
+  const data = fs.readFileSync(file);
+  data[data.length - 5] ^= 0xff;
+  fs.writeFileSync(file, data);
+
+  assert.deepEqual(store.readBlock('aa'), fakeBlock('aa').toJSON());
+  assert.throws(() => store.readBlock('bb'), StorageError);
+  assert.equal(store.readBlock('cc'), null);
+});
+
+test('a damaged block file fails chain startup', t => {
+  const dataDir = tempDir(t);
+  storedChain(dataDir).flush();
+
+  const file = path.join(dataDir, 'blocks', 'blk00000.dat');
+  const data = fs.readFileSync(file);
+  data[data.length - 10] ^= 0xff;
+  fs.writeFileSync(file, data);
+
+  assert.throws(() => new Blockchain({ dataDir, coinbaseMaturity: 1 }), StorageError);
+});
+
+test('block files roll over at maxFileSize', t => {
+  const directory = tempDir(t);
+  const store = new BlockStore(directory, { maxFileSize: 250 });
+  for (const [height, hash] of ['aa', 'bb', 'cc'].entries()) store.writeBlock(fakeBlock(hash), height);
+
+  assert.deepEqual(fs.readdirSync(directory).filter(name => name.endsWith('.dat')).sort(), ['blk00000.dat', 'blk00001.dat']);
+  assert.deepEqual(['aa', 'bb', 'cc'].map(hash => store.index.get(hash).file), [0, 0, 1]);
+  assert.ok(fs.statSync(store.filePath(0)).size <= 250);
+
+  // A reopened store keeps appending to the newest file
+  const reopened = new BlockStore(directory, { maxFileSize: 250 });
+  reopened.writeBlock(fakeBlock('dd', 10), 3);
+  assert.equal(reopened.index.get('dd').file, 1);
+  assert.deepEqual([...reopened.readBlocks()].map(block => block.hash), ['aa', 'bb', 'cc', 'dd']);
+});
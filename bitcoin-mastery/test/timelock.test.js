@@ -0,0 +1,197 @@
+// Absolute and relative time locks: nLockTime, BIP68 sequence locks,
+// CHECKLOCKTIMEVERIFY / CHECKSEQUENCEVERIFY, and coinbase maturity
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Blockchain,
+  Transaction,
+  TransactionInput,
+  TransactionOutput,
+  TransactionSignatureChecker,
+  ScriptError,
+  executeScript,
+  OPS,
+  COIN,
+  LOCKTIME_THRESHOLD,
+  SEQUENCE_FINAL,
+  SEQUENCE_LOCKTIME_DISABLE_FLAG,
+  SEQUENCE_LOCKTIME_TYPE_FLAG,
+  COINBASE_MATURITY,
+  compileScript,
+  encodeScriptNumber,
+  cltvScript,
+  csvScript,
+  hash160,
+  publicKeyToBuffer,
+  isFinalTx,
+  relativeLockSequence,
+  calculateSequenceLocks,
+  checkSequenceLocks,
+  checkTxInputs,
+  generateKeyPair
+} = require('../core');
+
+const alice = generateKeyPair();
+const bob = generateKeyPair();
+const PREV_TXID = 'ab'.repeat(32);
+const NON_FINAL = SEQUENCE_FINAL - 1;
+const TIME = LOCKTIME_THRESHOLD + 1_000_000; // A lock time read as Unix seconds
+
+// A one-input transaction; only the fields the lock checks read matter
+function spend({ lockTime = 0, sequence = NON_FINAL, version = 2, inputs = 1 } = {}) {
+  return new Transaction(
+    Array.from({ length: inputs }, (_, i) => new TransactionInput(PREV_TXID, i, undefined, sequence)),
+    [new TransactionOutput(bob.publicKey, COIN)],
+    lockTime,
+    version
+  );
+}
+
+// Run `<value> <opcode>` for input 0 of `tx`
+function runLockOp(tx, value, opcode) {
+  return executeScript(compileScript([encodeScriptNumber(value), opcode]), [], new TransactionSignatureChecker(tx, 0));
+}
+
+const scriptFailure = code => error => error instanceof ScriptError && error.code === code;
+
+test('nLockTime below the threshold is a block height', () => {
+  const tx = spend({ lockTime: 100 });
+
+  assert.equal(isFinalTx(tx, 100, TIME * 2), false); // Valid only in blocks after height 100
+  assert.equal(isFinalTx(tx, 101, 0), true);
+  assert.equal(isFinalTx(spend({ lockTime: 0 }), 0, 0), true);
+  // Final inputs switch nLockTime off
+  assert.equal(isFinalTx(spend({ lockTime: 100, sequence: SEQUENCE_FINAL }), 1, 0), true);
+});
+
+test('nLockTime at or above the threshold is compared with median time past', () => {
+  const tx = spend({ lockTime: TIME });
+
+  assert.equal(isFinalTx(tx, 10_000_000, TIME), false);
+  assert.equal(isFinalTx(tx, 1, TIME + 1), true);
+  assert.equal(isFinalTx(spend({ lockTime: LOCKTIME_THRESHOLD }), LOCKTIME_THRESHOLD + 1, LOCKTIME_THRESHOLD), false);
+});
+
+test('relative locks encode blocks directly and time in 512-second units', () => {
+  assert.equal(relativeLockSequence({ blocks: 10 }), 10);
+  assert.equal(relativeLockSequence({ seconds: 1000 }), SEQUENCE_LOCKTIME_TYPE_FLAG | 2);
+  assert.equal(relativeLockSequence({ seconds: 1024 }), SEQUENCE_LOCKTIME_TYPE_FLAG | 2);
+  assert.throws(() => relativeLockSequence({ blocks: 0x10000 }), RangeError);
+  assert.throws(() => relativeLockSequence({ seconds: 512 * 0x10000 }), RangeError);
+});
+
+test('BIP68 sequence locks take the latest height and time over all inputs', () => {
+  const tx = spend({ inputs: 3 });
+  tx.inputs[0].sequence = relativeLockSequence({ blocks: 10 });
+  tx.inputs[1].sequence = relativeLockSequence({ seconds: 1024 });
+  tx.inputs[2].sequence = SEQUENCE_LOCKTIME_DISABLE_FLAG | 0xffff;
+  const medianTimes = { 29: 5000 };
+
+  // Input 0's coin is at height 50, input 1's at height 30
+  const locks = calculateSequenceLocks(tx, [50, 30, 40], height => medianTimes[height]);
+  assert.deepEqual(locks, { minHeight: 59, minTime: 5000 + 1024 - 1 });
+
+  assert.equal(checkSequenceLocks(locks, 59, 10_000), false);
+  assert.equal(checkSequenceLocks(locks, 60, 6023), false);
+  assert.equal(checkSequenceLocks(locks, 60, 6024), true);
+});
+
+test('version 1 transactions have no sequence locks', () => {
+  const tx = spend({ version: 1, sequence: 10 });
+  assert.deepEqual(calculateSequenceLocks(tx, [50], () => 0), { minHeight: -1, minTime: -1 });
+  assert.equal(checkSequenceLocks({ minHeight: -1, minTime: -1 }, 0, 0), true);
+});
+
+test('a chain refuses transactions whose locks have not passed', () => {
+  const chain = new Blockchain({ coinbaseMaturity: 1 });
+  chain.mineBlock([], alice.publicKey);
+  const [coin] = chain.getUTXOsForAddress(alice.publicKey);
+  const pay = options => chain.buildTransaction([coin], [new TransactionOutput(bob.publicKey, COIN)], [alice.privateKey], options);
+
+  // The next block is height 2
+  assert.throws(() => chain.checkTransaction(pay({ lockTime: 2 })), { code: 'bad-txns-nonfinal' });
+  assert.equal(chain.validateTransaction(pay({ lockTime: 1 })), true);
+
+  // The coin is at height 1, so a 3-block lock opens at height 4
+  const locked = pay({ sequence: relativeLockSequence({ blocks: 3 }) });
+  assert.throws(() => chain.checkTransaction(locked), { code: 'bad-txns-nonfinal' });
+  chain.mineBlock([], bob.publicKey);
+  assert.throws(() => chain.mineBlock([locked], bob.publicKey), { code: 'bad-txns-nonfinal' });
+  chain.mineBlock([], bob.publicKey);
+  assert.equal(chain.validateTransaction(locked), true);
+});
+
+test('CHECKLOCKTIMEVERIFY needs an nLockTime of the same kind and at least as late', () => {
+  const tx = spend({ lockTime: 100 });
+
+  assert.deepEqual(runLockOp(tx, 100, OPS.OP_CHECKLOCKTIMEVERIFY), [encodeScriptNumber(100)]); // Leaves the stack alone
+  assert.throws(() => runLockOp(tx, 101, OPS.OP_CHECKLOCKTIMEVERIFY), scriptFailure('UNSATISFIED_LOCKTIME'));
+  assert.throws(() => runLockOp(tx, TIME, OPS.OP_CHECKLOCKTIMEVERIFY), scriptFailure('UNSATISFIED_LOCKTIME'));
+  assert.throws(() => runLockOp(spend({ lockTime: TIME }), 100, OPS.OP_CHECKLOCKTIMEVERIFY), scriptFailure('UNSATISFIED_LOCKTIME'));
+  assert.throws(() => runLockOp(spend({ lockTime: 100, sequence: SEQUENCE_FINAL }), 50, OPS.OP_CHECKLOCKTIMEVERIFY),
+    scriptFailure('UNSATISFIED_LOCKTIME'));
+  assert.throws(() => runLockOp(tx, -1, OPS.OP_CHECKLOCKTIMEVERIFY), scriptFailure('NEGATIVE_LOCKTIME'));
+});
+
+test('CHECKSEQUENCEVERIFY needs a relative lock of the same kind and at least as long', () => {
+  const tx = spend({ sequence: 10 });
+
+  assert.deepEqual(runLockOp(tx, 10, OPS.OP_CHECKSEQUENCEVERIFY), [encodeScriptNumber(10)]);
+  assert.throws(() => runLockOp(tx, 11, OPS.OP_CHECKSEQUENCEVERIFY), scriptFailure('UNSATISFIED_LOCKTIME'));
+  assert.throws(() => runLockOp(tx, SEQUENCE_LOCKTIME_TYPE_FLAG | 1, OPS.OP_CHECKSEQUENCEVERIFY), scriptFailure('UNSATISFIED_LOCKTIME'));
+  assert.throws(() => runLockOp(spend({ sequence: 10, version: 1 }), 10, OPS.OP_CHECKSEQUENCEVERIFY), scriptFailure('UNSATISFIED_LOCKTIME'));
+  assert.throws(() => runLockOp(spend({ sequence: SEQUENCE_LOCKTIME_DISABLE_FLAG | 10 }), 10, OPS.OP_CHECKSEQUENCEVERIFY),
+    scriptFailure('UNSATISFIED_LOCKTIME'));
+  // With its own disable flag set the opcode is a NOP
+  assert.doesNotThrow(() => runLockOp(spend({ version: 1 }), SEQUENCE_LOCKTIME_DISABLE_FLAG, OPS.OP_CHECKSEQUENCEVERIFY));
+});
+
+test('CLTV and CSV outputs reject early spends as script failures', () => {
+  const pubKeyHash = hash160(publicKeyToBuffer(alice.publicKey));
+  const check = (prevScript, options) => {
+    const tx = spend(options);
+    tx.setScriptSig(0, compileScript([tx.createSignature(0, prevScript, alice.privateKey), publicKeyToBuffer(alice.publicKey)]));
+    const utxos = new Map([[`${PREV_TXID}:0`, { output: new TransactionOutput(null, 2 * COIN, prevScript), height: 1, coinbase: false }]]);
+    return checkTxInputs(tx, utxos);
+  };
+
+  assert.equal(check(cltvScript(500, pubKeyHash), { lockTime: 500 }), COIN);
+  assert.throws(() => check(cltvScript(500, pubKeyHash), { lockTime: 499 }), error =>
+    error.code === 'mandatory-script-verify-flag-failed' && error.details.scriptError === 'UNSATISFIED_LOCKTIME');
+
+  assert.equal(check(csvScript(6, pubKeyHash), { sequence: 6 }), COIN);
+  assert.throws(() => check(csvScript(6, pubKeyHash), { sequence: 5 }), error =>
+    error.code === 'mandatory-script-verify-flag-failed' && error.details.scriptError === 'UNSATISFIED_LOCKTIME');
+});
+
+test('a coinbase output cannot be spent before it matures', () => {
+  const chain = new Blockchain({ coinbaseMaturity: 3 });
+  chain.mineBlock([], alice.publicKey);
+  const [coin] = chain.getUTXOsForAddress(alice.publicKey);
+  const tx = chain.buildTransaction([coin], [new TransactionOutput(bob.publicKey, COIN)], [alice.privateKey]);
+
+  assert.throws(() => chain.checkTransaction(tx), error => {
+    assert.equal(error.code, 'bad-txns-premature-spend-of-coinbase');
+    assert.equal(error.details.input, 0);
+    assert.match(error.message, /from height 1, which matures at 4/);
+    return true;
+  });
+  chain.mineBlock([], bob.publicKey);
+  assert.throws(() => chain.mineBlock([tx], bob.publicKey), { code: 'bad-txns-premature-spend-of-coinbase' });
+  chain.mineBlock([], bob.publicKey);
+  chain.mineBlock([tx], bob.publicKey);
+  assert.equal(chain.utxos.has(`${tx.hash}:0`), true);
+});
+
+test('by default a coinbase matures after 100 blocks', () => {
+  const chain = new Blockchain();
+  chain.mineBlock([], alice.publicKey);
+  const [coin] = chain.getUTXOsForAddress(alice.publicKey);
+  const tx = chain.buildTransaction([coin], [new TransactionOutput(bob.publicKey, COIN)], [alice.privateKey]);
+
+  assert.equal(COINBASE_MATURITY, 100);
+  assert.throws(() => checkTxInputs(tx, chain.utxos, { spendHeight: 100 }), { code: 'bad-txns-premature-spend-of-coinbase' });
+  assert.equal(checkTxInputs(tx, chain.utxos, { spendHeight: 101 }), coin.output.amount - COIN);
+  assert.equal(checkTxInputs(tx, chain.utxos), coin.output.amount - COIN); // No height, no maturity check
+});
@@ -0,0 +1,130 @@
+// Serialization, txids and sighashes checked against published transactions
+// and against bitcoinjs-lib
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+
+const {
+  Transaction,
+  TransactionInput,
+  TransactionOutput,
+  p2pkhScript,
+  p2wpkhScript,
+  hash160,
+  getPublicKey,
+  decompileScript,
+  SIGHASH_ALL
+} = require('../core');
+
+// The coinbase of block 0, with the Times headline in its scriptSig
+const GENESIS_COINBASE = '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+const GENESIS_TXID = '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b';
+
+// The signed transaction from the BIP143 native P2WPKH example
+const BIP143_TX = '01000000000102fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f00000000494830450221008b9d1dc26ba6a9cb62127b02742fa9d754cd3bebf337f7a55d114c8e5cdd30be022040529b194ba3f9281a99f2b1c0a19c0489bc22ede944ccf4ecbab4cc618ef3ed01eeffffffef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a9148280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e4dbe6a21b2d50ce2f0167faa815988ac000247304402203609e17b84f6a7d30c80bfa610b5b4542f32a8a0d5447a12fb1366d7f01cc44a0220573a954c4518331561406f90300e8f3358f51928d43c212a8caed02de67eebee0121025476c2e83188368da1ff3e292e7acafcdb3566bb0ad253f62fc70f07aeee635711000000';
+
+const key = n => Buffer.alloc(32, n);
+const keyHash = n => hash160(getPublicKey(key(n)));
+
+// Three inputs with odd sequences and outputs of both kinds, version 2 and a
+// lock time, so that every field of the serialization is exercised
+function mixedTx() {
+  return new Transaction(
+    [
+      new TransactionInput('11'.repeat(32), 0, Buffer.alloc(0), 0xfffffffd),
+      new TransactionInput('22'.repeat(32), 7, Buffer.alloc(0), 0),
+      new TransactionInput('0123456789abcdef'.repeat(4), 0xffff, Buffer.alloc(0), 0xffffffff)
+    ],
+    [
+      TransactionOutput.fromScript(p2pkhScript(keyHash(4)), 123456789),
+      TransactionOutput.fromScript(p2wpkhScript(keyHash(5)), 1),
+      TransactionOutput.fromScript(p2pkhScript(keyHash(6)), 21e14)
+    ],
+    650000,
+    2
+  );
+}
+
+test('the genesis coinbase has the published txid and round-trips', () => {
+  const tx = Transaction.fromHex(GENESIS_COINBASE);
+
+  assert.equal(tx.calculateHash(), GENESIS_TXID);
+  assert.equal(tx.isCoinbase(), true);
+  assert.equal(tx.outputs[0].amount, 50e8);
+  assert.equal(tx.toHex(), GENESIS_COINBASE);
+});
+
+test('txid, wtxid and weight of a segwit transaction match bitcoinjs-lib', () => {
+  const tx = Transaction.fromHex(BIP143_TX);
+  const reference = bitcoin.Transaction.fromHex(BIP143_TX);
+
+  assert.equal(tx.toHex(), BIP143_TX);
+  assert.equal(tx.hasWitness(), true);
+  assert.equal(tx.calculateHash(), reference.getId());
+  assert.equal(tx.getWitnessHash(), reference.getHash(true).reverse().toString('hex'));
+  assert.notEqual(tx.calculateHash(), tx.getWitnessHash());
+  assert.equal(tx.getWeight(), reference.weight());
+  assert.equal(tx.getVirtualSize(), reference.virtualSize());
+});
+
+test('serialization matches bitcoinjs-lib field for field', () => {
+  const tx = mixedTx();
+  const reference = bitcoin.Transaction.fromBuffer(tx.serialize());
+
+  assert.equal(reference.version, 2);
+  assert.equal(reference.locktime, 650000);
+  assert.deepEqual(reference.ins.map(input => [Buffer.from(input.hash).reverse().toString('hex'), input.index, input.sequence]),
+    tx.inputs.map(input => [input.txHash, input.outputIndex, input.sequence]));
+  assert.deepEqual(reference.outs.map(output => [Number(output.value), output.script.toString('hex')]),
+    tx.outputs.map(output => [output.amount, output.scriptPubKey.toString('hex')]));
+  assert.equal(tx.calculateHash(), reference.getId());
+  assert.equal(Transaction.fromHex(tx.toHex()).toHex(), tx.toHex());
+});
+
+test('every input sighash matches bitcoinjs-lib', () => {
+  const tx = mixedTx();
+  const reference = bitcoin.Transaction.fromBuffer(tx.serialize());
+
+  tx.inputs.forEach((input, i) => {
+    const scriptCode = p2pkhScript(keyHash(i + 1));
+    const amount = (i + 1) * 1e8;
+    assert.deepEqual(tx.hashForSignature(i, scriptCode), reference.hashForSignature(i, scriptCode, SIGHASH_ALL), `legacy ${i}`);
+    assert.deepEqual(
+      tx.hashForWitnessV0(i, scriptCode, amount),
+      reference.hashForWitnessV0(i, scriptCode, amount, SIGHASH_ALL),
+      `segwit ${i}`
+    );
+  });
+});
+
+test('witnesses change the wtxid but not the txid', () => {
+  const tx = mixedTx();
+  const txid = tx.calculateHash();
+  assert.equal(tx.getWitnessHash(), txid);
+
+  tx.signInputs([key(1), key(2), key(3)], [1, 2, 3].map(n => p2wpkhScript(keyHash(n))), [1e8, 2e8, 3e8]);
+  const reference = bitcoin.Transaction.fromHex(tx.toHex());
+
+  assert.equal(tx.calculateHash(), txid);
+  assert.notEqual(tx.getWitnessHash(), txid);
+  assert.equal(tx.getWitnessHash(), reference.getHash(true).reverse().toString('hex'));
+  assert.equal(tx.getVirtualSize(), reference.virtualSize());
+});
+
+test('signInputs signs the raw sighash, not a hash of it', () => {
+  const prevScripts = [7, 8].map(n => p2pkhScript(keyHash(n)));
+  const tx = mixedTx();
+  tx.inputs.pop();
+
+  tx.signInputs([key(7), key(8)], prevScripts);
+
+  tx.inputs.forEach((input, i) => {
+    const [signatureWithType] = decompileScript(input.scriptSig);
+    assert.equal(signatureWithType[signatureWithType.length - 1], SIGHASH_ALL);
+    const signature = secp256k1.Signature.fromDER(signatureWithType.subarray(0, -1));
+    assert.equal(signature.hasHighS(), false);
+    assert.ok(secp256k1.verify(signature, tx.hashForSignature(i, prevScripts[i]), getPublicKey(key(7 + i))));
+  });
+  assert.equal(tx.calculateHash(), bitcoin.Transaction.fromHex(tx.toHex()).getId());
+});
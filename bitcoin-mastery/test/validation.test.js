@@ -0,0 +1,87 @@
+// Block and transaction validation: an output can be spent only once,
+// whether the second spend is in the same block or a later one
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  Blockchain,
+  Block,
+  Transaction,
+  TransactionOutput,
+  BlockValidationError,
+  TransactionValidationError,
+  generateKeyPair,
+  COIN
+} = require('../core');
+
+const alice = generateKeyPair();
+const bob = generateKeyPair();
+const carol = generateKeyPair();
+
+// A chain where Alice owns one 50 BTC coinbase output, mature after one block
+function fundedChain() {
+  const chain = new Blockchain({ coinbaseMaturity: 1 });
+  chain.mineBlock([], alice.publicKey);
+  const [utxo] = chain.getUTXOsForAddress(alice.publicKey);
+  return { chain, utxo };
+}
+
+function pay(chain, utxo, recipient, amount) {
+  return chain.buildTransaction([utxo], [new TransactionOutput(recipient.publicKey, amount)], [alice.privateKey]);
+}
+
+test('two transactions spending one output in the same block are rejected', () => {
+  const { chain, utxo } = fundedChain();
+  const toBob = pay(chain, utxo, bob, 10 * COIN);
+  const toCarol = pay(chain, utxo, carol, 20 * COIN);
+
+  assert.throws(() => chain.mineBlock([toBob, toCarol], alice.publicKey), error => {
+    assert.ok(error instanceof BlockValidationError);
+    assert.equal(error.code, 'bad-txns-double-spend');
+    assert.equal(error.details.txid, toCarol.hash);
+    return true;
+  });
+  assert.equal(chain.chain.length, 2);
+  assert.equal(chain.getBalance(alice.publicKey), 50 * COIN);
+});
+
+test('a double spend in a received block is rejected without touching the chain', () => {
+  const { chain, utxo } = fundedChain();
+  const tip = chain.getLatestBlock();
+  const coinbase = Transaction.createCoinbaseTransaction(alice.publicKey, chain.miningReward, 2);
+  const block = new Block([coinbase, pay(chain, utxo, bob, 10 * COIN), pay(chain, utxo, carol, 20 * COIN)], tip.hash);
+  block.mineBlock(chain.difficulty);
+
+  assert.throws(() => chain.addBlock(block), { code: 'bad-txns-double-spend' });
+  assert.equal(chain.getLatestBlock(), tip);
+  assert.equal(chain.utxos.size, 1);
+});
+
+test('spending an output already spent in an earlier block is rejected', () => {
+  const { chain, utxo } = fundedChain();
+  chain.mineBlock([pay(chain, utxo, bob, 10 * COIN)], alice.publicKey);
+  const again = pay(chain, utxo, carol, 20 * COIN);
+
+  assert.throws(() => chain.mineBlock([again], alice.publicKey), error => {
+    assert.ok(error instanceof BlockValidationError);
+    assert.equal(error.code, 'bad-txns-inputs-missingorspent');
+    assert.equal(error.details.txid, again.hash);
+    assert.equal(error.details.input, 0);
+    return true;
+  });
+  assert.equal(chain.getBalance(carol.publicKey), 0);
+  assert.equal(chain.isChainValid(), true);
+});
+
+test('checkTransaction reports a spent input with a typed error', () => {
+  const { chain, utxo } = fundedChain();
+  chain.mineBlock([pay(chain, utxo, bob, 10 * COIN)], alice.publicKey);
+  const again = pay(chain, utxo, carol, 20 * COIN);
+
+  assert.throws(() => chain.checkTransaction(again), error => {
+    assert.ok(error instanceof TransactionValidationError);
+    assert.equal(error.code, 'bad-txns-inputs-missingorspent');
+    return true;
+  });
+  assert.equal(chain.validateTransaction(again), false);
+});
@@ -0,0 +1,650 @@
+// In-process Ethereum chain with an EIP-1193 provider in front of it, so
+// the module can run without a node or network access.
+//
+// Accounts come from the well-known development mnemonic (the same ten
+// accounts Hardhat, Anvil and LocalEVM fund), blocks have fixed timestamps and
+// transactions are signed deterministically, so every run produces the
+// same hashes. Base fees follow EIP-1559 and eth_feeHistory uses geth's
+// percentile rule.
+//
+// There is no EVM: value transfers and calldata are processed and charged
+// intrinsic gas, but creating contracts or calling code is rejected.
+//
+//   const chain = new LocalChain();
+//   const provider = new ethers.BrowserProvider(chain.provider);
+
+const { ethers } = require('ethers');
+const {
+    DEV_MNEMONIC,
+    DEFAULT_CHAIN_ID,
+    RPC_ERRORS,
+    ProviderRpcError,
+    LocalProvider,
+    devAccounts,
+    dispatch,
+    invalidParams,
+    rejected,
+    quantity,
+    parseQuantity,
+    parseAddress,
+    parseHash
+} = require('../core/provider');
+
+const GWEI = 10n ** 9n;
+
+const EMPTY_TRIE_ROOT = '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421';
+const EMPTY_UNCLES_HASH = '0x1dcc4de8dec75d7aab85b567b6ccd41ad312451b948a7413f0a142fd40d49347';
+const EMPTY_BLOOM = '0x' + '00'.repeat(256);
+
+// EIP-1559 parameters
+const ELASTICITY_MULTIPLIER = 2n;
+const BASE_FEE_MAX_CHANGE_DENOMINATOR = 8n;
+
+// Intrinsic gas (yellow paper, EIP-2028, EIP-2930, EIP-3860)
+const TX_GAS = 21000n;
+const TX_GAS_CONTRACT_CREATION = 53000n;
+const TX_DATA_ZERO_GAS = 4n;
+const TX_DATA_NON_ZERO_GAS = 16n;
+const TX_ACCESS_LIST_ADDRESS_GAS = 2400n;
+const TX_ACCESS_LIST_STORAGE_KEY_GAS = 1900n;
+const INITCODE_WORD_GAS = 2n;
+
+// Gas every transaction pays before any code runs
+function intrinsicGas({ to, data, accessList }) {
+    const bytes = ethers.getBytes(data || '0x');
+    let gas = to ? TX_GAS : TX_GAS_CONTRACT_CREATION;
+    for (const byte of bytes) gas += byte === 0 ? TX_DATA_ZERO_GAS : TX_DATA_NON_ZERO_GAS;
+    if (!to) gas += INITCODE_WORD_GAS * BigInt(Math.ceil(bytes.length / 32));
+    for (const entry of accessList || []) {
+        gas += TX_ACCESS_LIST_ADDRESS_GAS + TX_ACCESS_LIST_STORAGE_KEY_GAS * BigInt(entry.storageKeys.length);
+    }
+    return gas;
+}
+
+// Base fee of the block after `parent` (EIP-1559)
+function nextBaseFee(parent) {
+    const target = parent.gasLimit / ELASTICITY_MULTIPLIER;
+    if (parent.gasUsed === target) return parent.baseFeePerGas;
+    if (parent.gasUsed > target) {
+        const delta = parent.baseFeePerGas * (parent.gasUsed - target) / target / BASE_FEE_MAX_CHANGE_DENOMINATOR;
+        return parent.baseFeePerGas + (delta > 1n ? delta : 1n);
+    }
+    const delta = parent.baseFeePerGas * (target - parent.gasUsed) / target / BASE_FEE_MAX_CHANGE_DENOMINATOR;
+    return parent.baseFeePerGas - delta;
+}
+
+// Price per gas a transaction actually pays in a block with `baseFee`
+function effectiveGasPrice(tx, baseFee) {
+    if (tx.type !== 2) return tx.gasPrice;
+    const capped = baseFee + tx.maxPriorityFeePerGas;
+    return capped < tx.maxFeePerGas ? capped : tx.maxFeePerGas;
+}
+
+// The most a transaction can cost its sender: the balance it must hold
+function maxCost(tx) {
+    return tx.gasLimit * (tx.type === 2 ? tx.maxFeePerGas : tx.gasPrice) + tx.value;
+}
+
+const cloneState = state => new Map([...state].map(([address, account]) => [address, { ...account }]));
+
+// Flat commitment to the accounts (not a Merkle-Patricia root)
+function stateCommitment(state) {
+    const accounts = [...state.keys()].sort().map(address => {
+        const { nonce, balance, code } = state.get(address);
+        return [address, ethers.toBeArray(nonce), ethers.toBeArray(balance), ethers.keccak256(code)];
+    });
+    return ethers.keccak256(ethers.encodeRlp(accounts));
+}
+
+class LocalChain {
+    // options: chainId, accounts (how many dev accounts to fund),
+    // balance (wei each), genesis ({ address: { balance, nonce, code } }),
+    // timestamp (genesis, Unix seconds), blockTime (seconds per block),
+    // gasLimit, baseFeePerGas (genesis), coinbase, automine (mine each
+    // transaction into its own block as it arrives)
+    constructor(options = {}) {
+        this.chainId = BigInt(options.chainId ?? DEFAULT_CHAIN_ID);
+        this.blockTime = options.blockTime ?? 12;
+        this.gasLimit = BigInt(options.gasLimit ?? 30000000);
+        this.coinbase = ethers.getAddress(options.coinbase ?? ethers.ZeroAddress);
+        this.automine = options.automine ?? true;
+
+        this.accounts = devAccounts(options.accounts ?? 10);
+
+        const state = new Map();
+        const balance = BigInt(options.balance ?? ethers.parseEther('10000'));
+        for (const account of this.accounts) state.set(account.address, { balance, nonce: 0n, code: '0x' });
+        for (const [address, account] of Object.entries(options.genesis || {})) {
+            state.set(ethers.getAddress(address), {
+                balance: BigInt(account.balance ?? 0),
+                nonce: BigInt(account.nonce ?? 0),
+                code: ethers.hexlify(account.code ?? '0x')
+            });
+        }
+
+        this.blocks = [];
+        this.blocksByHash = new Map();
+        this.transactions = new Map(); // hash -> { tx, blockNumber, index }
+        this.pending = [];
+        this.sealBlock({
+            timestamp: BigInt(options.timestamp ?? 1700000000),
+            baseFeePerGas: BigInt(options.baseFeePerGas ?? GWEI),
+            parentHash: ethers.ZeroHash,
+            transactions: [],
+            receipts: [],
+            gasUsed: 0n,
+            state
+        });
+
+        this.provider = new LocalProvider(this);
+    }
+
+    get latest() {
+        return this.blocks[this.blocks.length - 1];
+    }
+
+    get blockNumber() {
+        return this.latest.number;
+    }
+
+    // --- State ---
+
+    getAccount(address, block = this.latest) {
+        return block.state.get(address) || { balance: 0n, nonce: 0n, code: '0x' };
+    }
+
+    getBalance(address, block) {
+        return this.getAccount(ethers.getAddress(address), block).balance;
+    }
+
+    // Nonce the next transaction from `address` must use, counting the
+    // transactions waiting to be mined
+    getPendingNonce(address) {
+        const waiting = this.pending.filter(tx => tx.from === address).length;
+        return this.getAccount(address).nonce + BigInt(waiting);
+    }
+
+    // Resolve a block tag ('latest', 'earliest', a number, { blockHash }...)
+    // to a block, or null if there is no such block
+    resolveBlock(tag = 'latest') {
+        if (tag && typeof tag === 'object') {
+            if (tag.blockHash) return this.blocksByHash.get(parseHash(tag.blockHash, 'blockHash')) || null;
+            tag = tag.blockNumber;
+        }
+        if (['latest', 'pending', 'safe', 'finalized'].includes(tag)) return this.latest;
+        if (tag === 'earliest') return this.blocks[0];
+        const number = parseQuantity(tag, 'block');
+        return number < BigInt(this.blocks.length) ? this.blocks[Number(number)] : null;
+    }
+
+    requireBlock(tag) {
+        const block = this.resolveBlock(tag);
+        if (!block) throw rejected('header not found');
+        return block;
+    }
+
+    // --- Fees ---
+
+    nextBaseFeePerGas() {
+        return nextBaseFee(this.latest);
+    }
+
+    // Priority fee suggestion: the 60th percentile of the tips paid in the
+    // last 20 blocks, or 1 gwei if there were none
+    suggestPriorityFee() {
+        const tips = [];
+        for (const block of this.blocks.slice(-20)) {
+            for (const tx of block.transactions) tips.push(effectiveGasPrice(tx, block.baseFeePerGas) - block.baseFeePerGas);
+        }
+        if (tips.length === 0) return GWEI;
+        tips.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        return tips[Math.floor((tips.length - 1) * 60 / 100)];
+    }
+
+    // eth_feeHistory: base fees (plus the next block's), gas used ratios
+    // and, per block, the tip at each percentile of gas used
+    feeHistory(blockCount, newestBlock, rewardPercentiles = []) {
+        const count = Number(parseQuantity(blockCount, 'blockCount'));
+        const newest = this.requireBlock(newestBlock).number;
+        let previous = -1;
+        for (const p of rewardPercentiles) {
+            if (typeof p !== 'number' || p < 0 || p > 100 || p < previous) {
+                throw invalidParams('rewardPercentiles must be increasing numbers between 0 and 100');
+            }
+            previous = p;
+        }
+
+        const oldest = Math.max(0, newest - Math.min(count, 1024) + 1);
+        const blocks = count === 0 ? [] : this.blocks.slice(oldest, newest + 1);
+        const result = {
+            oldestBlock: quantity(oldest),
+            baseFeePerGas: [...blocks.map(block => quantity(block.baseFeePerGas))],
+            gasUsedRatio: blocks.map(block => Number(block.gasUsed) / Number(block.gasLimit))
+        };
+        if (blocks.length > 0) result.baseFeePerGas.push(quantity(nextBaseFee(blocks[blocks.length - 1])));
+        if (rewardPercentiles.length > 0) {
+            result.reward = blocks.map(block => this.blockRewards(block, rewardPercentiles).map(quantity));
+        }
+        return result;
+    }
+
+    // geth's rule: sort by tip, then for each percentile take the tip of
+    // the transaction at which cumulative gas used reaches that share
+    blockRewards(block, percentiles) {
+        if (block.transactions.length === 0) return percentiles.map(() => 0n);
+        const sorted = block.transactions
+            .map((tx, i) => ({
+                reward: effectiveGasPrice(tx, block.baseFeePerGas) - block.baseFeePerGas,
+                gasUsed: block.receipts[i].gasUsed
+            }))
+            .sort((a, b) => (a.reward < b.reward ? -1 : a.reward > b.reward ? 1 : 0));
+
+        let index = 0;
+        let sumGasUsed = sorted[0].gasUsed;
+        return percentiles.map(p => {
+            const threshold = BigInt(Math.floor(Number(block.gasUsed) * p / 100));
+            while (sumGasUsed < threshold && index < sorted.length - 1) {
+                index++;
+                sumGasUsed += sorted[index].gasUsed;
+            }
+            return sorted[index].reward;
+        });
+    }
+
+    // --- Transactions ---
+
+    // Sign and submit a transaction from one of the dev accounts, filling in
+    // nonce, gas and EIP-1559 fees; returns the hash
+    sendTransaction(request) {
+        const from = parseAddress(request.from, 'from');
+        const wallet = this.accounts.find(account => account.address === from);
+        if (!wallet) throw rejected(`unknown account ${from}`);
+
+        const to = request.to ? parseAddress(request.to, 'to') : null;
+        const data = request.data ?? request.input ?? '0x';
+        const fields = {
+            chainId: this.chainId,
+            nonce: request.nonce !== undefined ? Number(parseQuantity(request.nonce, 'nonce')) : Number(this.getPendingNonce(from)),
+            to,
+            value: request.value !== undefined ? parseQuantity(request.value, 'value') : 0n,
+            data,
+            gasLimit: request.gas !== undefined ? parseQuantity(request.gas, 'gas') : intrinsicGas({ to, data, accessList: request.accessList })
+        };
+        if (request.gasPrice !== undefined) {
+            Object.assign(fields, { type: 0, gasPrice: parseQuantity(request.gasPrice, 'gasPrice') });
+        } else {
+            const tip = request.maxPriorityFeePerGas !== undefined
+                ? parseQuantity(request.maxPriorityFeePerGas, 'maxPriorityFeePerGas')
+                : this.suggestPriorityFee();
+            const maxFee = request.maxFeePerGas !== undefined
+                ? parseQuantity(request.maxFeePerGas, 'maxFeePerGas')
+                : this.nextBaseFeePerGas() * 2n + tip;
+            Object.assign(fields, { type: 2, maxPriorityFeePerGas: tip, maxFeePerGas: maxFee, accessList: request.accessList || [] });
+        }
+
+        const tx = ethers.Transaction.from(fields);
+        tx.signature = wallet.signingKey.sign(tx.unsignedHash);
+        return this.sendRawTransaction(tx.serialized);
+    }
+
+    // Validate a signed transaction against the pending state and queue
+    // it (mining it straight away under automine); returns the hash
+    sendRawTransaction(raw) {
+        let tx;
+        try {
+            tx = ethers.Transaction.from(raw);
+        } catch (error) {
+            throw invalidParams(`rlp: ${error.shortMessage || error.message}`);
+        }
+        if (!tx.signature) throw rejected('transaction is not signed');
+        if (tx.type > 2) throw rejected('transaction type not supported');
+        if (this.transactions.has(tx.hash) || this.pending.some(queued => queued.hash === tx.hash)) {
+            throw rejected('already known');
+        }
+        if (tx.chainId !== 0n && tx.chainId !== this.chainId) throw rejected('invalid chain id for signer');
+
+        const from = tx.from;
+        const nonce = this.getPendingNonce(from);
+        if (BigInt(tx.nonce) < nonce) throw rejected(`nonce too low: address ${from}, tx: ${tx.nonce} state: ${nonce}`);
+        if (BigInt(tx.nonce) > nonce) throw rejected(`nonce too high: address ${from}, tx: ${tx.nonce} state: ${nonce}`);
+
+        const required = intrinsicGas(tx);
+        if (tx.gasLimit < required) throw rejected(`intrinsic gas too low: gas ${tx.gasLimit}, minimum needed ${required}`);
+        if (tx.gasLimit > this.gasLimit) throw rejected('exceeds block gas limit');
+        if (tx.type === 2 && tx.maxPriorityFeePerGas > tx.maxFeePerGas) {
+            throw rejected(`max priority fee per gas higher than max fee per gas: address ${from}`);
+        }
+
+        const baseFee = this.nextBaseFeePerGas();
+        const feeCap = tx.type === 2 ? tx.maxFeePerGas : tx.gasPrice;
+        if (feeCap < baseFee) {
+            throw rejected(`max fee per gas less than block base fee: address ${from}, maxFeePerGas: ${feeCap}, baseFee: ${baseFee}`);
+        }
+
+        const committed = this.pending.filter(queued => queued.from === from).reduce((sum, queued) => sum + maxCost(queued), 0n);
+        const balance = this.getAccount(from).balance - committed;
+        if (balance < maxCost(tx)) {
+            throw rejected(`insufficient funds for gas * price + value: address ${from} have ${balance} want ${maxCost(tx)}`);
+        }
+
+        if (!tx.to || this.getAccount(tx.to).code !== '0x') {
+            throw rejected('contract creation and execution are not supported by the in-process chain');
+        }
+
+        this.pending.push(tx);
+        if (this.automine) this.mine();
+        return tx.hash;
+    }
+
+    // --- Blocks ---
+
+    // Mine the pending transactions that fit into one new block (or an
+    // empty block if none are waiting); returns the block
+    mine() {
+        const parent = this.latest;
+        const baseFeePerGas = nextBaseFee(parent);
+        const state = cloneState(parent.state);
+        const transactions = [];
+        const receipts = [];
+        const skipped = [];
+        const blocked = new Set(); // senders with an earlier transaction left out
+        let gasUsed = 0n;
+
+        for (const tx of this.pending) {
+            const sender = state.get(tx.from);
+            const feeCap = tx.type === 2 ? tx.maxFeePerGas : tx.gasPrice;
+            if (blocked.has(tx.from) || gasUsed + tx.gasLimit > this.gasLimit || feeCap < baseFeePerGas || sender.balance < maxCost(tx)) {
+                blocked.add(tx.from);
+                skipped.push(tx);
+                continue;
+            }
+
+            const txGasUsed = intrinsicGas(tx);
+            const price = effectiveGasPrice(tx, baseFeePerGas);
+            sender.balance -= txGasUsed * price + tx.value;
+            sender.nonce += 1n;
+            const recipient = state.get(tx.to) || { balance: 0n, nonce: 0n, code: '0x' };
+            recipient.balance += tx.value;
+            state.set(tx.to, recipient);
+            // The base fee is burned; only the tip reaches the block's coinbase
+            const miner = state.get(this.coinbase) || { balance: 0n, nonce: 0n, code: '0x' };
+            miner.balance += txGasUsed * (price - baseFeePerGas);
+            state.set(this.coinbase, miner);
+
+            gasUsed += txGasUsed;
+            transactions.push(tx);
+            receipts.push({ gasUsed: txGasUsed, cumulativeGasUsed: gasUsed, effectiveGasPrice: price, status: 1 });
+        }
+        this.pending = skipped;
+
+        return this.sealBlock({
+            timestamp: parent.timestamp + BigInt(this.blockTime),
+            baseFeePerGas,
+            parentHash: parent.hash,
+            transactions,
+            receipts,
+            gasUsed,
+            state
+        });
+    }
+
+    // Fill in the header, hash it and append the block
+    sealBlock({ timestamp, baseFeePerGas, parentHash, transactions, receipts, gasUsed, state }) {
+        const number = this.blocks.length;
+        const block = {
+            number,
+            parentHash,
+            miner: number === 0 ? ethers.ZeroAddress : this.coinbase,
+            stateRoot: stateCommitment(state),
+            transactionsRoot: transactions.length === 0
+                ? EMPTY_TRIE_ROOT
+                : ethers.keccak256(ethers.encodeRlp(transactions.map(tx => tx.serialized))),
+            receiptsRoot: receipts.length === 0
+                ? EMPTY_TRIE_ROOT
+                : ethers.keccak256(ethers.encodeRlp(receipts.map(receipt => [
+                    ethers.toBeArray(receipt.status), ethers.toBeArray(receipt.cumulativeGasUsed), EMPTY_BLOOM, []
+                ]))),
+            mixHash: ethers.keccak256(ethers.concat([parentHash, ethers.toBeHex(number, 32)])), // stands in for RANDAO
+            gasLimit: this.gasLimit,
+            gasUsed,
+            timestamp,
+            baseFeePerGas,
+            transactions,
+            receipts,
+            state
+        };
+
+        // London header layout, so the hash commits to the whole header
+        const header = ethers.encodeRlp([
+            block.parentHash, EMPTY_UNCLES_HASH, block.miner, block.stateRoot, block.transactionsRoot,
+            block.receiptsRoot, EMPTY_BLOOM, ethers.toBeArray(0), ethers.toBeArray(number),
+            ethers.toBeArray(block.gasLimit), ethers.toBeArray(gasUsed), ethers.toBeArray(timestamp), '0x',
+            block.mixHash, '0x0000000000000000', ethers.toBeArray(baseFeePerGas)
+        ]);
+        block.hash = ethers.keccak256(header);
+        block.size = ethers.dataLength(ethers.encodeRlp([header, transactions.map(tx => tx.serialized), []]));
+
+        this.blocks.push(block);
+        this.blocksByHash.set(block.hash, block);
+        transactions.forEach((tx, index) => this.transactions.set(tx.hash, { tx, blockNumber: number, index }));
+        this.provider?.emit('message', { type: 'newHeads', data: this.formatBlock(block, false) });
+        return block;
+    }
+
+    // --- JSON-RPC formatting ---
+
+    formatBlock(block, fullTransactions) {
+        return {
+            number: quantity(block.number),
+            hash: block.hash,
+            parentHash: block.parentHash,
+            nonce: '0x0000000000000000',
+            mixHash: block.mixHash,
+            sha3Uncles: EMPTY_UNCLES_HASH,
+            logsBloom: EMPTY_BLOOM,
+            transactionsRoot: block.transactionsRoot,
+            stateRoot: block.stateRoot,
+            receiptsRoot: block.receiptsRoot,
+            miner: block.miner,
+            difficulty: '0x0',
+            totalDifficulty: '0x0',
+            extraData: '0x',
+            size: quantity(block.size),
+            gasLimit: quantity(block.gasLimit),
+            gasUsed: quantity(block.gasUsed),
+            timestamp: quantity(block.timestamp),
+            baseFeePerGas: quantity(block.baseFeePerGas),
+            transactions: block.transactions.map((tx, index) => (fullTransactions ? this.formatTransaction(tx, block, index) : tx.hash)),
+            uncles: []
+        };
+    }
+
+    // `block` is null for a pending transaction
+    formatTransaction(tx, block = null, index = null) {
+        const { r, s, v, yParity } = tx.signature;
+        const formatted = {
+            hash: tx.hash,
+            type: quantity(tx.type),
+            chainId: quantity(tx.chainId),
+            nonce: quantity(tx.nonce),
+            blockHash: block ? block.hash : null,
+            blockNumber: block ? quantity(block.number) : null,
+            transactionIndex: block ? quantity(index) : null,
+            from: tx.from,
+            to: tx.to,
+            value: quantity(tx.value),
+            gas: quantity(tx.gasLimit),
+            input: tx.data,
+            r,
+            s,
+            v: quantity(tx.type === 0 ? tx.signature.networkV ?? v : yParity)
+        };
+        if (tx.type === 2) {
+            Object.assign(formatted, {
+                maxFeePerGas: quantity(tx.maxFeePerGas),
+                maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+                // What it paid once mined; the most it can pay while pending
+                gasPrice: quantity(block ? effectiveGasPrice(tx, block.baseFeePerGas) : tx.maxFeePerGas)
+            });
+        } else {
+            formatted.gasPrice = quantity(tx.gasPrice);
+        }
+        if (tx.type !== 0) {
+            formatted.accessList = tx.accessList;
+            formatted.yParity = quantity(yParity);
+        }
+        return formatted;
+    }
+
+    formatReceipt(tx, block, index) {
+        const receipt = block.receipts[index];
+        return {
+            transactionHash: tx.hash,
+            transactionIndex: quantity(index),
+            blockHash: block.hash,
+            blockNumber: quantity(block.number),
+            from: tx.from,
+            to: tx.to,
+            contractAddress: null,
+            cumulativeGasUsed: quantity(receipt.cumulativeGasUsed),
+            gasUsed: quantity(receipt.gasUsed),
+            effectiveGasPrice: quantity(receipt.effectiveGasPrice),
+            logs: [],
+            logsBloom: EMPTY_BLOOM,
+            type: quantity(tx.type),
+            status: quantity(receipt.status)
+        };
+    }
+
+    // --- JSON-RPC methods ---
+
+    handle(method, params) {
+        return dispatch(METHODS, this, method, params);
+    }
+}
+
+// JSON-RPC method -> implementation, called with the chain as `this`
+const METHODS = {
+    web3_clientVersion() {
+        return 'LocalChain/ethereum-mastery';
+    },
+    net_version() {
+        return this.chainId.toString();
+    },
+    eth_chainId() {
+        return quantity(this.chainId);
+    },
+    eth_accounts() {
+        return this.accounts.map(account => account.address);
+    },
+    eth_requestAccounts() {
+        return this.accounts.map(account => account.address);
+    },
+    eth_blockNumber() {
+        return quantity(this.blockNumber);
+    },
+    eth_syncing() {
+        return false;
+    },
+
+    eth_getBalance(address, tag) {
+        return quantity(this.getAccount(parseAddress(address, 'address'), this.requireBlock(tag)).balance);
+    },
+    eth_getTransactionCount(address, tag) {
+        const checksummed = parseAddress(address, 'address');
+        if (tag === 'pending') return quantity(this.getPendingNonce(checksummed));
+        return quantity(this.getAccount(checksummed, this.requireBlock(tag)).nonce);
+    },
+    eth_getCode(address, tag) {
+        return this.getAccount(parseAddress(address, 'address'), this.requireBlock(tag)).code;
+    },
+    eth_getStorageAt(address, slot, tag) {
+        parseAddress(address, 'address');
+        parseQuantity(slot, 'slot');
+        this.requireBlock(tag);
+        return ethers.ZeroHash; // Nothing ever writes storage without an EVM
+    },
+
+    eth_getBlockByNumber(tag, fullTransactions = false) {
+        const block = this.resolveBlock(tag);
+        return block ? this.formatBlock(block, fullTransactions) : null;
+    },
+    eth_getBlockByHash(hash, fullTransactions = false) {
+        const block = this.blocksByHash.get(parseHash(hash, 'hash'));
+        return block ? this.formatBlock(block, fullTransactions) : null;
+    },
+    eth_getBlockTransactionCountByNumber(tag) {
+        const block = this.resolveBlock(tag);
+        return block ? quantity(block.transactions.length) : null;
+    },
+
+    eth_getTransactionByHash(hash) {
+        const found = this.transactions.get(parseHash(hash, 'hash'));
+        if (found) return this.formatTransaction(found.tx, this.blocks[found.blockNumber], found.index);
+        const pending = this.pending.find(tx => tx.hash === hash.toLowerCase());
+        return pending ? this.formatTransaction(pending) : null;
+    },
+    eth_getTransactionReceipt(hash) {
+        const found = this.transactions.get(parseHash(hash, 'hash'));
+        return found ? this.formatReceipt(found.tx, this.blocks[found.blockNumber], found.index) : null;
+    },
+    eth_getLogs(filter = {}) {
+        if (filter.blockHash) parseHash(filter.blockHash, 'blockHash');
+        return []; // Only contracts emit logs
+    },
+
+    eth_gasPrice() {
+        return quantity(this.nextBaseFeePerGas() + this.suggestPriorityFee());
+    },
+    eth_maxPriorityFeePerGas() {
+        return quantity(this.suggestPriorityFee());
+    },
+    eth_feeHistory(blockCount, newestBlock, rewardPercentiles) {
+        return this.feeHistory(blockCount, newestBlock, rewardPercentiles);
+    },
+    eth_estimateGas(request = {}) {
+        const to = request.to ? parseAddress(request.to, 'to') : null;
+        if (!to || this.getAccount(to).code !== '0x') {
+            throw rejected('contract creation and execution are not supported by the in-process chain');
+        }
+        if (request.from && request.value !== undefined) {
+            const balance = this.getAccount(parseAddress(request.from, 'from')).balance;
+            if (balance < parseQuantity(request.value, 'value')) throw rejected('insufficient funds for transfer');
+        }
+        return quantity(intrinsicGas({ to, data: request.data ?? request.input, accessList: request.accessList }));
+    },
+    eth_call(request = {}, tag) {
+        this.requireBlock(tag);
+        const to = request.to ? parseAddress(request.to, 'to') : null;
+        if (to && this.getAccount(to).code === '0x') return '0x'; // Calling an account without code does nothing
+        throw rejected('contract creation and execution are not supported by the in-process chain');
+    },
+
+    eth_sendTransaction(request = {}) {
+        return this.sendTransaction(request);
+    },
+    eth_sendRawTransaction(raw) {
+        return this.sendRawTransaction(raw);
+    },
+
+    // Development helpers, named as in Hardhat and Anvil
+    evm_mine() {
+        this.mine();
+        return '0x0';
+    },
+    evm_setAutomine(enabled) {
+        this.automine = Boolean(enabled);
+        return true;
+    }
+};
+
+module.exports = {
+    DEV_MNEMONIC,
+    DEFAULT_CHAIN_ID,
+    RPC_ERRORS,
+    ProviderRpcError,
+    LocalProvider,
+    LocalChain,
+    intrinsicGas,
+    nextBaseFee
+};
@@ -1,28 +1,108 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { LocalChain } = require('./local-chain');
+
+// Well-known mainnet accounts to explore
+const MAINNET_EXAMPLES = {
+    'Vitalik Buterin (EOA)': '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+    'Uniswap V3 Router (Contract)': '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+    'USDC Token Contract': '0xA0b86a33E6441FA9B89E0CCFb2EB69cb3F99cB77'
+};
+
+// An account with code preloaded on the local chain, so getCode has a
+// contract account to show. The chain has no EVM: the code (which would
+// return 42) is stored but never run, and calls to it are rejected.
+const CODE_ACCOUNT = {
+    address: '0x0000000000000000000000000000000000000042',
+    code: '0x602a60005260206000f3'
+};
+
+// The in-process chain behind the 'local' network, with a few transfers
+// already mined so there are blocks and receipts to explore
+function createLocalChain() {
+    const chain = new LocalChain({
+        genesis: { [CODE_ACCOUNT.address]: { code: CODE_ACCOUNT.code } }
+    });
+    const [alice, bob, carol] = chain.accounts;
+    chain.sendTransaction({ from: alice.address, to: bob.address, value: ethers.parseEther('1.5') });
+    chain.sendTransaction({ from: bob.address, to: carol.address, value: ethers.parseEther('0.25'), data: '0x6869' });
+    chain.sendTransaction({ from: alice.address, to: carol.address, value: ethers.parseEther('3'), maxPriorityFeePerGas: ethers.parseUnits('2', 'gwei') });
+    return chain;
+}
+
+// Where each network's provider comes from: an RPC URL, an EIP-1193
+// provider (anything with request()), an ethers provider, or a function
+// returning one of those. 'local' is the in-process chain unless
+// LOCAL_RPC_URL points at a node such as Hardhat or Anvil.
+const DEFAULT_NETWORKS = {
+    mainnet: process.env.MAINNET_RPC_URL || 'https://eth-mainnet.g.alchemy.com/v2/demo',
+    sepolia: process.env.SEPOLIA_RPC_URL || 'https://eth-sepolia.g.alchemy.com/v2/demo',
+    local: process.env.LOCAL_RPC_URL || createLocalChain
+};
 
 class EthereumBasics {
-    constructor() {
-        // Initialize providers for different networks
-        this.providers = {
-            mainnet: new ethers.JsonRpcProvider('https://eth-mainnet.g.alchemy.com/v2/demo'),
-            sepolia: new ethers.JsonRpcProvider('https://eth-sepolia.g.alchemy.com/v2/demo'),
-            local: new ethers.JsonRpcProvider('http://localhost:8545') // For local development
-        };
-        
-        this.currentProvider = this.providers.mainnet;
+    // options.networks adds or overrides provider sources (see
+    // DEFAULT_NETWORKS); options.network is the one to start on
+    constructor({ networks = {}, network = 'mainnet' } = {}) {
+        this.networks = { ...DEFAULT_NETWORKS, ...networks };
+        this.providers = {}; // Created on first use
+        this.localChain = null;
+
         console.log('🔗 Ethereum Basics Module Initialized');
-        console.log('📡 Connected to Ethereum Mainnet');
+        if (!this.switchNetwork(network)) {
+            throw new Error(`Network ${network} not supported`);
+        }
+    }
+
+    // Build (once) the ethers provider for a configured network
+    getProvider(network) {
+        if (!this.providers[network]) {
+            let source = this.networks[network];
+            if (typeof source === 'function') source = source();
+
+            let chainInfo;
+            if (source instanceof LocalChain) {
+                this.localChain = source;
+                chainInfo = new ethers.Network(network, source.chainId);
+                source = source.provider;
+            }
+            if (typeof source === 'string') {
+                // A static network skips chain ID detection, so an
+                // unreachable URL fails each call instead of retrying forever
+                const chain = ['mainnet', 'sepolia'].includes(network) ? network : undefined;
+                source = new ethers.JsonRpcProvider(source, chain, { staticNetwork: Boolean(chain) });
+            } else if (source && typeof source.request === 'function') {
+                source = new ethers.BrowserProvider(source, chainInfo);
+            }
+            this.providers[network] = source;
+        }
+        return this.providers[network];
     }
 
     // Switch between different networks
     switchNetwork(network) {
-        if (this.providers[network]) {
-            this.currentProvider = this.providers[network];
-            console.log(`\n🔄 Switched to ${network.toUpperCase()} network`);
-        } else {
+        if (!this.networks[network]) {
             console.log(`❌ Network ${network} not supported`);
+            return false;
+        }
+        this.currentNetwork = network;
+        this.currentProvider = this.getProvider(network);
+        console.log(`\n🔄 Switched to ${network.toUpperCase()} network`);
+        return true;
+    }
+
+    // Accounts worth exploring on the current network
+    getExampleAccounts() {
+        if (this.currentNetwork === 'local' && this.localChain) {
+            const [alice, bob, carol] = this.localChain.accounts;
+            return {
+                'Dev account #0 (EOA)': alice.address,
+                'Dev account #1 (EOA)': bob.address,
+                'Dev account #2 (EOA)': carol.address,
+                'Account with code (not executable offline)': CODE_ACCOUNT.address
+            };
         }
+        return MAINNET_EXAMPLES;
     }
 
     // Get basic network information
@@ -46,14 +126,7 @@ class EthereumBasics {
     async exploreAccounts() {
         console.log('\n🏦 Account Types and Addresses');
         
-        // Example addresses
-        const addresses = {
-            'Vitalik Buterin (EOA)': '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
-            'Uniswap V3 Router (Contract)': '0xE592427A0AEce92De3Edee1F18E0157C05861564',
-            'USDC Token Contract': '0xA0b86a33E6441FA9B89E0CCFb2EB69cb3F99cB77'
-        };
-
-        for (const [name, address] of Object.entries(addresses)) {
+        for (const [name, address] of Object.entries(this.getExampleAccounts())) {
             await this.analyzeAccount(address, name);
         }
     }
@@ -204,17 +277,17 @@ class EthereumBasics {
         console.log('\n🌐 Ethereum State Concepts');
         
         // Show how state changes with transactions
-        const vitalikAddress = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+        const [[name, address]] = Object.entries(this.getExampleAccounts());
         
         try {
             const currentBlock = await this.currentProvider.getBlockNumber();
-            const pastBlock = currentBlock - 1000; // 1000 blocks ago
+            const pastBlock = Math.max(0, currentBlock - 1000); // 1000 blocks ago, or genesis
             
-            const currentBalance = await this.currentProvider.getBalance(vitalikAddress);
-            const pastBalance = await this.currentProvider.getBalance(vitalikAddress, pastBlock);
+            const currentBalance = await this.currentProvider.getBalance(address);
+            const pastBalance = await this.currentProvider.getBalance(address, pastBlock);
             
-            console.log(`\n📈 State Changes Over Time (Vitalik's Address):`);
-            console.log(`   Balance 1000 blocks ago: ${ethers.formatEther(pastBalance)} ETH`);
+            console.log(`\n📈 State Changes Over Time (${name}):`);
+            console.log(`   Balance at block ${pastBlock}: ${ethers.formatEther(pastBalance)} ETH`);
             console.log(`   Current balance: ${ethers.formatEther(currentBalance)} ETH`);
             console.log(`   Change: ${ethers.formatEther(currentBalance - pastBalance)} ETH`);
             
@@ -243,7 +316,8 @@ async function main() {
     console.log('🚀 Ethereum Mastery - Module 1: Ethereum Basics');
     console.log('================================================\n');
     
-    const ethereum = new EthereumBasics();
+    // node main.js local (or ETH_NETWORK=local) runs offline
+    const ethereum = new EthereumBasics({ network: process.argv[2] || process.env.ETH_NETWORK || 'mainnet' });
     
     try {
         // Network information
@@ -266,7 +340,7 @@ async function main() {
         
     } catch (error) {
         console.error('❌ Main execution error:', error.message);
-        console.log('\n💡 Tip: Make sure you have internet connection to access Ethereum mainnet');
+        console.log('\n💡 Tip: Make sure you have internet connection to access Ethereum mainnet, or run `node main.js local` offline');
     }
 }
 
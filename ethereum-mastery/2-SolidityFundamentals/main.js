@@ -1,5 +1,7 @@
 require('dotenv').config();
+const path = require('path');
 const { ethers } = require('ethers');
+const { buildContracts, LocalEVM, TransactionRevertedError, formatGasReport } = require('../core');
 
 class SolidityFundamentals {
     constructor() {
@@ -577,6 +579,76 @@ contract ManagedToken is Ownable, IERC20Basic {
         });
     }
 
+    // Compile the examples with solc-js and run them on a local EVM
+    async runContractExamples(buildDir = path.join(__dirname, 'build')) {
+        console.log('\n⚙️  Compiling and Running the Contract Examples');
+        console.log('==============================================');
+
+        const { compilerVersion, artifacts, artifactsDir, warnings } = buildContracts(this.contractExamples, buildDir);
+        console.log(`🔨 solc ${compilerVersion}: ${Object.keys(artifacts).join(', ')}`);
+        console.log(`📦 Artifacts written to ${path.relative(process.cwd(), artifactsDir) || '.'}`);
+        if (warnings.length > 0) console.log(`⚠️  ${warnings.length} compiler warning(s)`);
+
+        const evm = await LocalEVM.create();
+        const [owner, alice, bob] = evm.accounts.map(account => account.address);
+        const gas = receipt => `${receipt.gasUsed.toLocaleString()} gas`;
+        const expectRevert = async (label, attempt) => {
+            try {
+                await attempt();
+                console.log(`   ${label}: unexpectedly succeeded`);
+            } catch (error) {
+                if (!(error instanceof TransactionRevertedError)) throw error;
+                console.log(`❌ ${label}: "${error.reason}"${error.receipt ? ` (${gas(error.receipt)})` : ''}`);
+            }
+        };
+
+        console.log('\n📦 BasicStorage');
+        const storage = await evm.deploy(artifacts.BasicStorage, [42]);
+        console.log(`   Deployed at ${storage.address} (${gas(storage.deployReceipt)})`);
+        const stored = await storage.send('store', [7]);
+        console.log(`   store(7): ${gas(stored)}, emitted ${stored.events.map(event => `${event.name}(${event.args.join(', ')})`).join(', ')}`);
+        console.log(`   retrieve() = ${await storage.call('retrieve')}`);
+        await expectRevert('store() from a non-owner', () => storage.connect(alice).send('store', [1]));
+        const deposited = await storage.connect(alice).send('deposit', [], { value: ethers.parseEther('1') });
+        console.log(`   deposit() 1 ETH: ${gas(deposited)}, balance ${ethers.formatEther(await storage.call('getBalance'))} ETH`);
+        const withdrawn = await storage.send('withdraw', [ethers.parseEther('0.4')]);
+        console.log(`   withdraw(0.4 ETH): ${gas(withdrawn)}, balance ${ethers.formatEther(await storage.getBalance())} ETH`);
+        await storage.send('toggleActive');
+        await expectRevert('store() while inactive', () => storage.send('store', [8]));
+
+        console.log('\n🪙 SimpleToken');
+        const token = await evm.deploy(artifacts.SimpleToken, ['Learn Token', 'LEARN', 18, 1000000]);
+        console.log(`   Deployed at ${token.address} (${gas(token.deployReceipt)}), supply ${ethers.formatEther(await token.call('totalSupply'))}`);
+        console.log(`   transfer(alice, 100): ${gas(await token.send('transfer', [alice, ethers.parseEther('100')]))}`);
+        console.log(`   approve(bob, 50): ${gas(await token.send('approve', [bob, ethers.parseEther('50')]))}`);
+        const pulled = await token.connect(bob).send('transferFrom', [owner, bob, ethers.parseEther('30')]);
+        console.log(`   transferFrom(owner, bob, 30) by bob: ${gas(pulled)}, allowance left ${ethers.formatEther(await token.call('allowance', [owner, bob]))}`);
+        await expectRevert('transferFrom() over the allowance', () => token.connect(bob).send('transferFrom', [owner, bob, ethers.parseEther('30')]));
+
+        console.log('\n🗳️  VotingSystem');
+        const voting = await evm.deploy(artifacts.VotingSystem, [60]);
+        console.log(`   Deployed at ${voting.address} (${gas(voting.deployReceipt)}), 60 minute voting period`);
+        for (const voter of [alice, bob]) await voting.send('registerVoter', [voter]);
+        console.log(`   createProposal(): ${gas(await voting.send('createProposal', ['Fund the library']))}`);
+        await voting.send('createProposal', ['Fund the garden']);
+        console.log(`   vote(1) by alice: ${gas(await voting.connect(alice).send('vote', [1]))}`);
+        await expectRevert('vote() twice', () => voting.connect(alice).send('vote', [0]));
+        evm.increaseTime(61 * 60);
+        await expectRevert('vote() after the deadline', () => voting.connect(bob).send('vote', [0]));
+        console.log(`   getWinningProposal() = ${await voting.call('getWinningProposal')} of ${await voting.call('getProposalCount')}`);
+
+        console.log('\n🧬 ManagedToken (Ownable + IERC20Basic + SafeMath)');
+        const managed = await evm.deploy(artifacts.ManagedToken, ['Managed', 1000]);
+        console.log(`   Deployed at ${managed.address} (${gas(managed.deployReceipt)}); Ownable emitted ${managed.deployReceipt.events[0].name}`);
+        console.log(`   mint(alice, 500): ${gas(await managed.send('mint', [alice, 500]))}, totalSupply ${await managed.call('totalSupply')}`);
+        await expectRevert('mint() from a non-owner', () => managed.connect(alice).send('mint', [alice, 1]));
+        await expectRevert('transfer() more than the balance', () => managed.connect(bob).send('transfer', [alice, 1]));
+
+        console.log('\n⛽ Gas Report');
+        console.table(formatGasReport(evm.gasReport()));
+        return evm;
+    }
+
     // Generate sample project structure
     generateProjectStructure() {
         console.log('\n📁 Recommended Project Structure');
@@ -649,6 +721,9 @@ async function main() {
         // Development workflow
         solidity.explainDevelopmentWorkflow();
         
+        // Compile and run the examples
+        await solidity.runContractExamples();
+        
         // Project structure
         solidity.generateProjectStructure();
         
@@ -1,5 +1,7 @@
 require('dotenv').config();
+const path = require('path');
 const { ethers } = require('ethers');
+const { buildContracts, LocalEVM, TransactionRevertedError, formatGasReport } = require('../core');
 
 class SmartContractDevelopment {
     constructor() {
@@ -772,6 +774,81 @@ main()
         });
     }
 
+    // Compile the templates (OpenZeppelin imports included) and script them on a local EVM
+    async runContractTemplates(buildDir = path.join(__dirname, 'build')) {
+        console.log('\n⚙️  Compiling and Running the Contract Templates');
+        console.log('===============================================');
+
+        const { compilerVersion, artifacts, artifactsDir } = buildContracts(this.contractTemplates, buildDir);
+        console.log(`🔨 solc ${compilerVersion}: ${Object.keys(artifacts).join(', ')} (OpenZeppelin imports resolved from node_modules)`);
+        console.log(`📦 Artifacts written to ${path.relative(process.cwd(), artifactsDir) || '.'}`);
+
+        const evm = await LocalEVM.create();
+        const [deployer, alice, bob, carol, dave] = evm.accounts.map(account => account.address);
+        const gas = receipt => `${receipt.gasUsed.toLocaleString()} gas`;
+        const expectRevert = async (label, attempt) => {
+            try {
+                await attempt();
+                console.log(`   ${label}: unexpectedly succeeded`);
+            } catch (error) {
+                if (!(error instanceof TransactionRevertedError)) throw error;
+                console.log(`❌ ${label}: "${error.reason}" (${gas(error.receipt)})`);
+            }
+        };
+
+        console.log('\n🏭 TokenFactory');
+        const factory = await evm.deploy(artifacts.TokenFactory);
+        console.log(`   Deployed at ${factory.address} (${gas(factory.deployReceipt)})`);
+        const created = await factory.connect(alice).send('createToken', ['Alice Coin', 'ALC', ethers.parseEther('1000')]);
+        const token = evm.attach(artifacts.SimpleToken, created.result, alice);
+        console.log(`   createToken() by alice: ${gas(created)}, new token at ${token.address}`);
+        console.log(`   ${await token.call('symbol')} owner ${await token.call('owner') === alice ? 'is alice' : 'is not alice'}, alice holds ${ethers.formatEther(await token.call('balanceOf', [alice]))}`);
+        console.log(`   mint(bob, 50) by alice: ${gas(await token.send('mint', [bob, ethers.parseEther('50')]))}`);
+        await expectRevert('mint() by bob', () => token.connect(bob).send('mint', [bob, 1]));
+        console.log(`   getTokenCount() = ${await factory.call('getTokenCount')}`);
+
+        console.log('\n🔐 MultiSigWallet (2 of 3)');
+        const wallet = await evm.deploy(artifacts.MultiSigWallet, [[alice, bob, carol], 2]);
+        console.log(`   Deployed at ${wallet.address} (${gas(wallet.deployReceipt)})`);
+        const funded = await evm.sendTransaction({
+            from: deployer,
+            to: wallet.address,
+            value: ethers.parseEther('5'),
+            label: { contract: 'MultiSigWallet', method: 'receive' }
+        });
+        console.log(`   Funded with 5 ETH: ${gas(funded)}, emitted ${funded.events[0].name}`);
+        const submitted = await wallet.connect(alice).send('submitTransaction', [dave, ethers.parseEther('1'), '0x']);
+        console.log(`   submitTransaction(dave, 1 ETH) by alice: ${gas(submitted)}`);
+        console.log(`   confirmTransaction(0) by alice: ${gas(await wallet.connect(alice).send('confirmTransaction', [0]))}`);
+        await expectRevert('executeTransaction(0) with 1 of 2 confirmations', () => wallet.connect(alice).send('executeTransaction', [0]));
+        await expectRevert('confirmTransaction(0) by dave', () => wallet.connect(dave).send('confirmTransaction', [0]));
+        console.log(`   confirmTransaction(0) by bob: ${gas(await wallet.connect(bob).send('confirmTransaction', [0]))}`);
+        const daveBefore = await evm.getBalance(dave);
+        const executed = await wallet.connect(carol).send('executeTransaction', [0]);
+        console.log(`   executeTransaction(0) by carol: ${gas(executed)}, dave received ${ethers.formatEther(await evm.getBalance(dave) - daveBefore)} ETH`);
+        await expectRevert('executeTransaction(0) again', () => wallet.connect(carol).send('executeTransaction', [0]));
+        console.log(`   Wallet balance ${ethers.formatEther(await wallet.getBalance())} ETH`);
+
+        console.log('\n⏳ TimeLock (2 day delay)');
+        const delay = 2 * 24 * 60 * 60;
+        const timeLock = await evm.deploy(artifacts.TimeLock, [deployer, delay]);
+        console.log(`   Deployed at ${timeLock.address} (${gas(timeLock.deployReceipt)})`);
+        // Governance through the timelock: change its own delay to 3 days
+        const call = [timeLock.address, 0, 'setDelay(uint256)', ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [3 * 24 * 60 * 60])];
+        const eta = evm.timestamp + BigInt(delay) + 3600n;
+        await expectRevert('setDelay() called directly', () => timeLock.send('setDelay', [1]));
+        console.log(`   queueTransaction(setDelay(3 days)): ${gas(await timeLock.send('queueTransaction', [...call, eta]))}`);
+        await expectRevert('executeTransaction() before the delay', () => timeLock.send('executeTransaction', [...call, eta]));
+        evm.increaseTime(delay + 3600);
+        console.log(`   ⏩ Two days later: executeTransaction(): ${gas(await timeLock.send('executeTransaction', [...call, eta]))}`);
+        console.log(`   delay() = ${Number(await timeLock.call('delay')) / 86400} days`);
+        await expectRevert('executeTransaction() replayed', () => timeLock.send('executeTransaction', [...call, eta]));
+
+        console.log('\n⛽ Gas Report');
+        console.table(formatGasReport(evm.gasReport()));
+        return evm;
+    }
+
     // Generate project files
     generateProjectFiles() {
         console.log('\n📁 Essential Project Files');
@@ -882,6 +959,9 @@ async function main() {
         // Security practices
         contractDev.explainSecurityBestPractices();
         
+        // Compile and run the templates
+        await contractDev.runContractTemplates();
+        
         // Project files
         contractDev.generateProjectFiles();
         
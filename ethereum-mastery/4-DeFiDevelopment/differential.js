@@ -0,0 +1,413 @@
+// Differential tests: the compiled SimpleAMM, LendingPool and YieldFarm
+// templates against their BigInt engines (./engines). Each scenario deploys
+// the contract on a LocalEVM next to a fresh engine. Both then get the same
+// random sequence of transactions, from a seeded PRNG so a run can be
+// repeated. After every step the return value or revert reason must match,
+// and so must the state: reserves, indexes, balances, rewards and the
+// contract's token holdings.
+//
+//   const results = await runDifferentialTests(new DeFiDevelopment().defiProtocols, { steps: 60, seed: 7 });
+//   results.every(result => result.mismatches.length === 0);
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { buildContracts, LocalEVM, TransactionRevertedError } = require('../core');
+const { SimpleAMMEngine, LendingPoolEngine, YieldFarmEngine, RevertError } = require('./engines');
+
+// A mintable ERC-20 for the pools to hold
+const TEST_TOKEN = `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract TestToken is ERC20 {
+    constructor(string memory name_, string memory symbol_) ERC20(name_, symbol_) {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}`;
+
+const ETHER = 10n ** 18n;
+const DAY = 24 * 60 * 60;
+
+// mulberry32: small, fast and deterministic
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        int: max => Math.floor(next() * max),
+        pick: items => items[Math.floor(next() * items.length)],
+        chance: probability => next() < probability,
+        // A BigInt in [0, max], uniform to 1 part in 2^32
+        below: max => (max * BigInt(Math.floor(next() * 4294967296))) / 4294967295n,
+        // An amount for an operation: usually a share of `typical`, sometimes
+        // zero, one wei or more than `typical` so the revert paths run too
+        amount(typical) {
+            const roll = next();
+            if (roll < 0.05) return 0n;
+            if (roll < 0.1) return 1n;
+            if (roll < 0.15) return typical * 2n + 1n;
+            return this.below(typical) + 1n;
+        }
+    };
+}
+
+// JSON with BigInts as strings and object keys sorted
+const format = value => JSON.stringify(value, (key, item) => {
+    if (typeof item === 'bigint') return item.toString();
+    if (item && typeof item === 'object' && !Array.isArray(item)) return Object.fromEntries(Object.entries(item).sort(([a], [b]) => a.localeCompare(b)));
+    return item;
+});
+
+// ethers Results -> plain values, so they compare with the engine's
+const plain = value => {
+    if (value instanceof ethers.Result) {
+        try {
+            return value.toObject();
+        } catch (error) {
+            return value.toArray();
+        }
+    }
+    return value;
+};
+
+class DifferentialRun {
+    constructor(evm, artifacts, random) {
+        this.evm = evm;
+        this.artifacts = artifacts;
+        this.random = random;
+        this.owner = evm.accounts[0].address;
+        this.users = evm.accounts.slice(1, 4).map(account => account.address);
+        this.steps = 0;
+        this.reverts = 0;
+        this.mismatches = [];
+        this.log = [];
+    }
+
+    async deployTokens(...names) {
+        const tokens = [];
+        for (const [name, symbol] of names) tokens.push(await this.evm.deploy(this.artifacts.TestToken, [name, symbol]));
+        return tokens;
+    }
+
+    // Give every user (and the owner) `amount` of each token, approved to `spender`
+    async fund(tokens, spender, amount = 10n ** 9n * ETHER) {
+        for (const token of tokens) {
+            for (const account of [this.owner, ...this.users]) {
+                await token.send('mint', [account, amount]);
+                await token.connect(account).send('approve', [spender.address, ethers.MaxUint256]);
+            }
+        }
+    }
+
+    // One transaction on both sides. `apply(tx)` runs it on the engine;
+    // `tx` carries the sender and the timestamp of the block the EVM mines.
+    async send(contract, from, method, args, apply) {
+        const label = `${method}(${args.map(arg => (typeof arg === 'string' ? arg.slice(0, 8) : arg)).join(', ')}) from ${from.slice(0, 8)}`;
+        const tx = { from, timestamp: this.evm.timestamp + this.evm.blockTime };
+        const returns = contract.interface.getFunction(method).outputs.length > 0;
+
+        let expected;
+        try {
+            const { result } = await contract.connect(from).send(method, args);
+            expected = { status: 'success', result: returns ? plain(result) : undefined };
+        } catch (error) {
+            if (!(error instanceof TransactionRevertedError)) throw error;
+            expected = { status: 'reverted', reason: error.reason };
+        }
+
+        let actual;
+        try {
+            const result = apply(tx);
+            actual = { status: 'success', result: returns ? result : undefined };
+        } catch (error) {
+            if (!(error instanceof RevertError)) throw error;
+            actual = { status: 'reverted', reason: error.reason };
+        }
+
+        this.steps++;
+        if (expected.status === 'reverted') this.reverts++;
+        this.log.push({ step: this.steps, label, outcome: expected.status === 'success' ? 'ok' : expected.reason });
+        this.expectEqual(label, 'outcome', expected, actual);
+        return expected.status === 'success';
+    }
+
+    // A view on both sides; `compute()` evaluates it on the engine
+    async view(contract, method, args, compute) {
+        let expected;
+        try {
+            expected = { status: 'success', result: plain(await contract.call(method, args)) };
+        } catch (error) {
+            if (!(error instanceof TransactionRevertedError)) throw error;
+            expected = { status: 'reverted', reason: error.reason };
+        }
+
+        let actual;
+        try {
+            actual = { status: 'success', result: compute() };
+        } catch (error) {
+            if (!(error instanceof RevertError)) throw error;
+            actual = { status: 'reverted', reason: error.reason };
+        }
+        this.expectEqual(`${method}(${args.join(', ')})`, 'result', expected, actual);
+    }
+
+    expectEqual(label, field, expected, actual) {
+        if (format(expected) !== format(actual)) {
+            this.mismatches.push({ step: this.steps, label, field, contract: format(expected), engine: format(actual) });
+        }
+    }
+
+    increaseTime(seconds) {
+        this.evm.increaseTime(seconds);
+        this.log.push({ step: this.steps, label: `+${(seconds / DAY).toFixed(1)} days`, outcome: 'time' });
+    }
+}
+
+// Per protocol: deploy both sides, the operations to draw from (with
+// weights) and the state compared after each step
+const SCENARIOS = {
+    simpleAMM: {
+        contract: 'SimpleAMM',
+        async setup(run) {
+            const [tokenA, tokenB] = await run.deployTokens(['Token A', 'TKA'], ['Token B', 'TKB']);
+            const contract = await run.evm.deploy(run.artifacts.SimpleAMM, [tokenA.address, tokenB.address]);
+            await run.fund([tokenA, tokenB], contract);
+            const engine = new SimpleAMMEngine({ tokenA: tokenA.address, tokenB: tokenB.address, timestamp: run.evm.timestamp });
+            await run.send(contract, run.users[0], 'addLiquidity', [1000n * ETHER, 4000n * ETHER], tx => engine.addLiquidity(1000n * ETHER, 4000n * ETHER, tx));
+            return { contract, engine, tokens: [tokenA, tokenB] };
+        },
+        operations: [
+            [3, async (run, { contract, engine }) => {
+                const from = run.random.pick(run.users);
+                let amountA = run.random.amount(500n * ETHER);
+                // Mostly at the pool's ratio, which is how liquidity is normally added
+                let amountB = engine.reserveA > 0n && run.random.chance(0.7) ? (amountA * engine.reserveB) / engine.reserveA : run.random.amount(2000n * ETHER);
+                if (run.random.chance(0.05)) [amountA, amountB] = [1n, 1n];
+                await run.send(contract, from, 'addLiquidity', [amountA, amountB], tx => engine.addLiquidity(amountA, amountB, tx));
+            }],
+            [2, async (run, { contract, engine }) => {
+                const from = run.random.pick(run.users);
+                const liquidity = run.random.amount(engine.balanceOf(from) || ETHER);
+                await run.send(contract, from, 'removeLiquidity', [liquidity], tx => engine.removeLiquidity(liquidity, tx));
+            }],
+            [4, async (run, { contract, engine }) => {
+                const from = run.random.pick(run.users);
+                const amount = run.random.amount(engine.reserveA / 10n || ETHER);
+                await run.send(contract, from, 'swapAforB', [amount], tx => engine.swapAforB(amount, tx));
+            }],
+            [4, async (run, { contract, engine }) => {
+                const from = run.random.pick(run.users);
+                const amount = run.random.amount(engine.reserveB / 10n || ETHER);
+                await run.send(contract, from, 'swapBforA', [amount], tx => engine.swapBforA(amount, tx));
+            }]
+        ],
+        async compare(run, { contract, engine, tokens: [tokenA, tokenB] }) {
+            await run.view(contract, 'reserveA', [], () => engine.reserveA);
+            await run.view(contract, 'reserveB', [], () => engine.reserveB);
+            await run.view(contract, 'totalSupply', [], () => engine.totalSupply);
+            for (const user of run.users) await run.view(contract, 'balanceOf', [user], () => engine.balanceOf(user));
+            await run.view(tokenA, 'balanceOf', [contract.address], () => engine.balanceOfToken(tokenA.address));
+            await run.view(tokenB, 'balanceOf', [contract.address], () => engine.balanceOfToken(tokenB.address));
+            if (engine.reserveA > 0n && engine.reserveB > 0n) {
+                const amountIn = run.random.amount(engine.reserveA) || 1n;
+                await run.view(contract, 'getAmountOut', [amountIn, engine.reserveA, engine.reserveB], () => engine.getAmountOut(amountIn, engine.reserveA, engine.reserveB));
+            }
+        }
+    },
+
+    lendingPool: {
+        contract: 'LendingPool',
+        async setup(run) {
+            const tokens = await run.deployTokens(['Dollar', 'USD'], ['Euro', 'EUR']);
+            const contract = await run.evm.deploy(run.artifacts.LendingPool);
+            await run.fund(tokens, contract);
+            const engine = new LendingPoolEngine({ owner: run.owner, timestamp: run.evm.timestamp });
+            // collateral factor 75%, liquidation threshold 80%, 5% base rate, +30% at full utilization
+            for (const token of tokens) {
+                const args = [token.address, 7500n, 8000n, 500n, 3000n];
+                await run.send(contract, run.owner, 'addMarket', args, tx => engine.addMarket(...args, tx));
+            }
+            // A liquidation: alice borrows up to her limit, a year of interest
+            // (booked by bob's supply) takes her underwater and carol repays part
+            const [alice, bob, carol] = run.users;
+            const [usd, eur] = tokens.map(token => token.address);
+            const script = [
+                [bob, 'supply', [eur, 2000n * ETHER]],
+                [alice, 'supply', [usd, 1000n * ETHER]],
+                [alice, 'borrow', [eur, 750n * ETHER]],
+                365 * DAY,
+                [bob, 'supply', [eur, 1n]],
+                [carol, 'liquidate', [alice, eur, 100n * ETHER]]
+            ];
+            for (const step of script) {
+                if (typeof step === 'number') {
+                    run.increaseTime(step);
+                    continue;
+                }
+                const [from, method, args] = step;
+                await run.send(contract, from, method, args, tx => engine[method](...args, tx));
+            }
+            return { contract, engine, tokens, assets: [usd, eur] };
+        },
+        operations: [
+            [4, async (run, { contract, engine, assets }) => {
+                const from = run.random.pick(run.users);
+                const asset = run.random.pick(assets);
+                const amount = run.random.amount(1000n * ETHER);
+                await run.send(contract, from, 'supply', [asset, amount], tx => engine.supply(asset, amount, tx));
+            }],
+            [2, async (run, { contract, engine, assets }) => {
+                const from = run.random.pick(run.users);
+                const asset = run.random.pick(assets);
+                const amount = run.random.amount(engine.userAccount(from, asset).supplied || ETHER);
+                await run.send(contract, from, 'withdraw', [asset, amount], tx => engine.withdraw(asset, amount, tx));
+            }],
+            [4, async (run, { contract, engine, assets }) => {
+                const from = run.random.pick(run.users);
+                const asset = run.random.pick(assets);
+                // Up to the account's headroom, so borrowers end up close to the limit
+                const liquidity = engine.getAccountLiquidity(from);
+                const amount = run.random.amount(liquidity > 0n ? liquidity : ETHER);
+                await run.send(contract, from, 'borrow', [asset, amount], tx => engine.borrow(asset, amount, tx));
+            }],
+            [2, async (run, { contract, engine, assets }) => {
+                const from = run.random.pick(run.users);
+                const asset = run.random.pick(assets);
+                const amount = run.random.amount(engine.userAccount(from, asset).borrowed || ETHER);
+                await run.send(contract, from, 'repay', [asset, amount], tx => engine.repay(asset, amount, tx));
+            }],
+            [2, async (run, { contract, engine, assets }) => {
+                const [from, borrower] = [run.random.pick(run.users), run.random.pick(run.users)];
+                const asset = run.random.pick(assets);
+                const amount = run.random.amount(engine.userAccount(borrower, asset).borrowed / 2n || ETHER);
+                await run.send(contract, from, 'liquidate', [borrower, asset, amount], tx => engine.liquidate(borrower, asset, amount, tx));
+            }],
+            [2, async run => run.increaseTime(run.random.int(120 * DAY))]
+        ],
+        async compare(run, { contract, engine, tokens, assets }) {
+            for (const asset of assets) await run.view(contract, 'markets', [asset], () => engine.market(asset));
+            for (const user of run.users) {
+                for (const asset of assets) await run.view(contract, 'userAccounts', [user, asset], () => engine.userAccount(user, asset));
+                await run.view(contract, 'getAccountLiquidity', [user], () => engine.getAccountLiquidity(user));
+            }
+            for (const token of tokens) await run.view(token, 'balanceOf', [contract.address], () => engine.balanceOfToken(token.address));
+        }
+    },
+
+    yieldFarm: {
+        contract: 'YieldFarm',
+        async setup(run) {
+            const [stakingToken, rewardToken] = await run.deployTokens(['Stake', 'STK'], ['Reward', 'RWD']);
+            const contract = await run.evm.deploy(run.artifacts.YieldFarm);
+            await run.fund([stakingToken, rewardToken], contract);
+            const engine = new YieldFarmEngine({ owner: run.owner, timestamp: run.evm.timestamp });
+            // Pool 0 pays in its own token, pool 1 in the staking token, out of the same balance stakers deposit into
+            const pools = [[stakingToken.address, rewardToken.address, ETHER / 10n], [stakingToken.address, stakingToken.address, ETHER / 100n]];
+            for (const args of pools) await run.send(contract, run.owner, 'addPool', args, tx => engine.addPool(...args, tx));
+            const funding = 50000n * ETHER;
+            await rewardToken.send('transfer', [contract.address, funding]);
+            engine.receiveTokens(rewardToken.address, funding);
+            return { contract, engine, tokens: [stakingToken, rewardToken] };
+        },
+        operations: [
+            [4, async (run, { contract, engine }) => {
+                const from = run.random.pick(run.users);
+                const poolId = BigInt(run.random.int(3)); // pool 2 does not exist
+                const amount = run.random.amount(1000n * ETHER);
+                await run.send(contract, from, 'stake', [poolId, amount], tx => engine.stake(poolId, amount, tx));
+            }],
+            [2, async (run, { contract, engine }) => {
+                const from = run.random.pick(run.users);
+                const poolId = BigInt(run.random.int(2));
+                const amount = run.random.amount(engine.userInfo(poolId, from).staked || ETHER);
+                await run.send(contract, from, 'withdraw', [poolId, amount], tx => engine.withdraw(poolId, amount, tx));
+            }],
+            [3, async (run, { contract, engine }) => {
+                const from = run.random.pick(run.users);
+                const poolId = BigInt(run.random.int(2));
+                await run.send(contract, from, 'claimReward', [poolId], tx => engine.claimReward(poolId, tx));
+            }],
+            [1, async (run, { contract, engine }) => {
+                const from = run.random.pick(run.users);
+                const poolId = BigInt(run.random.int(2));
+                await run.send(contract, from, 'emergencyWithdraw', [poolId], tx => engine.emergencyWithdraw(poolId, tx));
+            }],
+            [1, async (run, { contract, engine }) => {
+                // Mostly the owner; other callers hit onlyOwner
+                const from = run.random.chance(0.8) ? run.owner : run.random.pick(run.users);
+                const poolId = BigInt(run.random.int(2));
+                const rate = run.random.below(ETHER / 5n);
+                await run.send(contract, from, 'updateRewardRate', [poolId, rate], tx => engine.updateRewardRate(poolId, rate, tx));
+            }],
+            [1, async (run, { contract, engine }) => {
+                const from = run.random.chance(0.8) ? run.owner : run.random.pick(run.users);
+                const poolId = BigInt(run.random.int(2));
+                const active = run.random.chance(0.7);
+                await run.send(contract, from, 'setPoolActive', [poolId, active], tx => engine.setPoolActive(poolId, active, tx));
+            }],
+            [3, async run => run.increaseTime(run.random.int(10 * DAY))]
+        ],
+        async compare(run, { contract, engine, tokens }) {
+            const timestamp = run.evm.timestamp;
+            for (const poolId of [0n, 1n]) {
+                await run.view(contract, 'pools', [poolId], () => engine.pool(poolId));
+                await run.view(contract, 'rewardPerToken', [poolId], () => engine.rewardPerToken(poolId, { timestamp }));
+                for (const user of run.users) {
+                    await run.view(contract, 'userInfo', [poolId, user], () => engine.userInfo(poolId, user));
+                    await run.view(contract, 'earned', [poolId, user], () => engine.earned(poolId, user, { timestamp }));
+                }
+            }
+            for (const token of tokens) await run.view(token, 'balanceOf', [contract.address], () => engine.balanceOfToken(token.address));
+        }
+    }
+};
+
+// Compile the templates (plus TestToken) and run every scenario for
+// `steps` random operations. Returns one result per protocol:
+// { protocol, contract, steps, reverts, mismatches, log }.
+async function runDifferentialTests(protocols, { buildDir = path.join(__dirname, 'build'), steps = 40, seed = 1 } = {}) {
+    const { artifacts } = buildContracts({ ...protocols, testToken: { code: TEST_TOKEN } }, buildDir);
+
+    const results = [];
+    for (const [key, scenario] of Object.entries(SCENARIOS)) {
+        const evm = await LocalEVM.create();
+        const run = new DifferentialRun(evm, artifacts, createRandom(seed));
+        const fixture = await scenario.setup(run);
+        await scenario.compare(run, fixture);
+
+        const totalWeight = scenario.operations.reduce((sum, [weight]) => sum + weight, 0);
+        for (let i = 0; i < steps; i++) {
+            let roll = run.random.next() * totalWeight;
+            const [, operation] = scenario.operations.find(([weight]) => (roll -= weight) < 0);
+            await operation(run, fixture);
+            await scenario.compare(run, fixture);
+        }
+
+        results.push({
+            protocol: key,
+            contract: scenario.contract,
+            steps: run.steps,
+            reverts: run.reverts,
+            mismatches: run.mismatches,
+            log: run.log
+        });
+    }
+    return results;
+}
+
+module.exports = {
+    TEST_TOKEN,
+    SCENARIOS,
+    createRandom,
+    runDifferentialTests
+};
@@ -0,0 +1,20 @@
+/**
+ * Reference engines for DeFiDevelopment's Solidity templates: SimpleAMM,
+ * LendingPool and YieldFarm re-implemented over BigInt with Solidity 0.8
+ * semantics, so their results (down to the last wei and revert reason)
+ * can be checked against the compiled contracts.
+ *
+ * `const { SimpleAMMEngine, LendingPoolEngine, YieldFarmEngine } = require('./engines');`
+ */
+
+const solidity = require('./solidity');
+const simpleAMM = require('./simple-amm');
+const lendingPool = require('./lending-pool');
+const yieldFarm = require('./yield-farm');
+
+module.exports = {
+    ...solidity,
+    ...simpleAMM,
+    ...lendingPool,
+    ...yieldFarm
+};
@@ -0,0 +1,278 @@
+// LendingPool (DeFiDevelopment's lending market) in exact uint256
+// arithmetic. Each market keeps a supply index and a borrow index, both
+// starting at 1e18. updateMarket() grows them by rate * elapsed time
+// (simple interest per update, so they compound across updates). An
+// account stores its principal together with the index at which it was
+// last touched:
+//
+//   balance = principal * marketIndex / accountIndex
+//
+// As in the contract, assets are valued 1:1 (there is no price oracle),
+// and liquidate() only repays debt. The bonus is computed but no
+// collateral moves.
+
+const {
+    WAD,
+    ZERO_ADDRESS,
+    check,
+    add,
+    sub,
+    mul,
+    div,
+    toInt256,
+    subInt,
+    ContractEngine
+} = require('./solidity');
+
+const LIQUIDATION_INCENTIVE = 1100n; // 10% bonus for liquidators
+const BASIS_POINTS = 10000n;
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+// A market that was never added reads as all zeros, like a Solidity mapping
+const emptyMarket = () => ({
+    asset: ZERO_ADDRESS,
+    totalSupply: 0n,
+    totalBorrow: 0n,
+    supplyIndex: 0n,
+    borrowIndex: 0n,
+    lastUpdateTimestamp: 0n,
+    collateralFactor: 0n,
+    liquidationThreshold: 0n,
+    baseRate: 0n,
+    multiplier: 0n
+});
+
+const emptyAccount = () => ({ supplied: 0n, borrowed: 0n, supplyIndex: 0n, borrowIndex: 0n });
+
+// Principal recorded at accountIndex, grown to marketIndex
+function accrue(principal, marketIndex, accountIndex) {
+    if (accountIndex === 0n) return principal;
+    return div(mul(principal, marketIndex), accountIndex);
+}
+
+// The rates updateMarket() applies, in basis points per year, and the
+// utilization (1e18 = 100%) they come from
+function interestRates(market) {
+    const utilization = div(mul(market.totalBorrow, WAD), add(market.totalSupply, 1n));
+    const borrowRate = add(market.baseRate, div(mul(utilization, market.multiplier), WAD));
+    const supplyRate = div(mul(borrowRate, utilization), WAD);
+    return { utilization, borrowRate, supplyRate };
+}
+
+// One updateMarket() step: `index` grown by `rate` (basis points a year)
+// over `elapsed` seconds
+function growIndex(index, rate, elapsed) {
+    return add(index, div(mul(mul(index, rate), elapsed), SECONDS_PER_YEAR * BASIS_POINTS));
+}
+
+class LendingPoolEngine extends ContractEngine {
+    constructor(options = {}) {
+        super(options);
+        this.markets = new Map(); // asset => market
+        this.userAccounts = new Map(); // `${user}/${asset}` => account
+        this.userAssets = new Map(); // user => [asset]
+    }
+
+    // The public mapping getters; these return copies
+    market(asset) {
+        return { ...(this.markets.get(asset) || emptyMarket()) };
+    }
+
+    userAccount(user, asset) {
+        return { ...(this.userAccounts.get(`${user}/${asset}`) || emptyAccount()) };
+    }
+
+    // Storage references, created on first write like mapping slots
+    marketStorage(asset) {
+        if (!this.markets.has(asset)) this.markets.set(asset, emptyMarket());
+        return this.markets.get(asset);
+    }
+
+    accountStorage(user, asset) {
+        const key = `${user}/${asset}`;
+        if (!this.userAccounts.has(key)) this.userAccounts.set(key, emptyAccount());
+        return this.userAccounts.get(key);
+    }
+
+    addAssetToList(user, asset) {
+        const assets = this.userAssets.get(user) || [];
+        if (!assets.includes(asset)) this.userAssets.set(user, [...assets, asset]);
+    }
+
+    addMarket(asset, collateralFactor, liquidationThreshold, baseRate, multiplier, tx) {
+        return this.transact(tx, ({ sender, timestamp }) => {
+            this.onlyOwner(sender);
+            check(this.market(asset).asset === ZERO_ADDRESS, 'Market already exists');
+
+            this.markets.set(asset, {
+                asset,
+                totalSupply: 0n,
+                totalBorrow: 0n,
+                supplyIndex: WAD,
+                borrowIndex: WAD,
+                lastUpdateTimestamp: timestamp,
+                collateralFactor,
+                liquidationThreshold,
+                baseRate,
+                multiplier
+            });
+        });
+    }
+
+    supply(asset, amount, tx) {
+        return this.transact(tx, ({ sender }) => {
+            check(this.market(asset).asset !== ZERO_ADDRESS, 'Market does not exist');
+            check(amount > 0n, 'Amount must be greater than 0');
+
+            this.updateMarket(asset);
+
+            const market = this.marketStorage(asset);
+            const account = this.accountStorage(sender, asset);
+
+            const suppliedWithInterest = accrue(account.supplied, market.supplyIndex, account.supplyIndex);
+            account.supplied = add(suppliedWithInterest, amount);
+            account.supplyIndex = market.supplyIndex;
+
+            market.totalSupply = add(market.totalSupply, amount);
+
+            this.pullTokens(market.asset, amount);
+            this.addAssetToList(sender, asset);
+        });
+    }
+
+    withdraw(asset, amount, tx) {
+        return this.transact(tx, ({ sender }) => {
+            check(amount > 0n, 'Amount must be greater than 0');
+
+            this.updateMarket(asset);
+
+            const market = this.marketStorage(asset);
+            const account = this.accountStorage(sender, asset);
+
+            const currentBalance = accrue(account.supplied, market.supplyIndex, account.supplyIndex);
+            check(currentBalance >= amount, 'Insufficient balance');
+
+            account.supplied = currentBalance - amount;
+            account.supplyIndex = market.supplyIndex;
+            market.totalSupply = sub(market.totalSupply, amount);
+
+            check(this.getAccountLiquidity(sender) >= 0n, 'Insufficient collateral');
+
+            this.pushTokens(market.asset, amount);
+        });
+    }
+
+    borrow(asset, amount, tx) {
+        return this.transact(tx, ({ sender }) => {
+            check(amount > 0n, 'Amount must be greater than 0');
+            check(this.getAccountLiquidity(sender) >= 0n, 'Insufficient collateral');
+
+            this.updateMarket(asset);
+
+            const market = this.marketStorage(asset);
+            const account = this.accountStorage(sender, asset);
+
+            const borrowedWithInterest = accrue(account.borrowed, market.borrowIndex, account.borrowIndex);
+            account.borrowed = add(borrowedWithInterest, amount);
+            account.borrowIndex = market.borrowIndex;
+
+            market.totalBorrow = add(market.totalBorrow, amount);
+
+            this.addAssetToList(sender, asset);
+            check(this.getAccountLiquidity(sender) >= 0n, 'Borrow would exceed collateral');
+
+            this.pushTokens(market.asset, amount);
+        });
+    }
+
+    repay(asset, amount, tx) {
+        return this.transact(tx, ({ sender }) => {
+            check(amount > 0n, 'Amount must be greater than 0');
+
+            this.updateMarket(asset);
+
+            const market = this.marketStorage(asset);
+            const account = this.accountStorage(sender, asset);
+
+            const currentDebt = accrue(account.borrowed, market.borrowIndex, account.borrowIndex);
+            const repayAmount = amount > currentDebt ? currentDebt : amount;
+
+            account.borrowed = currentDebt - repayAmount;
+            account.borrowIndex = market.borrowIndex;
+            market.totalBorrow = sub(market.totalBorrow, repayAmount);
+
+            this.pullTokens(market.asset, repayAmount);
+        });
+    }
+
+    // Returns the liquidation bonus the contract computes (and does not pay)
+    liquidate(borrower, asset, amount, tx) {
+        return this.transact(tx, () => {
+            check(this.getAccountLiquidity(borrower) < 0n, 'Account not liquidatable');
+
+            this.updateMarket(asset);
+
+            const market = this.marketStorage(asset);
+            const borrowerAccount = this.accountStorage(borrower, asset);
+
+            const currentDebt = accrue(borrowerAccount.borrowed, market.borrowIndex, borrowerAccount.borrowIndex);
+            check(amount <= currentDebt, 'Amount exceeds debt');
+
+            this.pullTokens(market.asset, amount);
+
+            borrowerAccount.borrowed = currentDebt - amount;
+            borrowerAccount.borrowIndex = market.borrowIndex;
+            market.totalBorrow = sub(market.totalBorrow, amount);
+
+            return div(mul(amount, LIQUIDATION_INCENTIVE), BASIS_POINTS);
+        });
+    }
+
+    // Accrue interest on one market up to the current block
+    updateMarket(asset) {
+        const market = this.marketStorage(asset);
+        const timeElapsed = sub(this.timestamp, market.lastUpdateTimestamp);
+
+        if (timeElapsed > 0n) {
+            const { borrowRate, supplyRate } = interestRates(market);
+
+            market.borrowIndex = growIndex(market.borrowIndex, borrowRate, timeElapsed);
+            market.supplyIndex = growIndex(market.supplyIndex, supplyRate, timeElapsed);
+            market.lastUpdateTimestamp = this.timestamp;
+        }
+    }
+
+    // view: collateral value (supply * collateral factor) minus debt, over
+    // the user's assets at the indexes last stored for each market
+    getAccountLiquidity(user) {
+        let totalCollateralValue = 0n;
+        let totalBorrowValue = 0n;
+
+        for (const asset of this.userAssets.get(user) || []) {
+            const market = this.market(asset);
+            const account = this.userAccount(user, asset);
+
+            if (account.supplied > 0n) {
+                const suppliedWithInterest = accrue(account.supplied, market.supplyIndex, account.supplyIndex);
+                totalCollateralValue = add(totalCollateralValue, div(mul(suppliedWithInterest, market.collateralFactor), BASIS_POINTS));
+            }
+
+            if (account.borrowed > 0n) {
+                const borrowedWithInterest = accrue(account.borrowed, market.borrowIndex, account.borrowIndex);
+                totalBorrowValue = add(totalBorrowValue, borrowedWithInterest);
+            }
+        }
+
+        return subInt(toInt256(totalCollateralValue), toInt256(totalBorrowValue));
+    }
+}
+
+module.exports = {
+    LendingPoolEngine,
+    accrue,
+    interestRates,
+    growIndex,
+    LIQUIDATION_INCENTIVE,
+    BASIS_POINTS,
+    SECONDS_PER_YEAR
+};
@@ -0,0 +1,139 @@
+// SimpleAMM (the constant-product pool in DeFiDevelopment) in exact uint256
+// arithmetic: the same formulas, rounding, checks and revert reasons as the
+// Solidity, step for step.
+//
+//   const pool = new SimpleAMMEngine({ tokenA, tokenB });
+//   pool.addLiquidity(10n ** 21n, 2n * 10n ** 21n, { from: alice });
+//   pool.getAmountOut(10n ** 18n, pool.reserveA, pool.reserveB);
+
+const { check, add, sub, mul, div, min, ContractEngine } = require('./solidity');
+
+const FEE_PERCENT = 3n; // 0.3% fee
+const FEE_DENOMINATOR = 1000n;
+
+// The Babylonian square root SimpleAMM uses (floor(sqrt(x)))
+function sqrt(x) {
+    if (x === 0n) return 0n;
+    let z = div(add(x, 1n), 2n);
+    let y = x;
+    while (z < y) {
+        y = z;
+        z = div(add(div(x, z), z), 2n);
+    }
+    return y;
+}
+
+class SimpleAMMEngine extends ContractEngine {
+    constructor({ tokenA, tokenB, ...options }) {
+        super(options);
+        this.tokenA = tokenA;
+        this.tokenB = tokenB;
+        this.reserveA = 0n;
+        this.reserveB = 0n;
+        // The LP token (an OpenZeppelin ERC20)
+        this.totalSupply = 0n;
+        this.balances = new Map();
+    }
+
+    balanceOf(account) {
+        return this.balances.get(account) || 0n;
+    }
+
+    // Returns the LP tokens minted
+    addLiquidity(amountA, amountB, tx) {
+        return this.transact(tx, ({ sender }) => {
+            check(amountA > 0n && amountB > 0n, 'Invalid amounts');
+
+            this.pullTokens(this.tokenA, amountA);
+            this.pullTokens(this.tokenB, amountB);
+
+            let liquidity;
+            if (this.totalSupply === 0n) {
+                liquidity = sqrt(mul(amountA, amountB));
+            } else {
+                liquidity = min(
+                    div(mul(amountA, this.totalSupply), this.reserveA),
+                    div(mul(amountB, this.totalSupply), this.reserveB)
+                );
+            }
+
+            check(liquidity > 0n, 'Insufficient liquidity minted');
+
+            this.totalSupply = add(this.totalSupply, liquidity);
+            this.balances.set(sender, this.balanceOf(sender) + liquidity);
+
+            this.reserveA = add(this.reserveA, amountA);
+            this.reserveB = add(this.reserveB, amountB);
+            return liquidity;
+        });
+    }
+
+    // Returns { amountA, amountB } paid out
+    removeLiquidity(liquidity, tx) {
+        return this.transact(tx, ({ sender }) => {
+            check(liquidity > 0n, 'Invalid liquidity');
+            check(this.balanceOf(sender) >= liquidity, 'Insufficient LP tokens');
+
+            const totalSupplyLP = this.totalSupply;
+            const amountA = div(mul(liquidity, this.reserveA), totalSupplyLP);
+            const amountB = div(mul(liquidity, this.reserveB), totalSupplyLP);
+
+            check(amountA > 0n && amountB > 0n, 'Insufficient liquidity burned');
+
+            this.balances.set(sender, this.balanceOf(sender) - liquidity);
+            this.totalSupply -= liquidity;
+
+            this.pushTokens(this.tokenA, amountA);
+            this.pushTokens(this.tokenB, amountB);
+
+            this.reserveA = sub(this.reserveA, amountA);
+            this.reserveB = sub(this.reserveB, amountB);
+            return { amountA, amountB };
+        });
+    }
+
+    // Returns the tokenB paid out
+    swapAforB(amountAIn, tx) {
+        return this.transact(tx, () => this.swap(amountAIn, 'A', 'B'));
+    }
+
+    // Returns the tokenA paid out
+    swapBforA(amountBIn, tx) {
+        return this.transact(tx, () => this.swap(amountBIn, 'B', 'A'));
+    }
+
+    // The body shared by both swap directions
+    swap(amountIn, from, to) {
+        check(amountIn > 0n, 'Invalid input amount');
+
+        const reserveIn = this[`reserve${from}`];
+        const reserveOut = this[`reserve${to}`];
+        const amountInWithFee = mul(amountIn, FEE_DENOMINATOR - FEE_PERCENT);
+        const numerator = mul(amountInWithFee, reserveOut);
+        const denominator = add(mul(reserveIn, FEE_DENOMINATOR), amountInWithFee);
+
+        const amountOut = div(numerator, denominator);
+        check(amountOut > 0n, 'Insufficient output amount');
+        check(amountOut < reserveOut, 'Insufficient liquidity');
+
+        this.pullTokens(this[`token${from}`], amountIn);
+        this.pushTokens(this[`token${to}`], amountOut);
+
+        this[`reserve${from}`] = add(reserveIn, amountIn);
+        this[`reserve${to}`] = sub(reserveOut, amountOut);
+        return amountOut;
+    }
+
+    // pure: the output for `amountIn` against the given reserves
+    getAmountOut(amountIn, reserveIn, reserveOut) {
+        check(amountIn > 0n, 'Invalid input amount');
+        check(reserveIn > 0n && reserveOut > 0n, 'Invalid reserves');
+
+        const amountInWithFee = mul(amountIn, FEE_DENOMINATOR - FEE_PERCENT);
+        const numerator = mul(amountInWithFee, reserveOut);
+        const denominator = add(mul(reserveIn, FEE_DENOMINATOR), amountInWithFee);
+        return div(numerator, denominator);
+    }
+}
+
+module.exports = { SimpleAMMEngine, sqrt, FEE_PERCENT, FEE_DENOMINATOR };
@@ -0,0 +1,143 @@
+// Solidity 0.8 semantics for the protocol engines: uint256 arithmetic that
+// reverts on overflow, underflow and division by zero (with the panic
+// codes solc uses), require(), and transactions that roll back on revert.
+//
+// Revert reasons are spelled the way core's decodeRevert() reports them
+// ("panic 0x11", "reverted without a reason"), so an engine's reason can be
+// compared with a LocalEVM transaction's.
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MIN_INT256 = -(1n << 255n);
+const MAX_INT256 = (1n << 255n) - 1n;
+const WAD = 10n ** 18n;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const PANIC_ARITHMETIC = 'panic 0x11';
+const PANIC_DIVISION_BY_ZERO = 'panic 0x12';
+const NO_REASON = 'reverted without a reason';
+
+// A revert inside an engine; `reason` as decodeRevert() would report it
+class RevertError extends Error {
+    constructor(reason) {
+        super(`Reverted: ${reason}`);
+        this.name = 'RevertError';
+        this.reason = reason;
+    }
+}
+
+// require(condition, reason)
+function check(condition, reason) {
+    if (!condition) throw new RevertError(reason);
+}
+
+// Checked uint256 operations
+function add(a, b) {
+    const result = a + b;
+    check(result <= MAX_UINT256, PANIC_ARITHMETIC);
+    return result;
+}
+
+function sub(a, b) {
+    check(b <= a, PANIC_ARITHMETIC);
+    return a - b;
+}
+
+function mul(a, b) {
+    const result = a * b;
+    check(result <= MAX_UINT256, PANIC_ARITHMETIC);
+    return result;
+}
+
+function div(a, b) {
+    check(b !== 0n, PANIC_DIVISION_BY_ZERO);
+    return a / b; // BigInt division truncates, like the EVM's DIV
+}
+
+// int256(x) for a uint256 (an explicit conversion: wraps, never reverts)
+const toInt256 = value => BigInt.asIntN(256, value);
+
+// Checked int256 subtraction
+function subInt(a, b) {
+    const result = a - b;
+    check(result >= MIN_INT256 && result <= MAX_INT256, PANIC_ARITHMETIC);
+    return result;
+}
+
+const min = (a, b) => (a < b ? a : b);
+
+// Base for the engines: the block timestamp, the owner (OpenZeppelin's
+// Ownable) and the balance of each ERC-20 token the contract holds.
+// State is kept in plain fields (BigInts, Maps, objects) so a transaction
+// can snapshot and restore it.
+class ContractEngine {
+    constructor({ owner = ZERO_ADDRESS, timestamp = 0n } = {}) {
+        this.owner = owner;
+        this.timestamp = BigInt(timestamp);
+        this.holdings = new Map(); // token address => balance of this contract
+    }
+
+    // Run `body` as a transaction from `from` in a block at `timestamp`.
+    // If it reverts, every field is restored and the RevertError rethrown.
+    transact({ from, timestamp = this.timestamp } = {}, body) {
+        if (!from) throw new Error('A transaction needs a sender (from)');
+        timestamp = BigInt(timestamp);
+        if (timestamp < this.timestamp) throw new Error(`Block timestamp ${timestamp} is before ${this.timestamp}`);
+
+        const snapshot = structuredClone({ ...this });
+        this.timestamp = timestamp;
+        try {
+            return body({ sender: from, timestamp });
+        } catch (error) {
+            if (error instanceof RevertError) Object.assign(this, snapshot);
+            throw error;
+        }
+    }
+
+    onlyOwner(sender) {
+        check(sender === this.owner, 'Ownable: caller is not the owner');
+    }
+
+    balanceOfToken(token) {
+        return this.holdings.get(token) || 0n;
+    }
+
+    // Tokens sent to the contract by a plain ERC-20 transfer (e.g. rewards
+    // funding a farm)
+    receiveTokens(token, amount) {
+        this.holdings.set(token, this.balanceOfToken(token) + BigInt(amount));
+    }
+
+    // token.transferFrom(sender, this, amount); the sender is assumed to
+    // hold and have approved enough. A call to an address without code
+    // (a market or pool that was never added) reverts without a reason.
+    pullTokens(token, amount) {
+        check(token !== ZERO_ADDRESS, NO_REASON);
+        this.holdings.set(token, this.balanceOfToken(token) + amount);
+    }
+
+    // token.transfer(to, amount), with OpenZeppelin ERC20's balance check
+    pushTokens(token, amount) {
+        check(token !== ZERO_ADDRESS, NO_REASON);
+        check(this.balanceOfToken(token) >= amount, 'ERC20: transfer amount exceeds balance');
+        this.holdings.set(token, this.balanceOfToken(token) - amount);
+    }
+}
+
+module.exports = {
+    MAX_UINT256,
+    WAD,
+    ZERO_ADDRESS,
+    PANIC_ARITHMETIC,
+    PANIC_DIVISION_BY_ZERO,
+    NO_REASON,
+    RevertError,
+    check,
+    add,
+    sub,
+    mul,
+    div,
+    min,
+    toInt256,
+    subInt,
+    ContractEngine
+};
@@ -0,0 +1,208 @@
+// YieldFarm (DeFiDevelopment's staking farm) in exact uint256 arithmetic.
+// Rewards use reward-per-token accounting. Each pool accumulates
+//
+//   rewardPerToken += elapsed * rewardRate * 1e18 / totalStaked
+//
+// and a staker's reward is staked * (rewardPerToken - rewardPerTokenPaid) /
+// 1e18 on top of what was already credited. While nothing is staked the
+// accumulator stands still, and the rewards for that time are never paid.
+
+const { WAD, ZERO_ADDRESS, check, add, sub, mul, div, ContractEngine } = require('./solidity');
+
+const LOCK_PERIOD = 7n * 24n * 60n * 60n; // 7 days
+
+const emptyPool = () => ({
+    stakingToken: ZERO_ADDRESS,
+    rewardToken: ZERO_ADDRESS,
+    rewardRate: 0n,
+    lastUpdateTime: 0n,
+    rewardPerTokenStored: 0n,
+    totalStaked: 0n,
+    active: false
+});
+
+const emptyUser = () => ({ staked: 0n, rewardPerTokenPaid: 0n, rewards: 0n, lastStakeTime: 0n });
+
+class YieldFarmEngine extends ContractEngine {
+    constructor(options = {}) {
+        super(options);
+        this.pools = new Map(); // poolId => pool
+        this.users = new Map(); // `${poolId}/${user}` => user info
+        this.poolCount = 0n;
+    }
+
+    // The public mapping getters; these return copies
+    pool(poolId) {
+        return { ...(this.pools.get(BigInt(poolId)) || emptyPool()) };
+    }
+
+    userInfo(poolId, account) {
+        return { ...(this.users.get(`${poolId}/${account}`) || emptyUser()) };
+    }
+
+    poolStorage(poolId) {
+        poolId = BigInt(poolId);
+        if (!this.pools.has(poolId)) this.pools.set(poolId, emptyPool());
+        return this.pools.get(poolId);
+    }
+
+    userStorage(poolId, account) {
+        const key = `${poolId}/${account}`;
+        if (!this.users.has(key)) this.users.set(key, emptyUser());
+        return this.users.get(key);
+    }
+
+    // Returns the new pool's id
+    addPool(stakingToken, rewardToken, rewardRate, tx) {
+        return this.transact(tx, ({ sender, timestamp }) => {
+            this.onlyOwner(sender);
+            const poolId = this.poolCount;
+            this.pools.set(poolId, {
+                stakingToken,
+                rewardToken,
+                rewardRate,
+                lastUpdateTime: timestamp,
+                rewardPerTokenStored: 0n,
+                totalStaked: 0n,
+                active: true
+            });
+            this.poolCount = add(this.poolCount, 1n);
+            return poolId;
+        });
+    }
+
+    updateRewardRate(poolId, newRate, tx) {
+        return this.transact(tx, ({ sender }) => {
+            this.onlyOwner(sender);
+            check(poolId < this.poolCount, 'Pool does not exist');
+
+            this.updateReward(poolId, ZERO_ADDRESS);
+            this.poolStorage(poolId).rewardRate = newRate;
+        });
+    }
+
+    stake(poolId, amount, tx) {
+        return this.transact(tx, ({ sender, timestamp }) => {
+            check(poolId < this.poolCount, 'Pool does not exist');
+            check(amount > 0n, 'Cannot stake 0');
+            check(this.pool(poolId).active, 'Pool is not active');
+
+            this.updateReward(poolId, sender);
+
+            const pool = this.poolStorage(poolId);
+            const user = this.userStorage(poolId, sender);
+
+            this.pullTokens(pool.stakingToken, amount);
+
+            user.staked = add(user.staked, amount);
+            user.lastStakeTime = timestamp;
+            pool.totalStaked = add(pool.totalStaked, amount);
+        });
+    }
+
+    withdraw(poolId, amount, tx) {
+        return this.transact(tx, ({ sender, timestamp }) => {
+            check(poolId < this.poolCount, 'Pool does not exist');
+            check(amount > 0n, 'Cannot withdraw 0');
+
+            const user = this.userStorage(poolId, sender);
+            check(user.staked >= amount, 'Insufficient staked amount');
+            check(timestamp >= add(user.lastStakeTime, LOCK_PERIOD), 'Tokens are locked');
+
+            this.updateReward(poolId, sender);
+
+            const pool = this.poolStorage(poolId);
+
+            user.staked = sub(user.staked, amount);
+            pool.totalStaked = sub(pool.totalStaked, amount);
+
+            this.pushTokens(pool.stakingToken, amount);
+        });
+    }
+
+    // Returns the reward paid (0 when there is nothing to claim)
+    claimReward(poolId, tx) {
+        return this.transact(tx, ({ sender }) => {
+            check(poolId < this.poolCount, 'Pool does not exist');
+
+            this.updateReward(poolId, sender);
+
+            const user = this.userStorage(poolId, sender);
+            const reward = user.rewards;
+
+            if (reward > 0n) {
+                user.rewards = 0n;
+                this.pushTokens(this.pool(poolId).rewardToken, reward);
+            }
+            return reward;
+        });
+    }
+
+    // Stake back without rewards, skipping the lock
+    emergencyWithdraw(poolId, tx) {
+        return this.transact(tx, ({ sender }) => {
+            check(poolId < this.poolCount, 'Pool does not exist');
+
+            const user = this.userStorage(poolId, sender);
+            const amount = user.staked;
+
+            check(amount > 0n, 'No tokens to withdraw');
+
+            const pool = this.poolStorage(poolId);
+
+            user.staked = 0n;
+            user.rewards = 0n;
+            user.rewardPerTokenPaid = 0n;
+            pool.totalStaked = sub(pool.totalStaked, amount);
+
+            this.pushTokens(pool.stakingToken, amount);
+            return amount;
+        });
+    }
+
+    setPoolActive(poolId, active, tx) {
+        return this.transact(tx, ({ sender }) => {
+            this.onlyOwner(sender);
+            check(poolId < this.poolCount, 'Pool does not exist');
+            this.poolStorage(poolId).active = active;
+        });
+    }
+
+    // Checkpoint the pool's accumulator, and the account's rewards unless
+    // it is the zero address
+    updateReward(poolId, account) {
+        const pool = this.poolStorage(poolId);
+
+        pool.rewardPerTokenStored = this.rewardPerToken(poolId);
+        pool.lastUpdateTime = this.timestamp;
+
+        if (account !== ZERO_ADDRESS) {
+            const user = this.userStorage(poolId, account);
+            user.rewards = this.earned(poolId, account);
+            user.rewardPerTokenPaid = pool.rewardPerTokenStored;
+        }
+    }
+
+    // view: rewards per staked token (scaled by 1e18) at `timestamp`,
+    // by default the latest block's
+    rewardPerToken(poolId, { timestamp = this.timestamp } = {}) {
+        const pool = this.pool(poolId);
+
+        if (pool.totalStaked === 0n) {
+            return pool.rewardPerTokenStored;
+        }
+
+        const elapsed = sub(BigInt(timestamp), pool.lastUpdateTime);
+        return add(pool.rewardPerTokenStored, div(mul(mul(elapsed, pool.rewardRate), WAD), pool.totalStaked));
+    }
+
+    // view: rewards `account` could claim at `timestamp`
+    earned(poolId, account, { timestamp = this.timestamp } = {}) {
+        const user = this.userInfo(poolId, account);
+
+        const perToken = sub(this.rewardPerToken(poolId, { timestamp }), user.rewardPerTokenPaid);
+        return add(div(mul(user.staked, perToken), WAD), user.rewards);
+    }
+}
+
+module.exports = { YieldFarmEngine, LOCK_PERIOD };
@@ -1,5 +1,16 @@
 require('dotenv').config();
+const path = require('path');
 const { ethers } = require('ethers');
+const {
+    SimpleAMMEngine,
+    LendingPoolEngine,
+    YieldFarmEngine,
+    interestRates,
+    growIndex,
+    accrue,
+    SECONDS_PER_YEAR
+} = require('./engines');
+const { runDifferentialTests } = require('./differential');
 
 class DeFiDevelopment {
     constructor() {
@@ -248,7 +259,7 @@ contract LendingPool is ReentrancyGuard, Ownable {
         UserAccount storage account = userAccounts[msg.sender][asset];
         
         // Calculate accrued interest
-        uint256 suppliedWithInterest = (account.supplied * market.supplyIndex) / account.supplyIndex;
+        uint256 suppliedWithInterest = accrue(account.supplied, market.supplyIndex, account.supplyIndex);
         account.supplied = suppliedWithInterest + amount;
         account.supplyIndex = market.supplyIndex;
         
@@ -272,10 +283,11 @@ contract LendingPool is ReentrancyGuard, Ownable {
         UserAccount storage account = userAccounts[msg.sender][asset];
         
         // Calculate current balance with interest
-        uint256 currentBalance = (account.supplied * market.supplyIndex) / account.supplyIndex;
+        uint256 currentBalance = accrue(account.supplied, market.supplyIndex, account.supplyIndex);
         require(currentBalance >= amount, "Insufficient balance");
         
         account.supplied = currentBalance - amount;
+        account.supplyIndex = market.supplyIndex;
         market.totalSupply -= amount;
         
         // Check if withdrawal maintains healthy collateral ratio
@@ -296,21 +308,22 @@ contract LendingPool is ReentrancyGuard, Ownable {
         UserAccount storage account = userAccounts[msg.sender][asset];
         
         // Calculate accrued interest on existing borrow
-        uint256 borrowedWithInterest = (account.borrowed * market.borrowIndex) / account.borrowIndex;
+        uint256 borrowedWithInterest = accrue(account.borrowed, market.borrowIndex, account.borrowIndex);
         account.borrowed = borrowedWithInterest + amount;
         account.borrowIndex = market.borrowIndex;
         
         market.totalBorrow += amount;
         
+        // List the asset first, so the new debt counts in the check below
+        if (!isAssetInList(msg.sender, asset)) {
+            userAssets[msg.sender].push(asset);
+        }
+        
         // Check liquidity after borrow
         require(getAccountLiquidity(msg.sender) >= 0, "Borrow would exceed collateral");
         
         market.asset.transfer(msg.sender, amount);
         
-        if (!isAssetInList(msg.sender, asset)) {
-            userAssets[msg.sender].push(asset);
-        }
-        
         emit Borrow(msg.sender, asset, amount);
     }
     
@@ -323,10 +336,11 @@ contract LendingPool is ReentrancyGuard, Ownable {
         UserAccount storage account = userAccounts[msg.sender][asset];
         
         // Calculate current debt with interest
-        uint256 currentDebt = (account.borrowed * market.borrowIndex) / account.borrowIndex;
+        uint256 currentDebt = accrue(account.borrowed, market.borrowIndex, account.borrowIndex);
         uint256 repayAmount = amount > currentDebt ? currentDebt : amount;
         
         account.borrowed = currentDebt - repayAmount;
+        account.borrowIndex = market.borrowIndex;
         market.totalBorrow -= repayAmount;
         
         market.asset.transferFrom(msg.sender, address(this), repayAmount);
@@ -343,7 +357,7 @@ contract LendingPool is ReentrancyGuard, Ownable {
         UserAccount storage borrowerAccount = userAccounts[borrower][asset];
         
         // Calculate current debt
-        uint256 currentDebt = (borrowerAccount.borrowed * market.borrowIndex) / borrowerAccount.borrowIndex;
+        uint256 currentDebt = accrue(borrowerAccount.borrowed, market.borrowIndex, borrowerAccount.borrowIndex);
         require(amount <= currentDebt, "Amount exceeds debt");
         
         // Transfer repayment from liquidator
@@ -351,6 +365,7 @@ contract LendingPool is ReentrancyGuard, Ownable {
         
         // Reduce borrower's debt
         borrowerAccount.borrowed = currentDebt - amount;
+        borrowerAccount.borrowIndex = market.borrowIndex;
         market.totalBorrow -= amount;
         
         // Calculate liquidation bonus
@@ -381,6 +396,13 @@ contract LendingPool is ReentrancyGuard, Ownable {
         }
     }
     
+    // Principal recorded at accountIndex, grown to marketIndex. An account
+    // that never had a position has index 0 (and principal 0)
+    function accrue(uint256 principal, uint256 marketIndex, uint256 accountIndex) internal pure returns (uint256) {
+        if (accountIndex == 0) return principal;
+        return (principal * marketIndex) / accountIndex;
+    }
+    
     function getAccountLiquidity(address user) public view returns (int256) {
         uint256 totalCollateralValue = 0;
         uint256 totalBorrowValue = 0;
@@ -393,12 +415,12 @@ contract LendingPool is ReentrancyGuard, Ownable {
             UserAccount memory account = userAccounts[user][asset];
             
             if (account.supplied > 0) {
-                uint256 suppliedWithInterest = (account.supplied * market.supplyIndex) / account.supplyIndex;
+                uint256 suppliedWithInterest = accrue(account.supplied, market.supplyIndex, account.supplyIndex);
                 totalCollateralValue += (suppliedWithInterest * market.collateralFactor) / BASIS_POINTS;
             }
             
             if (account.borrowed > 0) {
-                uint256 borrowedWithInterest = (account.borrowed * market.borrowIndex) / account.borrowIndex;
+                uint256 borrowedWithInterest = accrue(account.borrowed, market.borrowIndex, account.borrowIndex);
                 totalBorrowValue += borrowedWithInterest;
             }
         }
@@ -648,7 +670,13 @@ function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut)
     uint numerator = amountInWithFee * reserveOut;
     uint denominator = reserveIn * 1000 + amountInWithFee;
     amountOut = numerator / denominator;
-}`
+}`,
+                example: () => {
+                    const pool = new SimpleAMMEngine({ tokenA: 'A', tokenB: 'B' });
+                    const [amountIn, reserveIn, reserveOut] = [ethers.parseEther('1'), ethers.parseEther('100'), ethers.parseEther('200')];
+                    const amountOut = pool.getAmountOut(amountIn, reserveIn, reserveOut);
+                    return `SimpleAMM.getAmountOut(1, 100, 200) = ${ethers.formatEther(amountOut)} (k grows from ${ethers.formatEther(reserveIn * reserveOut / 10n ** 18n)} to ${ethers.formatEther((reserveIn + amountIn) * (reserveOut - amountOut) / 10n ** 18n)})`;
+                }
             },
             
             compoundInterest: {
@@ -663,7 +691,18 @@ function calculateInterest(
 ) pure returns (uint) {
     // Simplified continuous compound interest
     return principal + (principal * rate * timeElapsed) / (365 * 24 * 3600);
-}`
+}`,
+                example: () => {
+                    // LendingPool at 50% utilization: 5% base rate + 30% * utilization
+                    const market = { totalSupply: ethers.parseEther('1000'), totalBorrow: ethers.parseEther('500'), baseRate: 500n, multiplier: 3000n };
+                    const { borrowRate } = interestRates(market);
+                    const start = 10n ** 18n;
+                    const yearly = growIndex(start, borrowRate, SECONDS_PER_YEAR);
+                    let daily = start;
+                    for (let day = 0; day < 365; day++) daily = growIndex(daily, borrowRate, SECONDS_PER_YEAR / 365n);
+                    const debt = index => ethers.formatEther(accrue(ethers.parseEther('100'), index, start));
+                    return `LendingPool borrow rate ${Number(borrowRate) / 100}%: 100 borrowed for a year owes ${debt(yearly)} with one index update, ${debt(daily)} with daily updates`;
+                }
             },
             
             liquidationRatio: {
@@ -678,7 +717,45 @@ function calculateHealthFactor(
 ) pure returns (uint) {
     if (debtValue == 0) return type(uint).max;
     return (collateralValue * liquidationThreshold) / (debtValue * 100);
-}`
+}`,
+                example: () => {
+                    // Borrow to the limit, then let a year of interest pass
+                    const [owner, borrower, lender] = ['0x0000000000000000000000000000000000000001', '0x0000000000000000000000000000000000000002', '0x0000000000000000000000000000000000000003'];
+                    const [usd, eur] = ['0x00000000000000000000000000000000000000aa', '0x00000000000000000000000000000000000000bb'];
+                    const pool = new LendingPoolEngine({ owner });
+                    pool.addMarket(usd, 7500n, 8000n, 500n, 3000n, { from: owner });
+                    pool.addMarket(eur, 7500n, 8000n, 500n, 3000n, { from: owner });
+                    pool.supply(eur, ethers.parseEther('2000'), { from: lender });
+                    pool.supply(usd, ethers.parseEther('1000'), { from: borrower });
+                    pool.borrow(eur, ethers.parseEther('750'), { from: borrower });
+                    const before = pool.getAccountLiquidity(borrower);
+                    // Any transaction on the market books the interest
+                    pool.supply(eur, 1n, { from: lender, timestamp: SECONDS_PER_YEAR });
+                    return `LendingPool liquidity = supplied * collateralFactor - debt: 1000 USD at 75% against 750 EUR is ${ethers.formatEther(before)}; a year later ${ethers.formatEther(pool.getAccountLiquidity(borrower))} (below 0 = liquidatable)`;
+                }
+            },
+
+            rewardPerToken: {
+                name: "Reward per Token (Staking)",
+                formula: "rewardPerToken += elapsed * rewardRate / totalStaked; earned = staked * (rewardPerToken - paid)",
+                explanation: "One accumulator per pool replaces a loop over stakers. Each staker records the accumulator at their last action.",
+                implementation: `
+function rewardPerToken(uint256 poolId) public view returns (uint256) {
+    Pool memory pool = pools[poolId];
+    if (pool.totalStaked == 0) return pool.rewardPerTokenStored;
+    return pool.rewardPerTokenStored +
+        (((block.timestamp - pool.lastUpdateTime) * pool.rewardRate * 1e18) / pool.totalStaked);
+}`,
+                example: () => {
+                    const [owner, alice, bob] = ['0x0000000000000000000000000000000000000001', '0x0000000000000000000000000000000000000002', '0x0000000000000000000000000000000000000003'];
+                    const token = '0x00000000000000000000000000000000000000aa';
+                    const farm = new YieldFarmEngine({ owner });
+                    farm.addPool(token, token, ethers.parseEther('1'), { from: owner });
+                    farm.stake(0n, ethers.parseEther('100'), { from: alice });
+                    farm.stake(0n, ethers.parseEther('300'), { from: bob, timestamp: 100n });
+                    const at = { timestamp: 200n };
+                    return `YieldFarm at 1 token/s: alice stakes 100 at t=0, bob 300 at t=100; at t=200 alice earned ${ethers.formatEther(farm.earned(0n, alice, at))}, bob ${ethers.formatEther(farm.earned(0n, bob, at))}`;
+                }
             }
         };
     }
@@ -729,7 +806,30 @@ function calculateHealthFactor(
             console.log(`   Explanation: ${model.explanation}`);
             console.log('   Implementation:');
             console.log(model.implementation);
+            console.log(`   Engine: ${model.example()}`);
+        });
+    }
+
+    // Run the compiled templates and the BigInt engines (./engines) side by side
+    async runDifferentialTests(buildDir = path.join(__dirname, 'build'), options = {}) {
+        console.log('\n🧮 Differential Tests: Solidity vs Reference Engines');
+        console.log('===================================================');
+        console.log('Every transaction runs on a local EVM and on the engine; return values, revert reasons and state must match to the wei.');
+
+        const results = await runDifferentialTests(this.defiProtocols, { buildDir, ...options });
+        results.forEach(result => {
+            const status = result.mismatches.length === 0 ? '✅ identical' : `❌ ${result.mismatches.length} mismatches`;
+            console.log(`\n🔹 ${result.contract}: ${result.steps} transactions (${result.reverts} reverted) ${status}`);
+            const outcomes = {};
+            result.log.filter(entry => entry.outcome !== 'ok' && entry.outcome !== 'time').forEach(entry => {
+                outcomes[entry.outcome] = (outcomes[entry.outcome] || 0) + 1;
+            });
+            Object.entries(outcomes).forEach(([reason, count]) => console.log(`   ↩️  "${reason}" x${count}`));
+            result.mismatches.slice(0, 5).forEach(mismatch => {
+                console.log(`   ⚠️  step ${mismatch.step} ${mismatch.label} (${mismatch.field}): contract ${mismatch.contract}, engine ${mismatch.engine}`);
+            });
         });
+        return results;
     }
 
     // Explain automated market makers
@@ -1020,6 +1120,9 @@ async function main() {
         // Protocol implementations
         defi.displayDeFiProtocols();
         
+        // Compiled contracts against the reference engines
+        await defi.runDifferentialTests();
+        
         // Composability
         defi.explainComposability();
         
@@ -1,4 +1,8 @@
 require('dotenv').config();
+const path = require('path');
+const { runVulnerabilityLab, buildAuditReport, writeAuditReport } = require('./vulnerability-lab');
+const { scanRepository } = require('./template-scanner');
+const { SEVERITIES, analyzeTemplates, buildStaticAnalysisReport, writeStaticAnalysisReport } = require('./static-analyzer');
 
 class SecurityAuditing {
     constructor() {
@@ -161,6 +165,11 @@ contract VulnerableAuction {
     address public highestBidder;
     uint256 public auctionEnd;
     
+    // Without a deadline auctionEnd stays 0 and every bid reverts
+    constructor(uint256 biddingTime) {
+        auctionEnd = block.timestamp + biddingTime;
+    }
+    
     function bid() public payable {
         require(block.timestamp < auctionEnd, "Auction ended");
         require(msg.value > highestBid, "Bid too low");
@@ -186,6 +195,12 @@ contract SecureAuction {
     uint256 public highestBid;
     address public highestBidder;
     
+    // Commits are taken until revealEnd, reveals until auctionEnd
+    constructor(uint256 commitTime, uint256 revealTime) {
+        revealEnd = block.timestamp + commitTime;
+        auctionEnd = revealEnd + revealTime;
+    }
+    
     // Phase 1: Commit (hide actual bid)
     function commitBid(bytes32 commitment) public payable {
         require(block.timestamp < revealEnd, "Commit phase ended");
@@ -203,7 +218,8 @@ contract SecureAuction {
         
         Bid storage bid = bids[msg.sender];
         require(!bid.revealed, "Already revealed");
-        require(bid.commitment == keccak256(abi.encodePacked(amount, nonce)), "Invalid reveal");
+        // The commitment includes the bidder, so copying someone else's is useless
+        require(bid.commitment == keccak256(abi.encodePacked(amount, nonce, msg.sender)), "Invalid reveal");
         require(bid.deposit >= amount, "Insufficient deposit");
         
         bid.revealed = true;
@@ -381,6 +397,61 @@ contract SecureAuction {
         });
     }
 
+    // Exploit every vulnerable/secure pair on a local EVM and write the audit report
+    async runVulnerabilityLab(buildDir = path.join(__dirname, 'build')) {
+        console.log('\n🧪 Vulnerability Lab');
+        console.log('====================');
+        console.log('Each pair is deployed to its own local EVM next to an attacker contract, and the same exploit runs against both.');
+
+        const results = await runVulnerabilityLab(this.vulnerabilityExamples, { buildDir });
+        const report = buildAuditReport(results);
+
+        results.findings.forEach(finding => {
+            console.log(`\n🔹 ${finding.title} (${finding.severity}) - attacker: ${finding.attacker}`);
+            [['❌ Vulnerable', finding.vulnerable], ['✅ Secure', finding.secure]].forEach(([label, side]) => {
+                console.log(`   ${label}: ${side.contract} (solc ${side.compiler.split('+')[0]}) ${side.exploited ? '🔴 EXPLOITED' : '🟢 held'}`);
+                side.steps.forEach(step => {
+                    const outcome = step.status === 'success' ? 'ok' : `reverted: "${step.reason}"`;
+                    console.log(`      • ${step.action}: ${outcome} (${step.gasUsed.toLocaleString()} gas)`);
+                });
+                side.observations.forEach(observation => console.log(`      👁️  ${observation}`));
+            });
+            console.log(`   Verdict: ${finding.verdict === 'confirmed' ? '✅ confirmed' : '⚠️ unexpected'}`);
+        });
+
+        const files = writeAuditReport(report, buildDir);
+        console.log(`\n📋 ${report.summary.confirmed}/${report.summary.findings} findings confirmed`);
+        console.log(`📄 Audit report: ${path.relative(process.cwd(), files.markdown)}, ${path.relative(process.cwd(), files.json)}`);
+        return report;
+    }
+
+    // Run the static analyzer over every Solidity template in the repository
+    runStaticAnalysis(root = path.join(__dirname, '..', '..'), buildDir = path.join(__dirname, 'build')) {
+        console.log('\n🔎 Static Analysis');
+        console.log('==================');
+
+        const templates = scanRepository(root);
+        const results = analyzeTemplates(templates);
+        const report = buildStaticAnalysisReport(results, { root });
+        const { summary } = report;
+        console.log(`Parsed ${summary.sources - summary.unparsed}/${summary.sources} Solidity templates found in .js files`);
+        console.log(`Findings: ${SEVERITIES.map(severity => `${summary.bySeverity[severity]} ${severity}`).join(', ')}`);
+
+        report.findings.forEach(finding => {
+            const { file, line, column } = finding.location;
+            console.log(`\n   [${finding.severity}] ${finding.title} - ${finding.contract}.${finding.function}`);
+            console.log(`      📍 ${file}:${line}:${column}`);
+            console.log(`      ${finding.message.replace(/`/g, '')}`);
+        });
+        report.sources.filter(source => source.error).forEach(source => {
+            console.log(`\n   ⚠️  ${source.file}:${source.line} did not parse: ${source.error}`);
+        });
+
+        const files = writeStaticAnalysisReport(report, buildDir);
+        console.log(`\n📄 Static analysis report: ${path.relative(process.cwd(), files.markdown)}, ${path.relative(process.cwd(), files.json)}`);
+        return report;
+    }
+
     // Explain security tools
     explainSecurityTools() {
         console.log('\n🛠️ Security Analysis Tools');
@@ -654,6 +725,12 @@ async function main() {
         // Vulnerability examples
         security.displayVulnerabilityExamples();
         
+        // Exploit them on a local EVM
+        await security.runVulnerabilityLab();
+        
+        // Static analysis of every template in the repo
+        security.runStaticAnalysis();
+        
         // Security tools
         security.explainSecurityTools();
         
@@ -0,0 +1,613 @@
+// A small Solidity static analyzer in the spirit of Slither: source is parsed
+// into solc's AST (see core/compiler.js parse()) and every contract is run
+// through a set of rules. Findings carry a severity and a file/line/column.
+//
+// The rules work on syntax alone (no type checking), so they are
+// heuristics: they know which names are state variables, storage pointers,
+// contract-typed variables and locals, but not which overload a call
+// resolves to.
+//
+//   const { findings } = analyzeSource(source, { file: 'Bank.sol' });
+//   const results = analyzeTemplates(scanRepository(repoRoot));
+//   writeStaticAnalysisReport(buildStaticAnalysisReport(results, { root: repoRoot }), './build');
+
+const fs = require('fs');
+const path = require('path');
+const { parse, CompilationError } = require('../core');
+
+const SEVERITIES = ['High', 'Medium', 'Low', 'Informational'];
+
+const LOW_LEVEL_CALLS = new Set(['call', 'delegatecall', 'staticcall', 'send']);
+// Internal OpenZeppelin helpers that call onERC721Received on the receiver
+const RECEIVER_HOOKS = new Set(['_safeMint', '_safeTransfer']);
+const HASH_FUNCTIONS = new Set(['keccak256', 'sha256', 'ripemd160']);
+const BLOCK_ENTROPY = new Set(['timestamp', 'difficulty', 'prevrandao', 'number', 'coinbase']);
+const REENTRANCY_GUARDS = /^(nonReentrant|noReentrancy|noReentrant|lock|mutex)$/i;
+const AUTH_MODIFIERS = /only|auth|owner|admin|role|restricted|governance|guardian|whitelist/i;
+const PRIVILEGED_FUNCTIONS = /^(set|mint|burn|pause|unpause|upgrade|withdraw|transferOwnership|renounceOwnership|initiali[sz]e|init|kill|destroy|change|update|grant|revoke|emergency|sweep|rescue)/i;
+const PRIVILEGED_VARIABLES = /owner|admin|governance|paused|fee|rate|price|oracle|implementation|treasury/i;
+
+// --- AST helpers ---
+
+// Call visit(node, parents) for every node under `node`
+function walk(node, visit, parents = []) {
+    if (Array.isArray(node)) {
+        node.forEach(child => walk(child, visit, parents));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+    if (node.nodeType) visit(node, parents);
+    const chain = node.nodeType ? [...parents, node] : parents;
+    for (const [key, value] of Object.entries(node)) {
+        if (key !== 'typeDescriptions' && value && typeof value === 'object') walk(value, visit, chain);
+    }
+}
+
+function collect(node, predicate) {
+    const found = [];
+    walk(node, (child, parents) => {
+        if (predicate(child, parents)) found.push({ node: child, parents });
+    });
+    return found;
+}
+
+const offsetOf = node => Number(node.src.split(':')[0]);
+const endOf = node => offsetOf(node) + Number(node.src.split(':')[1]);
+
+const isMember = (node, object, member) => node.nodeType === 'MemberAccess'
+    && node.expression.nodeType === 'Identifier' && node.expression.name === object && node.memberName === member;
+
+const isMsgSender = node => isMember(node, 'msg', 'sender')
+    || (node.nodeType === 'FunctionCall' && node.expression.nodeType === 'Identifier' && node.expression.name === '_msgSender');
+
+// The variable an lvalue or member chain starts from: `balances[a].b` -> balances
+function rootIdentifier(expression) {
+    let node = expression;
+    while (node) {
+        if (node.nodeType === 'Identifier') return node;
+        if (node.nodeType === 'IndexAccess' || node.nodeType === 'IndexRangeAccess') node = node.baseExpression;
+        else if (node.nodeType === 'MemberAccess') node = node.expression;
+        else return null;
+    }
+    return null;
+}
+
+function typeNameOf(typeName) {
+    if (!typeName) return null;
+    if (typeName.nodeType === 'UserDefinedTypeName') return typeName.pathNode ? typeName.pathNode.name : typeName.name;
+    return null;
+}
+
+// Short source text for a call, e.g. "msg.sender.call{value: ...}"
+function describeCallee(node) {
+    const expression = node.nodeType === 'FunctionCallOptions' ? node.expression : node;
+    if (expression.nodeType === 'Identifier') return expression.name;
+    if (expression.nodeType === 'MemberAccess') {
+        const base = describeCallee(expression.expression);
+        const options = node.nodeType === 'FunctionCallOptions' ? `{${node.names.join(', ')}}` : '';
+        return `${base}.${expression.memberName}${options}`;
+    }
+    if (expression.nodeType === 'FunctionCall') return `${describeCallee(expression.expression)}(...)`;
+    if (expression.nodeType === 'IndexAccess') return `${describeCallee(expression.baseExpression)}[...]`;
+    if (expression.nodeType === 'ElementaryTypeNameExpression') return expression.typeName.name;
+    return '...';
+}
+
+// --- Contract and function models ---
+
+// What the rules need to know about one source unit
+function describeUnit(unit) {
+    const contracts = new Map();
+    const structs = new Set();
+    const structMembers = new Map();
+    const libraries = new Set();
+    walk(unit, node => {
+        if (node.nodeType === 'ContractDefinition') {
+            contracts.set(node.name, node);
+            if (node.contractKind === 'library') libraries.add(node.name);
+        }
+        if (node.nodeType === 'StructDefinition' || node.nodeType === 'EnumDefinition' || node.nodeType === 'UserDefinedValueTypeDefinition') {
+            structs.add(node.name);
+        }
+        if (node.nodeType === 'StructDefinition') {
+            structMembers.set(node.name, new Map(node.members.map(member => [member.name, member.typeName])));
+        }
+    });
+    return { contracts, structs, structMembers, libraries };
+}
+
+// Is `typeName` a contract or interface (something calls on it leave the contract)?
+function isContractType(name, unit) {
+    // Dotted names are library or contract-scoped structs, e.g. Counters.Counter
+    if (!name || name.includes('.') || unit.structs.has(name) || unit.libraries.has(name)) return false;
+    return unit.contracts.has(name) || /^I[A-Z]/.test(name) || /^[A-Z]/.test(name);
+}
+
+// State variables of a contract, including those of bases in the same unit
+function stateVariablesOf(contract, unit, seen = new Set()) {
+    const variables = new Map();
+    if (seen.has(contract.name)) return variables;
+    seen.add(contract.name);
+    for (const base of contract.baseContracts || []) {
+        const definition = unit.contracts.get(base.baseName.name || (base.baseName.pathNode && base.baseName.pathNode.name));
+        if (definition) stateVariablesOf(definition, unit, seen).forEach((value, key) => variables.set(key, value));
+    }
+    for (const node of contract.nodes) {
+        // Only state variables sit directly in a contract (`stateVariable` is set after parsing)
+        if (node.nodeType === 'VariableDeclaration') variables.set(node.name, node);
+    }
+    return variables;
+}
+
+// Everything the rules look at inside one function
+function describeFunction(fn, contract, unit, stateVariables) {
+    const locals = new Map();
+    for (const parameter of [...fn.parameters.parameters, ...(fn.returnParameters ? fn.returnParameters.parameters : [])]) {
+        if (parameter.name) locals.set(parameter.name, parameter);
+    }
+    walk(fn.body, node => {
+        if (node.nodeType === 'VariableDeclaration' && node.name) locals.set(node.name, node);
+    });
+
+    const context = { fn, contract, unit, stateVariables, locals };
+
+    // Name of the state variable an lvalue writes, or null
+    context.stateVariableOf = expression => {
+        const root = rootIdentifier(expression);
+        if (!root) return null;
+        const local = locals.get(root.name);
+        if (local) return local.storageLocation === 'storage' ? `${root.name} (storage pointer)` : null;
+        const variable = stateVariables.get(root.name);
+        return variable && !variable.constant && variable.mutability !== 'immutable' ? root.name : null;
+    };
+
+    // Declared type of an expression built from variables, struct members,
+    // mapping and array lookups: `pools[id].rewardToken` -> IERC20
+    context.typeOf = expression => {
+        if (expression.nodeType === 'Identifier') {
+            const declaration = locals.get(expression.name) || stateVariables.get(expression.name);
+            return declaration ? declaration.typeName : null;
+        }
+        if (expression.nodeType === 'IndexAccess') {
+            const type = context.typeOf(expression.baseExpression);
+            if (!type) return null;
+            if (type.nodeType === 'Mapping') return type.valueType;
+            return type.nodeType === 'ArrayTypeName' ? type.baseType : null;
+        }
+        if (expression.nodeType === 'MemberAccess') {
+            const members = unit.structMembers.get(typeNameOf(context.typeOf(expression.expression)));
+            return members ? members.get(expression.memberName) || null : null;
+        }
+        return null;
+    };
+
+    context.writes = [];
+    walk(fn.body, node => {
+        const targets = [];
+        if (node.nodeType === 'Assignment') {
+            const left = node.leftHandSide;
+            targets.push(...(left.nodeType === 'TupleExpression' ? left.components.filter(Boolean) : [left]));
+        } else if (node.nodeType === 'UnaryOperation' && ['++', '--', 'delete'].includes(node.operator)) {
+            targets.push(node.subExpression);
+        } else if (node.nodeType === 'FunctionCall' && node.expression.nodeType === 'MemberAccess' && ['push', 'pop'].includes(node.expression.memberName)) {
+            targets.push(node.expression.expression);
+        }
+        for (const target of targets) {
+            const variable = context.stateVariableOf(target);
+            if (variable) context.writes.push({ node, variable });
+        }
+    });
+
+    context.calls = collect(fn.body, node => node.nodeType === 'FunctionCall')
+        .map(({ node, parents }) => ({ node, parents, ...classifyCall(node, context) }))
+        .filter(call => call.kind);
+
+    context.modifiers = (fn.modifiers || []).map(modifier => modifier.modifierName.name || (modifier.modifierName.pathNode && modifier.modifierName.pathNode.name));
+    context.usesMsgSender = collect(fn.body, isMsgSender).length > 0;
+    context.isStateChanging = !['view', 'pure'].includes(fn.stateMutability);
+    context.isEntryPoint = ['public', 'external'].includes(fn.visibility) || ['receive', 'fallback'].includes(fn.kind);
+    return context;
+}
+
+// kind: 'low-level' (call/delegatecall/staticcall/send), 'transfer'
+// (address.transfer, 2300 gas), 'external' (a function on another
+// contract), 'hook' (_safeMint and friends, which call the receiver) or
+// null for everything else
+function classifyCall(node, context) {
+    let callee = node.expression;
+    let options = [];
+    if (callee.nodeType === 'FunctionCallOptions') {
+        options = callee.names;
+        callee = callee.expression;
+    }
+    if (callee.nodeType === 'Identifier' && RECEIVER_HOOKS.has(callee.name)) return { kind: 'hook', member: callee.name, sendsValue: false };
+    if (callee.nodeType !== 'MemberAccess') return { kind: null };
+
+    const member = callee.memberName;
+    const base = callee.expression;
+    if (LOW_LEVEL_CALLS.has(member)) return { kind: 'low-level', member, sendsValue: options.includes('value') || member === 'send' };
+    if (member === 'transfer' && node.arguments.length === 1) return { kind: 'transfer', member, sendsValue: true };
+
+    // IToken(address).method(...)
+    if (base.nodeType === 'FunctionCall' && base.expression.nodeType === 'Identifier' && base.arguments.length === 1
+        && isContractType(base.expression.name, context.unit) && !context.unit.structs.has(base.expression.name)) {
+        return { kind: 'external', member, sendsValue: options.includes('value') };
+    }
+    // token.method(...), markets[asset].token.method(...) where the base is contract-typed
+    if (isContractType(typeNameOf(context.typeOf(base)), context.unit)) {
+        return { kind: 'external', member, sendsValue: options.includes('value') };
+    }
+    return { kind: null };
+}
+
+// Follow a variable holding a hashed seed through its later uses (and one
+// level of internal calls it is passed to); returns the name of the
+// function where it is reduced with `%`, or null
+function findModuloUse(name, after, fn, contract, depth = 1) {
+    const uses = collect(fn.body, node => node.nodeType === 'Identifier' && node.name === name && offsetOf(node) > after);
+    for (const { node, parents } of uses) {
+        if (parents.some(parent => parent.nodeType === 'BinaryOperation' && parent.operator === '%')) return fn.name;
+    }
+    if (depth === 0) return null;
+    for (const { node, parents } of uses) {
+        const call = [...parents].reverse().find(parent => parent.nodeType === 'FunctionCall');
+        if (!call || call.expression.nodeType !== 'Identifier') continue;
+        const index = call.arguments.findIndex(argument => argument === node || parents.includes(argument));
+        const callee = contract.nodes.find(member => member.nodeType === 'FunctionDefinition' && member.name === call.expression.name
+            && member.body && member.parameters.parameters.length === call.arguments.length);
+        const parameter = callee && index !== -1 && callee.parameters.parameters[index];
+        const found = parameter && parameter.name && findModuloUse(parameter.name, -1, callee, contract, depth - 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+// --- Rules ---
+//
+// Each rule looks at one function at a time and returns
+// [{ node, severity, message }]; severity defaults to the rule's.
+
+const RULES = [
+    {
+        id: 'reentrancy',
+        title: 'State written after an external call',
+        severity: 'High',
+        description: 'A state variable is written after a call to another contract or address. The callee can re-enter the function and act on the stale value.',
+        recommendation: 'Follow checks-effects-interactions: update state before the external call, or guard the function with nonReentrant.',
+        check(context) {
+            if (context.modifiers.some(name => REENTRANCY_GUARDS.test(name))) return [];
+            return context.calls
+                .filter(call => call.kind !== 'transfer')
+                .map(call => {
+                    const later = context.writes.filter(write => offsetOf(write.node) >= endOf(call.node));
+                    if (later.length === 0) return null;
+                    const variables = [...new Set(later.map(write => `\`${write.variable}\``))].join(', ');
+                    return {
+                        node: call.node,
+                        severity: call.sendsValue ? 'High' : 'Medium',
+                        message: `\`${describeCallee(call.node.expression)}\` is called before ${variables} ${later.length === 1 ? 'is' : 'are'} written`
+                    };
+                })
+                .filter(Boolean);
+        }
+    },
+    {
+        id: 'missing-access-control',
+        title: 'State-changing function without access control',
+        severity: 'High',
+        description: 'A public or external function changes state with no access modifier and no check on msg.sender, so any account can call it.',
+        recommendation: 'Restrict it with a modifier such as onlyOwner or onlyRole, or check msg.sender explicitly.',
+        check(context) {
+            const { fn, contract } = context;
+            if (contract.contractKind !== 'contract' || fn.kind !== 'function' || !fn.body) return [];
+            if (!context.isEntryPoint || !context.isStateChanging || context.usesMsgSender) return [];
+            // Payable functions are gated by what they charge (public mints, deposits)
+            if (fn.stateMutability === 'payable') return [];
+            if (context.modifiers.some(name => AUTH_MODIFIERS.test(name))) return [];
+            const variables = [...new Set(context.writes.map(write => write.variable))];
+            if (variables.length === 0) return [];
+            const privileged = PRIVILEGED_FUNCTIONS.test(fn.name) || variables.some(name => PRIVILEGED_VARIABLES.test(name));
+            return [{
+                node: fn,
+                severity: privileged ? 'High' : 'Medium',
+                message: `\`${fn.name}()\` is ${fn.visibility}, writes ${variables.map(name => `\`${name}\``).join(', ')} and never checks the caller`
+            }];
+        }
+    },
+    {
+        id: 'tx-origin',
+        title: 'Authorization with tx.origin',
+        severity: 'High',
+        description: 'tx.origin is the account that started the transaction, not the caller. A contract the owner interacts with can pass an owner-only check.',
+        recommendation: 'Authorize with msg.sender. To reject contract callers, use a design that does not depend on it.',
+        check(context) {
+            return collect(context.fn.body, node => isMember(node, 'tx', 'origin')).map(({ node, parents }) => {
+                const parent = parents[parents.length - 1];
+                if (parent && parent.nodeType === 'BinaryOperation' && ['==', '!='].includes(parent.operator)) {
+                    const other = parent.leftExpression === node ? parent.rightExpression : parent.leftExpression;
+                    if (isMsgSender(other)) {
+                        return { node: parent, severity: 'Informational', message: '`tx.origin == msg.sender` blocks contract callers, including smart-contract wallets' };
+                    }
+                    return { node: parent, message: `\`tx.origin\` is compared with \`${describeCallee(other)}\` for authorization` };
+                }
+                if (parent && parent.nodeType === 'Assignment' && parent.rightHandSide === node) {
+                    return { node: parent, severity: 'Medium', message: '`tx.origin` is stored; any later check against it trusts the transaction origin' };
+                }
+                return { node, severity: 'Low', message: '`tx.origin` is used' };
+            });
+        }
+    },
+    {
+        id: 'unchecked-call',
+        title: 'Unchecked low-level call',
+        severity: 'Medium',
+        description: 'call, delegatecall, staticcall and send return false instead of reverting. If the result is ignored, a failed call looks like a successful one.',
+        recommendation: 'Check the returned success flag: require(success, "...").',
+        check(context) {
+            const findings = [];
+            for (const call of context.calls.filter(call => call.kind === 'low-level')) {
+                const parent = call.parents[call.parents.length - 1];
+                const name = describeCallee(call.node.expression);
+                let flag = null;
+                if (parent.nodeType === 'ExpressionStatement') {
+                    findings.push({ node: call.node, message: `The return value of \`${name}\` is ignored` });
+                    continue;
+                }
+                if (parent.nodeType === 'VariableDeclarationStatement') {
+                    const declaration = parent.declarations[0];
+                    if (!declaration) {
+                        findings.push({ node: call.node, message: `The success flag of \`${name}\` is discarded` });
+                        continue;
+                    }
+                    flag = declaration;
+                } else if (parent.nodeType === 'Assignment') {
+                    const left = parent.leftHandSide.nodeType === 'TupleExpression' ? parent.leftHandSide.components[0] : parent.leftHandSide;
+                    if (!left || left.nodeType !== 'Identifier') continue;
+                    flag = { name: left.name, node: left };
+                } else {
+                    continue; // used directly, e.g. require(x.send(1))
+                }
+                const uses = collect(context.fn.body, node => node.nodeType === 'Identifier' && node.name === flag.name && offsetOf(node) > endOf(call.node));
+                if (uses.length === 0) findings.push({ node: call.node, message: `\`${flag.name}\` holds the result of \`${name}\` but is never checked` });
+            }
+            return findings;
+        }
+    },
+    {
+        id: 'weak-randomness',
+        title: 'Block data used as randomness',
+        severity: 'High',
+        description: 'block.timestamp, block.prevrandao, block.number and blockhash are known to, or chosen by, the block producer. Values derived from them can be predicted or steered.',
+        recommendation: 'Use a verifiable randomness source (e.g. Chainlink VRF) or a commit-reveal scheme.',
+        check(context) {
+            const sources = collect(context.fn.body, node => (node.nodeType === 'MemberAccess' && node.expression.nodeType === 'Identifier' && node.expression.name === 'block' && BLOCK_ENTROPY.has(node.memberName))
+                || (node.nodeType === 'Identifier' && node.name === 'now' && !context.locals.has('now'))
+                || (node.nodeType === 'FunctionCall' && node.expression.nodeType === 'Identifier' && node.expression.name === 'blockhash'));
+            const findings = new Map();
+            for (const { node, parents } of sources) {
+                const modulo = parents.find(parent => parent.nodeType === 'BinaryOperation' && parent.operator === '%');
+                const hash = parents.find(parent => parent.nodeType === 'FunctionCall' && parent.expression.nodeType === 'Identifier' && HASH_FUNCTIONS.has(parent.expression.name));
+                if (!modulo && !hash) continue;
+                const at = modulo || hash;
+                // A hash stored in a local may still be reduced with % later on
+                let seed = null;
+                if (!modulo) {
+                    // Step out of casts: uint256(keccak256(...))
+                    let index = parents.indexOf(hash) - 1;
+                    while (index >= 0 && ['FunctionCall', 'TupleExpression'].includes(parents[index].nodeType)) index--;
+                    const parent = parents[index];
+                    const holder = parent && parent.nodeType === 'VariableDeclarationStatement' ? parent.declarations[0]
+                        : parent && parent.nodeType === 'Assignment' && parent.leftHandSide.nodeType === 'Identifier' ? parent.leftHandSide : null;
+                    const reducedIn = holder && findModuloUse(holder.name, endOf(hash), context.fn, context.contract);
+                    if (reducedIn) seed = { name: holder.name, reducedIn };
+                }
+                const source = node.nodeType === 'FunctionCall' ? 'blockhash' : node.nodeType === 'Identifier' ? 'now' : `block.${node.memberName}`;
+                const existing = findings.get(at);
+                if (existing) {
+                    existing.sources.add(source);
+                    continue;
+                }
+                findings.set(at, { node: at, severity: modulo || seed ? 'High' : 'Low', sources: new Set([source]), modulo: Boolean(modulo), seed });
+            }
+            return [...findings.values()].map(({ node, severity, sources, modulo, seed }) => {
+                const names = [...sources].map(source => `\`${source}\``).join(', ');
+                let message = `${names} hashed; predictable if used as randomness`;
+                if (modulo) message = `${names} reduced with \`%\` to pick a value`;
+                else if (seed) message = `${names} hashed into \`${seed.name}\`, which \`${seed.reducedIn}()\` reduces with \`%\` to pick a value`;
+                return { node, severity, message };
+            });
+        }
+    },
+    {
+        id: 'unbounded-loop',
+        title: 'Loop bounded by growing state',
+        severity: 'Medium',
+        description: 'The loop runs once per element of a storage array (or up to a state variable) that grows over time. Eventually it needs more gas than a block holds, and the function stops working.',
+        recommendation: 'Bound the iterations (pagination, a maximum length) or let users pull their own entries.',
+        check(context) {
+            const loops = collect(context.fn.body, node => ['ForStatement', 'WhileStatement', 'DoWhileStatement'].includes(node.nodeType));
+            return loops.map(({ node }) => {
+                if (!node.condition) return null;
+                const bounds = collect(node.condition, child => child.nodeType === 'MemberAccess' && child.memberName === 'length')
+                    .map(({ node: length }) => context.stateVariableOf(length.expression) && `${describeCallee(length.expression)}.length`)
+                    .filter(Boolean);
+                collect(node.condition, child => child.nodeType === 'Identifier').forEach(({ node: identifier, parents }) => {
+                    const inLength = parents.some(parent => parent.nodeType === 'MemberAccess' && parent.memberName === 'length');
+                    if (!inLength && context.stateVariableOf(identifier)) bounds.push(identifier.name);
+                });
+                if (bounds.length === 0) return null;
+                const kind = { ForStatement: 'for', WhileStatement: 'while', DoWhileStatement: 'do-while' }[node.nodeType];
+                return {
+                    node,
+                    severity: context.isStateChanging ? 'Medium' : 'Low',
+                    message: `\`${kind}\` loop bounded by ${[...new Set(bounds)].map(bound => `\`${bound}\``).join(', ')}${context.isStateChanging ? '' : ' (view: on-chain callers pay for it)'}`
+                };
+            }).filter(Boolean);
+        }
+    }
+];
+
+// --- Running the rules ---
+
+// Byte offsets (solc's `src`) -> line and column in the source, then in
+// the file the source came from
+function locator(source, origin) {
+    const bytes = Buffer.from(source, 'utf8');
+    const lines = source.split('\n');
+    return node => {
+        const index = bytes.subarray(0, offsetOf(node)).toString('utf8').length;
+        const before = source.slice(0, index);
+        const line = before.split('\n').length;
+        const column = index - before.lastIndexOf('\n');
+        return {
+            file: origin.file,
+            line: (origin.line || 1) + line - 1,
+            column: line === 1 ? (origin.column || 1) + column - 1 : column,
+            snippet: (lines[line - 1] || '').trim()
+        };
+    };
+}
+
+// Analyze one Solidity source. `origin` ({ file, line, column }) is where
+// the source starts, for sources embedded in other files. Returns
+// { contracts, findings }; throws CompilationError if it does not parse.
+function analyzeSource(source, origin = {}, rules = RULES) {
+    const ast = parse(source);
+    const unit = describeUnit(ast);
+    const locate = locator(source, origin);
+
+    const findings = [];
+    for (const contract of unit.contracts.values()) {
+        if (contract.contractKind === 'interface') continue;
+        const stateVariables = stateVariablesOf(contract, unit);
+        for (const fn of contract.nodes.filter(node => node.nodeType === 'FunctionDefinition' && node.body)) {
+            const context = describeFunction(fn, contract, unit, stateVariables);
+            for (const rule of rules) {
+                for (const result of rule.check(context)) {
+                    findings.push({
+                        rule: rule.id,
+                        title: rule.title,
+                        severity: result.severity || rule.severity,
+                        contract: contract.name,
+                        function: fn.kind === 'function' ? fn.name : fn.kind,
+                        message: result.message,
+                        location: locate(result.node)
+                    });
+                }
+            }
+        }
+    }
+    findings.sort((a, b) => a.location.line - b.location.line || a.location.column - b.location.column);
+    return { contracts: [...unit.contracts.keys()], findings };
+}
+
+// Analyze templates from template-scanner.js. Returns { sources, findings }:
+// one entry per template (with its finding count or parse error) and all
+// findings, most severe first.
+function analyzeTemplates(templates, rules = RULES) {
+    const sources = [];
+    const findings = [];
+    for (const template of templates) {
+        const entry = { file: template.file, line: template.line, contracts: template.contracts, findings: 0, error: null };
+        try {
+            const result = analyzeSource(template.source, template, rules);
+            entry.findings = result.findings.length;
+            findings.push(...result.findings);
+        } catch (error) {
+            if (!(error instanceof CompilationError)) throw error;
+            entry.error = error.errors[0].split('\n')[0];
+        }
+        sources.push(entry);
+    }
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    return { sources, findings };
+}
+
+// The results as a report object; file paths are made relative to `root`
+function buildStaticAnalysisReport({ sources, findings }, { root = process.cwd(), rules = RULES, generatedAt = new Date() } = {}) {
+    const relative = file => path.relative(root, file) || file;
+    const count = (items, key) => items.reduce((counts, item) => ({ ...counts, [item[key]]: (counts[item[key]] || 0) + 1 }), {});
+    return {
+        title: 'Solidity Static Analysis Report',
+        generatedAt: generatedAt.toISOString(),
+        rules: rules.map(({ id, title, severity, description, recommendation }) => ({ id, title, severity, description, recommendation })),
+        summary: {
+            sources: sources.length,
+            unparsed: sources.filter(source => source.error).length,
+            findings: findings.length,
+            bySeverity: Object.fromEntries(SEVERITIES.map(severity => [severity, findings.filter(finding => finding.severity === severity).length])),
+            byRule: count(findings, 'rule')
+        },
+        sources: sources.map(source => ({ ...source, file: relative(source.file) })),
+        findings: findings.map(finding => ({ ...finding, location: { ...finding.location, file: relative(finding.location.file) } }))
+    };
+}
+
+const escapeCell = text => String(text).replace(/\|/g, '\\|');
+
+// The report as Markdown
+function renderStaticAnalysisReport(report) {
+    const lines = [
+        `# ${report.title}`,
+        '',
+        `Generated ${report.generatedAt}. ${report.summary.sources} sources analyzed, ${report.summary.findings} findings.`,
+        '',
+        '## Summary',
+        '',
+        '| Rule | Findings | ' + SEVERITIES.join(' | ') + ' |',
+        '|------|----------|' + SEVERITIES.map(() => '---').join('|') + '|'
+    ];
+    for (const rule of report.rules) {
+        const ruleFindings = report.findings.filter(finding => finding.rule === rule.id);
+        const bySeverity = SEVERITIES.map(severity => ruleFindings.filter(finding => finding.severity === severity).length || '-');
+        lines.push(`| ${rule.title} (\`${rule.id}\`) | ${ruleFindings.length} | ${bySeverity.join(' | ')} |`);
+    }
+
+    lines.push('', '## Findings', '');
+    if (report.findings.length === 0) lines.push('No findings.', '');
+    const files = [...new Set(report.findings.map(finding => finding.location.file))].sort();
+    for (const file of files) {
+        lines.push(`### ${file}`, '', '| Line | Severity | Rule | Where | Finding |', '|------|----------|------|-------|---------|');
+        report.findings
+            .filter(finding => finding.location.file === file)
+            .sort((a, b) => a.location.line - b.location.line)
+            .forEach(finding => {
+                lines.push(`| ${finding.location.line}:${finding.location.column} | ${finding.severity} | ${finding.rule} | \`${finding.contract}.${finding.function}\` | ${escapeCell(finding.message)} |`);
+            });
+        lines.push('');
+    }
+
+    const unparsed = report.sources.filter(source => source.error);
+    if (unparsed.length > 0) {
+        lines.push('## Sources That Did Not Parse', '');
+        unparsed.forEach(source => lines.push(`- ${source.file}:${source.line}: ${escapeCell(source.error)}`));
+        lines.push('');
+    }
+
+    lines.push('## Rules', '');
+    for (const rule of report.rules) {
+        lines.push(`- **${rule.title}** (\`${rule.id}\`, up to ${rule.severity}): ${rule.description} *Fix:* ${rule.recommendation}`);
+    }
+    return `${lines.join('\n').trim()}\n`;
+}
+
+// Write static-analysis.json and static-analysis.md into `dir`
+function writeStaticAnalysisReport(report, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const json = path.join(dir, 'static-analysis.json');
+    const markdown = path.join(dir, 'static-analysis.md');
+    fs.writeFileSync(json, `${JSON.stringify(report, null, 2)}\n`);
+    fs.writeFileSync(markdown, renderStaticAnalysisReport(report));
+    return { json, markdown };
+}
+
+module.exports = {
+    SEVERITIES,
+    RULES,
+    walk,
+    analyzeSource,
+    analyzeTemplates,
+    buildStaticAnalysisReport,
+    renderStaticAnalysisReport,
+    writeStaticAnalysisReport
+};
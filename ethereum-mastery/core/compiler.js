@@ -0,0 +1,142 @@
+// Solidity compilation with the solc-js compilers bundled in node_modules
+// (no system solc needed). Imports such as "@openzeppelin/contracts/..."
+// resolve from node_modules.
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const DEFAULT_SETTINGS = {
+    optimizer: { enabled: true, runs: 200 },
+    evmVersion: 'cancun'
+};
+
+// The solc-js releases available, by language version. 0.8 is the default;
+// 0.7 is for code that depends on unchecked (wrapping) arithmetic, which
+// 0.8 made revert. It only targets EVM versions up to istanbul, and is
+// loaded on first use.
+const COMPILERS = {
+    '0.8': { load: () => solc, evmVersion: 'cancun' },
+    '0.7': { load: () => require('solc-0.7'), evmVersion: 'istanbul' }
+};
+
+// Thrown when solc reports errors; `errors` holds solc's formatted messages
+class CompilationError extends Error {
+    constructor(errors) {
+        super(`Compilation failed:\n${errors.join('\n')}`);
+        this.name = 'CompilationError';
+        this.errors = errors;
+    }
+}
+
+function findImports(importPath) {
+    try {
+        const resolved = require.resolve(importPath, { paths: [process.cwd(), __dirname] });
+        return { contents: fs.readFileSync(resolved, 'utf8') };
+    } catch (error) {
+        return { error: `File not found: ${importPath}` };
+    }
+}
+
+// Compile { 'Name.sol': source } and return { artifacts, warnings }.
+// Artifacts are keyed by contract name, or by "File.sol:Name" when two
+// files define a contract with the same name. Interfaces and abstract
+// contracts are included with empty bytecode. `compiler` picks a key of
+// COMPILERS.
+function compile(sources, settings = {}, { compiler = '0.8' } = {}) {
+    const release = COMPILERS[compiler];
+    if (!release) throw new Error(`Unknown compiler ${compiler} (available: ${Object.keys(COMPILERS).join(', ')})`);
+    const solcjs = release.load();
+
+    const input = {
+        language: 'Solidity',
+        sources: Object.fromEntries(Object.entries(sources).map(([name, content]) => [name, { content }])),
+        settings: {
+            ...DEFAULT_SETTINGS,
+            evmVersion: release.evmVersion,
+            ...settings,
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'] } }
+        }
+    };
+    const output = JSON.parse(solcjs.compile(JSON.stringify(input), { import: findImports }));
+
+    const diagnostics = output.errors || [];
+    const errors = diagnostics.filter(item => item.severity === 'error').map(item => item.formattedMessage.trim());
+    if (errors.length > 0) throw new CompilationError(errors);
+
+    const compiled = [];
+    for (const sourceName of Object.keys(sources)) {
+        for (const [contractName, contract] of Object.entries(output.contracts[sourceName] || {})) {
+            compiled.push({
+                contractName,
+                sourceName,
+                abi: contract.abi,
+                bytecode: `0x${contract.evm.bytecode.object}`,
+                deployedBytecode: `0x${contract.evm.deployedBytecode.object}`
+            });
+        }
+    }
+
+    const artifacts = {};
+    for (const artifact of compiled) {
+        const duplicated = compiled.filter(other => other.contractName === artifact.contractName).length > 1;
+        artifacts[duplicated ? `${artifact.sourceName}:${artifact.contractName}` : artifact.contractName] = artifact;
+    }
+
+    return {
+        compilerVersion: solcjs.version(),
+        artifacts,
+        warnings: diagnostics.filter(item => item.severity !== 'error').map(item => item.formattedMessage.trim())
+    };
+}
+
+// Parse one source into solc's JSON AST without compiling it: imports are
+// not resolved and the version pragma is blanked out first (keeping byte
+// offsets), so any syntactically valid Solidity parses. Node `src` fields
+// are "byteOffset:byteLength:sourceIndex". Throws CompilationError on
+// syntax errors.
+function parse(source, sourceName = 'Source.sol') {
+    const masked = source.replace(/pragma\s+solidity[^;]*;/g, pragma => pragma.replace(/[^\n]/g, ' '));
+    const input = {
+        language: 'Solidity',
+        sources: { [sourceName]: { content: masked } },
+        settings: { stopAfter: 'parsing', outputSelection: { '*': { '': ['ast'] } } }
+    };
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(item => item.severity === 'error').map(item => item.formattedMessage.trim());
+    if (errors.length > 0) throw new CompilationError(errors);
+    return output.sources[sourceName].ast;
+}
+
+// Write template sources ({ key: { code } }) to `outDir`/contracts as
+// key.sol, compile them, and save one JSON artifact per contract to
+// `outDir`/artifacts. Returns the compile() result plus the file paths.
+function buildContracts(templates, outDir, settings, options) {
+    const contractsDir = path.join(outDir, 'contracts');
+    const artifactsDir = path.join(outDir, 'artifacts');
+    fs.mkdirSync(contractsDir, { recursive: true });
+    fs.mkdirSync(artifactsDir, { recursive: true });
+
+    const sources = {};
+    for (const [key, template] of Object.entries(templates)) {
+        sources[`${key}.sol`] = `${template.code.trim()}\n`;
+        fs.writeFileSync(path.join(contractsDir, `${key}.sol`), sources[`${key}.sol`]);
+    }
+
+    const result = compile(sources, settings, options);
+    for (const [name, artifact] of Object.entries(result.artifacts)) {
+        const file = `${name.replace(/[^A-Za-z0-9_]+/g, '_')}.json`;
+        fs.writeFileSync(path.join(artifactsDir, file), JSON.stringify({ compilerVersion: result.compilerVersion, ...artifact }, null, 2));
+    }
+
+    return { ...result, contractsDir, artifactsDir };
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    COMPILERS,
+    CompilationError,
+    compile,
+    parse,
+    buildContracts
+};
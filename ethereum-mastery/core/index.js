@@ -0,0 +1,35 @@
+/**
+ * Ethereum Mastery - core toolchain
+ *
+ * Compile Solidity with the bundled solc-js and run it on a local EVM:
+ * `const { buildContracts, LocalEVM } = require('../core');`
+ */
+
+const { DEFAULT_SETTINGS, COMPILERS, CompilationError, compile, parse, buildContracts } = require('./compiler');
+const { DEV_MNEMONIC, RPC_ERRORS, ProviderRpcError, LocalProvider, devAccounts } = require('./provider');
+const {
+    TransactionRevertedError,
+    decodeRevert,
+    formatGasReport,
+    LocalEVM,
+    LocalContract
+} = require('./local-evm');
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    COMPILERS,
+    CompilationError,
+    compile,
+    parse,
+    buildContracts,
+    DEV_MNEMONIC,
+    RPC_ERRORS,
+    ProviderRpcError,
+    LocalProvider,
+    devAccounts,
+    TransactionRevertedError,
+    decodeRevert,
+    formatGasReport,
+    LocalEVM,
+    LocalContract
+};
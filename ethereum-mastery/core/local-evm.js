@@ -0,0 +1,620 @@
+// A local EVM for running compiled contracts: the ethereumjs VM with a
+// funded set of development accounts and a block per transaction.
+//
+// Unlike the value-transfer-only chain in 1-EthereumBasics, this one runs
+// contract code. Contracts are driven through LocalContract, which encodes
+// calls with the ABI and decodes results, events and revert reasons, and
+// every transaction's gas is recorded for gasReport(). `evm.provider` is
+// an EIP-1193 provider over the same VM, as LocalChain has, for code that
+// expects a JSON-RPC node (ethers' BrowserProvider, a wallet library).
+//
+//   const evm = await LocalEVM.create();
+//   const storage = await evm.deploy(artifacts.BasicStorage, [42]);
+//   const { gasUsed } = await storage.send('store', [7]);
+//   await storage.call('retrieve'); // 7n
+
+const { ethers } = require('ethers');
+const { createVM, runTx } = require('@ethereumjs/vm');
+const { createCustomCommon, Mainnet, Hardfork } = require('@ethereumjs/common');
+const { createTxFromRLP } = require('@ethereumjs/tx');
+const { createBlock } = require('@ethereumjs/block');
+const { Account, createAddressFromString, hexToBytes, bytesToHex } = require('@ethereumjs/util');
+const {
+    DEFAULT_CHAIN_ID,
+    RPC_ERRORS,
+    ProviderRpcError,
+    LocalProvider,
+    devAccounts,
+    dispatch,
+    invalidParams,
+    rejected,
+    quantity,
+    parseQuantity,
+    parseAddress,
+    parseHash
+} = require('./provider');
+
+const GWEI = 10n ** 9n;
+const EMPTY_UNCLES_HASH = '0x1dcc4de8dec75d7aab85b567b6ccd41ad312451b948a7413f0a142fd40d49347';
+
+// A transaction or call reverted. `reason` is the decoded revert reason
+// (a require message, a panic or a custom error); `receipt` is set for
+// transactions, which are still mined and pay for their gas.
+class TransactionRevertedError extends Error {
+    constructor(reason, { receipt = null, data = '0x' } = {}) {
+        super(`Transaction reverted: ${reason}`);
+        this.name = 'TransactionRevertedError';
+        this.reason = reason;
+        this.receipt = receipt;
+        this.data = data;
+    }
+}
+
+// Revert data -> human-readable reason
+function decodeRevert(data, iface) {
+    if (!data || data === '0x') return 'reverted without a reason';
+    const interfaces = iface ? [iface, new ethers.Interface([])] : [new ethers.Interface([])];
+    for (const candidate of interfaces) {
+        try {
+            const error = candidate.parseError(data);
+            if (!error) continue;
+            if (error.name === 'Error') return error.args[0];
+            if (error.name === 'Panic') return `panic 0x${error.args[0].toString(16)}`;
+            return `${error.name}(${error.args.map(String).join(', ')})`;
+        } catch (parseError) {
+            // try the next interface
+        }
+    }
+    return `reverted with data ${data}`;
+}
+
+class LocalEVM {
+    // options: chainId, accounts (how many to fund), balance (wei each),
+    // timestamp (first block, Unix seconds), blockTime (seconds between
+    // blocks), gasLimit (per block), baseFeePerGas (constant), hardfork
+    constructor(options = {}) {
+        this.chainId = BigInt(options.chainId ?? DEFAULT_CHAIN_ID);
+        this.balance = BigInt(options.balance ?? ethers.parseEther('10000'));
+        this.timestamp = BigInt(options.timestamp ?? 1700000000);
+        this.blockTime = BigInt(options.blockTime ?? 12);
+        this.gasLimit = BigInt(options.gasLimit ?? 30000000);
+        this.baseFeePerGas = BigInt(options.baseFeePerGas ?? GWEI);
+        this.common = createCustomCommon({ chainId: Number(this.chainId) }, Mainnet, { hardfork: options.hardfork ?? Hardfork.Cancun });
+
+        this.accounts = devAccounts(options.accounts ?? 10);
+
+        this.blockNumber = 0n;
+        this.blocks = []; // { number, hash, parentHash, timestamp, gasUsed, transactions } per block mined
+        this.mined = new Map(); // transaction hash -> { tx, receipt, logsBloom }
+        this.interfaces = new Map(); // contract address -> { name, iface } for decoding logs
+        this.transactions = []; // { contract, method, gasUsed, status } for gasReport()
+        this.vm = null;
+        this.recordBlock(this.currentBlock(), [], 0n);
+
+        this.provider = new LocalProvider(this);
+    }
+
+    static async create(options) {
+        const evm = new LocalEVM(options);
+        evm.vm = await createVM({ common: evm.common });
+        for (const account of evm.accounts) await evm.setBalance(account.address, evm.balance);
+        return evm;
+    }
+
+    // --- Accounts and time ---
+
+    async getBalance(address) {
+        const account = await this.vm.stateManager.getAccount(createAddressFromString(ethers.getAddress(address)));
+        return account ? account.balance : 0n;
+    }
+
+    async setBalance(address, balance) {
+        const key = createAddressFromString(ethers.getAddress(address));
+        const account = (await this.vm.stateManager.getAccount(key)) || new Account();
+        account.balance = BigInt(balance);
+        await this.vm.stateManager.putAccount(key, account);
+    }
+
+    async getNonce(address) {
+        const account = await this.vm.stateManager.getAccount(createAddressFromString(ethers.getAddress(address)));
+        return account ? account.nonce : 0n;
+    }
+
+    // Move the clock forward; the next block is at least `seconds` later
+    increaseTime(seconds) {
+        this.timestamp += BigInt(seconds);
+    }
+
+    // Header for the next block (each transaction gets its own)
+    nextBlock() {
+        this.blockNumber += 1n;
+        this.timestamp += this.blockTime;
+        return this.currentBlock();
+    }
+
+    currentBlock() {
+        const parent = this.blocks[Number(this.blockNumber) - 1];
+        return createBlock({
+            header: {
+                number: this.blockNumber,
+                parentHash: parent ? hexToBytes(parent.hash) : undefined,
+                timestamp: this.timestamp,
+                gasLimit: this.gasLimit,
+                baseFeePerGas: this.baseFeePerGas
+            }
+        }, { common: this.common });
+    }
+
+    // Keep what eth_getBlockByNumber reports about a mined block
+    recordBlock(block, transactions, gasUsed) {
+        const { header } = block;
+        this.blocks.push({
+            number: Number(header.number),
+            hash: bytesToHex(block.hash()),
+            parentHash: bytesToHex(header.parentHash),
+            timestamp: header.timestamp,
+            gasUsed,
+            transactions
+        });
+    }
+
+    // What a type 2 transaction pays per gas: the base fee is constant, so
+    // this is the base fee plus the tip, up to the fee cap
+    effectiveGasPrice(tx) {
+        if (tx.type !== 2) return tx.gasPrice;
+        const capped = this.baseFeePerGas + tx.maxPriorityFeePerGas;
+        return capped < tx.maxFeePerGas ? capped : tx.maxFeePerGas;
+    }
+
+    signer(from) {
+        if (from && typeof from === 'object' && from.signingKey) return from;
+        const address = ethers.getAddress(from ?? this.accounts[0].address);
+        const wallet = this.accounts.find(account => account.address === address);
+        if (!wallet) throw new Error(`No private key for ${address}`);
+        return wallet;
+    }
+
+    // --- Transactions ---
+
+    // Sign, mine and execute one transaction. Returns a receipt:
+    // { hash, blockNumber, from, to, contractAddress, gasUsed, status,
+    //   logs, events, returnData }. Throws TransactionRevertedError if it
+    // reverts (the receipt is attached to the error).
+    // `label` ({ contract, method }) names the entry in gasReport().
+    async sendTransaction({ from, to = null, data = '0x', value = 0n, gasLimit, label } = {}) {
+        const wallet = this.signer(from);
+        const unsigned = ethers.Transaction.from({
+            type: 2,
+            chainId: this.chainId,
+            nonce: Number(await this.getNonce(wallet.address)),
+            to,
+            data,
+            value: BigInt(value),
+            gasLimit: BigInt(gasLimit ?? this.gasLimit / 2n),
+            maxFeePerGas: this.baseFeePerGas * 2n,
+            maxPriorityFeePerGas: this.baseFeePerGas
+        });
+        unsigned.signature = wallet.signingKey.sign(unsigned.unsignedHash);
+        return this.sendRawTransaction(unsigned.serialized, { label });
+    }
+
+    // Mine and execute a transaction signed elsewhere; returns the receipt
+    // or throws as sendTransaction() does
+    async sendRawTransaction(raw, { label } = {}) {
+        const signed = ethers.Transaction.from(raw);
+        const { to } = signed;
+        const tx = createTxFromRLP(hexToBytes(signed.serialized), { common: this.common });
+        const block = this.nextBlock();
+        let result;
+        try {
+            result = await runTx(this.vm, { tx, block, skipHardForkValidation: true });
+        } catch (error) {
+            // Invalid (bad nonce, not enough ether): nothing was mined
+            this.blockNumber -= 1n;
+            this.timestamp -= this.blockTime;
+            throw error;
+        }
+
+        const contractAddress = result.createdAddress ? ethers.getAddress(result.createdAddress.toString()) : null;
+        const logs = result.receipt.logs.map(([address, topics, logData]) => ({
+            address: ethers.getAddress(bytesToHex(address)),
+            topics: topics.map(topic => bytesToHex(topic)),
+            data: bytesToHex(logData)
+        }));
+        const reverted = Boolean(result.execResult.exceptionError);
+        const receipt = {
+            hash: signed.hash,
+            blockNumber: Number(this.blockNumber),
+            from: signed.from,
+            to,
+            contractAddress: reverted ? null : contractAddress,
+            gasUsed: result.totalGasSpent,
+            status: reverted ? 0 : 1,
+            logs,
+            events: logs.map(log => this.decodeLog(log)).filter(Boolean),
+            returnData: bytesToHex(result.execResult.returnValue)
+        };
+        this.recordBlock(block, [signed.hash], receipt.gasUsed);
+        this.mined.set(signed.hash, { tx: signed, receipt, logsBloom: bytesToHex(result.bloom.bitvector) });
+
+        if (label) this.transactions.push({ ...label, gasUsed: receipt.gasUsed, status: receipt.status });
+        if (reverted) {
+            const target = to ? this.interfaces.get(to) : null;
+            throw new TransactionRevertedError(decodeRevert(receipt.returnData, target && target.iface), { receipt, data: receipt.returnData });
+        }
+        return receipt;
+    }
+
+    // Execute without mining (eth_call); returns the return data
+    async call({ from, to, data = '0x', value = 0n } = {}) {
+        const caller = ethers.getAddress(from ?? this.accounts[0].address);
+        const { execResult } = await this.vm.evm.runCall({
+            caller: createAddressFromString(caller),
+            origin: createAddressFromString(caller),
+            to: createAddressFromString(ethers.getAddress(to)),
+            data: hexToBytes(data),
+            value: BigInt(value),
+            gasLimit: this.gasLimit,
+            block: this.currentBlock()
+        });
+        const returnData = bytesToHex(execResult.returnValue);
+        if (execResult.exceptionError) {
+            const target = this.interfaces.get(ethers.getAddress(to));
+            throw new TransactionRevertedError(decodeRevert(returnData, target && target.iface), { data: returnData });
+        }
+        return returnData;
+    }
+
+    // Decode a log with the ABI of the contract that emitted it, if known
+    decodeLog(log) {
+        const target = this.interfaces.get(log.address);
+        if (!target) return null;
+        try {
+            const parsed = target.iface.parseLog(log);
+            return parsed ? { contract: target.name, address: log.address, name: parsed.name, args: parsed.args } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // --- Contracts ---
+
+    // Deploy a compiled artifact ({ contractName, abi, bytecode })
+    async deploy(artifact, args = [], { from, value = 0n } = {}) {
+        if (!artifact.bytecode || artifact.bytecode === '0x') {
+            throw new Error(`${artifact.contractName} is abstract or an interface and cannot be deployed`);
+        }
+        const iface = new ethers.Interface(artifact.abi);
+        const data = ethers.concat([artifact.bytecode, iface.encodeDeploy(args)]);
+        const receipt = await this.sendTransaction({
+            from,
+            data,
+            value,
+            label: { contract: artifact.contractName, method: 'deploy' }
+        });
+        const contract = this.attach(artifact, receipt.contractAddress, from);
+        // The constructor's events can only be decoded now the ABI is registered
+        receipt.events = receipt.logs.map(log => this.decodeLog(log)).filter(Boolean);
+        contract.deployReceipt = receipt;
+        return contract;
+    }
+
+    // A LocalContract for an artifact already deployed at `address`
+    attach(artifact, address, from) {
+        const contract = new LocalContract(this, artifact, ethers.getAddress(address), from);
+        this.interfaces.set(contract.address, { name: artifact.contractName, iface: contract.interface });
+        return contract;
+    }
+
+    // Gas per contract method over every transaction sent with a label:
+    // [{ contract, method, calls, reverted, min, max, avg }]. min/max/avg
+    // cover the successful calls; reverted ones are only counted.
+    gasReport() {
+        const rows = new Map();
+        for (const { contract, method, gasUsed, status } of this.transactions) {
+            const key = `${contract}.${method}`;
+            const row = rows.get(key) || { contract, method, calls: 0, reverted: 0, min: null, max: null, total: 0n };
+            if (status === 0) {
+                row.reverted += 1;
+            } else {
+                row.calls += 1;
+                row.min = row.min === null || gasUsed < row.min ? gasUsed : row.min;
+                row.max = row.max === null || gasUsed > row.max ? gasUsed : row.max;
+                row.total += gasUsed;
+            }
+            rows.set(key, row);
+        }
+        return [...rows.values()].map(({ total, ...row }) => ({ ...row, avg: row.calls > 0 ? total / BigInt(row.calls) : null }));
+    }
+
+    // --- JSON-RPC ---
+
+    // Only the current state is kept, so state queries take 'latest' (or
+    // its number) and nothing older
+    requireLatest(tag = 'latest') {
+        if (['latest', 'pending', 'safe', 'finalized'].includes(tag)) return;
+        const number = parseQuantity(tag, 'block');
+        if (number > this.blockNumber) throw rejected('header not found');
+        if (number < this.blockNumber) throw rejected('historical state is not available');
+    }
+
+    resolveBlock(tag = 'latest') {
+        if (['latest', 'pending', 'safe', 'finalized'].includes(tag)) return this.blocks[this.blocks.length - 1];
+        if (tag === 'earliest') return this.blocks[0];
+        const number = parseQuantity(tag, 'block');
+        return number < BigInt(this.blocks.length) ? this.blocks[Number(number)] : null;
+    }
+
+    formatBlock(block, fullTransactions) {
+        return {
+            number: quantity(block.number),
+            hash: block.hash,
+            parentHash: block.parentHash,
+            nonce: '0x0000000000000000',
+            mixHash: ethers.ZeroHash,
+            sha3Uncles: EMPTY_UNCLES_HASH,
+            miner: ethers.ZeroAddress,
+            difficulty: '0x0',
+            totalDifficulty: '0x0',
+            extraData: '0x',
+            gasLimit: quantity(this.gasLimit),
+            gasUsed: quantity(block.gasUsed),
+            timestamp: quantity(block.timestamp),
+            baseFeePerGas: quantity(this.baseFeePerGas),
+            transactions: block.transactions.map(hash => (fullTransactions ? this.formatTransaction(this.mined.get(hash)) : hash)),
+            uncles: []
+        };
+    }
+
+    formatTransaction({ tx, receipt }) {
+        const { r, s, v, yParity } = tx.signature;
+        const formatted = {
+            hash: tx.hash,
+            type: quantity(tx.type),
+            chainId: quantity(tx.chainId),
+            nonce: quantity(tx.nonce),
+            blockHash: this.blocks[receipt.blockNumber].hash,
+            blockNumber: quantity(receipt.blockNumber),
+            transactionIndex: '0x0',
+            from: tx.from,
+            to: tx.to,
+            value: quantity(tx.value),
+            gas: quantity(tx.gasLimit),
+            gasPrice: quantity(this.effectiveGasPrice(tx)),
+            input: tx.data,
+            r,
+            s,
+            v: quantity(tx.type === 0 ? tx.signature.networkV ?? v : yParity)
+        };
+        if (tx.type === 2) {
+            formatted.maxFeePerGas = quantity(tx.maxFeePerGas);
+            formatted.maxPriorityFeePerGas = quantity(tx.maxPriorityFeePerGas);
+        }
+        if (tx.type !== 0) {
+            formatted.accessList = tx.accessList;
+            formatted.yParity = quantity(yParity);
+        }
+        return formatted;
+    }
+
+    formatReceipt({ tx, receipt, logsBloom }) {
+        const blockHash = this.blocks[receipt.blockNumber].hash;
+        const blockNumber = quantity(receipt.blockNumber);
+        return {
+            transactionHash: tx.hash,
+            transactionIndex: '0x0',
+            blockHash,
+            blockNumber,
+            from: receipt.from,
+            to: receipt.to,
+            contractAddress: receipt.contractAddress,
+            cumulativeGasUsed: quantity(receipt.gasUsed),
+            gasUsed: quantity(receipt.gasUsed),
+            effectiveGasPrice: quantity(this.effectiveGasPrice(tx)),
+            logs: receipt.logs.map((log, index) => ({
+                ...log,
+                logIndex: quantity(index),
+                blockHash,
+                blockNumber,
+                transactionHash: tx.hash,
+                transactionIndex: '0x0',
+                removed: false
+            })),
+            logsBloom,
+            type: quantity(tx.type),
+            status: quantity(receipt.status)
+        };
+    }
+
+    handle(method, params) {
+        return dispatch(METHODS, this, method, params);
+    }
+}
+
+// A revert as a JSON-RPC error, the way geth reports it
+function executionReverted(error) {
+    return new ProviderRpcError(RPC_ERRORS.EXECUTION_REVERTED, `execution reverted: ${error.reason}`, error.data);
+}
+
+// Send for eth_send*Transaction: the hash of what was mined, a reverted
+// transaction included, or the VM's reason it could not be
+async function submit(send) {
+    try {
+        return (await send()).hash;
+    } catch (error) {
+        if (error instanceof TransactionRevertedError) return error.receipt.hash;
+        if (error instanceof ProviderRpcError) throw error;
+        throw rejected(error.message);
+    }
+}
+
+// JSON-RPC method -> implementation, called with the LocalEVM as `this`
+const METHODS = {
+    web3_clientVersion() {
+        return 'LocalEVM/ethereum-mastery';
+    },
+    net_version() {
+        return this.chainId.toString();
+    },
+    eth_chainId() {
+        return quantity(this.chainId);
+    },
+    eth_accounts() {
+        return this.accounts.map(account => account.address);
+    },
+    eth_requestAccounts() {
+        return this.accounts.map(account => account.address);
+    },
+    eth_blockNumber() {
+        return quantity(this.blockNumber);
+    },
+
+    async eth_getBalance(address, tag) {
+        this.requireLatest(tag);
+        return quantity(await this.getBalance(parseAddress(address, 'address')));
+    },
+    async eth_getTransactionCount(address, tag) {
+        this.requireLatest(tag);
+        return quantity(await this.getNonce(parseAddress(address, 'address')));
+    },
+    async eth_getCode(address, tag) {
+        this.requireLatest(tag);
+        return bytesToHex(await this.vm.stateManager.getCode(createAddressFromString(parseAddress(address, 'address'))));
+    },
+
+    eth_getBlockByNumber(tag, fullTransactions = false) {
+        const block = this.resolveBlock(tag);
+        return block ? this.formatBlock(block, fullTransactions) : null;
+    },
+    eth_getBlockByHash(hash, fullTransactions = false) {
+        const wanted = parseHash(hash, 'hash');
+        const block = this.blocks.find(candidate => candidate.hash === wanted);
+        return block ? this.formatBlock(block, fullTransactions) : null;
+    },
+    eth_getTransactionByHash(hash) {
+        const found = this.mined.get(parseHash(hash, 'hash'));
+        return found ? this.formatTransaction(found) : null;
+    },
+    eth_getTransactionReceipt(hash) {
+        const found = this.mined.get(parseHash(hash, 'hash'));
+        return found ? this.formatReceipt(found) : null;
+    },
+
+    // Fees are fixed: the base fee never moves and transactions tip the
+    // same again
+    eth_gasPrice() {
+        return quantity(this.baseFeePerGas * 2n);
+    },
+    eth_maxPriorityFeePerGas() {
+        return quantity(this.baseFeePerGas);
+    },
+    // Not estimated: every transaction is offered the default gas limit
+    // sendTransaction() uses and pays only for what it burns
+    eth_estimateGas() {
+        return quantity(this.gasLimit / 2n);
+    },
+    async eth_call(request = {}, tag) {
+        this.requireLatest(tag);
+        try {
+            return await this.call({
+                from: request.from ? parseAddress(request.from, 'from') : undefined,
+                to: parseAddress(request.to, 'to'),
+                data: request.data ?? request.input ?? '0x',
+                value: request.value !== undefined ? parseQuantity(request.value, 'value') : 0n
+            });
+        } catch (error) {
+            if (error instanceof TransactionRevertedError) throw executionReverted(error);
+            throw error;
+        }
+    },
+
+    // A reverted transaction is still mined, so its hash comes back and the
+    // receipt has status 0
+    async eth_sendTransaction(request = {}) {
+        const from = parseAddress(request.from, 'from');
+        if (!this.accounts.some(account => account.address === from)) throw rejected(`unknown account ${from}`);
+        if (request.nonce !== undefined && parseQuantity(request.nonce, 'nonce') !== await this.getNonce(from)) {
+            throw rejected(`invalid nonce for ${from}`);
+        }
+        return submit(() => this.sendTransaction({
+            from,
+            to: request.to ? parseAddress(request.to, 'to') : null,
+            data: request.data ?? request.input ?? '0x',
+            value: request.value !== undefined ? parseQuantity(request.value, 'value') : 0n,
+            gasLimit: request.gas !== undefined ? parseQuantity(request.gas, 'gas') : undefined
+        }));
+    },
+    async eth_sendRawTransaction(raw) {
+        try {
+            ethers.Transaction.from(raw);
+        } catch (error) {
+            throw invalidParams(`rlp: ${error.shortMessage || error.message}`);
+        }
+        return submit(() => this.sendRawTransaction(raw));
+    },
+
+    // Development helpers, named as in Hardhat and Anvil
+    evm_increaseTime(seconds) {
+        this.increaseTime(parseQuantity(seconds, 'seconds'));
+        return quantity(this.timestamp);
+    }
+};
+
+// gasReport() rows as plain numbers, ready for console.table()
+function formatGasReport(rows) {
+    const number = value => (value === null ? '-' : Number(value));
+    return rows.map(row => ({ ...row, min: number(row.min), max: number(row.max), avg: number(row.avg) }));
+}
+
+// A deployed contract bound to a sender
+class LocalContract {
+    constructor(evm, artifact, address, from) {
+        this.evm = evm;
+        this.name = artifact.contractName;
+        this.artifact = artifact;
+        this.address = address;
+        this.interface = new ethers.Interface(artifact.abi);
+        this.from = from;
+    }
+
+    // The same contract, sending from another account
+    connect(from) {
+        return new LocalContract(this.evm, this.artifact, this.address, from);
+    }
+
+    // Send a transaction calling `method`; returns the receipt with the
+    // decoded events and `result` (the decoded return value, if any)
+    async send(method, args = [], { value = 0n, gasLimit } = {}) {
+        const fragment = this.interface.getFunction(method);
+        const receipt = await this.evm.sendTransaction({
+            from: this.from,
+            to: this.address,
+            data: this.interface.encodeFunctionData(fragment, args),
+            value,
+            gasLimit,
+            label: { contract: this.name, method: fragment.name }
+        });
+        const decoded = this.interface.decodeFunctionResult(fragment, receipt.returnData);
+        return { ...receipt, result: decoded.length === 1 ? decoded[0] : decoded };
+    }
+
+    // Call a function without a transaction; one return value is unwrapped
+    async call(method, args = []) {
+        const fragment = this.interface.getFunction(method);
+        const data = await this.evm.call({ from: this.from, to: this.address, data: this.interface.encodeFunctionData(fragment, args) });
+        const decoded = this.interface.decodeFunctionResult(fragment, data);
+        return decoded.length === 1 ? decoded[0] : decoded;
+    }
+
+    getBalance() {
+        return this.evm.getBalance(this.address);
+    }
+}
+
+module.exports = {
+    TransactionRevertedError,
+    decodeRevert,
+    formatGasReport,
+    LocalEVM,
+    LocalContract
+};
@@ -0,0 +1,124 @@
+// What the in-process chains share: the development accounts they fund and
+// the EIP-1193 provider that puts a JSON-RPC interface in front of them.
+//
+// A backend implements handle(method, params), returning the result or
+// throwing a ProviderRpcError; LocalChain (1-EthereumBasics) and LocalEVM
+// both do.
+
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+
+// The development accounts Hardhat and Anvil fund
+const DEV_MNEMONIC = 'test test test test test test test test test test test junk';
+const DEV_PATH = "m/44'/60'/0'/0";
+const DEFAULT_CHAIN_ID = 31337;
+
+// JSON-RPC error codes, as geth returns them
+const RPC_ERRORS = {
+    EXECUTION_REVERTED: 3,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    SERVER_ERROR: -32000
+};
+
+// Error returned to request() callers; `code` is a JSON-RPC error code
+class ProviderRpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'ProviderRpcError';
+        this.code = code;
+        if (data !== undefined) this.data = data;
+    }
+}
+
+const invalidParams = message => new ProviderRpcError(RPC_ERRORS.INVALID_PARAMS, message);
+const rejected = message => new ProviderRpcError(RPC_ERRORS.SERVER_ERROR, message);
+
+const quantity = value => ethers.toQuantity(value);
+
+function parseQuantity(value, name) {
+    try {
+        if (typeof value === 'number' || typeof value === 'bigint') return BigInt(value);
+        if (typeof value === 'string' && /^0x[0-9a-fA-F]+$/.test(value)) return BigInt(value);
+    } catch (error) {
+        // fall through
+    }
+    throw invalidParams(`${name}: expected a hex quantity, got ${JSON.stringify(value)}`);
+}
+
+function parseAddress(value, name) {
+    try {
+        return ethers.getAddress(value);
+    } catch (error) {
+        throw invalidParams(`${name}: invalid address ${JSON.stringify(value)}`);
+    }
+}
+
+function parseHash(value, name) {
+    if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(value)) {
+        throw invalidParams(`${name}: expected a 32-byte hex hash`);
+    }
+    return value.toLowerCase();
+}
+
+// The first `count` development accounts, as wallets
+function devAccounts(count = 10) {
+    const root = ethers.HDNodeWallet.fromPhrase(DEV_MNEMONIC, '', DEV_PATH);
+    return Array.from({ length: count }, (_, i) => root.deriveChild(i));
+}
+
+// EIP-1193 provider over a backend: request({ method, params })
+class LocalProvider extends EventEmitter {
+    constructor(backend) {
+        super();
+        this.backend = backend;
+    }
+
+    async request({ method, params = [] } = {}) {
+        if (typeof method !== 'string') throw new ProviderRpcError(RPC_ERRORS.INVALID_REQUEST, 'method must be a string');
+        if (!Array.isArray(params)) throw invalidParams('params must be an array');
+        return this.backend.handle(method, params);
+    }
+
+    // JSON-RPC 2.0 envelope ({ jsonrpc, id, method, params }, or an array
+    // of them) for code that speaks raw JSON-RPC instead of EIP-1193
+    async send(payload) {
+        if (Array.isArray(payload)) return Promise.all(payload.map(item => this.send(item)));
+        const { id = null } = payload || {};
+        try {
+            return { jsonrpc: '2.0', id, result: await this.request(payload || {}) };
+        } catch (error) {
+            const code = error instanceof ProviderRpcError ? error.code : RPC_ERRORS.INTERNAL_ERROR;
+            const reply = { jsonrpc: '2.0', id, error: { code, message: error.message } };
+            if (error instanceof ProviderRpcError && error.data !== undefined) reply.error.data = error.data;
+            return reply;
+        }
+    }
+}
+
+// Look up `method` in a backend's method table and call it with the
+// backend as `this`
+function dispatch(methods, backend, method, params) {
+    const handler = Object.prototype.hasOwnProperty.call(methods, method) ? methods[method] : null;
+    if (!handler) throw new ProviderRpcError(RPC_ERRORS.METHOD_NOT_FOUND, `the method ${method} does not exist/is not available`);
+    return handler.call(backend, ...params);
+}
+
+module.exports = {
+    DEV_MNEMONIC,
+    DEV_PATH,
+    DEFAULT_CHAIN_ID,
+    RPC_ERRORS,
+    ProviderRpcError,
+    LocalProvider,
+    devAccounts,
+    dispatch,
+    invalidParams,
+    rejected,
+    quantity,
+    parseQuantity,
+    parseAddress,
+    parseHash
+};
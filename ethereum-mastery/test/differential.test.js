@@ -0,0 +1,44 @@
+// The compiled SimpleAMM, LendingPool and YieldFarm from 4-DeFiDevelopment
+// against their engines, over the same seeded sequences main.js runs
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DeFiDevelopment = require('../4-DeFiDevelopment/main');
+const { runDifferentialTests } = require('../4-DeFiDevelopment/differential');
+
+const STEPS = 60;
+
+let buildDir;
+let results;
+
+test.before(async () => {
+    buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-build-'));
+    const { defiProtocols } = new DeFiDevelopment();
+    results = await runDifferentialTests(defiProtocols, { buildDir, steps: STEPS, seed: 7 });
+});
+
+test.after(() => {
+    if (buildDir) fs.rmSync(buildDir, { recursive: true, force: true });
+});
+
+for (const [protocol, contract] of [['simpleAMM', 'SimpleAMM'], ['lendingPool', 'LendingPool'], ['yieldFarm', 'YieldFarm']]) {
+    test(`${contract} matches its engine`, () => {
+        const result = results.find(candidate => candidate.protocol === protocol);
+        assert.ok(result, `no result for ${protocol}`);
+        assert.equal(result.contract, contract);
+
+        const describe = mismatch => `step ${mismatch.step} ${mismatch.label} (${mismatch.field}): contract ${mismatch.contract}, engine ${mismatch.engine}`;
+        assert.deepEqual(result.mismatches.map(describe), []);
+
+        // Both paths ran: transactions that went through and ones that reverted
+        const transactions = result.log.filter(entry => entry.outcome !== 'time');
+        assert.equal(transactions.length, result.steps);
+        assert.ok(result.steps >= STEPS / 2, `only ${result.steps} transactions`);
+        assert.ok(result.reverts > 0, 'no reverts');
+        assert.ok(result.reverts < result.steps, 'nothing succeeded');
+        assert.ok(transactions.some(entry => entry.outcome === 'ok'));
+    });
+}
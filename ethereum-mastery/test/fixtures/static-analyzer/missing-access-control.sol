@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract Config {
+    address public owner;
+    uint256 public fee;
+    uint256 public counter;
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    // A privileged name and variable: High
+    function setFee(uint256 value) external {
+        fee = value;
+    }
+
+    // Anyone can change it, but nothing privileged: Medium
+    function bump() public {
+        counter++;
+    }
+
+    function setFeeSafely(uint256 value) external onlyOwner {
+        fee = value;
+    }
+
+    function reset() external {
+        require(msg.sender == owner, "not owner");
+        counter = 0;
+    }
+
+    function deposit() external payable {
+        counter += msg.value;
+    }
+
+    function clear() internal {
+        fee = 0;
+    }
+}
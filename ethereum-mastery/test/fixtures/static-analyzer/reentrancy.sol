@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+contract Bank {
+    mapping(address => uint256) public balances;
+    mapping(address => bool) public claimed;
+    IERC20 public token;
+    bool private locked;
+
+    modifier nonReentrant() {
+        require(!locked, "reentrant call");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    // Sends ether, then writes: High
+    function withdraw() external {
+        uint256 amount = balances[msg.sender];
+        (bool ok, ) = msg.sender.call{value: amount}("");
+        require(ok, "transfer failed");
+        balances[msg.sender] = 0;
+    }
+
+    // Calls a token, then writes: Medium
+    function claim() external {
+        require(!claimed[msg.sender], "claimed");
+        token.transfer(msg.sender, 1 ether);
+        claimed[msg.sender] = true;
+    }
+
+    // Effects before the interaction
+    function withdrawSafely() external {
+        uint256 amount = balances[msg.sender];
+        balances[msg.sender] = 0;
+        (bool ok, ) = msg.sender.call{value: amount}("");
+        require(ok, "transfer failed");
+    }
+
+    // Same order as withdraw(), behind a guard
+    function withdrawGuarded() external nonReentrant {
+        uint256 amount = balances[msg.sender];
+        (bool ok, ) = msg.sender.call{value: amount}("");
+        require(ok, "transfer failed");
+        balances[msg.sender] = 0;
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract Wallet {
+    address public owner;
+    address public lastOrigin;
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // Authorization by origin: High
+    function withdraw(address payable to) external {
+        require(tx.origin == owner, "not owner");
+        to.transfer(address(this).balance);
+    }
+
+    // Stored for a later check: Medium
+    function remember() external {
+        require(msg.sender == owner, "not owner");
+        lastOrigin = tx.origin;
+    }
+
+    // Plain use: Low
+    function origin() external view returns (address) {
+        return tx.origin;
+    }
+
+    // Rejecting contract callers: Informational
+    function isDirectCall() external view returns (bool) {
+        return tx.origin == msg.sender;
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract Airdrop {
+    address public owner;
+    address[] public recipients;
+    uint256 public rounds;
+    mapping(address => uint256) public credits;
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    // Grows with every recipient: Medium
+    function creditAll() external onlyOwner {
+        for (uint256 i = 0; i < recipients.length; i++) {
+            credits[recipients[i]] += 1;
+        }
+    }
+
+    // In a view: Low
+    function totalRounds() external view returns (uint256 total) {
+        uint256 i;
+        while (i < rounds) {
+            total += i;
+            i++;
+        }
+    }
+
+    // Bounded by the caller's input
+    function creditSome(address[] calldata batch) external onlyOwner {
+        for (uint256 i = 0; i < batch.length; i++) {
+            credits[batch[i]] += 1;
+        }
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract Payouts {
+    function ignored(address payable to) external {
+        to.send(1);
+    }
+
+    function discarded(address to) external returns (bytes memory) {
+        (, bytes memory data) = to.call("");
+        return data;
+    }
+
+    function unused(address to) external {
+        (bool ok, ) = to.call("");
+    }
+
+    function reassigned(address to) external {
+        bool ok;
+        (ok, ) = to.delegatecall("");
+    }
+
+    function checked(address to) external {
+        (bool ok, ) = to.call("");
+        require(ok, "call failed");
+    }
+
+    function direct(address payable to) external {
+        require(to.send(1), "send failed");
+    }
+}
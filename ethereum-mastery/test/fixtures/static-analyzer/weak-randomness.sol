@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract Lottery {
+    address[] public players;
+
+    // Reduced on the spot: High
+    function winner() external view returns (address) {
+        return players[uint256(keccak256(abi.encodePacked(block.timestamp, block.prevrandao))) % players.length];
+    }
+
+    // Hashed into a seed another function reduces: High
+    function draw() external view returns (address) {
+        uint256 seed = uint256(keccak256(abi.encodePacked(block.number)));
+        return pick(seed);
+    }
+
+    function pick(uint256 value) internal view returns (address) {
+        return players[value % players.length];
+    }
+
+    // Hashed, never reduced: Low
+    function ticketId() external view returns (bytes32) {
+        return keccak256(abi.encodePacked(blockhash(block.number - 1), msg.sender));
+    }
+
+    function lastBlock() external view returns (uint256) {
+        return block.number;
+    }
+}
@@ -0,0 +1,223 @@
+// The in-process chain behind EthereumBasics, driven through its EIP-1193
+// provider the way ethers or a wallet would
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const {
+    DEV_MNEMONIC,
+    RPC_ERRORS,
+    ProviderRpcError,
+    LocalChain
+} = require('../1-EthereumBasics/local-chain');
+
+// Hardhat's and Anvil's first two accounts
+const ALICE = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const BOB = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB_WALLET = ethers.HDNodeWallet.fromPhrase(DEV_MNEMONIC, '', "m/44'/60'/0'/0/1");
+
+function connect(options) {
+    const chain = new LocalChain(options);
+    const request = (method, ...params) => chain.provider.request({ method, params });
+    return { chain, request };
+}
+
+// A type 2 transfer from Bob, signed outside the chain
+function signedByBob(fields = {}) {
+    return BOB_WALLET.signTransaction({
+        type: 2,
+        chainId: 31337,
+        nonce: 0,
+        to: ALICE,
+        value: ethers.parseEther('1'),
+        gasLimit: 21000,
+        maxFeePerGas: ethers.parseUnits('10', 'gwei'),
+        maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'),
+        ...fields
+    });
+}
+
+async function rejects(promise, code, message) {
+    await assert.rejects(promise, error => {
+        assert.ok(error instanceof ProviderRpcError);
+        assert.equal(error.code, code);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('the dev accounts are funded from the well-known mnemonic', async () => {
+    const { request } = connect();
+    const accounts = await request('eth_accounts');
+
+    assert.equal(accounts.length, 10);
+    assert.deepEqual(accounts.slice(0, 2), [ALICE, BOB]);
+    assert.equal(accounts[1], BOB_WALLET.address);
+    assert.equal(await request('eth_getBalance', ALICE, 'latest'), ethers.toQuantity(ethers.parseEther('10000')));
+    assert.equal(await request('eth_getTransactionCount', ALICE, 'latest'), '0x0');
+    assert.equal(await request('eth_chainId'), '0x7a69');
+    assert.equal(await request('net_version'), '31337');
+
+    const custom = connect({ accounts: 2, balance: 5n, chainId: 1337 });
+    assert.deepEqual(await custom.request('eth_accounts'), [ALICE, BOB]);
+    assert.equal(await custom.request('eth_getBalance', BOB, 'latest'), '0x5');
+});
+
+test('blocks link to their parents at fixed intervals', async () => {
+    const { request } = connect();
+    const genesis = await request('eth_getBlockByNumber', 'earliest', false);
+    assert.equal(genesis.number, '0x0');
+    assert.equal(genesis.parentHash, ethers.ZeroHash);
+    assert.equal(genesis.timestamp, ethers.toQuantity(1700000000));
+
+    await request('evm_mine');
+    await request('evm_mine');
+    assert.equal(await request('eth_blockNumber'), '0x2');
+
+    const second = await request('eth_getBlockByNumber', '0x2', false);
+    const first = await request('eth_getBlockByHash', second.parentHash, false);
+    assert.equal(first.number, '0x1');
+    assert.equal(first.parentHash, genesis.hash);
+    assert.equal(BigInt(second.timestamp) - BigInt(first.timestamp), 12n);
+    assert.equal(await request('eth_getBlockByNumber', '0x3', false), null);
+
+    // Same options, same hashes
+    const other = new LocalChain();
+    other.mine();
+    assert.equal(other.mine().hash, second.hash);
+});
+
+test('a transfer is mined with a receipt and exact balance changes', async () => {
+    const { request } = connect();
+    const value = ethers.parseEther('1.5');
+    const hash = await request('eth_sendTransaction', { from: ALICE, to: BOB, value: ethers.toQuantity(value) });
+
+    const receipt = await request('eth_getTransactionReceipt', hash);
+    assert.equal(receipt.status, '0x1');
+    assert.equal(receipt.blockNumber, '0x1');
+    assert.equal(receipt.gasUsed, ethers.toQuantity(21000));
+    assert.equal(receipt.from, ALICE);
+    assert.equal(receipt.to, BOB);
+
+    const block = await request('eth_getBlockByNumber', 'latest', true);
+    assert.deepEqual(block.transactions.map(tx => tx.hash), [hash]);
+    assert.equal(block.transactions[0].blockHash, receipt.blockHash);
+
+    const paid = 21000n * BigInt(receipt.effectiveGasPrice);
+    const start = ethers.parseEther('10000');
+    assert.equal(BigInt(await request('eth_getBalance', ALICE, 'latest')), start - value - paid);
+    assert.equal(BigInt(await request('eth_getBalance', BOB, 'latest')), start + value);
+    // Balances at an earlier block are unchanged
+    assert.equal(BigInt(await request('eth_getBalance', ALICE, '0x0')), start);
+    assert.equal(await request('eth_getTransactionCount', ALICE, 'latest'), '0x1');
+});
+
+test('transactions are signed deterministically', async () => {
+    const send = async () => connect().request('eth_sendTransaction', { from: ALICE, to: BOB, value: '0x1' });
+    assert.equal(await send(), await send());
+});
+
+test('eth_feeHistory reports the EIP-1559 base fees and percentile tips', async () => {
+    const { request } = connect();
+    await request('evm_mine');
+    await request('eth_sendTransaction', { from: ALICE, to: BOB, value: '0x1' });
+    await request('eth_sendTransaction', {
+        from: ALICE,
+        to: BOB,
+        value: '0x1',
+        maxPriorityFeePerGas: ethers.toQuantity(ethers.parseUnits('2', 'gwei'))
+    });
+
+    const history = await request('eth_feeHistory', '0x4', 'latest', [10, 90]);
+    assert.equal(history.oldestBlock, '0x0');
+    // Empty blocks cut the fee by 1/8; a 21000-gas block by slightly less.
+    // The last entry is the fee of the next block.
+    assert.deepEqual(history.baseFeePerGas.map(BigInt), [1000000000n, 875000000n, 765625000n, 670055860n, 586416138n]);
+    assert.deepEqual(history.gasUsedRatio, [0, 0, 21000 / 30e6, 21000 / 30e6]);
+    assert.deepEqual(history.reward, [
+        ['0x0', '0x0'],
+        ['0x0', '0x0'],
+        ['0x3b9aca00', '0x3b9aca00'], // The default 1 gwei tip
+        ['0x77359400', '0x77359400']
+    ]);
+
+    const window = await request('eth_feeHistory', '0x2', '0x2', []);
+    assert.equal(window.oldestBlock, '0x1');
+    assert.deepEqual(window.baseFeePerGas.map(BigInt), [875000000n, 765625000n, 670055860n]);
+    assert.equal(window.reward, undefined);
+    await rejects(request('eth_feeHistory', '0x2', 'latest', [50, 10]), RPC_ERRORS.INVALID_PARAMS, /rewardPercentiles/);
+});
+
+test('raw transactions wait in the pool until evm_mine with automine off', async () => {
+    const { request } = connect();
+    await request('evm_setAutomine', false);
+
+    const first = await request('eth_sendRawTransaction', await signedByBob());
+    const second = await request('eth_sendRawTransaction', await signedByBob({ nonce: 1 }));
+    assert.equal(await request('eth_blockNumber'), '0x0');
+    assert.equal(await request('eth_getTransactionReceipt', first), null);
+    assert.equal((await request('eth_getTransactionByHash', second)).blockHash, null);
+    assert.equal(await request('eth_getTransactionCount', BOB, 'pending'), '0x2');
+
+    await request('evm_mine');
+    const block = await request('eth_getBlockByNumber', 'latest', false);
+    assert.deepEqual(block.transactions, [first, second]);
+    assert.equal(block.gasUsed, ethers.toQuantity(42000));
+    assert.equal((await request('eth_getTransactionReceipt', second)).cumulativeGasUsed, ethers.toQuantity(42000));
+    assert.equal(await request('eth_getTransactionCount', BOB, 'latest'), '0x2');
+});
+
+test('invalid transactions are rejected with geth\'s messages', async () => {
+    const { request } = connect({ genesis: { '0x0000000000000000000000000000000000000042': { code: '0x602a' } } });
+    await request('eth_sendRawTransaction', await signedByBob());
+    const server = RPC_ERRORS.SERVER_ERROR;
+
+    await rejects(request('eth_sendRawTransaction', await signedByBob()), server, /already known/);
+    await rejects(request('eth_sendRawTransaction', await signedByBob({ value: 2 })), server, /nonce too low/);
+    await rejects(request('eth_sendRawTransaction', await signedByBob({ nonce: 5 })), server, /nonce too high/);
+    await rejects(request('eth_sendRawTransaction', await signedByBob({ nonce: 1, gasLimit: 20999 })), server, /intrinsic gas too low/);
+    await rejects(request('eth_sendRawTransaction', await signedByBob({ nonce: 1, chainId: 1 })), server, /invalid chain id/);
+    await rejects(request('eth_sendRawTransaction', await signedByBob({ nonce: 1, maxFeePerGas: 1, maxPriorityFeePerGas: 1 })),
+        server, /max fee per gas less than block base fee/);
+    await rejects(request('eth_sendRawTransaction', await signedByBob({ nonce: 1, value: ethers.parseEther('20000') })),
+        server, /insufficient funds/);
+    await rejects(request('eth_sendRawTransaction', await signedByBob({ nonce: 1, to: null, data: '0x00', gasLimit: 100000 })), server, /contract creation/);
+    await rejects(request('eth_sendTransaction', { from: ALICE, to: '0x0000000000000000000000000000000000000042' }),
+        server, /execution are not supported/);
+    // Code in genesis is stored, never run
+    assert.equal(await request('eth_getCode', '0x0000000000000000000000000000000000000042', 'latest'), '0x602a');
+    await rejects(request('eth_call', { to: '0x0000000000000000000000000000000000000042' }, 'latest'), server, /execution are not supported/);
+    await rejects(request('eth_sendTransaction', { from: '0x0000000000000000000000000000000000000001', to: BOB }),
+        server, /unknown account/);
+});
+
+test('malformed requests get JSON-RPC error codes', async () => {
+    const { chain, request } = connect();
+
+    await rejects(request('eth_sendRawTransaction', '0x1234'), RPC_ERRORS.INVALID_PARAMS, /rlp/);
+    await rejects(request('eth_getBalance', 'not an address', 'latest'), RPC_ERRORS.INVALID_PARAMS, /invalid address/);
+    await rejects(request('eth_getBlockByHash', '0x12'), RPC_ERRORS.INVALID_PARAMS, /32-byte hex hash/);
+    await rejects(request('eth_getBalance', ALICE, '0x99'), RPC_ERRORS.SERVER_ERROR, /header not found/);
+    await rejects(request('eth_mine'), RPC_ERRORS.METHOD_NOT_FOUND, /does not exist/);
+    await rejects(chain.provider.request({ method: 42 }), RPC_ERRORS.INVALID_REQUEST, /method must be a string/);
+
+    // The JSON-RPC envelope carries the same codes
+    const replies = await chain.provider.send([
+        { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber' },
+        { jsonrpc: '2.0', id: 2, method: 'eth_mine' }
+    ]);
+    assert.deepEqual(replies[0], { jsonrpc: '2.0', id: 1, result: '0x0' });
+    assert.equal(replies[1].error.code, RPC_ERRORS.METHOD_NOT_FOUND);
+});
+
+test('ethers works on top of the provider', async () => {
+    const { chain } = connect();
+    const provider = new ethers.BrowserProvider(chain.provider);
+    const signer = await provider.getSigner(ALICE);
+
+    const response = await signer.sendTransaction({ to: BOB, value: ethers.parseEther('2') });
+    const receipt = await response.wait();
+    assert.equal(receipt.status, 1);
+    assert.equal(await provider.getBalance(BOB), ethers.parseEther('10002'));
+    assert.equal((await provider.getNetwork()).chainId, 31337n);
+});
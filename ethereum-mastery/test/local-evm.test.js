@@ -0,0 +1,256 @@
+// Compiling with the bundled solc and running the result on LocalEVM: the
+// MultiSigWallet template end to end, revert reasons, the gas report and
+// the EIP-1193 provider
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const {
+    CompilationError,
+    compile,
+    buildContracts,
+    TransactionRevertedError,
+    decodeRevert,
+    formatGasReport,
+    RPC_ERRORS,
+    ProviderRpcError,
+    LocalEVM
+} = require('../core');
+const { LocalChain } = require('../1-EthereumBasics/local-chain');
+const SmartContractDevelopment = require('../3-SmartContractDevelopment/main');
+
+const { multiSigWallet } = new SmartContractDevelopment().contractTemplates;
+
+let artifacts;
+
+test.before(() => {
+    ({ artifacts } = compile({ 'MultiSigWallet.sol': multiSigWallet.code }));
+});
+
+async function reverts(promise, reason) {
+    await assert.rejects(promise, error => {
+        assert.ok(error instanceof TransactionRevertedError);
+        assert.equal(error.reason, reason);
+        return true;
+    });
+}
+
+// A funded 2-of-3 wallet owned by accounts 1-3
+async function deployWallet() {
+    const evm = await LocalEVM.create();
+    const [deployer, alice, bob, carol, dave] = evm.accounts.map(account => account.address);
+    const wallet = await evm.deploy(artifacts.MultiSigWallet, [[alice, bob, carol], 2]);
+    await evm.sendTransaction({
+        from: deployer,
+        to: wallet.address,
+        value: ethers.parseEther('5'),
+        label: { contract: 'MultiSigWallet', method: 'receive' }
+    });
+    return { evm, wallet, deployer, alice, bob, carol, dave };
+}
+
+test('solc compiles a template into an ABI and bytecode', () => {
+    const artifact = artifacts.MultiSigWallet;
+
+    assert.equal(artifact.contractName, 'MultiSigWallet');
+    assert.equal(artifact.sourceName, 'MultiSigWallet.sol');
+    assert.match(artifact.bytecode, /^0x[0-9a-f]{100,}$/);
+    assert.ok(artifact.deployedBytecode.length < artifact.bytecode.length); // No constructor in the runtime code
+    const functions = new ethers.Interface(artifact.abi).fragments.filter(fragment => fragment.type === 'function');
+    assert.ok(['submitTransaction', 'confirmTransaction', 'executeTransaction', 'revokeConfirmation']
+        .every(name => functions.some(fragment => fragment.name === name)));
+});
+
+test('compile errors are reported with solc\'s messages', () => {
+    assert.throws(() => compile({ 'Broken.sol': 'pragma solidity ^0.8.0; contract Broken { uint x = ; }' }), error => {
+        assert.ok(error instanceof CompilationError);
+        assert.equal(error.errors.length, 1);
+        assert.match(error.errors[0], /ParserError/);
+        return true;
+    });
+});
+
+test('buildContracts writes the sources and one artifact per contract', t => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contracts-'));
+    t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+    const result = buildContracts({ multiSigWallet }, outDir);
+
+    assert.equal(fs.readFileSync(path.join(result.contractsDir, 'multiSigWallet.sol'), 'utf8'), `${multiSigWallet.code.trim()}\n`);
+    const saved = JSON.parse(fs.readFileSync(path.join(result.artifactsDir, 'MultiSigWallet.json'), 'utf8'));
+    assert.equal(saved.compilerVersion, result.compilerVersion);
+    assert.deepEqual(saved.abi, result.artifacts.MultiSigWallet.abi);
+});
+
+test('a 2-of-3 MultiSigWallet pays out only after two confirmations', async () => {
+    const { evm, wallet, deployer, alice, bob, carol, dave } = await deployWallet();
+    assert.equal(wallet.address, ethers.getCreateAddress({ from: deployer, nonce: 0 }));
+    assert.deepEqual([...await wallet.call('getOwners')], [alice, bob, carol]);
+    assert.equal(await wallet.getBalance(), ethers.parseEther('5'));
+
+    const submitted = await wallet.connect(alice).send('submitTransaction', [dave, ethers.parseEther('1'), '0x']);
+    assert.equal(submitted.events[0].name, 'SubmitTransaction');
+    assert.equal(submitted.events[0].args.to, dave);
+    await wallet.connect(alice).send('confirmTransaction', [0]);
+
+    await reverts(wallet.connect(alice).send('executeTransaction', [0]), 'cannot execute tx');
+    await reverts(wallet.connect(alice).send('confirmTransaction', [0]), 'tx already confirmed');
+    await reverts(wallet.connect(dave).send('confirmTransaction', [0]), 'not owner');
+    await reverts(wallet.connect(bob).send('confirmTransaction', [1]), 'tx does not exist');
+
+    const confirmed = await wallet.connect(bob).send('confirmTransaction', [0]);
+    assert.deepEqual(confirmed.events.map(event => event.name), ['ConfirmTransaction']);
+    const daveBefore = await evm.getBalance(dave);
+    const executed = await wallet.connect(carol).send('executeTransaction', [0]);
+
+    assert.deepEqual(executed.events.map(event => [event.name, event.args.owner]), [['ExecuteTransaction', carol]]);
+    assert.equal(await evm.getBalance(dave) - daveBefore, ethers.parseEther('1'));
+    assert.equal(await wallet.getBalance(), ethers.parseEther('4'));
+    const [, , , isExecuted, confirmations] = await wallet.call('getTransaction', [0]);
+    assert.equal(isExecuted, true);
+    assert.equal(confirmations, 2n);
+    await reverts(wallet.connect(carol).send('executeTransaction', [0]), 'tx already executed');
+});
+
+test('a reverted transaction is mined and pays for its gas', async () => {
+    const { evm, wallet, dave } = await deployWallet();
+    const before = await evm.getBalance(dave);
+    const nonce = await evm.getNonce(dave);
+
+    const error = await wallet.connect(dave).send('submitTransaction', [dave, 1, '0x']).catch(caught => caught);
+    assert.ok(error instanceof TransactionRevertedError);
+    assert.equal(error.receipt.status, 0);
+    assert.ok(error.receipt.gasUsed > 21000n);
+    assert.equal(await evm.getNonce(dave), nonce + 1n);
+    assert.ok(await evm.getBalance(dave) < before);
+
+    // Constructor checks revert the deployment
+    await reverts(evm.deploy(artifacts.MultiSigWallet, [[dave], 2]), 'invalid number of required confirmations');
+});
+
+test('the gas report groups every labelled transaction by method', async () => {
+    const { evm, wallet, alice, bob, carol, dave } = await deployWallet();
+    await wallet.connect(alice).send('submitTransaction', [dave, 1, '0x']);
+    await wallet.connect(alice).send('confirmTransaction', [0]);
+    await wallet.connect(alice).send('executeTransaction', [0]).catch(() => {});
+    await wallet.connect(bob).send('confirmTransaction', [0]);
+    const executed = await wallet.connect(carol).send('executeTransaction', [0]);
+
+    const report = evm.gasReport();
+    assert.deepEqual(report.map(row => [row.method, row.calls, row.reverted]), [
+        ['deploy', 1, 0],
+        ['receive', 1, 0],
+        ['submitTransaction', 1, 0],
+        ['confirmTransaction', 2, 0],
+        ['executeTransaction', 1, 1]
+    ]);
+    assert.ok(report.every(row => row.contract === 'MultiSigWallet'));
+
+    const execute = report.find(row => row.method === 'executeTransaction');
+    assert.equal(execute.min, executed.gasUsed); // Only the successful call counts
+    assert.equal(execute.avg, executed.gasUsed);
+    const confirm = report.find(row => row.method === 'confirmTransaction');
+    assert.ok(confirm.min <= confirm.avg && confirm.avg <= confirm.max);
+    assert.equal(report.find(row => row.method === 'deploy').min, wallet.deployReceipt.gasUsed);
+
+    const [deployRow] = formatGasReport(report);
+    assert.equal(typeof deployRow.min, 'number');
+    assert.deepEqual(formatGasReport([{ contract: 'X', method: 'y', calls: 0, reverted: 1, min: null, max: null, avg: null }])[0],
+        { contract: 'X', method: 'y', calls: 0, reverted: 1, min: '-', max: '-', avg: '-' });
+});
+
+test('revert data decodes to a reason, a panic or a custom error', () => {
+    const iface = new ethers.Interface(['error Unauthorized(address caller)']);
+    const caller = '0x0000000000000000000000000000000000000001';
+
+    assert.equal(decodeRevert('0x'), 'reverted without a reason');
+    assert.equal(decodeRevert(iface.encodeErrorResult('Error', ['no'])), 'no');
+    assert.equal(decodeRevert(iface.encodeErrorResult('Panic', [0x11])), 'panic 0x11');
+    assert.equal(decodeRevert(iface.encodeErrorResult('Unauthorized', [caller]), iface), `Unauthorized(${caller})`);
+    assert.equal(decodeRevert('0xdeadbeef'), 'reverted with data 0xdeadbeef');
+});
+
+test('LocalEVM funds the same development accounts as LocalChain', async () => {
+    const evm = await LocalEVM.create({ accounts: 3 });
+    const addresses = new LocalChain({ accounts: 3 }).accounts.map(account => account.address);
+
+    assert.deepEqual(evm.accounts.map(account => account.address), addresses);
+    assert.deepEqual(await evm.provider.request({ method: 'eth_accounts' }), addresses);
+    assert.equal(await evm.provider.request({ method: 'eth_getBalance', params: [addresses[2], 'latest'] }), ethers.toQuantity(ethers.parseEther('10000')));
+});
+
+test('ethers deploys and drives a contract through the EIP-1193 provider', async () => {
+    const evm = await LocalEVM.create();
+    const provider = new ethers.BrowserProvider(evm.provider);
+    const [deployer, alice, bob, dave] = await Promise.all([0, 1, 2, 4].map(index => provider.getSigner(index)));
+
+    const factory = new ethers.ContractFactory(artifacts.MultiSigWallet.abi, artifacts.MultiSigWallet.bytecode, deployer);
+    const wallet = await factory.deploy([alice.address, bob.address, deployer.address], 2);
+    await wallet.waitForDeployment();
+    assert.equal(await wallet.getAddress(), ethers.getCreateAddress({ from: deployer.address, nonce: 0 }));
+    assert.deepEqual([...await wallet.getOwners()], [alice.address, bob.address, deployer.address]);
+
+    await (await deployer.sendTransaction({ to: await wallet.getAddress(), value: ethers.parseEther('2') })).wait();
+    assert.equal(await provider.getBalance(wallet), ethers.parseEther('2'));
+    assert.equal(await evm.getBalance(await wallet.getAddress()), ethers.parseEther('2'));
+
+    const submitted = await (await wallet.connect(alice).submitTransaction(dave.address, ethers.parseEther('1'), '0x')).wait();
+    assert.equal(submitted.status, 1);
+    assert.deepEqual(submitted.logs.map(log => wallet.interface.parseLog(log).name), ['SubmitTransaction']);
+    const block = await provider.getBlock(submitted.blockNumber);
+    assert.equal(block.hash, submitted.blockHash);
+    assert.equal(block.parentHash, (await provider.getBlock(submitted.blockNumber - 1)).hash);
+
+    // Calls that revert report the reason; transactions that revert are
+    // still mined with status 0
+    await assert.rejects(wallet.connect(dave).confirmTransaction.staticCall(0), error => error.reason === 'not owner');
+    await assert.rejects((await wallet.connect(alice).executeTransaction(0)).wait(), error => error.receipt.status === 0);
+
+    await (await wallet.connect(alice).confirmTransaction(0)).wait();
+    await (await wallet.connect(bob).confirmTransaction(0)).wait();
+    // BrowserProvider caches identical requests briefly, so ask the EVM
+    const before = await evm.getBalance(dave.address);
+    await (await wallet.connect(bob).executeTransaction(0)).wait();
+    assert.equal(await evm.getBalance(dave.address) - before, ethers.parseEther('1'));
+    assert.equal(await evm.provider.request({ method: 'eth_blockNumber' }), '0x7');
+});
+
+test('the provider rejects what LocalEVM cannot do with JSON-RPC errors', async () => {
+    const evm = await LocalEVM.create();
+    const [alice] = evm.accounts.map(account => account.address);
+    const request = (method, ...params) => evm.provider.request({ method, params });
+    const rejects = (promise, code, message) => assert.rejects(promise, error => {
+        assert.ok(error instanceof ProviderRpcError);
+        assert.equal(error.code, code);
+        assert.match(error.message, message);
+        return true;
+    });
+
+    await rejects(request('eth_mine'), RPC_ERRORS.METHOD_NOT_FOUND, /does not exist/);
+    await rejects(request('eth_sendTransaction', { from: ethers.ZeroAddress, to: alice }), RPC_ERRORS.SERVER_ERROR, /unknown account/);
+    await rejects(request('eth_getBalance', 'not an address', 'latest'), RPC_ERRORS.INVALID_PARAMS, /invalid address/);
+    await rejects(request('eth_sendRawTransaction', '0x1234'), RPC_ERRORS.INVALID_PARAMS, /rlp/);
+
+    const wallet = await evm.deploy(artifacts.MultiSigWallet, [[alice], 1]);
+    await rejects(request('eth_getCode', wallet.address, '0x0'), RPC_ERRORS.SERVER_ERROR, /historical state/);
+    await rejects(request('eth_getCode', wallet.address, '0x5'), RPC_ERRORS.SERVER_ERROR, /header not found/);
+    assert.equal(await request('eth_getCode', wallet.address, '0x1'), artifacts.MultiSigWallet.deployedBytecode);
+
+    const data = wallet.interface.encodeFunctionData('confirmTransaction', [0]);
+    const error = await request('eth_call', { from: alice, to: wallet.address, data }).catch(caught => caught);
+    assert.equal(error.code, RPC_ERRORS.EXECUTION_REVERTED);
+    assert.equal(error.message, 'execution reverted: tx does not exist');
+    assert.equal(decodeRevert(error.data), 'tx does not exist');
+
+    // A transaction signed outside LocalEVM runs too
+    const raw = await evm.accounts[1].signTransaction({
+        type: 2, chainId: 31337, nonce: 0, to: alice, value: 1n, gasLimit: 21000n, maxFeePerGas: 10n ** 10n, maxPriorityFeePerGas: 10n ** 9n
+    });
+    const hash = await request('eth_sendRawTransaction', raw);
+    const receipt = await request('eth_getTransactionReceipt', hash);
+    assert.deepEqual([receipt.status, receipt.gasUsed, receipt.blockNumber], ['0x1', '0x5208', '0x2']);
+    await rejects(request('eth_sendRawTransaction', raw), RPC_ERRORS.SERVER_ERROR, /nonce/);
+    assert.equal(await request('eth_blockNumber'), '0x2');
+});
@@ -0,0 +1,154 @@
+// The static analyzer: one fixture contract per rule under
+// fixtures/static-analyzer, the template scanner, and a scan of the repo's
+// own contract templates
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    RULES,
+    analyzeSource,
+    analyzeTemplates,
+    buildStaticAnalysisReport,
+    renderStaticAnalysisReport,
+    writeStaticAnalysisReport
+} = require('../6-SecurityAuditing/static-analyzer');
+const { extractTemplateLiterals, findSolidityTemplates, scanRepository } = require('../6-SecurityAuditing/template-scanner');
+const { CompilationError } = require('../core');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'static-analyzer');
+const REPO = path.join(__dirname, '..', '..');
+
+// [rule, severity, function, line] for every finding in a fixture
+function analyzeFixture(name) {
+    const file = path.join(FIXTURES, `${name}.sol`);
+    const { findings } = analyzeSource(fs.readFileSync(file, 'utf8'), { file });
+    assert.ok(findings.every(finding => finding.location.file === file));
+    return findings.map(finding => [finding.rule, finding.severity, finding.function, finding.location.line]);
+}
+
+test('every rule has a fixture', () => {
+    assert.deepEqual(RULES.map(rule => `${rule.id}.sol`).sort(), fs.readdirSync(FIXTURES).sort());
+});
+
+test('reentrancy: a write after a call, High when the call sends ether', () => {
+    assert.deepEqual(analyzeFixture('reentrancy'), [
+        ['reentrancy', 'High', 'withdraw', 24],
+        ['reentrancy', 'Medium', 'claim', 32]
+    ]);
+});
+
+test('missing-access-control: state-changing entry points that never check the caller', () => {
+    assert.deepEqual(analyzeFixture('missing-access-control'), [
+        ['missing-access-control', 'High', 'setFee', 15],
+        ['missing-access-control', 'Medium', 'bump', 20]
+    ]);
+});
+
+test('tx-origin: graded by how the origin is used', () => {
+    assert.deepEqual(analyzeFixture('tx-origin'), [
+        ['tx-origin', 'High', 'withdraw', 14],
+        ['tx-origin', 'Medium', 'remember', 21],
+        ['tx-origin', 'Low', 'origin', 26],
+        ['tx-origin', 'Informational', 'isDirectCall', 31]
+    ]);
+});
+
+test('unchecked-call: ignored, discarded and unread success flags', () => {
+    assert.deepEqual(analyzeFixture('unchecked-call'), [
+        ['unchecked-call', 'Medium', 'ignored', 6],
+        ['unchecked-call', 'Medium', 'discarded', 10],
+        ['unchecked-call', 'Medium', 'unused', 15],
+        ['unchecked-call', 'Medium', 'reassigned', 20]
+    ]);
+});
+
+test('weak-randomness: block data reduced with %, directly or through a seed', () => {
+    assert.deepEqual(analyzeFixture('weak-randomness'), [
+        ['weak-randomness', 'High', 'winner', 9],
+        ['weak-randomness', 'High', 'draw', 14],
+        ['weak-randomness', 'Low', 'ticketId', 24]
+    ]);
+});
+
+test('unbounded-loop: loops over growing state, Low in views', () => {
+    assert.deepEqual(analyzeFixture('unbounded-loop'), [
+        ['unbounded-loop', 'Medium', 'creditAll', 17],
+        ['unbounded-loop', 'Low', 'totalRounds', 25]
+    ]);
+});
+
+test('locations are offset to where an embedded source starts', () => {
+    const source = 'contract A {\n    function f() external view returns (address) { return tx.origin; }\n}';
+    const [finding] = analyzeSource(source, { file: 'A.js', line: 10, column: 20 }).findings;
+    assert.deepEqual(finding.location, {
+        file: 'A.js',
+        line: 11,
+        column: 59,
+        snippet: 'function f() external view returns (address) { return tx.origin; }'
+    });
+    // The first line is offset by the column too
+    assert.equal(analyzeSource('contract B { function g() external { tx.origin; } }', { line: 3, column: 5 }).findings[0].location.column, 42);
+
+    assert.throws(() => analyzeSource('contract C { function }'), CompilationError);
+});
+
+test('the scanner finds Solidity in template literals, not in strings, comments or regexes', () => {
+    const code = [
+        'const re = /`/g; // `not a template`',
+        'const text = "`contract Nope { uint x; }`";',
+        'const tag = `x${`nested`}y`;',
+        'const sol = `',
+        'contract Token {',
+        '    uint256 public supply;',
+        '}`;'
+    ].join('\n');
+
+    assert.deepEqual(extractTemplateLiterals(code).map(template => template.text), ['x___________y', 'nested', '\ncontract Token {\n    uint256 public supply;\n}']);
+    const [template] = findSolidityTemplates('code.js', code);
+    assert.deepEqual([template.line, template.column, template.contracts], [4, 14, ['Token']]);
+});
+
+test('the repo\'s templates all parse and the vulnerable bank is flagged', () => {
+    const templates = scanRepository(REPO);
+    const { sources, findings } = analyzeTemplates(templates);
+    assert.ok(sources.length > 0);
+    assert.deepEqual(sources.filter(source => source.error), []);
+
+    const main = path.join(REPO, 'ethereum-mastery', '6-SecurityAuditing', 'main.js');
+    const bank = findings.filter(finding => finding.contract === 'VulnerableBank');
+    assert.deepEqual(bank.map(finding => [finding.rule, finding.severity, finding.function]), [['reentrancy', 'High', 'withdraw']]);
+    assert.equal(bank[0].location.file, main);
+    assert.match(fs.readFileSync(main, 'utf8').split('\n')[bank[0].location.line - 1], /msg\.sender\.call\{value: amount\}/);
+    assert.deepEqual(findings.filter(finding => finding.contract === 'SecureBank'), []);
+});
+
+test('the report counts findings by severity and rule and is written as JSON and Markdown', t => {
+    const file = path.join(FIXTURES, 'tx-origin.sol');
+    const templates = [{ file, line: 1, column: 1, source: fs.readFileSync(file, 'utf8'), contracts: ['Wallet'] }];
+    const broken = { file: path.join(FIXTURES, 'broken.sol'), line: 7, column: 1, source: 'contract {', contracts: [] };
+    const report = buildStaticAnalysisReport(analyzeTemplates([...templates, broken]), { root: FIXTURES, generatedAt: new Date(0) });
+
+    assert.deepEqual(report.summary, {
+        sources: 2,
+        unparsed: 1,
+        findings: 4,
+        bySeverity: { High: 1, Medium: 1, Low: 1, Informational: 1 },
+        byRule: { 'tx-origin': 4 }
+    });
+    assert.deepEqual(report.findings.map(finding => finding.severity), ['High', 'Medium', 'Low', 'Informational']);
+    assert.equal(report.findings[0].location.file, 'tx-origin.sol');
+    assert.match(report.sources[1].error, /ParserError/);
+
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-analysis-'));
+    t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+    const files = writeStaticAnalysisReport(report, outDir);
+    assert.deepEqual(JSON.parse(fs.readFileSync(files.json, 'utf8')), report);
+    const markdown = fs.readFileSync(files.markdown, 'utf8');
+    assert.equal(markdown, renderStaticAnalysisReport(report));
+    assert.match(markdown, /\| Authorization with tx.origin \(`tx-origin`\) \| 4 \| 1 \| 1 \| 1 \| 1 \|/);
+    assert.match(markdown, /\| 14:17 \| High \| tx-origin \| `Wallet.withdraw` \|/);
+    assert.match(markdown, /- broken.sol:7: ParserError/);
+});
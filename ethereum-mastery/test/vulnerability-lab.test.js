@@ -0,0 +1,125 @@
+// The vulnerability lab: every vulnerable/secure pair from SecurityAuditing
+// compiled, deployed and attacked on LocalEVM, and the audit report built
+// from the results
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    EXPLOITS,
+    runVulnerabilityLab,
+    buildAuditReport,
+    renderAuditReport,
+    writeAuditReport
+} = require('../6-SecurityAuditing/vulnerability-lab');
+const SecurityAuditing = require('../6-SecurityAuditing/main');
+
+const { vulnerabilityExamples } = new SecurityAuditing();
+
+let buildDir;
+let results;
+
+// One run of the lab is shared: it compiles with two solc releases
+test.before(async () => {
+    buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lab-'));
+    results = await runVulnerabilityLab(vulnerabilityExamples, { buildDir });
+});
+
+test.after(() => fs.rmSync(buildDir, { recursive: true, force: true }));
+
+const finding = id => results.findings.find(entry => entry.id === id);
+
+test('every example with an exploit is a finding, tools are not', () => {
+    assert.deepEqual(results.findings.map(entry => entry.id), ['reentrancy', 'accessControl', 'integerOverflow', 'frontRunning']);
+    assert.deepEqual(Object.keys(EXPLOITS), results.findings.map(entry => entry.id));
+    assert.equal(results.compilers.length, 2);
+    assert.ok(results.compilers.some(version => version.startsWith('0.7.6')));
+
+    // The sources go to buildDir/lab with the pragma of their compiler
+    assert.match(fs.readFileSync(path.join(buildDir, 'lab', 'VulnerableBank.sol'), 'utf8'), /pragma solidity \^0\.7\.0;/);
+    assert.match(fs.readFileSync(path.join(buildDir, 'lab', 'SecureBank.sol'), 'utf8'), /pragma solidity \^0\.8\.0;/);
+    assert.ok(fs.existsSync(path.join(buildDir, 'lab', 'Attackers.sol')));
+});
+
+test('reentrancy drains the vulnerable bank and the guard holds', () => {
+    const { vulnerable, secure } = finding('reentrancy');
+
+    assert.equal(vulnerable.contract, 'VulnerableBank');
+    assert.equal(vulnerable.exploited, true);
+    assert.match(vulnerable.impact, /ETH of the victim's deposit stolen/);
+    assert.deepEqual(vulnerable.steps.map(step => step.status), ['success', 'success']);
+
+    assert.equal(secure.contract, 'SecureBank');
+    assert.equal(secure.exploited, false);
+    assert.equal(secure.impact, null);
+    assert.equal(secure.steps[1].status, 'reverted');
+    assert.ok(secure.observations.includes('Bank holds 10.0 ETH of the victim\'s 10 ETH'));
+});
+
+test('anyone can set the value on the vulnerable store but not the Ownable one', () => {
+    const { vulnerable, secure } = finding('accessControl');
+
+    assert.equal(vulnerable.exploited, true);
+    assert.ok(vulnerable.observations.includes('importantValue is 666'));
+    assert.equal(secure.exploited, false);
+    assert.ok(secure.observations.includes('importantValue is 42'));
+    assert.equal(secure.steps[1].status, 'reverted');
+});
+
+test('wrapping arithmetic zeroes the balance under 0.7 and reverts under 0.8', () => {
+    const { vulnerable, secure } = finding('integerOverflow');
+
+    assert.match(vulnerable.compiler, /^0\.7\.6/);
+    assert.equal(vulnerable.exploited, true);
+    assert.ok(vulnerable.observations.includes('Victim balance 0.0, totalSupply 0.0'));
+    assert.match(secure.compiler, /^0\.8\./);
+    assert.equal(secure.exploited, false);
+    assert.equal(secure.steps[1].status, 'reverted');
+    assert.equal(secure.steps[1].reason, 'panic 0x11');
+});
+
+test('front-running wins the open auction but not the sealed one', () => {
+    const { vulnerable, secure } = finding('frontRunning');
+
+    assert.equal(vulnerable.exploited, true);
+    assert.match(vulnerable.observations.at(-1), /^Highest bidder is the attacker/);
+    assert.equal(secure.exploited, false);
+    assert.match(secure.observations.at(-1), /^Highest bidder is the victim at 5\.0 ETH/);
+    // The copied reveal is bound to the victim's address
+    assert.equal(secure.steps.find(step => step.action === 'Attacker front-runs with the same reveal').status, 'reverted');
+});
+
+test('every finding is confirmed', () => {
+    for (const entry of results.findings) {
+        assert.equal(entry.verdict, 'confirmed', entry.id);
+        assert.equal(entry.title, vulnerabilityExamples[entry.id].name);
+        assert.equal(entry.severity, EXPLOITS[entry.id].severity);
+    }
+});
+
+test('the audit report summarizes the findings and is written as JSON and Markdown', t => {
+    const generatedAt = new Date('2024-01-01T00:00:00Z');
+    const report = buildAuditReport(results, { generatedAt });
+
+    assert.equal(report.generatedAt, '2024-01-01T00:00:00.000Z');
+    assert.deepEqual(report.summary, {
+        findings: 4,
+        confirmed: 4,
+        unexpected: 0,
+        bySeverity: { Critical: 1, High: 2, Medium: 1 }
+    });
+
+    const outDir = path.join(buildDir, 'report');
+    const files = writeAuditReport(report, outDir);
+    assert.deepEqual(JSON.parse(fs.readFileSync(files.json, 'utf8')), JSON.parse(JSON.stringify(report)));
+    const markdown = fs.readFileSync(files.markdown, 'utf8');
+    assert.equal(markdown, renderAuditReport(report));
+    assert.match(markdown, /^# Vulnerability Lab Audit Report\n/);
+    assert.match(markdown, /4 of 4 findings confirmed\./);
+    assert.match(markdown, /\| 1 \| Reentrancy Vulnerability \| Critical \| SWC-107 \| exploited \| held \| confirmed \|/);
+
+    const unexpected = buildAuditReport({ ...results, findings: [{ ...results.findings[0], verdict: 'unexpected' }] });
+    assert.deepEqual([unexpected.summary.confirmed, unexpected.summary.unexpected], [0, 1]);
+});
@@ -0,0 +1,326 @@
+/*
+Mining benchmark
+
+Brute-force proof-of-work search, parameterised: find inputs
+`<prefix><nonce>` whose hash meets each difficulty step in turn, and
+report how many attempts it took against how many were expected.
+
+  node mining-benchmark.js --prefix 100xdevs --difficulty 5
+  node mining-benchmark.js --difficulty 1-6 --hash double-sha256
+  node mining-benchmark.js --difficulty prefix:000e --nonce random-string
+  node mining-benchmark.js --difficulty 4 --count 50 --time 30 > run.json
+
+Options:
+  --prefix <text>       fixed start of every input (default: none)
+  --hash <name>         sha256 | double-sha256 | sha3 | blake2 (default: sha256)
+  --nonce <strategy>    sequential | random | random-string (default: sequential)
+  --start <n>           first sequential nonce (default: 0)
+  --difficulty <steps>  comma-separated schedule, each step one of:
+                          N            N leading hex zeros
+                          A-B          A, A+1, ..., B leading zeros
+                          prefix:HEX   hash starts with HEX
+                          bits:0xNNNN  hash <= the compact (nBits) target
+                        (default: 5). With --count beyond the schedule,
+                        the last step repeats.
+  --count <n>           stop after n solutions (default: length of the schedule)
+  --time <seconds>      stop after this long (default: 60)
+  --max-attempts <n>    stop after this many hashes in total
+  --progress            print progress to stderr every second
+  --out <file>          write the JSON stats to a file instead of stdout
+
+A hash that must start with L given hex digits is found with probability
+16^-L per attempt, so attempts are geometrically distributed with mean
+16^L. Normalised attempts (attempts / expected) have mean 1 and variance
+close to 1 whatever the difficulty, so runs can be compared on one chart.
+
+This replaces assignment1.js (difficulty 5), assignment2.js (--prefix
+100xdevs --difficulty 5) and assignment3.js (--prefix 100xdevs
+--difficulty 1-8).
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { compactToTarget } = require('./bitcoin-mastery/core');
+
+const HASH_FUNCTIONS = {
+  sha256: input => crypto.createHash('sha256').update(input).digest('hex'),
+  'double-sha256': input => crypto.createHash('sha256')
+    .update(crypto.createHash('sha256').update(input).digest()).digest('hex'),
+  sha3: input => crypto.createHash('sha3-256').update(input).digest('hex'),
+  blake2: input => crypto.createHash('blake2s256').update(input).digest('hex')
+};
+
+const RANDOM_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Each strategy returns a function giving the next nonce as a string
+const NONCE_STRATEGIES = {
+  sequential: (start = 0) => {
+    let nonce = start;
+    return () => String(nonce++);
+  },
+  random: () => () => String(Math.floor(Math.random() * Number.MAX_SAFE_INTEGER)),
+  // What the old assignments did: 10 random alphanumeric characters
+  'random-string': () => () => {
+    let result = '';
+    for (let i = 0; i < 10; i++) {
+      result += RANDOM_CHARACTERS[Math.floor(Math.random() * RANDOM_CHARACTERS.length)];
+    }
+    return result;
+  }
+};
+
+function hexPrefixStep(hexPrefix) {
+  if (!/^[0-9a-f]+$/.test(hexPrefix)) throw new Error(`Invalid hex prefix: ${hexPrefix}`);
+  return {
+    label: `prefix:${hexPrefix}`,
+    meets: hash => hash.startsWith(hexPrefix),
+    probability: 16 ** -hexPrefix.length
+  };
+}
+
+// Parse a --difficulty schedule into steps of { label, meets(hash), probability }
+function parseSchedule(text) {
+  const steps = [];
+  for (const part of String(text).split(',').map(item => item.trim())) {
+    let match;
+    if ((match = /^(\d+)$/.exec(part))) {
+      steps.push(hexPrefixStep('0'.repeat(Number(match[1]))));
+    } else if ((match = /^(\d+)-(\d+)$/.exec(part))) {
+      for (let zeros = Number(match[1]); zeros <= Number(match[2]); zeros++) {
+        steps.push(hexPrefixStep('0'.repeat(zeros)));
+      }
+    } else if ((match = /^prefix:([0-9a-fA-F]+)$/.exec(part))) {
+      steps.push(hexPrefixStep(match[1].toLowerCase()));
+    } else if ((match = /^bits:(0x[0-9a-fA-F]+|\d+)$/.exec(part))) {
+      const target = compactToTarget(Number(match[1]));
+      const targetHex = target.toString(16).padStart(64, '0');
+      steps.push({
+        label: `bits:0x${Number(match[1]).toString(16)}`,
+        meets: hash => hash <= targetHex, // Equal-length lowercase hex compares numerically
+        probability: Number(target + 1n) / 2 ** 256
+      });
+    } else {
+      throw new Error(`Invalid difficulty step: ${part}`);
+    }
+  }
+  if (steps.length === 0) throw new Error('Empty difficulty schedule');
+  return steps;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Sample variance (n - 1)
+function variance(values) {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+// Run the search and return the stats object the CLI prints.
+// onProgress({ attempts, solutions, seconds, hashRate, step }) is called
+// about once a second if given.
+function runBenchmark(options = {}) {
+  const config = {
+    prefix: options.prefix ?? '',
+    hash: options.hash ?? 'sha256',
+    nonce: options.nonce ?? 'sequential',
+    start: options.start ?? 0,
+    difficulty: String(options.difficulty ?? '5'),
+    time: options.time ?? 60,
+    maxAttempts: options.maxAttempts ?? null
+  };
+  const hash = HASH_FUNCTIONS[config.hash];
+  if (!hash) throw new Error(`Unknown hash function: ${config.hash}`);
+  if (!NONCE_STRATEGIES[config.nonce]) throw new Error(`Unknown nonce strategy: ${config.nonce}`);
+  const steps = parseSchedule(config.difficulty);
+  config.count = options.count ?? steps.length;
+
+  const nextNonce = NONCE_STRATEGIES[config.nonce](config.start);
+  const startTime = process.hrtime.bigint();
+  const seconds = () => Number(process.hrtime.bigint() - startTime) / 1e9;
+  const deadline = config.time * 1e9;
+
+  const solutions = [];
+  let totalAttempts = 0;
+  let roundAttempts = 0;
+  let roundStart = 0;
+  let lastProgress = 0;
+  let stoppedBy = 'count';
+
+  while (solutions.length < config.count) {
+    const step = steps[Math.min(solutions.length, steps.length - 1)];
+    const nonce = nextNonce();
+    const input = config.prefix + nonce;
+    const digest = hash(input);
+    totalAttempts++;
+    roundAttempts++;
+
+    if (step.meets(digest)) {
+      const now = seconds();
+      solutions.push({
+        difficulty: step.label,
+        nonce,
+        input,
+        hash: digest,
+        attempts: roundAttempts,
+        expectedAttempts: 1 / step.probability,
+        normalizedAttempts: roundAttempts * step.probability,
+        seconds: now - roundStart
+      });
+      roundAttempts = 0;
+      roundStart = now;
+    }
+
+    // Checking the clock every hash would cost more than the hash
+    if ((totalAttempts & 0xfff) === 0) {
+      const elapsed = seconds();
+      if (elapsed * 1e9 >= deadline) {
+        stoppedBy = 'time';
+        break;
+      }
+      if (options.onProgress && elapsed - lastProgress >= 1) {
+        lastProgress = elapsed;
+        options.onProgress({
+          attempts: totalAttempts,
+          solutions: solutions.length,
+          seconds: elapsed,
+          hashRate: totalAttempts / elapsed,
+          step: step.label
+        });
+      }
+    }
+    if (config.maxAttempts !== null && totalAttempts >= config.maxAttempts) {
+      stoppedBy = 'max-attempts';
+      break;
+    }
+  }
+
+  const elapsed = seconds();
+  const expectedAttempts = solutions.reduce((sum, solution) => sum + solution.expectedAttempts, 0);
+  const solvedAttempts = totalAttempts - roundAttempts;
+  const normalized = solutions.map(solution => solution.normalizedAttempts);
+  // Raw attempt variance only makes sense when every step had the same odds
+  const sameStep = new Set(solutions.map(solution => solution.difficulty)).size === 1;
+  const p = sameStep ? 1 / solutions[0].expectedAttempts : null;
+
+  return {
+    config,
+    stoppedBy,
+    totals: {
+      solutions: solutions.length,
+      attempts: totalAttempts,
+      unfinishedAttempts: roundAttempts, // Spent on a step that was never solved
+      expectedAttempts,
+      // Below 1: took more hashes than expected
+      luck: solvedAttempts > 0 ? expectedAttempts / solvedAttempts : null,
+      seconds: elapsed,
+      hashRate: elapsed > 0 ? totalAttempts / elapsed : null
+    },
+    distribution: {
+      normalizedMean: mean(normalized),
+      normalizedVariance: variance(normalized),
+      attemptsVariance: sameStep ? variance(solutions.map(solution => solution.attempts)) : null,
+      expectedAttemptsVariance: sameStep ? (1 - p) / p ** 2 : null // Geometric distribution
+    },
+    solutions
+  };
+}
+
+// --key value and --key=value; bare --flag is true
+// The value each command-line option takes: free text, none (a switch),
+// or an integer that must be at least 1 (positive) or 0 (non-negative)
+const OPTIONS = {
+  prefix: 'text',
+  hash: 'text',
+  nonce: 'text',
+  start: 'non-negative',
+  difficulty: 'text',
+  count: 'positive',
+  time: 'positive',
+  'max-attempts': 'positive',
+  progress: 'switch',
+  out: 'text',
+  help: 'switch'
+};
+
+function parseInteger(key, text, kind) {
+  const value = Number(text);
+  if (!/^\d+$/.test(text) || !Number.isSafeInteger(value) || (kind === 'positive' && value === 0)) {
+    throw new Error(`--${key} must be a ${kind} integer, got ${JSON.stringify(text)}`);
+  }
+  return value;
+}
+
+// Options as { key: value }; throws on unknown options and bad values
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+    const [, key, inline] = match;
+    const kind = OPTIONS[key];
+    if (!kind) throw new Error(`Unknown option: --${key}`);
+
+    if (kind === 'switch') {
+      if (inline !== undefined) throw new Error(`--${key} takes no value`);
+      args[key] = true;
+      continue;
+    }
+    let value = inline;
+    if (value === undefined && i + 1 < argv.length && !argv[i + 1].startsWith('--')) value = argv[++i];
+    if (value === undefined) throw new Error(`--${key} needs a value`);
+    args[key] = kind === 'text' ? value : parseInteger(key, value, kind);
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace('/*\n', ''));
+    return;
+  }
+
+  const stats = runBenchmark({
+    prefix: args.prefix,
+    hash: args.hash,
+    nonce: args.nonce,
+    start: args.start,
+    difficulty: args.difficulty,
+    count: args.count,
+    time: args.time,
+    maxAttempts: args['max-attempts'],
+    onProgress: args.progress
+      ? progress => console.error(
+        `${progress.seconds.toFixed(0)}s: ${progress.attempts} attempts, ` +
+        `${progress.solutions} solved, ${progress.hashRate.toFixed(0)} H/s, searching ${progress.step}`
+      )
+      : null
+  });
+
+  const json = JSON.stringify(stats, null, 2);
+  if (args.out) {
+    fs.writeFileSync(args.out, `${json}\n`);
+  } else {
+    console.log(json);
+  }
+}
+
+module.exports = {
+  HASH_FUNCTIONS,
+  NONCE_STRATEGIES,
+  parseSchedule,
+  parseArgs,
+  runBenchmark
+};
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}